@@ -0,0 +1,521 @@
+#!/usr/bin/env node
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { storeInKeyring } from "./credential-store.js";
+import { addIsoDays, migrateLegacyData } from "./day-store.js";
+import { runDaily } from "./run-daily.js";
+import { resolveScheduleWindow } from "./schedule-utils.js";
+import { isIsoDate, isUsableOutput, parseDayCount, runScrape, scrapeSavedFiles } from "./scrape-all.js";
+import { formatCsv, formatDayLine, formatJobHoursLine, queryDays, queryJobHours } from "./store-query.js";
+import { resolveTenantProfile } from "./tenant-profile.js";
+import { CREDENTIALS_HINT, DEFAULT_CONFIG_PATH, DEFAULT_DATA_DIR, ROOT_DIR, loadConfig, loadCredentials, resolveAccount } from "./ukg-config.js";
+import { startWebsiteServer } from "./website-server.js";
+import { isoDateInZone } from "./website/zoned-date.js";
+
+/** @typedef {import("./scrape-all.js").ScrapeResult} ScrapeResult */
+/** @typedef {import("./scrape-all.js").BackfillSummary} BackfillSummary */
+
+/**
+ * @typedef {Object} CliIo
+ * @property {(text: string) => void} out - Results (stdout)
+ * @property {(text: string) => void} err - Usage errors and diagnostics (stderr)
+ * @property {() => string} [readInput] - All of stdin
+ */
+
+/**
+ * @typedef {Object} CommandContext
+ * @property {string} configPath
+ * @property {string} dataDir
+ * @property {string | undefined} account - --account, for configs with several accounts
+ * @property {boolean} dryRun
+ * @property {boolean} json
+ * @property {Record<string, string | boolean | undefined>} values - Command-specific flags
+ * @property {string[]} args - Positional arguments after the command name
+ * @property {CliIo} io
+ */
+
+/**
+ * @typedef {Object} CommandSpec
+ * @property {string} name
+ * @property {string} usage
+ * @property {string} summary
+ * @property {string[]} [details] - Extra help lines
+ * @property {import("util").ParseArgsConfig["options"]} options
+ * @property {(context: CommandContext) => Promise<number>} run - Resolves to the exit code
+ */
+
+const GLOBAL_OPTIONS = {
+  config: { type: "string" },
+  "data-dir": { type: "string" },
+  account: { type: "string" },
+  "dry-run": { type: "boolean", default: false },
+  json: { type: "boolean", default: false },
+  help: { type: "boolean", short: "h", default: false },
+};
+
+const GLOBAL_HELP = [
+  "--config FILE      config.json to use (default: config.json next to the scripts)",
+  "--data-dir DIR     Day store, session and debug bundles (default: data/)",
+  "--account ID       Which of config.json's accounts (default: all for run, else the only one)",
+  "--dry-run          Do everything except write data or send email",
+  "--json             Machine-readable output",
+  "-h, --help         Show help",
+];
+
+/**
+ * The account a single-account command works on, with its own data dir.
+ * @param {CommandContext} context
+ * @returns {import("./ukg-config.js").AccountProfile}
+ */
+function selectAccount(context) {
+  return resolveAccount(loadConfig(context.configPath), context.dataDir, context.account);
+}
+
+/**
+ * The account's credentials, or null after explaining what is missing.
+ * @param {CommandContext} context
+ * @param {import("./ukg-config.js").AccountProfile} account
+ * @returns {import("./ukg-session.js").Credentials | null}
+ */
+function requireCredentials(context, account) {
+  const credentials = loadCredentials(account.config, { envPrefix: account.envPrefix });
+  if (!credentials) {
+    context.io.err(`No UKG credentials. ${CREDENTIALS_HINT} (${context.configPath}).`);
+  }
+  return credentials;
+}
+
+/**
+ * @param {ScrapeResult} output
+ * @returns {string[]}
+ */
+function describeScrape(output) {
+  const lines = [];
+  if (output.schedule) {
+    const window = output.schedule.window ? ` (${output.schedule.window.start} to ${output.schedule.window.end})` : "";
+    lines.push(`schedule: ${output.schedule.shifts.length} shift(s), ${output.schedule.openShifts.length} open shift(s)${window}`);
+  }
+  if (output.timecard) {
+    lines.push(`timecard: ${output.timecard.entries.length} day(s) from ${output.timecard.source}, ${output.timecard.period}`);
+  }
+  for (const failure of output.errors) {
+    lines.push(`${failure.step} failed (${failure.category}): ${failure.message}`);
+  }
+  if (output.debugBundle) {
+    lines.push(`debug bundle: ${output.debugBundle}`);
+  }
+  return lines;
+}
+
+/** @type {CommandSpec[]} */
+const COMMANDS = [
+  {
+    name: "scrape",
+    usage: "ukg scrape <schedule|timecard|all> [--look-behind DAYS] [--look-ahead DAYS] [--record DIR] [--trace]\n"
+      + "       ukg scrape <schedule|timecard|all> [--from-html FILE] [--from-api-json FILE]",
+    summary: "Log in and scrape, printing the result (nothing is stored)",
+    details: [
+      "--look-behind DAYS   Past days of schedule to request",
+      "--look-ahead DAYS    Future days of schedule to request",
+      "--record DIR         Save UKG responses as fixtures plus a HAR file",
+      "--trace              Record a Playwright trace for debug bundles",
+      "--from-html FILE     Parse a saved My Timecard page instead of logging in",
+      "--from-api-json FILE Parse a saved /myschedule/events payload instead of logging in",
+    ],
+    options: {
+      "look-behind": { type: "string" },
+      "look-ahead": { type: "string" },
+      record: { type: "string" },
+      trace: { type: "boolean", default: false },
+      "from-html": { type: "string" },
+      "from-api-json": { type: "string" },
+    },
+    async run(context) {
+      const target = context.args[0] ?? "all";
+      if (!["schedule", "timecard", "all"].includes(target)) {
+        context.io.err(`Unknown scrape target "${target}": use schedule, timecard or all`);
+        return 1;
+      }
+      const { values } = context;
+      const lookBehindDays = parseDayCount(/** @type {string | undefined} */ (values["look-behind"]));
+      const lookAheadDays = parseDayCount(/** @type {string | undefined} */ (values["look-ahead"]));
+      if (Number.isNaN(lookBehindDays) || Number.isNaN(lookAheadDays)) {
+        context.io.err("--look-behind and --look-ahead take a whole number of days, e.g. --look-ahead 42");
+        return 1;
+      }
+
+      /** @type {ScrapeResult} */
+      let output;
+      if (values["from-html"] || values["from-api-json"]) {
+        output = await scrapeSavedFiles({
+          fromHtml: target === "schedule" ? undefined : /** @type {string | undefined} */ (values["from-html"]),
+          fromApiJson: target === "timecard" ? undefined : /** @type {string | undefined} */ (values["from-api-json"]),
+        });
+      } else {
+        const account = selectAccount(context);
+        const { config } = account;
+        const credentials = requireCredentials(context, account);
+        if (!credentials) return 1;
+        const tenant = resolveTenantProfile(config);
+        output = /** @type {ScrapeResult} */ (await runScrape({
+          credentials,
+          dataDir: account.dataDir,
+          tenant,
+          scheduleWindow: resolveScheduleWindow(new Date(), {
+            lookBehindDays: lookBehindDays ?? config.schedule?.lookBehindDays,
+            lookAheadDays: lookAheadDays ?? config.schedule?.lookAheadDays,
+            timeZone: tenant.timeZone,
+          }),
+          only: /** @type {"schedule" | "timecard" | "all"} */ (target),
+          dryRun: context.dryRun,
+          recordDir: values.record ? path.resolve(String(values.record)) : null,
+          tracing: Boolean(values.trace || config.debug?.trace),
+        }));
+      }
+
+      context.io.out(context.json ? JSON.stringify(output, null, 2) : describeScrape(output).join("\n"));
+      return isUsableOutput(output) ? 0 : 1;
+    },
+  },
+  {
+    name: "run",
+    usage: "ukg run [--dry-run]",
+    summary: "Daily run: scrape, update the day store, compare and email alerts",
+    options: {},
+    async run(context) {
+      const result = await runDaily({
+        configPath: context.configPath,
+        dataDir: context.dataDir,
+        dryRun: context.dryRun,
+        accounts: context.account ? [context.account] : undefined,
+      });
+      if (context.json) {
+        context.io.out(JSON.stringify(result, null, 2));
+      } else {
+        context.io.out(result.subject ? `${result.subject}${result.emailed ? "" : " (not emailed)"}` : "No changes detected.");
+      }
+      return 0;
+    },
+  },
+  {
+    name: "backfill",
+    usage: "ukg backfill --from YYYY-MM-DD --to YYYY-MM-DD [--dry-run]",
+    summary: "Scrape a past timecard range into the day store",
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+    },
+    async run(context) {
+      const { from, to } = /** @type {{ from?: string, to?: string }} */ (context.values);
+      if (!(isIsoDate(from) && isIsoDate(to) && from <= to)) {
+        context.io.err("backfill needs --from and --to as YYYY-MM-DD, with --from not after --to");
+        return 1;
+      }
+      const account = selectAccount(context);
+      const { config } = account;
+      const credentials = requireCredentials(context, account);
+      if (!credentials) return 1;
+
+      const tenant = resolveTenantProfile(config);
+      const output = await runScrape({
+        credentials,
+        dataDir: account.dataDir,
+        tenant,
+        scheduleWindow: resolveScheduleWindow(new Date(), { ...config.schedule, timeZone: tenant.timeZone }),
+        backfill: { from, to },
+        dryRun: context.dryRun,
+        tracing: Boolean(config.debug?.trace),
+      });
+
+      if (context.json) {
+        context.io.out(JSON.stringify(output, null, 2));
+      } else if ("backfill" in output) {
+        const { backfill } = output;
+        context.io.out(
+          `Backfilled ${backfill.from} to ${backfill.to}: ${backfill.entries} day(s), `
+          + `${backfill.filledDates.length} newly filled, ${backfill.changedDates.length} updated${context.dryRun ? " (dry run)" : ""}`
+        );
+      } else {
+        context.io.out(describeScrape(output).join("\n"));
+      }
+      return isUsableOutput(output) ? 0 : 1;
+    },
+  },
+  {
+    name: "migrate",
+    usage: "ukg migrate [--dry-run]",
+    summary: "Rebuild the day store from legacy schedule-*.json / timecard-*.json snapshots",
+    options: {},
+    async run(context) {
+      const account = selectAccount(context);
+      const result = migrateLegacyData(account.dataDir, {
+        dryRun: context.dryRun,
+        timeZone: resolveTenantProfile(account.config).timeZone,
+      });
+      if (context.json) {
+        context.io.out(JSON.stringify(result, null, 2));
+      } else {
+        context.io.out(
+          `${context.dryRun ? "Would migrate" : "Migrated"} ${result.migratedScheduleFiles} schedule and `
+          + `${result.migratedTimecardFiles} timecard snapshot(s) into ${result.migratedDates} day(s)`
+          + (result.backupDaysDir ? `; previous days kept in ${result.backupDaysDir}` : "")
+        );
+      }
+      return 0;
+    },
+  },
+  {
+    name: "export",
+    usage: "ukg export [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--output FILE] [--json]",
+    summary: "Export stored days as CSV (or JSON with --json)",
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+      output: { type: "string" },
+    },
+    async run(context) {
+      const { from, to, output } = /** @type {{ from?: string, to?: string, output?: string }} */ (context.values);
+      if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+        context.io.err("--from and --to must be YYYY-MM-DD");
+        return 1;
+      }
+      const days = queryDays(selectAccount(context).dataDir, { from, to });
+      const text = context.json ? JSON.stringify(days, null, 2) + "\n" : formatCsv(days);
+
+      if (output) {
+        fs.writeFileSync(output, text);
+        context.io.err(`Exported ${days.length} day(s) to ${output}`);
+      } else {
+        context.io.out(text.trimEnd());
+      }
+      return 0;
+    },
+  },
+  {
+    name: "query",
+    usage: "ukg query [YYYY-MM-DD] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--json]",
+    summary: "Show stored days: one date, a range, or the next two weeks",
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+    },
+    async run(context) {
+      const account = selectAccount(context);
+      const today = isoDateInZone(new Date(), resolveTenantProfile(account.config).timeZone);
+      const [date] = context.args;
+      const from = /** @type {string | undefined} */ (date ?? context.values.from ?? today);
+      const to = /** @type {string | undefined} */ (date ?? context.values.to ?? addIsoDays(from, 13));
+      if (!isIsoDate(from) || !isIsoDate(to)) {
+        context.io.err("Dates must be YYYY-MM-DD");
+        return 1;
+      }
+
+      const days = queryDays(account.dataDir, { from, to });
+      if (context.json) {
+        context.io.out(JSON.stringify(days, null, 2));
+      } else {
+        context.io.out(days.length > 0 ? days.map(formatDayLine).join("\n") : `No stored days between ${from} and ${to}.`);
+      }
+      return 0;
+    },
+  },
+  {
+    name: "hours",
+    usage: "ukg hours [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--json]",
+    summary: "Scheduled hours per job from the stored days (all of them by default)",
+    options: {
+      from: { type: "string" },
+      to: { type: "string" },
+    },
+    async run(context) {
+      const from = /** @type {string | undefined} */ (context.values.from);
+      const to = /** @type {string | undefined} */ (context.values.to);
+      if ((from && !isIsoDate(from)) || (to && !isIsoDate(to))) {
+        context.io.err("Dates must be YYYY-MM-DD");
+        return 1;
+      }
+
+      const jobHours = queryJobHours(selectAccount(context).dataDir, { from, to });
+      if (context.json) {
+        context.io.out(JSON.stringify(jobHours, null, 2));
+      } else {
+        context.io.out(jobHours.length > 0 ? jobHours.map(formatJobHoursLine).join("\n") : "No scheduled shifts stored for that range.");
+      }
+      return 0;
+    },
+  },
+  {
+    name: "store-credentials",
+    usage: "ukg store-credentials [--username NAME] [--totp] < secrets",
+    summary: "Save the UKG password (read from stdin) in the keyring configured as ukg.keyring",
+    details: [
+      "--username NAME      Account to store it under (default: UKG_USERNAME or ukg.username)",
+      "--totp               A second stdin line holds the authenticator secret",
+      "",
+      "Example: read -rs PASSWORD && printf '%s\\n' \"$PASSWORD\" | ukg store-credentials",
+    ],
+    options: {
+      username: { type: "string" },
+      totp: { type: "boolean", default: false },
+    },
+    async run(context) {
+      const account = selectAccount(context);
+      const { config } = account;
+      const username = /** @type {string | undefined} */ (context.values.username)
+        || process.env[`${account.envPrefix}USERNAME`]
+        || config.ukg?.username;
+      if (!username) {
+        context.io.err("No username: pass --username or set ukg.username in config.json");
+        return 1;
+      }
+
+      const [password, totpSecret] = (context.io.readInput ?? (() => fs.readFileSync(0, "utf8")))().split(/\r?\n/);
+      if (!password || (context.values.totp && !totpSecret)) {
+        context.io.err(context.values.totp ? "Expected the password and the TOTP secret on two stdin lines" : "Expected the password on stdin");
+        return 1;
+      }
+      if (context.dryRun) {
+        context.io.out(`Would store the password${context.values.totp ? " and TOTP secret" : ""} for ${username}.`);
+        return 0;
+      }
+
+      const where = storeInKeyring(config.ukg?.keyring, username, {
+        password,
+        totpSecret: context.values.totp ? totpSecret : undefined,
+      }, { baseDir: ROOT_DIR });
+      context.io.out(`Stored credentials for ${username} in ${where}.`);
+      if (!config.ukg?.keyring) {
+        context.io.err('Set "keyring": true under "ukg" in config.json so the scrapers read it.');
+      }
+      return 0;
+    },
+  },
+  {
+    name: "serve",
+    usage: "ukg serve [--port PORT] [--host HOST]",
+    summary: "Serve the website with days from the data dir",
+    options: {
+      port: { type: "string", default: "8080" },
+      host: { type: "string", default: "127.0.0.1" },
+    },
+    async run(context) {
+      const server = await startWebsiteServer({
+        dataDir: selectAccount(context).dataDir,
+        port: Number(context.values.port),
+        host: String(context.values.host),
+      });
+      context.io.out(context.json ? JSON.stringify({ url: server.url }) : `Serving website at ${server.url} (Ctrl+C to stop)`);
+      return 0;
+    },
+  },
+];
+
+/**
+ * @param {CommandSpec | null} [command]
+ * @returns {string}
+ */
+function formatHelp(command = null) {
+  if (command) {
+    return [
+      `Usage: ${command.usage}`,
+      "",
+      command.summary,
+      ...(command.details ? ["", ...command.details.map((line) => (line ? `  ${line}` : ""))] : []),
+      "",
+      "Global options:",
+      ...GLOBAL_HELP.map((line) => `  ${line}`),
+    ].join("\n");
+  }
+
+  const width = Math.max(...COMMANDS.map((spec) => spec.name.length));
+  return [
+    "Usage: ukg <command> [options]",
+    "",
+    "Commands:",
+    ...COMMANDS.map((spec) => `  ${spec.name.padEnd(width)}  ${spec.summary}`),
+    "",
+    "Global options:",
+    ...GLOBAL_HELP.map((line) => `  ${line}`),
+    "",
+    "Run `ukg <command> --help` for a command's options.",
+  ].join("\n");
+}
+
+/**
+ * Split argv into the command, its flags and positionals. Global flags may
+ * appear before or after the command name.
+ * @param {string[]} argv
+ * @returns {{
+ *   command: CommandSpec | null,
+ *   values: Record<string, string | boolean | undefined>,
+ *   args: string[],
+ *   error: string | null,
+ * }}
+ */
+function parseCommandLine(argv) {
+  const allOptions = Object.assign({}, GLOBAL_OPTIONS, ...COMMANDS.map((spec) => spec.options));
+
+  let parsed;
+  try {
+    parsed = parseArgs({ args: argv, options: allOptions, allowPositionals: true, tokens: true });
+  } catch (err) {
+    return { command: null, values: {}, args: [], error: /** @type {Error} */ (err).message };
+  }
+
+  const [name, ...args] = parsed.positionals;
+  const command = COMMANDS.find((spec) => spec.name === name) ?? null;
+  if (name && !command) {
+    return { command: null, values: parsed.values, args, error: `Unknown command "${name}"` };
+  }
+
+  const allowed = new Set([...Object.keys(GLOBAL_OPTIONS), ...Object.keys(command?.options ?? {})]);
+  const stray = parsed.tokens.find((token) => token.kind === "option" && !allowed.has(token.name));
+  if (stray && stray.kind === "option") {
+    return { command, values: parsed.values, args, error: `Unknown option ${stray.rawName}${command ? ` for ukg ${command.name}` : ""}` };
+  }
+
+  return { command, values: parsed.values, args, error: null };
+}
+
+/**
+ * Run the CLI and resolve to the exit code.
+ * @param {string[]} argv
+ * @param {CliIo} [io]
+ * @returns {Promise<number>}
+ */
+async function runCli(argv, io = { out: (text) => console.log(text), err: (text) => console.error(text) }) {
+  const { command, values, args, error } = parseCommandLine(argv);
+  if (error) {
+    io.err(`${error}\n\n${formatHelp(command)}`);
+    return 1;
+  }
+  if (!command || values.help) {
+    (command || values.help ? io.out : io.err)(formatHelp(command));
+    return command || values.help ? 0 : 1;
+  }
+
+  return command.run({
+    configPath: values.config ? path.resolve(String(values.config)) : DEFAULT_CONFIG_PATH,
+    dataDir: values["data-dir"] ? path.resolve(String(values["data-dir"])) : DEFAULT_DATA_DIR,
+    account: /** @type {string | undefined} */ (values.account),
+    dryRun: Boolean(values["dry-run"]),
+    json: Boolean(values.json),
+    values,
+    args,
+    io,
+  });
+}
+
+export { COMMANDS, formatHelp, parseCommandLine, runCli };
+
+const isMainModule = process.argv[1] && fs.realpathSync(path.resolve(process.argv[1])) === fileURLToPath(import.meta.url);
+if (isMainModule) {
+  runCli(process.argv.slice(2)).then((code) => {
+    process.exitCode = code;
+  }).catch((err) => {
+    console.error("Fatal:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,204 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { COMMANDS, formatHelp, parseCommandLine, runCli } from "./cli.js";
+import { listStoredDates, persistScheduleData } from "./day-store.js";
+
+/** @type {string[]} */
+const tempDirs = [];
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+/**
+ * @returns {string}
+ */
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ukg-cli-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Run the CLI, capturing what it prints.
+ * @param {string[]} argv
+ * @returns {Promise<{ code: number, out: string, err: string }>}
+ */
+async function run(argv) {
+  const out = [];
+  const err = [];
+  const code = await runCli(argv, { out: (text) => out.push(text), err: (text) => err.push(text) });
+  return { code, out: out.join("\n"), err: err.join("\n") };
+}
+
+test("parseCommandLine: global flags before or after the command", () => {
+  const before = parseCommandLine(["--data-dir", "/tmp/ukg", "--json", "query", "2026-03-30"]);
+  assert.strictEqual(before.error, null);
+  assert.strictEqual(before.command?.name, "query");
+  assert.deepStrictEqual(before.args, ["2026-03-30"]);
+  assert.strictEqual(before.values["data-dir"], "/tmp/ukg");
+  assert.strictEqual(before.values.json, true);
+
+  const after = parseCommandLine(["scrape", "timecard", "--config", "other.json", "--dry-run"]);
+  assert.strictEqual(after.command?.name, "scrape");
+  assert.deepStrictEqual(after.args, ["timecard"]);
+  assert.strictEqual(after.values.config, "other.json");
+  assert.strictEqual(after.values["dry-run"], true);
+});
+
+test("parseCommandLine: rejects unknown commands and options that belong elsewhere", () => {
+  assert.match(parseCommandLine(["frobnicate"]).error ?? "", /Unknown command "frobnicate"/);
+  assert.match(parseCommandLine(["query", "--port", "80"]).error ?? "", /Unknown option --port for ukg query/);
+  assert.match(parseCommandLine(["run", "--bogus"]).error ?? "", /--bogus/);
+});
+
+test("formatHelp: lists every command and the shared flags", () => {
+  const help = formatHelp();
+  for (const command of COMMANDS) {
+    assert.match(help, new RegExp(`^  ${command.name} `, "m"));
+  }
+  for (const flag of ["--config", "--data-dir", "--dry-run", "--json"]) {
+    assert.ok(help.includes(flag), flag);
+  }
+
+  const scrapeHelp = formatHelp(COMMANDS.find((command) => command.name === "scrape"));
+  assert.match(scrapeHelp, /^Usage: ukg scrape <schedule\|timecard\|all>/);
+  assert.match(scrapeHelp, /--look-ahead DAYS/);
+});
+
+test("runCli: help exits 0, no command exits 1", async () => {
+  const help = await run(["--help"]);
+  assert.strictEqual(help.code, 0);
+  assert.match(help.out, /Usage: ukg <command>/);
+
+  const queryHelp = await run(["query", "-h"]);
+  assert.strictEqual(queryHelp.code, 0);
+  assert.match(queryHelp.out, /Usage: ukg query/);
+
+  const bare = await run([]);
+  assert.strictEqual(bare.code, 1);
+  assert.match(bare.err, /Usage: ukg <command>/);
+});
+
+test("runCli: query and export read the --data-dir day store", async () => {
+  const dataDir = makeTempDir();
+  persistScheduleData(dataDir, {
+    extractedAt: "2026-03-31T21:00:00.000Z",
+    shifts: [{ date: "2026-03-30", day: "Mon", start: "9:00", end: "17:00", off: false, note: null, segments: [] }],
+  });
+
+  const text = await run(["query", "2026-03-30", "--data-dir", dataDir]);
+  assert.strictEqual(text.code, 0);
+  assert.strictEqual(text.out, "2026-03-30 Mon  shift 9:00-17:00");
+
+  const json = await run(["query", "--from", "2026-03-01", "--to", "2026-03-31", "--data-dir", dataDir, "--json"]);
+  assert.deepStrictEqual(JSON.parse(json.out).map((/** @type {any} */ day) => day.date), ["2026-03-30"]);
+
+  const outputPath = path.join(dataDir, "export.csv");
+  const exported = await run(["export", "--data-dir", dataDir, "--output", outputPath]);
+  assert.strictEqual(exported.code, 0);
+  assert.match(exported.err, /Exported 1 day\(s\)/);
+  assert.match(fs.readFileSync(outputPath, "utf8"), /^date,day,shift,.*\n2026-03-30,Mon,9:00-17:00,/);
+
+  const badDate = await run(["query", "30/03/2026", "--data-dir", dataDir]);
+  assert.strictEqual(badDate.code, 1);
+});
+
+test("runCli: hours totals scheduled time per job", async () => {
+  const dataDir = makeTempDir();
+  persistScheduleData(dataDir, {
+    extractedAt: "2026-03-31T21:00:00.000Z",
+    shifts: [{
+      date: "2026-03-30", day: "Mon", start: "9:00", end: "17:00", off: false, note: null,
+      segments: [{ start: "9:00", end: "13:00", job: "Cashier", orgPath: "Dunnes/Store 123/Checkout/Cashier" }],
+    }],
+  });
+
+  const text = await run(["hours", "--data-dir", dataDir]);
+  assert.strictEqual(text.code, 0);
+  assert.strictEqual(text.out, "  4:00  Cashier (Checkout, Store 123)  1 shift(s)");
+
+  const json = await run(["hours", "--from", "2026-03-01", "--to", "2026-03-31", "--data-dir", dataDir, "--json"]);
+  assert.deepStrictEqual(JSON.parse(json.out).map((/** @type {any} */ job) => [job.job, job.hours]), [["Cashier", 4]]);
+
+  assert.strictEqual((await run(["hours", "--from", "March", "--data-dir", dataDir])).code, 1);
+});
+
+test("runCli: migrate --dry-run leaves the data dir untouched", async () => {
+  const dataDir = makeTempDir();
+  fs.writeFileSync(path.join(dataDir, "schedule-2026-03-30.json"), JSON.stringify({
+    extractedAt: "2026-03-30T21:00:00.000Z",
+    shifts: [{ date: "2026-03-30", day: "Mon", start: "9:00", end: "17:00", off: false, note: null, segments: [] }],
+  }));
+
+  const result = await run(["migrate", "--dry-run", "--data-dir", dataDir]);
+  assert.strictEqual(result.code, 0);
+  assert.match(result.out, /^Would migrate 1 schedule and 0 timecard snapshot\(s\) into 1 day\(s\)/);
+  assert.deepStrictEqual(listStoredDates(dataDir), []);
+});
+
+test("runCli: scrape and backfill explain missing credentials", async () => {
+  const dataDir = makeTempDir();
+  const configPath = path.join(dataDir, "config.json");
+  fs.writeFileSync(configPath, "{}");
+
+  const scrape = await run(["scrape", "schedule", "--config", configPath, "--data-dir", dataDir]);
+  assert.strictEqual(scrape.code, 1);
+  assert.match(scrape.err, /No UKG credentials/);
+
+  const backfill = await run(["backfill", "--from", "2026-02-01", "--config", configPath]);
+  assert.strictEqual(backfill.code, 1);
+  assert.match(backfill.err, /backfill needs --from and --to/);
+
+  const days = await run(["scrape", "schedule", "--look-ahead", "six weeks", "--config", configPath]);
+  assert.strictEqual(days.code, 1);
+  assert.match(days.err, /--look-behind and --look-ahead take a whole number of days/);
+
+  const target = await run(["scrape", "payslips"]);
+  assert.strictEqual(target.code, 1);
+  assert.match(target.err, /Unknown scrape target "payslips"/);
+});
+
+test("runCli: store-credentials saves the stdin password to the keyring file", async () => {
+  const dir = makeTempDir();
+  const configPath = path.join(dir, "config.json");
+  const keyringFile = path.join(dir, "keyring.json");
+  fs.writeFileSync(configPath, JSON.stringify({ ukg: { username: "worker@example.com", keyring: { backend: "file", file: keyringFile } } }));
+
+  const out = [];
+  const err = [];
+  const code = await runCli(["store-credentials", "--config", configPath], {
+    out: (text) => out.push(text),
+    err: (text) => err.push(text),
+    readInput: () => "s3cret\n",
+  });
+  assert.strictEqual(code, 0, err.join("\n"));
+  assert.match(out.join("\n"), new RegExp(`Stored credentials for worker@example.com in ${keyringFile}`));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(keyringFile, "utf8")), { "ukg-scraper": { "worker@example.com": { password: "s3cret" } } });
+
+  const empty = await runCli(["store-credentials", "--config", configPath], { out: () => {}, err: () => {}, readInput: () => "" });
+  assert.strictEqual(empty, 1);
+});
+
+test("runCli: --account picks that person's data dir", async () => {
+  const dataDir = makeTempDir();
+  const configPath = path.join(dataDir, "config.json");
+  fs.writeFileSync(configPath, JSON.stringify({ accounts: [{ id: "alice" }, { id: "bob" }] }));
+  persistScheduleData(path.join(dataDir, "bob"), {
+    extractedAt: "2026-03-31T21:00:00.000Z",
+    shifts: [{ date: "2026-03-30", day: "Mon", start: "9:00", end: "17:00", off: false, note: null, segments: [] }],
+  });
+
+  const bob = await run(["query", "2026-03-30", "--account", "bob", "--config", configPath, "--data-dir", dataDir]);
+  assert.strictEqual(bob.out, "2026-03-30 Mon  shift 9:00-17:00");
+
+  const alice = await run(["query", "2026-03-30", "--account", "alice", "--config", configPath, "--data-dir", dataDir]);
+  assert.match(alice.out, /No stored days/);
+
+  await assert.rejects(run(["query", "--config", configPath, "--data-dir", dataDir]), /choose one with --account/);
+});
@@ -0,0 +1,275 @@
+import { spawnSync } from "child_process";
+import fs from "fs";
+import os from "os";
+import path from "path";
+
+/** @typedef {import("./ukg-session.js").Credentials} Credentials */
+
+const DEFAULT_KEYRING_SERVICE = "ukg-scraper";
+const DEFAULT_KEYRING_FILE = path.join(os.homedir(), ".local", "share", "ukg-scraper", "keyring.json");
+
+/**
+ * @typedef {Object} KeyringConfig
+ * @property {string} [service] - Secret Service `service` attribute (default "ukg-scraper")
+ * @property {"auto" | "secret-service" | "file"} [backend] - "auto" tries secret-tool, then the file
+ * @property {string} [file] - File stand-in for boxes without a Secret Service daemon
+ */
+
+/**
+ * @typedef {Object} CredentialSourcesConfig
+ * @property {string} [username]
+ * @property {string} [password]
+ * @property {string} [totpSecret]
+ * @property {string} [secretsFile] - JSON file with username/password/totpSecret, mode 600
+ * @property {boolean | KeyringConfig} [keyring]
+ */
+
+/**
+ * @typedef {Object} CredentialLookupOptions
+ * @property {Record<string, string | undefined>} [env]
+ * @property {string} [envPrefix] - Prefix of the USERNAME / PASSWORD / TOTP_SECRET / SECRETS_FILE variables (default "UKG_")
+ * @property {string} [baseDir] - Relative secretsFile / keyring paths resolve from here
+ * @property {typeof spawnSync} [spawn] - Runs secret-tool; replaced in tests
+ */
+
+/** @typedef {Partial<Credentials>} PartialCredentials */
+
+/**
+ * Refuse secrets that other users could read or that belong to someone else,
+ * the way ssh treats private keys.
+ * @param {string} filePath
+ * @returns {void}
+ */
+function assertPrivateFile(filePath) {
+  if (process.platform === "win32") return;
+  const stat = fs.statSync(filePath);
+  if (stat.mode & 0o077) {
+    const mode = (stat.mode & 0o777).toString(8);
+    throw new Error(`${filePath} is accessible by other users (mode ${mode}); run chmod 600 ${filePath}`);
+  }
+  if (typeof process.getuid === "function" && stat.uid !== process.getuid()) {
+    throw new Error(`${filePath} is not owned by the current user`);
+  }
+}
+
+/**
+ * Read a permission-checked JSON secrets file.
+ * @param {string} filePath
+ * @returns {any}
+ */
+function readPrivateJson(filePath) {
+  assertPrivateFile(filePath);
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch (err) {
+    throw new Error(`Could not parse ${filePath}: ${/** @type {Error} */ (err).message}`);
+  }
+}
+
+/**
+ * Write a JSON secrets file readable only by the current user.
+ * @param {string} filePath
+ * @param {unknown} value
+ * @returns {void}
+ */
+function writePrivateJson(filePath, value) {
+  fs.mkdirSync(path.dirname(filePath), { recursive: true, mode: 0o700 });
+  fs.writeFileSync(filePath, JSON.stringify(value, null, 2) + "\n", { mode: 0o600 });
+  fs.chmodSync(filePath, 0o600);
+}
+
+/**
+ * @param {Record<string, string | undefined>} env
+ * @param {string} prefix
+ * @returns {PartialCredentials}
+ */
+function credentialsFromEnv(env, prefix) {
+  return {
+    username: env[`${prefix}USERNAME`] || undefined,
+    password: env[`${prefix}PASSWORD`] || undefined,
+    totpSecret: env[`${prefix}TOTP_SECRET`] || undefined,
+  };
+}
+
+/**
+ * Environment for a child process that should use these credentials, so they
+ * never appear in its argv.
+ * @param {Credentials} credentials
+ * @param {Record<string, string | undefined>} [env]
+ * @param {string} [prefix]
+ * @returns {Record<string, string | undefined>}
+ */
+function credentialsToEnv(credentials, env = process.env, prefix = "UKG_") {
+  const childEnv = { ...env, [`${prefix}USERNAME`]: credentials.username, [`${prefix}PASSWORD`]: credentials.password };
+  if (credentials.totpSecret) {
+    childEnv[`${prefix}TOTP_SECRET`] = credentials.totpSecret;
+  } else {
+    delete childEnv[`${prefix}TOTP_SECRET`];
+  }
+  return childEnv;
+}
+
+/**
+ * @param {boolean | KeyringConfig | undefined} keyring
+ * @param {string} baseDir
+ * @returns {Required<KeyringConfig> | null}
+ */
+function resolveKeyringConfig(keyring, baseDir) {
+  if (!keyring) return null;
+  const options = keyring === true ? {} : keyring;
+  return {
+    service: options.service ?? DEFAULT_KEYRING_SERVICE,
+    backend: options.backend ?? "auto",
+    file: options.file ? path.resolve(baseDir, options.file) : DEFAULT_KEYRING_FILE,
+  };
+}
+
+/**
+ * Look one secret up with `secret-tool`. Returns undefined when the item is
+ * missing and null when no Secret Service is reachable.
+ * @param {Required<KeyringConfig>} keyring
+ * @param {string} account
+ * @param {"password" | "totpSecret"} field
+ * @param {typeof spawnSync} spawn
+ * @returns {string | undefined | null}
+ */
+function lookupSecretService(keyring, account, field, spawn) {
+  const result = spawn(
+    "secret-tool",
+    ["lookup", "service", keyring.service, "account", account, "field", field],
+    { encoding: "utf8", timeout: 10_000, stdio: ["ignore", "pipe", "pipe"] }
+  );
+  if (result.error || result.signal) return null;
+  // secret-tool exits 1 without output for a missing item, and with a D-Bus error when there is no daemon.
+  if (result.status !== 0) return String(result.stderr ?? "").trim() ? null : undefined;
+  return String(result.stdout ?? "").replace(/\n$/, "") || undefined;
+}
+
+/**
+ * Password and TOTP secret for `account` from the keyring.
+ * @param {Required<KeyringConfig>} keyring
+ * @param {string} account
+ * @param {typeof spawnSync} spawn
+ * @returns {PartialCredentials}
+ */
+function credentialsFromKeyring(keyring, account, spawn) {
+  if (keyring.backend !== "file") {
+    const password = lookupSecretService(keyring, account, "password", spawn);
+    if (password !== null) {
+      const totpSecret = lookupSecretService(keyring, account, "totpSecret", spawn);
+      return { password, totpSecret: totpSecret ?? undefined };
+    }
+    if (keyring.backend === "secret-service") {
+      throw new Error("Secret Service is not available (is secret-tool installed and a keyring daemon running?)");
+    }
+  }
+
+  if (!fs.existsSync(keyring.file)) return {};
+  const entry = readPrivateJson(keyring.file)?.[keyring.service]?.[account] ?? {};
+  return { password: entry.password, totpSecret: entry.totpSecret };
+}
+
+/**
+ * Save one secret with `secret-tool store`, which reads it from stdin.
+ * Returns false when no Secret Service is reachable.
+ * @param {Required<KeyringConfig>} keyring
+ * @param {string} account
+ * @param {"password" | "totpSecret"} field
+ * @param {string} secret
+ * @param {typeof spawnSync} spawn
+ * @returns {boolean}
+ */
+function storeSecretService(keyring, account, field, secret, spawn) {
+  const result = spawn(
+    "secret-tool",
+    ["store", "--label", `UKG ${field} for ${account}`, "service", keyring.service, "account", account, "field", field],
+    { encoding: "utf8", timeout: 10_000, input: secret, stdio: ["pipe", "pipe", "pipe"] }
+  );
+  return !result.error && !result.signal && result.status === 0;
+}
+
+/**
+ * Save a password and/or TOTP secret to the configured keyring: the Secret
+ * Service when it answers, otherwise (backend "auto" or "file") the file
+ * stand-in, created with mode 600.
+ * @param {boolean | KeyringConfig | undefined} keyringConfig
+ * @param {string} account - UKG username
+ * @param {PartialCredentials} secrets
+ * @param {{ baseDir?: string, spawn?: typeof spawnSync }} [options]
+ * @returns {string} - Where the secrets went
+ */
+function storeInKeyring(keyringConfig, account, secrets, options = {}) {
+  const keyring = /** @type {Required<KeyringConfig>} */ (resolveKeyringConfig(keyringConfig || true, options.baseDir ?? process.cwd()));
+  /** @type {["password" | "totpSecret", string][]} */
+  const fields = [];
+  if (secrets.password) fields.push(["password", secrets.password]);
+  if (secrets.totpSecret) fields.push(["totpSecret", secrets.totpSecret]);
+
+  if (keyring.backend !== "file") {
+    const spawn = options.spawn ?? spawnSync;
+    if (fields.every(([field, secret]) => storeSecretService(keyring, account, field, secret, spawn))) {
+      return `Secret Service (service ${keyring.service})`;
+    }
+    if (keyring.backend === "secret-service") {
+      throw new Error("Could not store the secret with secret-tool (is a keyring daemon running?)");
+    }
+  }
+
+  const contents = fs.existsSync(keyring.file) ? readPrivateJson(keyring.file) : {};
+  const service = contents[keyring.service] ?? {};
+  writePrivateJson(keyring.file, {
+    ...contents,
+    [keyring.service]: { ...service, [account]: { ...service[account], ...Object.fromEntries(fields) } },
+  });
+  return keyring.file;
+}
+
+/**
+ * Resolve credentials field by field from, in order: UKG_USERNAME /
+ * UKG_PASSWORD / UKG_TOTP_SECRET, the secrets file (UKG_SECRETS_FILE or
+ * `secretsFile`), the keyring, then the plain values in config.json.
+ * @param {CredentialSourcesConfig} [sources] - config.json's `ukg` section
+ * @param {CredentialLookupOptions} [options]
+ * @returns {Credentials | null}
+ */
+function resolveCredentials(sources = {}, options = {}) {
+  const env = options.env ?? process.env;
+  const envPrefix = options.envPrefix ?? "UKG_";
+  const baseDir = options.baseDir ?? process.cwd();
+
+  /** @type {PartialCredentials[]} */
+  const layers = [credentialsFromEnv(env, envPrefix)];
+
+  const secretsFile = env[`${envPrefix}SECRETS_FILE`] || sources.secretsFile;
+  if (secretsFile) {
+    const filePath = path.resolve(baseDir, secretsFile);
+    if (!fs.existsSync(filePath)) {
+      throw new Error(`Secrets file ${filePath} does not exist`);
+    }
+    const secrets = readPrivateJson(filePath);
+    layers.push({ username: secrets.username, password: secrets.password, totpSecret: secrets.totpSecret });
+  }
+
+  const plain = { username: sources.username, password: sources.password, totpSecret: sources.totpSecret };
+  const username = [...layers, plain].map((layer) => layer.username).find(Boolean);
+
+  const keyring = resolveKeyringConfig(sources.keyring, baseDir);
+  if (keyring && username && !layers.some((layer) => layer.password)) {
+    layers.push(credentialsFromKeyring(keyring, username, options.spawn ?? spawnSync));
+  }
+  layers.push(plain);
+
+  const password = layers.map((layer) => layer.password).find(Boolean);
+  const totpSecret = layers.map((layer) => layer.totpSecret).find(Boolean);
+  if (!username || !password) return null;
+  return totpSecret ? { username, password, totpSecret } : { username, password };
+}
+
+export {
+  DEFAULT_KEYRING_FILE,
+  DEFAULT_KEYRING_SERVICE,
+  assertPrivateFile,
+  credentialsToEnv,
+  resolveCredentials,
+  storeInKeyring,
+};
@@ -0,0 +1,138 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { assertPrivateFile, credentialsToEnv, resolveCredentials, storeInKeyring } from "./credential-store.js";
+
+/** @type {string[]} */
+const tempDirs = [];
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+/**
+ * @returns {string}
+ */
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ukg-credentials-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Fake spawnSync for secret-tool that answers from a map and records calls.
+ * @param {Record<string, string>} items - "account/field" → secret
+ * @returns {{ spawn: any, calls: { args: string[], input?: string }[] }}
+ */
+function fakeSecretTool(items) {
+  /** @type {{ args: string[], input?: string }[]} */
+  const calls = [];
+  const spawn = (/** @type {string} */ command, /** @type {string[]} */ args, /** @type {any} */ options) => {
+    calls.push({ args, input: options.input });
+    const attribute = (/** @type {string} */ name) => args[args.indexOf(name) + 1];
+    const key = `${attribute("account")}/${attribute("field")}`;
+    if (args[0] === "store") {
+      items[key] = options.input;
+      return { status: 0, stdout: "", stderr: "" };
+    }
+    return key in items
+      ? { status: 0, stdout: `${items[key]}\n`, stderr: "" }
+      : { status: 1, stdout: "", stderr: "" };
+  };
+  return { spawn, calls };
+}
+
+/** secret-tool is not installed. */
+const missingSecretTool = () => ({ error: Object.assign(new Error("spawnSync secret-tool ENOENT"), { code: "ENOENT" }), status: null });
+
+test("resolveCredentials: environment variables win over config.json", () => {
+  const credentials = resolveCredentials(
+    { username: "config-user", password: "config-pass", totpSecret: "CONFIGSECRET" },
+    { env: { UKG_USERNAME: "env-user", UKG_PASSWORD: "env-pass" } }
+  );
+  assert.deepStrictEqual(credentials, { username: "env-user", password: "env-pass", totpSecret: "CONFIGSECRET" });
+
+  assert.deepStrictEqual(resolveCredentials({ username: "config-user", password: "config-pass" }, { env: {} }), {
+    username: "config-user",
+    password: "config-pass",
+  });
+  assert.strictEqual(resolveCredentials({ username: "config-user" }, { env: {} }), null);
+});
+
+test("resolveCredentials: reads a private secrets file and refuses a shared one", { skip: process.platform === "win32" }, () => {
+  const dir = makeTempDir();
+  const secretsFile = path.join(dir, "secrets.json");
+  fs.writeFileSync(secretsFile, JSON.stringify({ username: "file-user", password: "file-pass" }), { mode: 0o644 });
+  fs.chmodSync(secretsFile, 0o644);
+
+  assert.throws(() => resolveCredentials({ secretsFile: "secrets.json" }, { env: {}, baseDir: dir }), /accessible by other users \(mode 644\); run chmod 600/);
+
+  fs.chmodSync(secretsFile, 0o600);
+  assert.deepStrictEqual(resolveCredentials({ secretsFile: "secrets.json" }, { env: {}, baseDir: dir }), {
+    username: "file-user",
+    password: "file-pass",
+  });
+  assert.deepStrictEqual(resolveCredentials({}, { env: { UKG_SECRETS_FILE: secretsFile, UKG_PASSWORD: "env-pass" } }), {
+    username: "file-user",
+    password: "env-pass",
+  });
+  assert.throws(() => resolveCredentials({ secretsFile: "missing.json" }, { env: {}, baseDir: dir }), /does not exist/);
+});
+
+test("resolveCredentials: looks the password up in the Secret Service", () => {
+  const { spawn, calls } = fakeSecretTool({ "worker@example.com/password": "keyring-pass", "worker@example.com/totpSecret": "KEYRINGSECRET" });
+
+  const credentials = resolveCredentials({ username: "worker@example.com", keyring: true }, { env: {}, spawn });
+  assert.deepStrictEqual(credentials, { username: "worker@example.com", password: "keyring-pass", totpSecret: "KEYRINGSECRET" });
+  assert.deepStrictEqual(calls[0].args, ["lookup", "service", "ukg-scraper", "account", "worker@example.com", "field", "password"]);
+
+  // A password from the environment skips the keyring entirely.
+  calls.length = 0;
+  resolveCredentials({ username: "worker@example.com", keyring: true }, { env: { UKG_PASSWORD: "env-pass" }, spawn });
+  assert.deepStrictEqual(calls, []);
+});
+
+test("resolveCredentials: falls back to the keyring file without a Secret Service", { skip: process.platform === "win32" }, () => {
+  const dir = makeTempDir();
+  const keyring = { file: "keyring.json", service: "ukg-test" };
+
+  assert.strictEqual(storeInKeyring({ ...keyring, backend: "file" }, "worker@example.com", { password: "file-pass" }, { baseDir: dir }), path.join(dir, "keyring.json"));
+  assert.strictEqual(fs.statSync(path.join(dir, "keyring.json")).mode & 0o777, 0o600);
+
+  const credentials = resolveCredentials({ username: "worker@example.com", keyring }, { env: {}, baseDir: dir, spawn: missingSecretTool });
+  assert.deepStrictEqual(credentials, { username: "worker@example.com", password: "file-pass" });
+
+  assert.throws(
+    () => resolveCredentials({ username: "worker@example.com", keyring: { ...keyring, backend: "secret-service" } }, { env: {}, baseDir: dir, spawn: missingSecretTool }),
+    /Secret Service is not available/
+  );
+});
+
+test("storeInKeyring: hands secrets to secret-tool on stdin, never in its arguments", () => {
+  const items = {};
+  const { spawn, calls } = fakeSecretTool(items);
+
+  const where = storeInKeyring(true, "worker@example.com", { password: "s3cret", totpSecret: "TOTPSECRET" }, { spawn });
+  assert.match(where, /Secret Service/);
+  assert.deepStrictEqual(items, { "worker@example.com/password": "s3cret", "worker@example.com/totpSecret": "TOTPSECRET" });
+  for (const call of calls) {
+    assert.ok(!call.args.includes("s3cret") && !call.args.includes("TOTPSECRET"));
+  }
+});
+
+test("assertPrivateFile: accepts mode 600 files", { skip: process.platform === "win32" }, () => {
+  const filePath = path.join(makeTempDir(), "secrets.json");
+  fs.writeFileSync(filePath, "{}", { mode: 0o600 });
+  assert.doesNotThrow(() => assertPrivateFile(filePath));
+  fs.chmodSync(filePath, 0o640);
+  assert.throws(() => assertPrivateFile(filePath), /mode 640/);
+});
+
+test("credentialsToEnv: passes credentials to a child through its environment", () => {
+  const env = credentialsToEnv({ username: "worker@example.com", password: "s3cret" }, { PATH: "/usr/bin", UKG_TOTP_SECRET: "STALE" });
+  assert.deepStrictEqual(env, { PATH: "/usr/bin", UKG_USERNAME: "worker@example.com", UKG_PASSWORD: "s3cret" });
+});
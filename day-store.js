@@ -1,19 +1,13 @@
 import fs from "fs";
 import path from "path";
+import { DEFAULT_TIME_ZONE, addIsoDays, isoDateInZone } from "./website/zoned-date.js";
 
 const DAYS_DIR_NAME = "days";
 const DAY_INDEX_FILE = "index.json";
-
-/**
- * @param {string} isoDate
- * @param {number} days
- * @returns {string}
- */
-function addIsoDays(isoDate, days) {
-  const date = new Date(`${isoDate}T00:00:00.000Z`);
-  date.setUTCDate(date.getUTCDate() + days);
-  return date.toISOString().slice(0, 10);
-}
+const OPEN_SHIFTS_FILE = "open-shifts.json";
+const SCHEDULE_WINDOWS_FILE = "schedule-windows.json";
+/** Schedule windows older than this, counted back from the newest scrape, are pruned. */
+const SCHEDULE_WINDOW_RETENTION_DAYS = 90;
 
 /**
  * @param {string} isoDate
@@ -269,12 +263,46 @@ function updateDayRecord(dataDir, input) {
 }
 
 /**
+ * Tombstone the current value of a source on a stored day, keeping the
+ * previous value in history as a "removed" entry.
  * @param {string} dataDir
- * @param {{ extractedAt: string, shifts: object[] }} scheduleData
- * @returns {{ changedDates: string[] }}
+ * @param {{ isoDate: string, source: "schedule" | "timecard", extractedAt: string }} input
+ * @returns {{ changed: boolean, record: object | null }}
+ */
+function removeDayRecordSource(dataDir, input) {
+  const record = loadDayRecord(dataDir, input.isoDate);
+  const current = record?.current?.[input.source] ?? null;
+  if (!record || !current) {
+    return { changed: false, record };
+  }
+
+  record.current[input.source] = null;
+  record.sources[`${input.source}ExtractedAt`] = input.extractedAt;
+  record.sources.updatedAt = !record.sources.updatedAt || input.extractedAt > record.sources.updatedAt
+    ? input.extractedAt
+    : record.sources.updatedAt;
+  record.history.push({
+    recordedAt: input.extractedAt,
+    source: input.source,
+    type: "removed",
+    changes: buildChangeSet(current, null),
+  });
+
+  saveDayRecord(dataDir, record);
+  return { changed: true, record };
+}
+
+/**
+ * Persist a schedule scrape. When the scrape reports the date window it
+ * covered, stored schedules inside that window that the scrape no longer
+ * returned are tombstoned as removed.
+ * @param {string} dataDir
+ * @param {{ extractedAt: string, window?: { start: string, end: string }, shifts: object[] }} scheduleData
+ * @returns {{ changedDates: string[], removedDates: string[] }}
  */
 function persistScheduleData(dataDir, scheduleData) {
   const changedDates = [];
+  const removedDates = [];
 
   for (const shift of scheduleData.shifts) {
     const result = updateDayRecord(dataDir, {
@@ -290,29 +318,96 @@ function persistScheduleData(dataDir, scheduleData) {
     }
   }
 
-  return { changedDates };
+  if (scheduleData.window) {
+    const scrapedDates = new Set(scheduleData.shifts.map((shift) => shift.date));
+    const { start, end } = scheduleData.window;
+
+    for (const isoDate of listStoredDates(dataDir)) {
+      if (isoDate < start || isoDate > end || scrapedDates.has(isoDate)) {
+        continue;
+      }
+
+      const result = removeDayRecordSource(dataDir, {
+        isoDate,
+        source: "schedule",
+        extractedAt: scheduleData.extractedAt,
+      });
+
+      if (result.changed) {
+        changedDates.push(isoDate);
+        removedDates.push(isoDate);
+      }
+    }
+
+    recordScheduleWindow(dataDir, { extractedAt: scheduleData.extractedAt, ...scheduleData.window });
+  }
+
+  return { changedDates, removedDates };
 }
 
 /**
  * @param {string} dataDir
- * @param {{ extractedAt: string, entries: object[] }} timecardData
+ * @returns {{ extractedAt: string, start: string, end: string }[]}
+ */
+function loadScheduleWindows(dataDir) {
+  const filePath = path.join(dataDir, SCHEDULE_WINDOWS_FILE);
+  if (!fs.existsSync(filePath)) {
+    return [];
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, "utf8")).windows ?? [];
+}
+
+/**
+ * Append the date window a schedule scrape covered, so it is known which
+ * dates each scrape could have confirmed or removed. Re-recording the same
+ * scrape replaces its entry, and windows recorded more than
+ * SCHEDULE_WINDOW_RETENTION_DAYS before this scrape are dropped so the file
+ * does not grow with every run.
+ * @param {string} dataDir
+ * @param {{ extractedAt: string, start: string, end: string }} window
+ * @returns {void}
+ */
+function recordScheduleWindow(dataDir, window) {
+  const cutoff = new Date(Date.parse(window.extractedAt) - SCHEDULE_WINDOW_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+  const windows = loadScheduleWindows(dataDir)
+    .filter((entry) => entry.extractedAt !== window.extractedAt && entry.extractedAt >= cutoff);
+  windows.push({ extractedAt: window.extractedAt, start: window.start, end: window.end });
+  windows.sort((left, right) => left.extractedAt.localeCompare(right.extractedAt));
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dataDir, SCHEDULE_WINDOWS_FILE),
+    JSON.stringify({ windows }, null, 2)
+  );
+}
+
+/**
+ * Persist a timecard scrape. Grid scrapes can drop trailing punch pairs of
+ * past days, so those are patched from the stored value; JSON endpoint
+ * scrapes (`source: "api"`) are taken as-is.
+ * @param {string} dataDir
+ * @param {{ extractedAt: string, source?: "api" | "dom", entries: object[] }} timecardData
+ * @param {string} [timeZone] - Zone of the store, for which day the scrape ran on
  * @returns {{ changedDates: string[] }}
  */
-function persistTimecardData(dataDir, timecardData) {
+function persistTimecardData(dataDir, timecardData, timeZone = DEFAULT_TIME_ZONE) {
   const changedDates = [];
-  const referenceIso = timecardData.extractedAt.slice(0, 10);
+  const referenceIso = isoDateInZone(timecardData.extractedAt, timeZone);
 
   for (const entry of timecardData.entries) {
     const isoDate = typeof entry.isoDate === "string"
       ? entry.isoDate
       : resolveDdmmIso(entry.date, referenceIso);
     const existing = loadDayRecord(dataDir, isoDate);
-    const value = preservePastTimecardTail(
-      existing?.current?.timecard,
-      normalizeTimecardValue(entry),
-      isoDate,
-      referenceIso
-    );
+    const value = timecardData.source === "api"
+      ? normalizeTimecardValue(entry)
+      : preservePastTimecardTail(
+        existing?.current?.timecard,
+        normalizeTimecardValue(entry),
+        isoDate,
+        referenceIso
+      );
     const result = updateDayRecord(dataDir, {
       isoDate,
       day: entry.day,
@@ -396,9 +491,10 @@ function buildTimecardDataFromStore(dataDir, options = {}) {
 }
 
 /**
+ * Segments of the stored days that have a scheduled break, by ISO date.
  * @param {string} dataDir
  * @param {{ from?: string, to?: string }} [options]
- * @returns {Record<string, {start: string, end: string}[]>}
+ * @returns {Record<string, import("./website/shift-segments.js").StoredSegment[]>}
  */
 function buildBreakSegmentsFromStore(dataDir, options = {}) {
   const records = loadDayRecords(dataDir, options);
@@ -415,22 +511,82 @@ function buildBreakSegmentsFromStore(dataDir, options = {}) {
 }
 
 /**
+ * Write index.json for the website. It carries the store's time zone so the
+ * browser computes "today" the same way the scrapers did.
  * @param {string} dataDir
+ * @param {{ timeZone?: string }} [options]
  * @returns {string}
  */
-function writeDayIndex(dataDir) {
+function writeDayIndex(dataDir, options = {}) {
   fs.mkdirSync(dataDir, { recursive: true });
   const outputPath = path.join(dataDir, DAY_INDEX_FILE);
   fs.writeFileSync(
     outputPath,
     JSON.stringify({
       updatedAt: new Date().toISOString(),
+      timeZone: options.timeZone ?? DEFAULT_TIME_ZONE,
       dates: listStoredDates(dataDir),
     }, null, 2)
   );
   return outputPath;
 }
 
+/**
+ * Identify an open shift across scrapes. UKG ids are used when present.
+ * @param {{ id?: string | number | null, date: string, start: string, end: string, job?: string | null }} openShift
+ * @returns {string}
+ */
+function openShiftKey(openShift) {
+  return openShift.id != null
+    ? `id:${openShift.id}`
+    : `${openShift.date}|${openShift.start}|${openShift.end}|${openShift.job ?? ""}`;
+}
+
+/**
+ * @param {string} dataDir
+ * @returns {{ extractedAt: string, openShifts: object[] } | null}
+ */
+function loadOpenShiftData(dataDir) {
+  const filePath = path.join(dataDir, OPEN_SHIFTS_FILE);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * Replace the stored open shifts with the latest scrape. Open shifts are kept
+ * apart from the day records because they are offers, not the employee's own
+ * schedule; each keeps the time it was first seen.
+ * @param {string} dataDir
+ * @param {{ extractedAt: string, openShifts: object[] }} openShiftData
+ * @returns {{ newKeys: string[] }}
+ */
+function persistOpenShiftData(dataDir, openShiftData) {
+  const previous = loadOpenShiftData(dataDir);
+  const firstSeenByKey = new Map(
+    (previous?.openShifts ?? []).map((openShift) => [openShiftKey(openShift), openShift.firstSeenAt])
+  );
+  const newKeys = [];
+
+  const openShifts = openShiftData.openShifts.map((openShift) => {
+    const key = openShiftKey(openShift);
+    if (!firstSeenByKey.has(key)) {
+      newKeys.push(key);
+    }
+    return { ...openShift, firstSeenAt: firstSeenByKey.get(key) ?? openShiftData.extractedAt };
+  });
+
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dataDir, OPEN_SHIFTS_FILE),
+    JSON.stringify({ extractedAt: openShiftData.extractedAt, openShifts }, null, 2)
+  );
+
+  return { newKeys };
+}
+
 /**
  * @param {string} dataDir
  * @param {"schedule" | "timecard"} prefix
@@ -473,6 +629,8 @@ function snapshotCurrentStore(dataDir) {
 
 /**
  * @param {string} dataDir
+ * @param {{ dryRun?: boolean, timeZone?: string }} [options] - `dryRun` replays into a
+ *   scratch store and reports the counts without replacing data/days
  * @returns {{
  *   migratedScheduleFiles: number,
  *   migratedTimecardFiles: number,
@@ -481,7 +639,7 @@ function snapshotCurrentStore(dataDir) {
  *   backupIndexPath: string | null,
  * }}
  */
-function migrateLegacyData(dataDir) {
+function migrateLegacyData(dataDir, options = {}) {
   const scheduleFiles = listLegacySnapshotFiles(dataDir, "schedule");
   const timecardFiles = listLegacySnapshotFiles(dataDir, "timecard");
   const existingStore = snapshotCurrentStore(dataDir);
@@ -500,7 +658,7 @@ function migrateLegacyData(dataDir) {
   for (const fileName of timecardFiles) {
     const parsed = JSON.parse(fs.readFileSync(path.join(dataDir, fileName), "utf8"));
     if (Array.isArray(parsed.entries)) {
-      persistTimecardData(tempDataDir, parsed);
+      persistTimecardData(tempDataDir, parsed, options.timeZone);
     }
   }
 
@@ -514,6 +672,13 @@ function migrateLegacyData(dataDir) {
           ...record.current.schedule,
         }],
       });
+    } else if (record.sources.scheduleExtractedAt) {
+      // Keep shifts removed in the live store removed after replaying legacy snapshots.
+      removeDayRecordSource(tempDataDir, {
+        isoDate: record.date,
+        source: "schedule",
+        extractedAt: record.sources.scheduleExtractedAt,
+      });
     }
 
     if (record.current.timecard && record.sources.timecardExtractedAt) {
@@ -525,11 +690,23 @@ function migrateLegacyData(dataDir) {
           isoDate: record.date,
           ...record.current.timecard,
         }],
-      });
+      }, options.timeZone);
     }
   }
 
-  writeDayIndex(tempDataDir);
+  writeDayIndex(tempDataDir, { timeZone: options.timeZone });
+
+  if (options.dryRun) {
+    const migratedDates = listStoredDates(tempDataDir).length;
+    fs.rmSync(tempDataDir, { recursive: true, force: true });
+    return {
+      migratedScheduleFiles: scheduleFiles.length,
+      migratedTimecardFiles: timecardFiles.length,
+      migratedDates,
+      backupDaysDir: null,
+      backupIndexPath: null,
+    };
+  }
 
   const existingDaysDir = getDaysDir(dataDir);
   const existingIndexPath = path.join(dataDir, DAY_INDEX_FILE);
@@ -564,6 +741,8 @@ function migrateLegacyData(dataDir) {
 export {
   DAY_INDEX_FILE,
   DAYS_DIR_NAME,
+  OPEN_SHIFTS_FILE,
+  SCHEDULE_WINDOWS_FILE,
   addIsoDays,
   buildBreakSegmentsFromStore,
   buildScheduleDataFromStore,
@@ -571,9 +750,15 @@ export {
   getDayFilePath,
   listStoredDates,
   loadDayRecord,
+  loadDayRecords,
+  loadOpenShiftData,
+  loadScheduleWindows,
   migrateLegacyData,
+  openShiftKey,
+  persistOpenShiftData,
   persistScheduleData,
   persistTimecardData,
+  removeDayRecordSource,
   resolveDdmmIso,
   writeDayIndex,
 };
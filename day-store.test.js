@@ -8,7 +8,11 @@ import {
   buildScheduleDataFromStore,
   buildTimecardDataFromStore,
   getDayFilePath,
+  listStoredDates,
+  loadOpenShiftData,
+  loadScheduleWindows,
   migrateLegacyData,
+  persistOpenShiftData,
   persistScheduleData,
   persistTimecardData,
   writeDayIndex,
@@ -70,6 +74,127 @@ test("persistScheduleData: stores one file per day and records history", () => {
   assert.deepStrictEqual(stored.history[1].changes.start, { from: "9:00", to: "10:00" });
 });
 
+test("persistScheduleData: tombstones stored shifts missing from the scraped window", () => {
+  const dataDir = makeTempDir();
+  const shift = (date, day) => ({
+    date,
+    day,
+    start: "9:00",
+    end: "14:00",
+    off: false,
+    note: null,
+    segments: [{ start: "9:00", end: "14:00" }],
+  });
+
+  persistScheduleData(dataDir, {
+    extractedAt: "2026-03-29T21:00:00.000Z",
+    shifts: [shift("2026-03-28", "Sat"), shift("2026-03-30", "Mon"), shift("2026-03-31", "Tue")],
+  });
+
+  const result = persistScheduleData(dataDir, {
+    extractedAt: "2026-03-30T21:00:00.000Z",
+    window: { start: "2026-03-30", end: "2026-05-11" },
+    shifts: [shift("2026-03-31", "Tue")],
+  });
+
+  assert.deepStrictEqual(result.removedDates, ["2026-03-30"]);
+  assert.deepStrictEqual(result.changedDates, ["2026-03-30"]);
+
+  const removed = JSON.parse(fs.readFileSync(getDayFilePath(dataDir, "2026-03-30"), "utf8"));
+  assert.strictEqual(removed.current.schedule, null);
+  assert.strictEqual(removed.sources.scheduleExtractedAt, "2026-03-30T21:00:00.000Z");
+  assert.strictEqual(removed.history[1].type, "removed");
+  assert.deepStrictEqual(removed.history[1].changes.start, { from: "9:00", to: null });
+
+  // Outside the window: left untouched.
+  const outside = JSON.parse(fs.readFileSync(getDayFilePath(dataDir, "2026-03-28"), "utf8"));
+  assert.strictEqual(outside.current.schedule.start, "9:00");
+
+  assert.deepStrictEqual(buildScheduleDataFromStore(dataDir).shifts.map((s) => s.date), ["2026-03-28", "2026-03-31"]);
+
+  // A repeated scrape does not record the removal twice.
+  persistScheduleData(dataDir, {
+    extractedAt: "2026-03-31T21:00:00.000Z",
+    window: { start: "2026-03-30", end: "2026-05-11" },
+    shifts: [shift("2026-03-31", "Tue")],
+  });
+  const again = JSON.parse(fs.readFileSync(getDayFilePath(dataDir, "2026-03-30"), "utf8"));
+  assert.strictEqual(again.history.length, 2);
+});
+
+test("persistScheduleData: records the covered window of each scrape", () => {
+  const dataDir = makeTempDir();
+  const shift = {
+    date: "2026-03-25",
+    day: "Wed",
+    start: "9:00",
+    end: "14:00",
+    off: false,
+    note: null,
+    segments: [{ start: "9:00", end: "14:00" }],
+  };
+
+  persistScheduleData(dataDir, { extractedAt: "2026-03-29T21:00:00.000Z", shifts: [shift] });
+  assert.deepStrictEqual(loadScheduleWindows(dataDir), []);
+
+  persistScheduleData(dataDir, {
+    extractedAt: "2026-03-30T21:00:00.000Z",
+    window: { start: "2026-03-16", end: "2026-05-11" },
+    shifts: [shift],
+  });
+  persistScheduleData(dataDir, {
+    extractedAt: "2026-03-31T21:00:00.000Z",
+    window: { start: "2026-03-17", end: "2026-05-12" },
+    shifts: [shift],
+  });
+
+  assert.deepStrictEqual(loadScheduleWindows(dataDir), [
+    { extractedAt: "2026-03-30T21:00:00.000Z", start: "2026-03-16", end: "2026-05-11" },
+    { extractedAt: "2026-03-31T21:00:00.000Z", start: "2026-03-17", end: "2026-05-12" },
+  ]);
+});
+
+test("persistScheduleData: prunes windows recorded more than 90 days before the latest scrape", () => {
+  const dataDir = makeTempDir();
+  const scrape = (extractedAt) => persistScheduleData(dataDir, {
+    extractedAt,
+    window: { start: extractedAt.slice(0, 10), end: extractedAt.slice(0, 10) },
+    shifts: [],
+  });
+
+  scrape("2026-01-01T21:00:00.000Z");
+  scrape("2026-01-03T21:00:00.000Z");
+  scrape("2026-04-02T21:00:00.000Z");
+
+  assert.deepStrictEqual(
+    loadScheduleWindows(dataDir).map((window) => window.extractedAt),
+    ["2026-01-03T21:00:00.000Z", "2026-04-02T21:00:00.000Z"]
+  );
+});
+
+test("persistScheduleData: keeps paycode edits and records their changes", () => {
+  const dataDir = makeTempDir();
+  const shift = (hours) => ({
+    date: "2026-04-07",
+    day: "Tue",
+    start: null,
+    end: null,
+    off: true,
+    note: "Sick Pay",
+    segments: [],
+    timeOff: null,
+    payCodes: [{ name: "Sick Pay", hours, startDate: "2026-04-07", endDate: "2026-04-07" }],
+  });
+
+  persistScheduleData(dataDir, { extractedAt: "2026-04-06T21:00:00.000Z", shifts: [shift(8)] });
+  persistScheduleData(dataDir, { extractedAt: "2026-04-07T21:00:00.000Z", shifts: [shift(4)] });
+
+  const stored = JSON.parse(fs.readFileSync(getDayFilePath(dataDir, "2026-04-07"), "utf8"));
+  assert.strictEqual(stored.current.schedule.payCodes[0].hours, 4);
+  assert.strictEqual(stored.history[1].changes.payCodes.from[0].hours, 8);
+  assert.deepStrictEqual(buildScheduleDataFromStore(dataDir).shifts[0].payCodes, shift(4).payCodes);
+});
+
 test("persistTimecardData: writes current timecard state and avoids duplicate history on unchanged data", () => {
   const dataDir = makeTempDir();
 
@@ -169,6 +294,53 @@ test("persistTimecardData: does not let a later past-day scrape delete a known p
   assert.strictEqual(stored.history.length, 1);
 });
 
+test("persistTimecardData: API scrapes replace the stored punches as-is", () => {
+  const dataDir = makeTempDir();
+
+  persistTimecardData(dataDir, {
+    extractedAt: "2026-04-28T19:10:44.827Z",
+    entries: [{
+      date: "28/04",
+      day: "Tue",
+      clockIn1: "09:00",
+      clockOut1: "12:18",
+      clockIn2: "13:18",
+      clockOut2: "15:55",
+      clockIn3: "16:17",
+      clockOut3: "18:55",
+      shiftTotal: "8:53",
+      dailyTotal: "8:53",
+    }],
+  });
+
+  persistTimecardData(dataDir, {
+    extractedAt: "2026-04-29T14:10:33.025Z",
+    source: "api",
+    entries: [{
+      date: "28/04",
+      day: "Tue",
+      isoDate: "2026-04-28",
+      clockIn1: "09:00",
+      clockOut1: "12:18",
+      clockIn2: "13:18",
+      clockOut2: "15:55",
+      shiftTotal: "6:15",
+      dailyTotal: "6:15",
+      punches: [
+        { in: "2026-04-28T09:00:00", out: "2026-04-28T12:18:00" },
+        { in: "2026-04-28T13:18:00", out: "2026-04-28T15:55:00" },
+      ],
+      exceptions: null,
+    }],
+  });
+
+  const stored = JSON.parse(fs.readFileSync(getDayFilePath(dataDir, "2026-04-28"), "utf8"));
+  assert.strictEqual(stored.current.timecard.clockIn3, undefined);
+  assert.strictEqual(stored.current.timecard.dailyTotal, "6:15");
+  assert.strictEqual(stored.current.timecard.punches[1].out, "2026-04-28T15:55:00");
+  assert.strictEqual(stored.history.length, 2);
+});
+
 test("buildScheduleDataFromStore and buildTimecardDataFromStore: rebuild aggregate views from day files", () => {
   const dataDir = makeTempDir();
 
@@ -230,6 +402,46 @@ test("buildBreakSegmentsFromStore: returns split-shift segments by ISO date", ()
   });
 });
 
+test("buildBreakSegmentsFromStore: keeps days with a typed break, not single typed segments", () => {
+  const dataDir = makeTempDir();
+  const typed = [
+    { start: "9:00", end: "12:30", type: "regular", paid: true },
+    { start: "12:30", end: "12:45", type: "break", paid: false },
+    { start: "12:45", end: "14:00", type: "regular", paid: true },
+  ];
+
+  persistScheduleData(dataDir, {
+    extractedAt: "2026-03-31T20:00:00.000Z",
+    shifts: [
+      { date: "2026-03-29", day: "Sun", start: "9:00", end: "14:00", off: false, note: null, segments: typed },
+      {
+        date: "2026-03-30", day: "Mon", start: "9:00", end: "14:00", off: false, note: null,
+        segments: [{ start: "9:00", end: "14:00", type: "regular", paid: true }],
+      },
+    ],
+  });
+
+  assert.deepStrictEqual(buildBreakSegmentsFromStore(dataDir), { "2026-03-29": typed });
+});
+
+test("persistOpenShiftData: stores offers apart from day files and keeps first-seen times", () => {
+  const dataDir = makeTempDir();
+  const deli = { id: 902, date: "2026-04-11", day: "Sat", start: "14:00", end: "19:00", job: "Deli Assistant", location: "Store 123" };
+  const tills = { id: null, date: "2026-04-12", day: "Sun", start: "9:00", end: "14:00", job: "Checkout", location: "Store 123" };
+
+  const first = persistOpenShiftData(dataDir, { extractedAt: "2026-04-06T21:00:00.000Z", openShifts: [deli] });
+  const second = persistOpenShiftData(dataDir, { extractedAt: "2026-04-07T21:00:00.000Z", openShifts: [deli, tills] });
+
+  assert.deepStrictEqual(first.newKeys, ["id:902"]);
+  assert.deepStrictEqual(second.newKeys, ["2026-04-12|9:00|14:00|Checkout"]);
+
+  const stored = loadOpenShiftData(dataDir);
+  assert.strictEqual(stored.extractedAt, "2026-04-07T21:00:00.000Z");
+  assert.strictEqual(stored.openShifts[0].firstSeenAt, "2026-04-06T21:00:00.000Z");
+  assert.strictEqual(stored.openShifts[1].firstSeenAt, "2026-04-07T21:00:00.000Z");
+  assert.ok(!fs.existsSync(getDayFilePath(dataDir, "2026-04-11")));
+});
+
 test("writeDayIndex: lists stored dates without duplicating day contents", () => {
   const dataDir = makeTempDir();
 
@@ -260,6 +472,10 @@ test("writeDayIndex: lists stored dates without duplicating day contents", () =>
   const index = JSON.parse(fs.readFileSync(indexPath, "utf8"));
 
   assert.deepStrictEqual(index.dates, ["2026-03-30", "2026-03-31"]);
+  assert.strictEqual(index.timeZone, "Europe/Dublin");
+
+  writeDayIndex(dataDir, { timeZone: "America/Chicago" });
+  assert.strictEqual(JSON.parse(fs.readFileSync(indexPath, "utf8")).timeZone, "America/Chicago");
 });
 
 test("migrateLegacyData: rebuilds day files from legacy snapshots and preserves live store as final state", () => {
@@ -319,3 +535,19 @@ test("migrateLegacyData: rebuilds day files from legacy snapshots and preserves
   assert.strictEqual(migrated.history[1].recordedAt, "2026-03-31T17:45:33.773Z");
   assert.deepStrictEqual(migrated.history[1].changes.dailyTotal, { from: "3:54", to: "10:00" });
 });
+
+test("migrateLegacyData: dry run reports counts without touching the store", () => {
+  const dataDir = makeTempDir();
+  fs.writeFileSync(path.join(dataDir, "schedule-2026-03-24.json"), JSON.stringify({
+    extractedAt: "2026-03-24T21:00:17.312Z",
+    shifts: [{ date: "2026-03-30", day: "Mon", start: "9:00", end: "14:00", off: false, note: null, segments: [] }],
+  }));
+
+  const result = migrateLegacyData(dataDir, { dryRun: true });
+
+  assert.strictEqual(result.migratedScheduleFiles, 1);
+  assert.strictEqual(result.migratedDates, 1);
+  assert.strictEqual(result.backupDaysDir, null);
+  assert.deepStrictEqual(listStoredDates(dataDir), []);
+  assert.ok(!fs.existsSync(path.join(dataDir, ".migration-store")));
+});
@@ -0,0 +1,161 @@
+import fs from "fs";
+import path from "path";
+
+const DEBUG_DIR_NAME = "debug";
+const FAILURE_FILE = "failure.json";
+const CONSOLE_FILE = "console.log";
+
+/**
+ * @typedef {Object} FailedStep
+ * @property {string} step - Where the run failed, e.g. "login", "schedule", "timecard"
+ * @property {string} error - Error message
+ */
+
+/**
+ * @typedef {Object} DebugBundleInput
+ * @property {FailedStep[]} failures
+ * @property {import("playwright").Browser | null} [browser] - Every page of every open context is captured
+ * @property {string[]} [consoleLines] - Collected browser console output
+ * @property {boolean} [tracing] - Stop Playwright tracing on each context and save the zip
+ * @property {Date} [now]
+ */
+
+/**
+ * @param {string} dataDir
+ * @returns {string}
+ */
+function getDebugDir(dataDir) {
+  return path.join(dataDir, DEBUG_DIR_NAME);
+}
+
+/**
+ * Folder-safe timestamp, sortable by name ("2026-04-01T08-00-00-000Z").
+ * @param {Date} date
+ * @returns {string}
+ */
+function bundleName(date) {
+  return date.toISOString().replace(/[:.]/g, "-");
+}
+
+/**
+ * Collect console messages and uncaught page errors from every page of the
+ * contexts it is attached to.
+ * @returns {{ lines: string[], attach: (context: import("playwright").BrowserContext) => void }}
+ */
+function createConsoleCollector() {
+  /** @type {string[]} */
+  const lines = [];
+
+  return {
+    lines,
+    attach(context) {
+      context.on("console", (message) => {
+        lines.push(`${new Date().toISOString()} [${message.type()}] ${message.page()?.url() ?? ""} ${message.text()}`);
+      });
+      context.on("weberror", (webError) => {
+        lines.push(`${new Date().toISOString()} [pageerror] ${webError.page()?.url() ?? ""} ${webError.error().message}`);
+      });
+    },
+  };
+}
+
+/**
+ * Write a timestamped folder under data/debug/ describing a failed run:
+ * failure.json (failing steps and page list), a screenshot and the HTML of
+ * every open page, the console log and, when tracing, a trace zip per context.
+ * Capture problems are noted in failure.json rather than thrown.
+ * @param {string} dataDir
+ * @param {DebugBundleInput} input
+ * @returns {Promise<string>} - Path of the bundle folder
+ */
+async function writeDebugBundle(dataDir, input) {
+  const createdAt = input.now ?? new Date();
+  const bundleDir = path.join(getDebugDir(dataDir), bundleName(createdAt));
+  fs.mkdirSync(bundleDir, { recursive: true });
+
+  const pages = [];
+  const traces = [];
+  const captureErrors = [];
+  const contexts = input.browser?.contexts() ?? [];
+
+  for (const [contextIndex, context] of contexts.entries()) {
+    for (const page of context.pages()) {
+      const n = pages.length + 1;
+      const entry = { url: page.url(), screenshot: null, html: null };
+      try {
+        await page.screenshot({ path: path.join(bundleDir, `page-${n}.png`), fullPage: true, timeout: 10000 });
+        entry.screenshot = `page-${n}.png`;
+      } catch (err) {
+        captureErrors.push(`page-${n} screenshot: ${/** @type {Error} */ (err).message}`);
+      }
+      try {
+        fs.writeFileSync(path.join(bundleDir, `page-${n}.html`), await page.content());
+        entry.html = `page-${n}.html`;
+      } catch (err) {
+        captureErrors.push(`page-${n} html: ${/** @type {Error} */ (err).message}`);
+      }
+      pages.push(entry);
+    }
+
+    if (input.tracing) {
+      const traceFile = `trace-${contextIndex + 1}.zip`;
+      try {
+        await context.tracing.stop({ path: path.join(bundleDir, traceFile) });
+        traces.push(traceFile);
+      } catch (err) {
+        captureErrors.push(`${traceFile}: ${/** @type {Error} */ (err).message}`);
+      }
+    }
+  }
+
+  if (input.consoleLines && input.consoleLines.length > 0) {
+    fs.writeFileSync(path.join(bundleDir, CONSOLE_FILE), input.consoleLines.join("\n") + "\n");
+  }
+
+  fs.writeFileSync(
+    path.join(bundleDir, FAILURE_FILE),
+    JSON.stringify({
+      createdAt: createdAt.toISOString(),
+      failures: input.failures,
+      pages,
+      traces,
+      console: input.consoleLines && input.consoleLines.length > 0 ? CONSOLE_FILE : null,
+      captureErrors,
+    }, null, 2)
+  );
+
+  return bundleDir;
+}
+
+/**
+ * Delete the oldest bundles, keeping the newest `keep`.
+ * @param {string} dataDir
+ * @param {{ keep: number }} options
+ * @returns {string[]} - Names of removed bundle folders
+ */
+function pruneDebugBundles(dataDir, options) {
+  const debugDir = getDebugDir(dataDir);
+  if (!fs.existsSync(debugDir)) {
+    return [];
+  }
+
+  const bundles = fs.readdirSync(debugDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+  const removed = bundles.slice(0, Math.max(0, bundles.length - options.keep));
+
+  for (const name of removed) {
+    fs.rmSync(path.join(debugDir, name), { recursive: true, force: true });
+  }
+  return removed;
+}
+
+export {
+  DEBUG_DIR_NAME,
+  FAILURE_FILE,
+  createConsoleCollector,
+  getDebugDir,
+  pruneDebugBundles,
+  writeDebugBundle,
+};
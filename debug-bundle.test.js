@@ -0,0 +1,102 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { getDebugDir, pruneDebugBundles, writeDebugBundle } from "./debug-bundle.js";
+
+/** @type {string[]} */
+const tempDirs = [];
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+/**
+ * @returns {string}
+ */
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "debug-bundle-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+/**
+ * Minimal stand-in for a Playwright browser with one context and one page.
+ * @param {{ screenshotFails?: boolean }} [options]
+ */
+function fakeBrowser(options = {}) {
+  const page = {
+    url: () => "https://example.test/myTimecard",
+    screenshot: async ({ path: filePath }) => {
+      if (options.screenshotFails) throw new Error("Target closed");
+      fs.writeFileSync(filePath, "png");
+    },
+    content: async () => "<html><body>grid</body></html>",
+  };
+  const context = {
+    pages: () => [page],
+    tracing: { stop: async ({ path: filePath }) => fs.writeFileSync(filePath, "zip") },
+  };
+  return /** @type {any} */ ({ contexts: () => [context] });
+}
+
+test("writeDebugBundle: writes pages, console log, trace and failure summary into a timestamped folder", async () => {
+  const dataDir = makeTempDir();
+
+  const bundleDir = await writeDebugBundle(dataDir, {
+    failures: [{ step: "timecard", error: "Timeout 10000ms exceeded" }],
+    browser: fakeBrowser(),
+    consoleLines: ["[error] Failed to load resource"],
+    tracing: true,
+    now: new Date("2026-04-01T08:00:00.000Z"),
+  });
+
+  assert.strictEqual(bundleDir, path.join(getDebugDir(dataDir), "2026-04-01T08-00-00-000Z"));
+  assert.deepStrictEqual(fs.readdirSync(bundleDir).sort(), [
+    "console.log",
+    "failure.json",
+    "page-1.html",
+    "page-1.png",
+    "trace-1.zip",
+  ]);
+
+  const failure = JSON.parse(fs.readFileSync(path.join(bundleDir, "failure.json"), "utf8"));
+  assert.deepStrictEqual(failure, {
+    createdAt: "2026-04-01T08:00:00.000Z",
+    failures: [{ step: "timecard", error: "Timeout 10000ms exceeded" }],
+    pages: [{ url: "https://example.test/myTimecard", screenshot: "page-1.png", html: "page-1.html" }],
+    traces: ["trace-1.zip"],
+    console: "console.log",
+    captureErrors: [],
+  });
+});
+
+test("writeDebugBundle: records capture problems instead of throwing", async () => {
+  const dataDir = makeTempDir();
+
+  const bundleDir = await writeDebugBundle(dataDir, {
+    failures: [{ step: "login", error: "net::ERR_NAME_NOT_RESOLVED" }],
+    browser: fakeBrowser({ screenshotFails: true }),
+  });
+
+  const failure = JSON.parse(fs.readFileSync(path.join(bundleDir, "failure.json"), "utf8"));
+  assert.strictEqual(failure.pages[0].screenshot, null);
+  assert.strictEqual(failure.pages[0].html, "page-1.html");
+  assert.deepStrictEqual(failure.captureErrors, ["page-1 screenshot: Target closed"]);
+  assert.strictEqual(failure.console, null);
+});
+
+test("pruneDebugBundles: keeps only the newest bundles", () => {
+  const dataDir = makeTempDir();
+  const names = ["2026-04-01T08-00-00-000Z", "2026-04-02T08-00-00-000Z", "2026-04-03T08-00-00-000Z"];
+  for (const name of names) {
+    fs.mkdirSync(path.join(getDebugDir(dataDir), name), { recursive: true });
+  }
+
+  assert.deepStrictEqual(pruneDebugBundles(dataDir, { keep: 2 }), ["2026-04-01T08-00-00-000Z"]);
+  assert.deepStrictEqual(fs.readdirSync(getDebugDir(dataDir)).sort(), names.slice(1));
+  assert.deepStrictEqual(pruneDebugBundles(makeTempDir(), { keep: 2 }), []);
+});
@@ -0,0 +1,269 @@
+import crypto from "crypto";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+import { parseArgs } from "util";
+import { generateTotp } from "./totp.js";
+import { fixtureKey, loadFixtures } from "./ukg-fixtures.js";
+
+/** @typedef {import("./ukg-fixtures.js").UkgFixture} UkgFixture */
+
+const SESSION_COOKIE = "mock-ukg-session";
+const MFA_COOKIE = "mock-ukg-mfa";
+const DEFAULT_FIXTURES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "fixtures", "ukg");
+
+/**
+ * Login form with the same labels and button the real tenant's form has.
+ * @param {string | null} error
+ * @returns {string}
+ */
+function renderLoginPage(error) {
+  return `<!doctype html>
+<html lang="en">
+  <head><meta charset="utf-8"><title>Sign in</title></head>
+  <body>
+    <form method="post" action="/login">
+      ${error ? `<p role="alert">${error}</p>` : ""}
+      <label for="username">Username or email</label>
+      <input id="username" name="username" autocomplete="username">
+      <label for="password">Password</label>
+      <input id="password" name="password" type="password" autocomplete="current-password">
+      <button type="submit">Sign in</button>
+    </form>
+  </body>
+</html>`;
+}
+
+/**
+ * Second sign-in step. Authenticator challenges get a code form; push and
+ * SMS challenges only tell the user to use their phone.
+ * @param {"totp" | "push" | "sms"} factor
+ * @param {string | null} error
+ * @returns {string}
+ */
+function renderMfaPage(factor, error) {
+  const content = factor === "totp"
+    ? `<form method="post" action="/mfa">
+      ${error ? `<p role="alert">${error}</p>` : ""}
+      <p>Enter the 6-digit code from your authenticator app.</p>
+      <label for="code">Verification code</label>
+      <input id="code" name="code" inputmode="numeric" autocomplete="one-time-code">
+      <button type="submit">Verify</button>
+    </form>`
+    : factor === "push"
+      ? "<p>We sent a push notification to your phone. Approve the sign-in request to continue.</p>"
+      : "<p>We sent a code by text message to your phone ending in 42.</p>";
+  return `<!doctype html>
+<html lang="en">
+  <head><meta charset="utf-8"><title>Verify it's you</title></head>
+  <body>
+    ${content}
+  </body>
+</html>`;
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {Record<string, string>}
+ */
+function parseCookies(req) {
+  return Object.fromEntries(
+    (req.headers.cookie ?? "")
+      .split(";")
+      .map((part) => part.trim().split("="))
+      .filter(([name]) => name)
+      .map(([name, ...value]) => [name, decodeURIComponent(value.join("="))])
+  );
+}
+
+/**
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<string>}
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = "";
+    req.setEncoding("utf8");
+    req.on("data", (chunk) => { body += chunk; });
+    req.on("end", () => resolve(body));
+    req.on("error", reject);
+  });
+}
+
+/**
+ * @param {http.ServerResponse} res
+ * @param {UkgFixture} fixture
+ * @returns {void}
+ */
+function sendFixture(res, fixture) {
+  const body = typeof fixture.body === "string" ? fixture.body : JSON.stringify(fixture.body);
+  res.writeHead(fixture.status, { "Content-Type": fixture.contentType || "application/json" });
+  res.end(body);
+}
+
+/**
+ * Start a local stand-in for the UKG tenant that serves a login form and
+ * replays recorded fixtures to signed-in clients. API calls must carry the
+ * XSRF token from the cookie, like the real tenant requires.
+ * @param {{
+ *   fixturesDir?: string,
+ *   port?: number,
+ *   credentials?: { username: string, password: string },
+ *   mfa?: { factor: "totp", totpSecret: string } | { factor: "push" | "sms" },
+ * }} [options] - Without `credentials` any non-empty username and password sign in;
+ *   with `mfa` the password step is followed by a challenge at /mfa
+ * @returns {Promise<{ url: string, requests: string[], close: () => Promise<void> }>}
+ */
+async function startMockUkgServer(options = {}) {
+  const fixtures = loadFixtures(options.fixturesDir ?? DEFAULT_FIXTURES_DIR);
+  /** @type {Set<string>} */
+  const sessions = new Set();
+  /** @type {Set<string>} */
+  const pendingMfa = new Set();
+
+  /**
+   * @param {http.ServerResponse} res
+   * @returns {void}
+   */
+  function startSession(res) {
+    const session = crypto.randomBytes(16).toString("hex");
+    sessions.add(session);
+    res.writeHead(302, {
+      Location: "/wfd/home",
+      "Set-Cookie": [
+        `${SESSION_COOKIE}=${session}; Path=/; HttpOnly`,
+        `XSRF-TOKEN=${crypto.randomBytes(16).toString("hex")}; Path=/`,
+      ],
+    });
+    res.end();
+  }
+  /** @type {string[]} */
+  const requests = [];
+
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url ?? "/", "http://localhost");
+    const method = req.method ?? "GET";
+    requests.push(fixtureKey(method, url.pathname));
+
+    if (method === "GET" && url.pathname === "/") {
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(renderLoginPage(null));
+      return;
+    }
+
+    if (method === "POST" && url.pathname === "/login") {
+      const form = new URLSearchParams(await readBody(req));
+      const username = form.get("username") ?? "";
+      const password = form.get("password") ?? "";
+      const valid = options.credentials
+        ? username === options.credentials.username && password === options.credentials.password
+        : Boolean(username && password);
+
+      if (!valid) {
+        res.writeHead(401, { "Content-Type": "text/html; charset=utf-8" });
+        res.end(renderLoginPage("Invalid username or password."));
+        return;
+      }
+
+      if (options.mfa) {
+        const challenge = crypto.randomBytes(16).toString("hex");
+        pendingMfa.add(challenge);
+        res.writeHead(302, { Location: "/mfa", "Set-Cookie": `${MFA_COOKIE}=${challenge}; Path=/; HttpOnly` });
+        res.end();
+        return;
+      }
+
+      startSession(res);
+      return;
+    }
+
+    const cookies = parseCookies(req);
+
+    if (url.pathname === "/mfa" && options.mfa && pendingMfa.has(cookies[MFA_COOKIE])) {
+      const mfa = options.mfa;
+      if (method === "POST" && mfa.factor === "totp") {
+        const code = new URLSearchParams(await readBody(req)).get("code") ?? "";
+        // Accept the previous step too, as real servers allow for clock drift.
+        const accepted = [0, -30_000].some((offset) => generateTotp(mfa.totpSecret, { time: Date.now() + offset }) === code);
+        if (accepted) {
+          pendingMfa.delete(cookies[MFA_COOKIE]);
+          startSession(res);
+          return;
+        }
+        res.writeHead(401, { "Content-Type": "text/html; charset=utf-8" });
+        res.end(renderMfaPage(mfa.factor, "That code didn't work. Try again."));
+        return;
+      }
+
+      res.writeHead(200, { "Content-Type": "text/html; charset=utf-8" });
+      res.end(renderMfaPage(mfa.factor, null));
+      return;
+    }
+    if (!sessions.has(cookies[SESSION_COOKIE])) {
+      if (method === "GET" && (req.headers.accept ?? "").includes("text/html")) {
+        res.writeHead(302, { Location: "/" });
+      } else {
+        res.writeHead(401, { "Content-Type": "application/json" });
+      }
+      res.end();
+      return;
+    }
+
+    const fixture = fixtures.get(fixtureKey(method, url.pathname));
+    if (!fixture) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end(`No fixture for ${fixtureKey(method, url.pathname)}`);
+      return;
+    }
+
+    const isDocument = fixture.contentType.includes("text/html");
+    if (!isDocument && req.headers["x-xsrf-token"] !== cookies["XSRF-TOKEN"]) {
+      res.writeHead(403, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ errorCode: "XSRF token mismatch" }));
+      return;
+    }
+
+    sendFixture(res, fixture);
+  });
+
+  await new Promise((resolve) => server.listen(options.port ?? 0, "127.0.0.1", () => resolve(undefined)));
+  const address = /** @type {import("net").AddressInfo} */ (server.address());
+
+  return {
+    url: `http://127.0.0.1:${address.port}`,
+    requests,
+    close: () => new Promise((resolve, reject) => {
+      server.closeAllConnections();
+      server.close((err) => (err ? reject(err) : resolve()));
+    }),
+  };
+}
+
+/** @returns {Promise<void>} */
+async function main() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      port: { type: "string", default: "8787" },
+      "totp-secret": { type: "string" },
+      mfa: { type: "string" },
+    },
+  });
+  const fixturesDir = positionals[0] ? path.resolve(positionals[0]) : DEFAULT_FIXTURES_DIR;
+  const mfa = values["totp-secret"]
+    ? { factor: /** @type {const} */ ("totp"), totpSecret: values["totp-secret"] }
+    : values.mfa === "push" || values.mfa === "sms" ? { factor: values.mfa } : undefined;
+  const server = await startMockUkgServer({ fixturesDir, port: Number(values.port), mfa });
+  console.error(`Mock UKG server replaying ${fixturesDir}`);
+  console.error(`Run the scrapers against it with UKG_BASE_URL=${server.url}`);
+}
+
+export { DEFAULT_FIXTURES_DIR, startMockUkgServer };
+
+const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === path.resolve(fileURLToPath(import.meta.url));
+if (isMainModule) {
+  main().catch((err) => {
+    console.error("Fatal:", err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,128 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert";
+import { startMockUkgServer } from "./mock-ukg-server.js";
+import { generateTotp } from "./totp.js";
+
+const credentials = { username: "worker@example.com", password: "hunter2" };
+
+/** @type {Awaited<ReturnType<typeof startMockUkgServer>>} */
+let server;
+
+before(async () => {
+  server = await startMockUkgServer({ credentials });
+});
+
+after(async () => {
+  await server.close();
+});
+
+/**
+ * Sign in and return the cookies the server set.
+ * @returns {Promise<Record<string, string>>}
+ */
+async function signIn() {
+  const response = await fetch(server.url + "/login", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams(credentials).toString(),
+    redirect: "manual",
+  });
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.headers.get("location"), "/wfd/home");
+  return Object.fromEntries(response.headers.getSetCookie().map((cookie) => cookie.split(";")[0].split("=")));
+}
+
+/**
+ * @param {Record<string, string>} cookies
+ * @returns {string}
+ */
+function cookieHeader(cookies) {
+  return Object.entries(cookies).map(([name, value]) => `${name}=${value}`).join("; ");
+}
+
+test("mock server: serves the login form at the root", async () => {
+  const html = await (await fetch(server.url + "/")).text();
+  assert.match(html, /Username or email/);
+  assert.match(html, /Sign in/);
+});
+
+test("mock server: sends signed-out page loads back to the login form", async () => {
+  const response = await fetch(server.url + "/wfd/home", { headers: { Accept: "text/html" }, redirect: "manual" });
+  assert.strictEqual(response.status, 302);
+  assert.strictEqual(response.headers.get("location"), "/");
+});
+
+test("mock server: rejects wrong credentials", async () => {
+  const response = await fetch(server.url + "/login", {
+    method: "POST",
+    headers: { "Content-Type": "application/x-www-form-urlencoded" },
+    body: new URLSearchParams({ ...credentials, password: "wrong" }).toString(),
+    redirect: "manual",
+  });
+  assert.strictEqual(response.status, 401);
+  assert.match(await response.text(), /Invalid username or password/);
+});
+
+test("mock server: replays the home page fixture after sign-in", async () => {
+  const cookies = await signIn();
+  const html = await (await fetch(server.url + "/wfd/home", { headers: { Cookie: cookieHeader(cookies) } })).text();
+  assert.match(html, /Open My Timecard/);
+});
+
+test("mock server: API fixtures require the XSRF token", async () => {
+  const cookies = await signIn();
+  assert.ok(cookies["XSRF-TOKEN"]);
+
+  const withoutToken = await fetch(server.url + "/myschedule/events", {
+    method: "POST",
+    headers: { Cookie: cookieHeader(cookies) },
+  });
+  assert.strictEqual(withoutToken.status, 403);
+
+  const withToken = await fetch(server.url + "/myschedule/events", {
+    method: "POST",
+    headers: { Cookie: cookieHeader(cookies), "x-xsrf-token": cookies["XSRF-TOKEN"] },
+  });
+  assert.strictEqual(withToken.status, 200);
+  const body = await withToken.json();
+  assert.strictEqual(body.regularShifts.length, 2);
+});
+
+test("mock server: unknown paths are 404 for signed-in clients", async () => {
+  const cookies = await signIn();
+  const response = await fetch(server.url + "/nope", { headers: { Cookie: cookieHeader(cookies) } });
+  assert.strictEqual(response.status, 404);
+});
+
+test("mock server: asks for an authenticator code after the password when MFA is on", async () => {
+  const totpSecret = "JBSWY3DPEHPK3PXP";
+  const mfaServer = await startMockUkgServer({ credentials, mfa: { factor: "totp", totpSecret } });
+  try {
+    const login = await fetch(mfaServer.url + "/login", {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams(credentials).toString(),
+      redirect: "manual",
+    });
+    assert.strictEqual(login.headers.get("location"), "/mfa");
+    const mfaCookie = login.headers.getSetCookie()[0].split(";")[0];
+
+    const challenge = await (await fetch(mfaServer.url + "/mfa", { headers: { Cookie: mfaCookie } })).text();
+    assert.match(challenge, /Verification code/);
+
+    /** @param {string} code */
+    const submit = (code) => fetch(mfaServer.url + "/mfa", {
+      method: "POST",
+      headers: { Cookie: mfaCookie, "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ code }).toString(),
+      redirect: "manual",
+    });
+    assert.strictEqual((await submit("000000" === generateTotp(totpSecret) ? "111111" : "000000")).status, 401);
+
+    const verified = await submit(generateTotp(totpSecret));
+    assert.strictEqual(verified.status, 302);
+    assert.strictEqual(verified.headers.get("location"), "/wfd/home");
+  } finally {
+    await mfaServer.close();
+  }
+});
@@ -2,31 +2,66 @@ import { spawnSync } from "child_process";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { parseArgs } from "util";
 import nodemailer from "nodemailer";
 import {
   addIsoDays,
   buildBreakSegmentsFromStore,
   buildScheduleDataFromStore,
   buildTimecardDataFromStore,
+  loadOpenShiftData,
+  openShiftKey,
+  persistOpenShiftData,
   persistScheduleData,
   persistTimecardData,
   writeDayIndex,
 } from "./day-store.js";
+import { pruneDebugBundles } from "./debug-bundle.js";
+import { FAILURE_CATEGORIES, classifyError } from "./scrape-errors.js";
+import { credentialsToEnv } from "./credential-store.js";
+import { CREDENTIALS_HINT, DEFAULT_CONFIG_PATH, DEFAULT_DATA_DIR, loadConfig, loadCredentials, resolveAccounts } from "./ukg-config.js";
+import { getCredentialsFlagPath, loadCredentialsFlag } from "./ukg-session.js";
+import { resolveTenantProfile } from "./tenant-profile.js";
+import { describeOrgPath, formatAssignment } from "./website/org-path.js";
+import { isWorkingSegment, listBreaks } from "./website/shift-segments.js";
+import { DEFAULT_TIME_ZONE, isoDateInZone, minutesInZone } from "./website/zoned-date.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const DATA_DIR = path.join(__dirname, "data");
-const CONFIG_PATH = path.join(__dirname, "config.json");
+const DEFAULT_DEBUG_BUNDLES_KEPT = 20;
+const FAILURE_STATE_FILE = "scraper-failures.json";
+const DEFAULT_FAILURE_REPEAT_HOURS = 24;
 
-function loadConfig() {
-  if (!fs.existsSync(CONFIG_PATH)) {
-    console.error("Missing config.json — copy the template and fill in credentials.");
-    process.exit(1);
-  }
-  return JSON.parse(fs.readFileSync(CONFIG_PATH, "utf8"));
-}
+/** @typedef {import("./scrape-errors.js").ScrapeFailure} ScrapeFailure */
+/** @typedef {import("./scrape-errors.js").FailureCategory} FailureCategory */
+/** @typedef {import("./ukg-session.js").CredentialsFlag} CredentialsFlag */
+
+/**
+ * @typedef {Object} FailureStateEntry
+ * @property {string} step
+ * @property {FailureCategory} category
+ * @property {string} firstSeenAt - ISO datetime
+ * @property {string} lastAlertedAt - ISO datetime
+ * @property {number} count - Consecutive runs that hit it
+ */
+
+/** What each failure category means for the person reading the alert. */
+const FAILURE_WORDING = {
+  "bad-credentials": "UKG rejected the username or password. Update the stored credentials; every run will fail until then.",
+  "account-locked": "The UKG account is locked. It needs unlocking in UKG before scraping can resume.",
+  "mfa-required": "UKG asks for a second sign-in factor the scraper cannot give. Authenticator codes work once ukg.totpSecret is set in config.json; push or SMS approval cannot be automated.",
+  maintenance: "UKG showed a maintenance page. Nothing to fix here; the next run will try again.",
+  "network-timeout": "UKG did not respond in time, even after retrying.",
+  "layout-change": "A UKG page no longer looks the way the scraper expects. The scraper likely needs updating.",
+  "api-schema-change": "A UKG API response no longer has the expected shape. The scraper likely needs updating.",
+  unknown: "Unexpected error.",
+};
 
-function today() {
-  return new Date().toISOString().slice(0, 10);
+/**
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+function today(timeZone = DEFAULT_TIME_ZONE) {
+  return isoDateInZone(new Date(), timeZone);
 }
 
 function log(msg) {
@@ -49,11 +84,28 @@ function tailOutput(value, maxLines = 20) {
   return lines.slice(-maxLines).join("\n");
 }
 
+/**
+ * Accept both structured failures and the plain strings older scrapers printed.
+ * @param {ScrapeFailure | string} error
+ * @returns {ScrapeFailure}
+ */
+function normalizeScrapeFailure(error) {
+  if (typeof error === "string") {
+    return { step: "scrape", category: "unknown", message: error, attempts: 1 };
+  }
+  return {
+    step: error.step ?? "scrape",
+    category: FAILURE_WORDING[error.category] ? error.category : "unknown",
+    message: error.message ?? "",
+    attempts: error.attempts ?? 1,
+  };
+}
+
 /**
  * Normalize the scraper child-process result.
  * Accepts structured JSON from stdout even when the process exits nonzero.
  * @param {{ status: number | null, signal?: NodeJS.Signals | null, stdout?: string | null, stderr?: string | null, error?: Error }} result
- * @returns {{ schedule: Object | null, timecard: Object | null, errors: string[] }}
+ * @returns {{ schedule: Object | null, timecard: Object | null, errors: ScrapeFailure[], debugBundle: string | null }}
  */
 function parseScraperResult(result) {
   if (result.error) {
@@ -70,7 +122,8 @@ function parseScraperResult(result) {
       return {
         schedule: parsed.schedule ?? null,
         timecard: parsed.timecard ?? null,
-        errors: Array.isArray(parsed.errors) ? parsed.errors : [],
+        errors: Array.isArray(parsed.errors) ? parsed.errors.map(normalizeScrapeFailure) : [],
+        debugBundle: typeof parsed.debugBundle === "string" ? parsed.debugBundle : null,
       };
     } catch {
       // Fall through to the unstructured error path below.
@@ -85,24 +138,37 @@ function parseScraperResult(result) {
 }
 
 /**
- * Run the unified scraper and return combined results.
- * @param {{ ukg: { username: string, password: string } }} config
- * @returns {{ schedule: Object | null, timecard: Object | null, errors: string[] }}
+ * Run the unified scraper and return combined results. Credentials go to the
+ * child through its environment, never its argv, so `ps` does not show them.
+ * @param {import("./ukg-session.js").Credentials} credentials
+ * @param {{ configPath: string, dataDir: string, account?: string, envPrefix?: string, dryRun?: boolean }} paths
+ * @returns {{ schedule: Object | null, timecard: Object | null, errors: ScrapeFailure[], debugBundle: string | null }}
  */
-function runScrapers(config) {
+function runScrapers(credentials, paths) {
   const result = spawnSync(
     process.execPath,
-    [path.join(__dirname, "scrape-all.js"), config.ukg.username, config.ukg.password],
-    { encoding: "utf8", timeout: 300_000, stdio: ["ignore", "pipe", "pipe"] }
+    [
+      path.join(__dirname, "scrape-all.js"),
+      "--config", paths.configPath,
+      "--data-dir", paths.dataDir,
+      ...(paths.account ? ["--account", paths.account] : []),
+      ...(paths.dryRun ? ["--dry-run"] : []),
+    ],
+    {
+      encoding: "utf8",
+      timeout: 600_000,
+      stdio: ["ignore", "pipe", "pipe"],
+      env: credentialsToEnv(credentials, process.env, paths.envPrefix),
+    }
   );
   return parseScraperResult(result);
 }
 
 /**
  * Merge schedule segment data into an existing break-segments map.
- * @param {Record<string, {start: string, end: string}[]>} cache
- * @param {{ shifts: Array<{ date: string, segments: {start: string, end: string}[] }> }} scheduleData
- * @returns {Record<string, {start: string, end: string}[]>}
+ * @param {Record<string, import("./website/shift-segments.js").StoredSegment[]>} cache
+ * @param {{ shifts: Array<{ date: string, segments: import("./website/shift-segments.js").StoredSegment[] }> }} scheduleData
+ * @returns {Record<string, import("./website/shift-segments.js").StoredSegment[]>}
  */
 function mergeBreakSegments(cache, scheduleData) {
   const merged = { ...cache };
@@ -118,6 +184,7 @@ function mergeBreakSegments(cache, scheduleData) {
 
 /** @type {readonly string[]} */
 const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+const MINUTES_PER_DAY = 24 * 60;
 
 /** @type {Record<string, string>} */
 const FIELD_LABELS = {
@@ -147,29 +214,85 @@ function formatClockPairs(entry) {
   return pairs.length > 0 ? pairs.join(", ") : null;
 }
 
+/**
+ * Minutes from one clock time to the next time the clock shows another, so a
+ * pair that runs past midnight (22:00 to 6:00) counts 8 hours.
+ * @param {number} start - Minutes since midnight
+ * @param {number} end - Minutes since midnight
+ * @returns {number}
+ */
+function minutesUntil(start, end) {
+  return end >= start ? end - start : end + MINUTES_PER_DAY - start;
+}
+
+/**
+ * How far apart two clock times are, whichever way round midnight is shorter
+ * (23:55 and 0:05 are 10 minutes apart).
+ * @param {number} a - Minutes since midnight
+ * @param {number} b - Minutes since midnight
+ * @returns {number}
+ */
+function clockDistance(a, b) {
+  const diff = Math.abs(a - b) % MINUTES_PER_DAY;
+  return Math.min(diff, MINUTES_PER_DAY - diff);
+}
+
+/**
+ * @param {{ start?: string | null, end?: string | null, endDate?: string }} shift
+ * @returns {boolean}
+ */
+function endsNextDay(shift) {
+  if (shift.endDate) return true;
+  const start = parseTime(shift.start);
+  const end = parseTime(shift.end);
+  return start !== null && end !== null && end < start;
+}
+
+/** UKG credits 5 minutes of an unpaid scheduled break when you clock out for it. */
+const UNPAID_BREAK_BONUS_MINUTES = 5;
+
+/**
+ * Minutes UKG adds to the clocked time of a split shift for its scheduled
+ * breaks: paid breaks in full, plus the bonus when any break is unpaid.
+ * Segments stored before types were scraped say nothing about pay, so any
+ * shift of more than one segment earns the bonus, as it always has.
+ * @param {import("./website/shift-segments.js").StoredSegment[] | null | undefined} segments
+ * @returns {number}
+ */
+function paidBreakMinutes(segments) {
+  if (!segments?.some((segment) => segment.type)) {
+    return segments && segments.length > 1 ? UNPAID_BREAK_BONUS_MINUTES : 0;
+  }
+  const breaks = listBreaks(segments);
+  const paid = breaks
+    .filter((b) => b.paid)
+    .reduce((sum, b) => sum + minutesUntil(parseTime(b.start) ?? 0, parseTime(b.end) ?? 0), 0);
+  return paid + (breaks.some((b) => !b.paid) ? UNPAID_BREAK_BONUS_MINUTES : 0);
+}
+
 /**
  * Calculate daily total from clock in/out pairs in H:MM format.
- * When `hasScheduledBreak` is true and the entry has a split shift (two clock pairs),
- * adds 5 minutes to match UKG's paid break bonus.
+ * When the entry has a split shift (two clock pairs), adds `breakMinutes`
+ * (see paidBreakMinutes) to match UKG's paid break credit.
  * Returns null if there are no complete pairs.
  * @param {Record<string, string | null | undefined>} entry
- * @param {boolean} [hasScheduledBreak]
+ * @param {number} [breakMinutes]
  * @returns {string | null}
  */
-function calculateDailyTotal(entry, hasScheduledBreak) {
+function calculateDailyTotal(entry, breakMinutes = 0) {
   let totalMinutes = 0;
   let completePairs = 0;
   for (let i = 1; i <= 10; i += 1) {
     const clockIn = parseTime(entry[`clockIn${i}`]);
     const clockOut = parseTime(entry[`clockOut${i}`]);
     if (clockIn !== null && clockOut !== null) {
-      totalMinutes += clockOut - clockIn;
+      totalMinutes += minutesUntil(clockIn, clockOut);
       completePairs += 1;
     }
   }
   if (totalMinutes <= 0) return null;
-  if (hasScheduledBreak && completePairs > 1) {
-    totalMinutes += 5; // UKG adds a 5-minute paid break bonus
+  if (completePairs > 1) {
+    totalMinutes += breakMinutes;
   }
   const hours = Math.floor(totalMinutes / 60);
   const mins = totalMinutes % 60;
@@ -209,6 +332,118 @@ function formatAlert(title, items) {
   return `${title}\n${"-".repeat(title.length)}\n${items.join("\n\n")}`;
 }
 
+/**
+ * Format scraper failures grouped by category, most actionable first.
+ * @param {ScrapeFailure[]} failures
+ * @returns {string}
+ */
+function formatFailureAlert(failures) {
+  const sorted = [...failures].sort(
+    (left, right) => FAILURE_CATEGORIES.indexOf(left.category) - FAILURE_CATEGORIES.indexOf(right.category)
+  );
+  return formatAlert("SCRAPER FAILED", sorted.map((failure) => {
+    const attempts = failure.attempts > 1 ? ` after ${failure.attempts} attempts` : "";
+    return `${failure.step} (${failure.category})${attempts}: ${FAILURE_WORDING[failure.category]}\n  ${failure.message}`;
+  }));
+}
+
+/**
+ * Explain a credentials failure and what to do about it. Kept apart from
+ * SCRAPER FAILED because it needs the reader to act, not the scraper's author.
+ * @param {ScrapeFailure[]} failures - bad-credentials failures
+ * @param {CredentialsFlag | null} flag - Block written by the scraper, if any
+ * @param {string} flagPath
+ * @returns {string}
+ */
+function formatCredentialsAlert(failures, flag, flagPath) {
+  const items = [];
+  if (flag?.reason === "password-expired") {
+    items.push(`UKG wants a new password for ${flag.username}. Sign in to UKG in a browser, choose a new password, then store it where the scraper reads it (UKG_PASSWORD, the secrets file, the keyring or config.json).`);
+  } else {
+    items.push(`UKG rejected the username or password${flag ? ` for ${flag.username}` : ""}. Check that you can sign in to UKG in a browser, then correct the stored username / password (UKG_USERNAME / UKG_PASSWORD, the secrets file, the keyring or config.json).`);
+  }
+
+  if (flag) {
+    items.push(
+      `Automated logins are paused since ${flag.flaggedAt} so repeated attempts do not lock the account. `
+      + `They resume on their own once the stored credentials change. If the same password works again, delete ${flagPath} instead.`
+    );
+  }
+
+  items.push(...failures.map((failure) => `${failure.step}: ${failure.message}`));
+  return formatAlert("LOGIN BLOCKED", items);
+}
+
+/**
+ * Decide which failures to alert on. A step failing the same way as on the
+ * previous run is only re-alerted once `repeatHours` have passed since the
+ * last alert; failures that stop happening are forgotten.
+ * @param {ScrapeFailure[]} failures
+ * @param {Record<string, FailureStateEntry>} previousState
+ * @param {string} now - ISO datetime
+ * @param {number} repeatHours
+ * @returns {{ toAlert: ScrapeFailure[], state: Record<string, FailureStateEntry> }}
+ */
+function filterRepeatedFailures(failures, previousState, now, repeatHours) {
+  /** @type {ScrapeFailure[]} */
+  const toAlert = [];
+  /** @type {Record<string, FailureStateEntry>} */
+  const state = {};
+
+  for (const failure of failures) {
+    const key = `${failure.step}|${failure.category}`;
+    const previous = previousState[key];
+    const due = !previous
+      || Date.parse(now) - Date.parse(previous.lastAlertedAt) >= repeatHours * 60 * 60 * 1000;
+
+    if (due) toAlert.push(failure);
+    state[key] = {
+      step: failure.step,
+      category: failure.category,
+      firstSeenAt: previous?.firstSeenAt ?? now,
+      lastAlertedAt: due ? now : previous.lastAlertedAt,
+      count: (previous?.count ?? 0) + 1,
+    };
+  }
+
+  return { toAlert, state };
+}
+
+/**
+ * @param {string} dataDir
+ * @returns {Record<string, FailureStateEntry>}
+ */
+function loadFailureState(dataDir) {
+  const filePath = path.join(dataDir, FAILURE_STATE_FILE);
+  if (!fs.existsSync(filePath)) return {};
+  return JSON.parse(fs.readFileSync(filePath, "utf8"));
+}
+
+/**
+ * @param {string} dataDir
+ * @param {Record<string, FailureStateEntry>} state
+ * @returns {void}
+ */
+function saveFailureState(dataDir, state) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(path.join(dataDir, FAILURE_STATE_FILE), JSON.stringify(state, null, 2));
+}
+
+/**
+ * Point the alert at the failure bundle the scraper wrote, relative to the
+ * repo when it lives inside it.
+ * @param {string} bundleDir
+ * @returns {string}
+ */
+function formatDebugBundleAlert(bundleDir) {
+  const relative = path.relative(__dirname, bundleDir);
+  const shown = relative && !relative.startsWith("..") && !path.isAbsolute(relative) ? relative : bundleDir;
+  return formatAlert("DEBUG ARTIFACTS", [
+    `Screenshots, page HTML and console log: ${shown}`,
+    `See ${path.join(shown, "failure.json")} for the failing step.`,
+  ]);
+}
+
 /**
  * Keep only alert items that are new or textually changed compared with the
  * previous run.
@@ -228,24 +463,119 @@ function filterNewOrChangedItems(currentItems, previousItems) {
 // --- Change detection ---
 
 /**
- * @param {{ off: boolean, note?: string | null, start?: string | null, end?: string | null }} s
+ * Format a time-off request as "Annual Leave (Approved)" or, for partial days,
+ * "Annual Leave 15:00–19:00 (Submitted)".
+ * @param {{ name: string, statusLabel: string, partial?: boolean, start?: string | null, end?: string | null }} timeOff
+ * @returns {string}
+ */
+function formatTimeOff(timeOff) {
+  const times = timeOff.partial && timeOff.start && timeOff.end ? ` ${timeOff.start}–${timeOff.end}` : "";
+  return `${timeOff.name}${times} (${timeOff.statusLabel})`;
+}
+
+/**
+ * Format paycode edits as "Sick Pay 8:00, Holiday Pay 2:30".
+ * @param {Array<{ name: string, hours: number | null }>} payCodes
+ * @returns {string}
+ */
+function formatPayCodes(payCodes) {
+  return payCodes
+    .map((payCode) => {
+      if (payCode.hours === null || payCode.hours === undefined) return payCode.name;
+      const minutes = Math.round(payCode.hours * 60);
+      return `${payCode.name} ${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+    })
+    .join(", ");
+}
+
+/**
+ * Append paycode edits to a shift description. A note that only repeats a
+ * paycode name is replaced rather than duplicated.
+ * @param {string} text
+ * @param {Array<{ name: string, hours: number | null }> | null | undefined} payCodes
+ * @returns {string}
+ */
+function withPayCodes(text, payCodes) {
+  if (!payCodes || payCodes.length === 0) return text;
+  if (payCodes.some((payCode) => payCode.name === text)) return formatPayCodes(payCodes);
+  return `${text}, ${formatPayCodes(payCodes)}`;
+}
+
+/**
+ * @param {{ off: boolean, note?: string | null, start?: string | null, end?: string | null, endDate?: string, segments?: import("./website/shift-segments.js").StoredSegment[], timeOff?: object | null, payCodes?: Array<{ name: string, hours: number | null }> | null }} s
  * @returns {string}
  */
 function formatShift(s) {
-  if (s.off) return s.note || "Day Off";
+  if (s.off) return withPayCodes(s.timeOff ? formatTimeOff(s.timeOff) : s.note || "Day Off", s.payCodes);
   if (s.start && s.end) {
-    let text = `${s.start}–${s.end}`;
-    if (s.segments && s.segments.length > 1) {
-      const breakStart = s.segments[0].end;
-      const breakEnd = s.segments[1].start;
-      text += ` (break ${breakStart}–${breakEnd})`;
+    let text = `${s.start}–${s.end}${endsNextDay(s) ? " (+1)" : ""}`;
+    const breaks = listBreaks(s.segments);
+    if (breaks.length > 0) {
+      text += ` (${breaks.map((b) => `${b.paid ? "paid " : ""}${b.type} ${b.start}–${b.end}`).join(", ")})`;
     }
-    return text;
+    if (s.timeOff) {
+      text += `, ${formatTimeOff(s.timeOff)}`;
+    }
+    return withPayCodes(text, s.payCodes);
   }
   if (s.note) return s.note;
   return "No details";
 }
 
+/**
+ * Where a shift's segments are worked, e.g. "Deli" or "Deli (Store 123)".
+ * @param {Array<{ job?: string, orgPath?: string }>} segments
+ * @param {boolean} withStore
+ * @returns {string}
+ */
+function formatAssignments(segments, withStore) {
+  const labels = segments.map((seg) => {
+    const label = formatAssignment(seg);
+    const { store } = describeOrgPath(seg.orgPath);
+    return withStore && store ? `${label} (${store})` : label;
+  });
+  return [...new Set(labels)].join(" + ");
+}
+
+/**
+ * "Moved from Deli to Checkout" when a shift's jobs changed. Only shifts
+ * whose old and new segments both name a job are compared, so records
+ * stored before jobs were scraped don't all report a move.
+ * @param {Array<import("./website/shift-segments.js").StoredSegment & { job?: string, orgPath?: string }> | undefined} prevSegs
+ * @param {Array<import("./website/shift-segments.js").StoredSegment & { job?: string, orgPath?: string }> | undefined} newSegs
+ * @returns {string | null}
+ */
+function describeJobMove(prevSegs, newSegs) {
+  const prevJobs = (prevSegs ?? []).filter((seg) => seg.job && isWorkingSegment(seg));
+  const newJobs = (newSegs ?? []).filter((seg) => seg.job && isWorkingSegment(seg));
+  if (prevJobs.length === 0 || newJobs.length === 0) return null;
+
+  const stores = (/** @type {Array<{ orgPath?: string }>} */ segs) => segs.map((seg) => describeOrgPath(seg.orgPath).store).join("/");
+  const withStore = stores(prevJobs) !== stores(newJobs);
+  const was = formatAssignments(prevJobs, withStore);
+  const now = formatAssignments(newJobs, withStore);
+  if (was !== now) return `Moved from ${was} to ${now}`;
+  // Same departments, different job within one of them.
+  const jobs = (/** @type {Array<{ job?: string }>} */ segs) => [...new Set(segs.map((seg) => seg.job))].join(" + ");
+  return jobs(prevJobs) !== jobs(newJobs) ? `Moved from ${jobs(prevJobs)} to ${jobs(newJobs)}` : null;
+}
+
+/**
+ * Segment times and types to compare between two versions of a shift. Jobs
+ * are compared separately (describeJobMove). When the other version was
+ * stored before segment types were scraped, only worked time is compared:
+ * those records never had break or transfer segments.
+ * @param {import("./website/shift-segments.js").StoredSegment[]} segments
+ * @param {import("./website/shift-segments.js").StoredSegment[]} other
+ * @returns {string}
+ */
+function segmentLayout(segments, other) {
+  const typed = segments.some((seg) => seg.type) && other.some((seg) => seg.type);
+  return JSON.stringify(typed
+    ? segments.map((seg) => [seg.start, seg.end, seg.type, seg.paid])
+    : segments.filter((seg) => !seg.type || seg.type === "regular").map((seg) => [seg.start, seg.end]));
+}
+
 /**
  * @param {{ shifts: Array<{ date: string, day: string, start: string | null, end: string | null, off: boolean, note?: string | null }> } | null} oldData
  * @param {{ shifts: Array<{ date: string, day: string, start: string | null, end: string | null, off: boolean, note?: string | null }> }} newData
@@ -262,22 +592,220 @@ function detectScheduleChanges(oldData, newData) {
     const label = formatIsoDate(s.day, s.date);
     const prev = oldShifts[s.date];
     if (!prev) {
+      // Days that only carry a request are reported under TIME OFF / SHIFT SWAPS.
+      if (s.off && !s.payCodes && (s.timeOff || s.tradeRequests)) continue;
       changes.push(`${label} — New\n  ${formatShift(s)}`);
       continue;
     }
     const prevSegs = prev.segments;
     const newSegs = s.segments;
     const segmentsChanged = prevSegs && newSegs
-      ? JSON.stringify(prevSegs) !== JSON.stringify(newSegs)
+      ? segmentLayout(prevSegs, newSegs) !== segmentLayout(newSegs, prevSegs)
       : false;
-    if (prev.start !== s.start || prev.end !== s.end || prev.off !== s.off || segmentsChanged) {
-      changes.push(`${label} — Changed\n  Was: ${formatShift(prev)}\n  Now: ${formatShift(s)}`);
+    const payCodesChanged = JSON.stringify(prev.payCodes ?? null) !== JSON.stringify(s.payCodes ?? null);
+    const jobMove = s.off ? null : describeJobMove(prevSegs, newSegs);
+    const moveLine = jobMove ? `\n  ${jobMove}` : "";
+    if (prev.start !== s.start || prev.end !== s.end || prev.off !== s.off || segmentsChanged || payCodesChanged) {
+      changes.push(`${label} — Changed\n  Was: ${formatShift(prev)}\n  Now: ${formatShift(s)}${moveLine}`);
+    } else if (jobMove) {
+      changes.push(`${label} — Changed\n  ${formatShift(s)}${moveLine}`);
+    }
+  }
+
+  return changes.length > 0 ? changes : null;
+}
+
+/**
+ * Detect working shifts from the previous schedule that fall inside the new
+ * scrape's window but were not returned by it (deleted by a manager).
+ * @param {{ shifts: Array<{ date: string, day: string, start: string | null, end: string | null, off: boolean, note?: string | null }> } | null} oldData
+ * @param {{ window?: { start: string, end: string }, shifts: Array<{ date: string }> }} newData
+ * @returns {string[] | null}
+ */
+function detectCancelledShifts(oldData, newData) {
+  if (!oldData || !newData.window) return null;
+
+  const { start, end } = newData.window;
+  const newDates = new Set(newData.shifts.map((s) => s.date));
+
+  const cancelled = [];
+  for (const s of oldData.shifts) {
+    if (s.off || s.date < start || s.date > end || newDates.has(s.date)) continue;
+    const label = formatIsoDate(s.day, s.date);
+    cancelled.push(`${label} — Cancelled\n  Was: ${formatShift(s)}`);
+  }
+
+  return cancelled.length > 0 ? cancelled : null;
+}
+
+/**
+ * Report time-off requests that are new, changed status, or were withdrawn
+ * since the previous schedule. Consecutive dates of the same request with the
+ * same change are reported once as a date range.
+ * @param {{ shifts: Array<{ date: string, day: string, timeOff?: { requestId?: string | number | null, name: string, status: string, statusLabel: string } | null }> } | null} oldData
+ * @param {{ window?: { start: string, end: string }, shifts: Array<{ date: string, day: string, timeOff?: { requestId?: string | number | null, name: string, status: string, statusLabel: string } | null }> }} newData
+ * @returns {string[] | null}
+ */
+function detectTimeOffChanges(oldData, newData) {
+  if (!oldData) return null;
+
+  const oldShifts = {};
+  for (const s of oldData.shifts) oldShifts[s.date] = s;
+  const newShifts = {};
+  for (const s of newData.shifts) newShifts[s.date] = s;
+
+  const isSameRequest = (a, b) => (a.requestId != null && b.requestId != null
+    ? a.requestId === b.requestId
+    : a.name === b.name);
+
+  /** @type {Map<string, { name: string, detail: string, days: Array<{ date: string, day: string }> }>} */
+  const groups = new Map();
+  const add = (timeOff, detail, s) => {
+    const key = `${timeOff.requestId ?? timeOff.name}|${detail}`;
+    if (!groups.has(key)) groups.set(key, { name: timeOff.name, detail, days: [] });
+    groups.get(key).days.push({ date: s.date, day: s.day });
+  };
+
+  const dates = [...new Set([...Object.keys(oldShifts), ...Object.keys(newShifts)])].sort();
+  for (const date of dates) {
+    const prev = oldShifts[date]?.timeOff ?? null;
+    const next = newShifts[date]?.timeOff ?? null;
+
+    if (!newShifts[date]) {
+      const inWindow = newData.window && date >= newData.window.start && date <= newData.window.end;
+      if (prev && inWindow) add(prev, `Withdrawn (was ${prev.statusLabel})`, oldShifts[date]);
+      continue;
+    }
+
+    if (next && (!prev || !isSameRequest(prev, next))) {
+      add(next, `New request (${next.statusLabel})`, newShifts[date]);
+    } else if (next && prev.status !== next.status) {
+      add(next, `${prev.statusLabel} → ${next.statusLabel}`, newShifts[date]);
+    } else if (!next && prev) {
+      add(prev, `Withdrawn (was ${prev.statusLabel})`, newShifts[date]);
+    }
+  }
+
+  const changes = [];
+  for (const group of groups.values()) {
+    const first = group.days[0];
+    const last = group.days[group.days.length - 1];
+    const label = first.date === last.date
+      ? formatIsoDate(first.day, first.date)
+      : `${formatIsoDate(first.day, first.date)} – ${formatIsoDate(last.day, last.date)}`;
+    changes.push(`${label} — ${group.name}\n  ${group.detail}`);
+  }
+
+  return changes.length > 0 ? changes : null;
+}
+
+/**
+ * Format a swap/cover request as "Swap with Anna Byrne" or "Cover request".
+ * @param {{ type: string, counterpart?: string | null }} tradeRequest
+ * @returns {string}
+ */
+function formatTradeRequest(tradeRequest) {
+  const type = tradeRequest.type === "cover" ? "Cover" : "Swap";
+  return tradeRequest.counterpart ? `${type} with ${tradeRequest.counterpart}` : `${type} request`;
+}
+
+/**
+ * Report swap and cover requests that are new, changed status, or are no
+ * longer returned for a date the new scrape still covers.
+ * @param {{ shifts: Array<{ date: string, day: string, tradeRequests?: Array<{ requestId?: string | number | null, type: string, counterpart?: string | null, status: string, statusLabel: string }> | null }> } | null} oldData
+ * @param {{ window?: { start: string, end: string }, shifts: Array<{ date: string, day: string, tradeRequests?: Array<{ requestId?: string | number | null, type: string, counterpart?: string | null, status: string, statusLabel: string }> | null }> }} newData
+ * @returns {string[] | null}
+ */
+function detectTradeRequestChanges(oldData, newData) {
+  if (!oldData) return null;
+
+  const requestKey = (r) => (r.requestId != null ? `id:${r.requestId}` : `${r.type}|${r.counterpart ?? ""}`);
+  const oldShifts = {};
+  for (const s of oldData.shifts) oldShifts[s.date] = s;
+  const newShifts = {};
+  for (const s of newData.shifts) newShifts[s.date] = s;
+
+  const changes = [];
+  const dates = [...new Set([...Object.keys(oldShifts), ...Object.keys(newShifts)])].sort();
+  for (const date of dates) {
+    const shift = newShifts[date] ?? oldShifts[date];
+    const covered = Boolean(newShifts[date])
+      || Boolean(newData.window && date >= newData.window.start && date <= newData.window.end);
+    if (!covered) continue;
+
+    const previous = new Map((oldShifts[date]?.tradeRequests ?? []).map((r) => [requestKey(r), r]));
+    const current = newShifts[date]?.tradeRequests ?? [];
+    const label = formatIsoDate(shift.day, date);
+
+    for (const request of current) {
+      const prev = previous.get(requestKey(request));
+      previous.delete(requestKey(request));
+      if (!prev) {
+        changes.push(`${label} — ${formatTradeRequest(request)}\n  New request (${request.statusLabel})`);
+      } else if (prev.status !== request.status) {
+        changes.push(`${label} — ${formatTradeRequest(request)}\n  ${prev.statusLabel} → ${request.statusLabel}`);
+      }
+    }
+    for (const prev of previous.values()) {
+      changes.push(`${label} — ${formatTradeRequest(prev)}\n  Withdrawn (was ${prev.statusLabel})`);
     }
   }
 
   return changes.length > 0 ? changes : null;
 }
 
+/**
+ * Check an open shift against the `openShifts` preferences in config.json.
+ * Missing preferences match anything. `latestEnd` is a same-day limit, so a
+ * shift that ends the next morning never meets it.
+ * @param {{ day: string, start: string, end: string, endDate?: string }} openShift
+ * @param {{ days?: string[], earliestStart?: string, latestEnd?: string, minHours?: number } | undefined} preferences
+ * @returns {boolean}
+ */
+function matchesOpenShiftPreferences(openShift, preferences) {
+  if (!preferences) return true;
+
+  const start = parseTime(openShift.start);
+  const end = parseTime(openShift.end);
+  if (start === null || end === null) return false;
+
+  if (Array.isArray(preferences.days) && preferences.days.length > 0 && !preferences.days.includes(openShift.day)) {
+    return false;
+  }
+  const earliestStart = parseTime(preferences.earliestStart);
+  if (earliestStart !== null && start < earliestStart) return false;
+  const latestEnd = parseTime(preferences.latestEnd);
+  if (latestEnd !== null && (end > latestEnd || endsNextDay(openShift))) return false;
+  if (typeof preferences.minHours === "number" && minutesUntil(start, end) < preferences.minHours * 60) return false;
+
+  return true;
+}
+
+/**
+ * Report open shifts that were not offered in the previous scrape and match
+ * the configured preferences.
+ * @param {{ openShifts: Array<{ id?: string | number | null, date: string, day: string, start: string, end: string, job?: string | null }> } | null} oldData
+ * @param {Array<{ id?: string | number | null, date: string, day: string, start: string, end: string, job?: string | null, location?: string | null }> | undefined} openShifts
+ * @param {{ days?: string[], earliestStart?: string, latestEnd?: string, minHours?: number }} [preferences]
+ * @returns {string[] | null}
+ */
+function detectNewOpenShifts(oldData, openShifts, preferences) {
+  if (!openShifts) return null;
+
+  const knownKeys = new Set((oldData?.openShifts ?? []).map(openShiftKey));
+  const items = [];
+  for (const openShift of openShifts) {
+    if (knownKeys.has(openShiftKey(openShift))) continue;
+    if (!matchesOpenShiftPreferences(openShift, preferences)) continue;
+
+    const label = formatIsoDate(openShift.day, openShift.date);
+    const where = [openShift.job, openShift.location].filter(Boolean).join(", ");
+    items.push(`${label} — ${openShift.start}–${openShift.end}${where ? `\n  ${where}` : ""}`);
+  }
+
+  return items.length > 0 ? items : null;
+}
+
 /**
  * @param {string | null | undefined} str
  * @returns {number | null}
@@ -341,14 +869,16 @@ function hasClockOut(entry) {
  * A new current-day timecard with only an on-time clock-in is expected while
  * the shift is still in progress, so it should not generate a change alert.
  * @param {Record<string, string | null | undefined>} entry
- * @param {{ date?: string, start: string | null, end: string | null, off: boolean } | undefined} shift
+ * @param {{ date?: string, start: string | null, end: string | null, endDate?: string, off: boolean } | undefined} shift
  * @param {Date} now
  * @param {number} thresholdMinutes
+ * @param {string} [timeZone]
  * @returns {boolean}
  */
-function isExpectedInProgressTimecard(entry, shift, now, thresholdMinutes) {
+function isExpectedInProgressTimecard(entry, shift, now, thresholdMinutes, timeZone = DEFAULT_TIME_ZONE) {
   if (!shift || shift.off || !shift.date || !shift.start || !shift.end) return false;
-  if (shift.date !== now.toISOString().slice(0, 10)) return false;
+  const nowIso = isoDateInZone(now, timeZone);
+  if (shift.date !== nowIso && shift.endDate !== nowIso) return false;
   if (!entry.clockIn1 || hasClockOut(entry) || hasCompleteClockPair(entry)) return false;
   if (entry.absence || entry.payCode || entry.amount || entry.shiftTotal || entry.dailyTotal) return false;
 
@@ -357,34 +887,37 @@ function isExpectedInProgressTimecard(entry, shift, now, thresholdMinutes) {
   const scheduledEnd = parseTime(shift.end);
   if (clockIn === null || scheduledStart === null || scheduledEnd === null) return false;
 
-  const nowMinutes = now.getHours() * 60 + now.getMinutes();
-  return Math.abs(clockIn - scheduledStart) <= thresholdMinutes
-    && nowMinutes <= scheduledEnd + thresholdMinutes;
+  // Count from midnight of the day the shift starts, so a night shift ends past 24:00.
+  const nowMinutes = minutesInZone(now, timeZone) + (shift.date === nowIso ? 0 : MINUTES_PER_DAY);
+  return clockDistance(clockIn, scheduledStart) <= thresholdMinutes
+    && nowMinutes <= scheduledStart + minutesUntil(scheduledStart, scheduledEnd) + thresholdMinutes;
 }
 
 /**
- * @param {{ shifts: Array<{ date: string, day: string, start: string | null, end: string | null, off: boolean }> } | null} scheduleData
+ * @param {{ shifts: Array<{ date: string, day: string, start: string | null, end: string | null, endDate?: string, off: boolean }> } | null} scheduleData
  * @param {{ entries: Array<{ date: string, day: string, clockIn1?: string | null, clockOut1?: string | null }> } | null} timecardData
  * @param {string} [dateOverride]
  * @param {string | Date} [nowOverride]
+ * @param {string} [timeZone] - Zone "today" and the current time are read in
  * @returns {string[] | null}
  */
-function detectTimecardDiscrepancy(scheduleData, timecardData, dateOverride, nowOverride) {
+function detectTimecardDiscrepancy(scheduleData, timecardData, dateOverride, nowOverride, timeZone = DEFAULT_TIME_ZONE) {
   if (!scheduleData || !timecardData) return null;
 
   const now = nowOverride instanceof Date ? nowOverride : (nowOverride ? new Date(nowOverride) : new Date());
-  const d = dateOverride ? new Date(dateOverride + "T00:00:00") : now;
-  const todayStr = d.toISOString().slice(0, 10);
-  const todayShift = scheduleData.shifts.find((s) => s.date === todayStr && !s.off);
+  const nowIso = isoDateInZone(now, timeZone);
+  const todayStr = dateOverride ?? nowIso;
+  // A night shift that started yesterday is today's until it has ended.
+  const todayShift = scheduleData.shifts.find((s) => s.date === todayStr && !s.off)
+    ?? scheduleData.shifts.find((s) => s.endDate === todayStr && !s.off);
   if (!todayShift) return null;
 
-  // Timecard dates are DD/MM format — match against today
-  const ddmm = `${String(d.getDate()).padStart(2, "0")}/${String(d.getMonth() + 1).padStart(2, "0")}`;
+  // Timecard dates are DD/MM format — UKG files a shift's punches under the day it starts
+  const ddmm = isoToDdmm(todayShift.date);
   const todayEntry = timecardData.entries.find((e) => e.date === ddmm);
 
   const lines = [];
   const THRESHOLD = 50;
-  const nowIso = now.toISOString().slice(0, 10);
   let finalClockOut = null;
   if (todayEntry) {
     for (let i = 1; i <= 10; i += 1) {
@@ -392,9 +925,9 @@ function detectTimecardDiscrepancy(scheduleData, timecardData, dateOverride, now
     }
   }
 
-  if (!todayEntry?.clockIn1 && todayShift.start && todayStr === nowIso) {
+  if (!todayEntry?.clockIn1 && todayShift.start && (todayShift.date === nowIso || todayShift.endDate === nowIso)) {
     const scheduledStart = parseTime(todayShift.start);
-    const nowMinutes = now.getHours() * 60 + now.getMinutes();
+    const nowMinutes = minutesInZone(now, timeZone) + (todayShift.date === nowIso ? 0 : MINUTES_PER_DAY);
     if (scheduledStart !== null) {
       const diff = nowMinutes - scheduledStart;
       if (diff > THRESHOLD) {
@@ -404,14 +937,14 @@ function detectTimecardDiscrepancy(scheduleData, timecardData, dateOverride, now
   }
 
   if (todayEntry?.clockIn1 && todayShift.start) {
-    const diff = Math.abs(parseTime(todayEntry.clockIn1) - parseTime(todayShift.start));
+    const diff = clockDistance(parseTime(todayEntry.clockIn1), parseTime(todayShift.start));
     if (diff > THRESHOLD) {
       lines.push(`  Clock In:  ${todayEntry.clockIn1} (scheduled ${todayShift.start}, ${diff} min off)`);
     }
   }
 
   if (finalClockOut && todayShift.end) {
-    const diff = Math.abs(parseTime(finalClockOut) - parseTime(todayShift.end));
+    const diff = clockDistance(parseTime(finalClockOut), parseTime(todayShift.end));
     if (diff > THRESHOLD) {
       lines.push(`  Clock Out: ${finalClockOut} (scheduled ${todayShift.end}, ${diff} min off)`);
     }
@@ -419,7 +952,7 @@ function detectTimecardDiscrepancy(scheduleData, timecardData, dateOverride, now
 
   if (lines.length === 0) return null;
 
-  const label = formatIsoDate(todayShift.day, todayStr);
+  const label = formatIsoDate(todayShift.day, todayShift.date);
   return [`${label}\n${lines.join("\n")}`];
 }
 
@@ -428,9 +961,10 @@ function detectTimecardDiscrepancy(scheduleData, timecardData, dateOverride, now
  * @param {{ entries: Array<Record<string, string | null>> }} newData
  * @param {{ shifts: Array<{ date: string, day: string, start: string | null, end: string | null, off: boolean }> }} [scheduleData]
  * @param {string | Date} [nowOverride]
+ * @param {string} [timeZone]
  * @returns {string[] | null}
  */
-function detectTimecardChanges(oldData, newData, scheduleData, nowOverride) {
+function detectTimecardChanges(oldData, newData, scheduleData, nowOverride, timeZone = DEFAULT_TIME_ZONE) {
   if (!oldData) return null;
 
   const now = nowOverride instanceof Date ? nowOverride : (nowOverride ? new Date(nowOverride) : new Date());
@@ -440,7 +974,7 @@ function detectTimecardChanges(oldData, newData, scheduleData, nowOverride) {
   for (const e of oldData.entries) oldEntries[e.date] = e;
 
   // Build DD/MM → shift lookup from schedule data
-  /** @type {Record<string, { date: string, start: string | null, end: string | null, off: boolean }>} */
+  /** @type {Record<string, { date: string, start: string | null, end: string | null, endDate?: string, off: boolean }>} */
   const shiftByDdmm = {};
   if (scheduleData) {
     for (const s of scheduleData.shifts) {
@@ -468,13 +1002,13 @@ function detectTimecardChanges(oldData, newData, scheduleData, nowOverride) {
           const hasCompletePair = hasCompleteClockPair(e);
           const isOff = !shift || shift.off;
           if (isOff && !hasCompletePair) continue;
-          if (isExpectedInProgressTimecard(e, shift, now, THRESHOLD)) continue;
+          if (isExpectedInProgressTimecard(e, shift, now, THRESHOLD, timeZone)) continue;
           if (shift && !shift.off && shift.start && shift.end) {
             const inDiff = parseTime(e.clockIn1) !== null && parseTime(shift.start) !== null
-              ? Math.abs(parseTime(e.clockIn1) - parseTime(shift.start))
+              ? clockDistance(parseTime(e.clockIn1), parseTime(shift.start))
               : Infinity;
             const outDiff = parseTime(e.clockOut1) !== null && parseTime(shift.end) !== null
-              ? Math.abs(parseTime(e.clockOut1) - parseTime(shift.end))
+              ? clockDistance(parseTime(e.clockOut1), parseTime(shift.end))
               : Infinity;
             if (inDiff <= THRESHOLD && outDiff <= THRESHOLD) continue;
           }
@@ -518,12 +1052,13 @@ function detectTimecardChanges(oldData, newData, scheduleData, nowOverride) {
  * @param {{ shifts: Array<{ date: string, day: string, start: string | null, end: string | null, off: boolean, note?: string | null }> } | null} scheduleData
  * @param {{ entries: Array<Record<string, string | null | undefined>> } | null} timecardData
  * @param {string} [todayIso]
+ * @param {string} [timeZone] - Zone of "today" when `todayIso` is not given
  * @returns {string[] | null}
  */
-function detectMissingTimecardEntries(scheduleData, timecardData, todayIso) {
+function detectMissingTimecardEntries(scheduleData, timecardData, todayIso, timeZone = DEFAULT_TIME_ZONE) {
   if (!scheduleData || !timecardData) return null;
 
-  const cutoffIso = todayIso ?? new Date().toISOString().slice(0, 10);
+  const cutoffIso = todayIso ?? today(timeZone);
   const entryByDdmm = {};
   for (const entry of timecardData.entries) {
     if (typeof entry.date === "string") {
@@ -555,22 +1090,23 @@ function detectMissingTimecardEntries(scheduleData, timecardData, todayIso) {
  * Accept either the raw clock total or the break-adjusted total, and ignore
  * 1-minute drift to avoid noisy alerts from UKG rounding/edit metadata.
  * @param {{ entries: Array<Record<string, string | null>> } | null} timecardData
- * @param {Record<string, {start: string, end: string}[]>} [breakCache] - date → segments for dates with scheduled breaks
+ * @param {Record<string, import("./website/shift-segments.js").StoredSegment[]>} [breakCache] - date → segments for dates with scheduled breaks
+ * @param {string} [timeZone]
  * @returns {string[] | null}
  */
-function detectTotalMismatch(timecardData, breakCache) {
+function detectTotalMismatch(timecardData, breakCache, timeZone = DEFAULT_TIME_ZONE) {
   if (!timecardData) return null;
 
   const mismatches = [];
   const TOLERANCE_MINUTES = 1;
+  const year = today(timeZone).slice(0, 4);
   for (const e of timecardData.entries) {
     // Convert DD/MM to YYYY-MM-DD for cache lookup (assume current year)
     const [dd, mm] = (e.date || "").split("/");
-    const year = new Date().getFullYear();
     const isoDate = dd && mm ? `${year}-${mm}-${dd}` : "";
-    const hasScheduledBreak = !!(breakCache && breakCache[isoDate]);
+    const breakMinutes = paidBreakMinutes(breakCache?.[isoDate]);
     const rawTotal = calculateDailyTotal(e);
-    const adjustedTotal = hasScheduledBreak ? calculateDailyTotal(e, true) : rawTotal;
+    const adjustedTotal = breakMinutes > 0 ? calculateDailyTotal(e, breakMinutes) : rawTotal;
     if (!rawTotal || !e.dailyTotal) continue;
 
     const reportedMinutes = parseTime(e.dailyTotal);
@@ -596,7 +1132,88 @@ function detectTotalMismatch(timecardData, breakCache) {
 
 // --- Email ---
 
-async function sendEmail(config, subject, body) {
+/**
+ * @typedef {Object} PlannedEmail
+ * @property {string[]} to
+ * @property {string} subject
+ * @property {string} body
+ */
+
+/**
+ * Recipients from an `email.to` that may be one address or a list.
+ * @param {unknown} to
+ * @returns {string[]}
+ */
+function toRecipientList(to) {
+  if (!to) return [];
+  return (Array.isArray(to) ? to : [to]).map(String);
+}
+
+/**
+ * Short subject fragments for a run's alerts, in a fixed order.
+ * @param {string[]} alerts
+ * @returns {string[]}
+ */
+function summarizeAlerts(alerts) {
+  const subjects = [];
+  if (alerts.some((a) => a.startsWith("SCHEDULE"))) subjects.push("Schedule changed");
+  if (alerts.some((a) => a.startsWith("SHIFTS CANCELLED"))) subjects.push("Shift cancelled");
+  if (alerts.some((a) => a.startsWith("TIME OFF"))) subjects.push("Time off updated");
+  if (alerts.some((a) => a.startsWith("SHIFT SWAPS"))) subjects.push("Swap/cover updated");
+  if (alerts.some((a) => a.startsWith("OPEN SHIFTS"))) subjects.push("Open shift available");
+  if (alerts.some((a) => a.startsWith("TIMECARD vs"))) subjects.push("Timecard mismatch");
+  if (alerts.some((a) => a.startsWith("TIMECARD CHANGES"))) subjects.push("Timecard changed");
+  if (alerts.some((a) => a.startsWith("TIMECARD MISSING"))) subjects.push("Timecard missing");
+  if (alerts.some((a) => a.startsWith("TIMECARD TOTAL"))) subjects.push("Total mismatch");
+  if (alerts.some((a) => a.startsWith("LOGIN BLOCKED"))) subjects.push("Login blocked, action needed");
+  if (alerts.some((a) => a.startsWith("SCRAPER FAILED"))) subjects.push("Scraper error");
+  return subjects;
+}
+
+/**
+ * Turn each account's alerts into the emails to send. `email.mode` "combined"
+ * (the default) sends one email, a section per person, to everyone's
+ * recipients; "per-account" sends each person only their own alerts.
+ * @param {import("./ukg-config.js").UkgConfig} config
+ * @param {AccountRunResult[]} results
+ * @param {string} date
+ * @returns {PlannedEmail[]}
+ */
+function planEmails(config, results, date) {
+  const withAlerts = results.filter((result) => result.alerts.length > 0);
+  if (withAlerts.length === 0) return [];
+
+  const header = `UKG Daily Run — ${date}\n${"=".repeat(40)}\n\n`;
+  /** @param {AccountRunResult} result */
+  const section = (result) => (result.name ? `${result.name}\n${"-".repeat(result.name.length)}\n\n` : "") + result.alerts.join("\n\n");
+  /** @param {AccountRunResult} result */
+  const summary = (result) => {
+    const subjects = summarizeAlerts(result.alerts).join(", ") || "Changes detected";
+    return result.name ? `${result.name}: ${subjects}` : subjects;
+  };
+
+  if (config.email?.mode === "per-account") {
+    return withAlerts.map((result) => ({
+      to: toRecipientList(result.recipients),
+      subject: `UKG Alert: ${summary(result)}`,
+      body: `${header}${section(result)}\n`,
+    }));
+  }
+
+  return [{
+    to: [...new Set([toRecipientList(config.email?.to), ...results.map((result) => toRecipientList(result.recipients))].flat())],
+    subject: `UKG Alert: ${withAlerts.map(summary).join("; ")}`,
+    body: `${header}${withAlerts.map(section).join("\n\n")}\n`,
+  }];
+}
+
+/**
+ * Send one planned email through Gmail SMTP with the top-level sender.
+ * @param {import("./ukg-config.js").UkgConfig} config
+ * @param {PlannedEmail} email
+ * @returns {Promise<void>}
+ */
+async function sendEmail(config, email) {
   const transport = nodemailer.createTransport({
     host: "smtp.gmail.com",
     port: 587,
@@ -612,72 +1229,153 @@ async function sendEmail(config, subject, body) {
 
   await transport.sendMail({
     from: config.email.from,
-    to: config.email.to,
-    subject,
-    text: body,
+    to: email.to,
+    subject: email.subject,
+    text: email.body,
   });
 
-  log(`Email sent: ${subject}`);
+  log(`Email sent to ${email.to.join(", ")}: ${email.subject}`);
 }
 
 // --- Main ---
 
-async function main() {
-  const dryRun = process.argv.includes("--dry-run");
-  if (dryRun) log("DRY RUN — no files saved, no email sent");
+/**
+ * @typedef {Object} DailyRunOptions
+ * @property {string} [configPath]
+ * @property {string} [dataDir]
+ * @property {boolean} [dryRun] - Scrape and compare, but save nothing and send no email
+ * @property {string[]} [accounts] - Only run these account ids
+ */
+
+/**
+ * @typedef {Object} AccountRunResult
+ * @property {string} id
+ * @property {string} name - Empty for a single-account config
+ * @property {unknown} recipients - The account's `email.to`
+ * @property {string[]} alerts
+ */
 
-  const config = loadConfig();
-  const date = today();
+/**
+ * @typedef {Object} DailyRunResult
+ * @property {string} date
+ * @property {string[]} alerts - Every account's alerts
+ * @property {string | null} subject - Subject of the first email, null when nothing changed
+ * @property {boolean} emailed - Every planned email was sent
+ * @property {AccountRunResult[]} accounts
+ * @property {(PlannedEmail & { sent: boolean })[]} emails
+ */
+
+/**
+ * Scrape one account, update its day store and return its alerts.
+ * @param {import("./ukg-config.js").AccountProfile} account
+ * @param {{ configPath: string, dataDir: string, dryRun: boolean, date: string }} paths
+ * @returns {Promise<string[]>}
+ */
+async function runAccount(account, paths) {
+  const { config, dataDir } = account;
+  const { dryRun, date } = paths;
+  const { timeZone } = resolveTenantProfile(config);
+  const credentials = loadCredentials(config, { envPrefix: account.envPrefix });
+  if (!credentials) {
+    throw new Error(`No UKG credentials${account.name ? ` for ${account.name}` : ""}. ${CREDENTIALS_HINT}.`);
+  }
   const alerts = [];
 
   // Load previous data before overwriting
-  const prevSchedule = buildScheduleDataFromStore(DATA_DIR);
-  const prevTimecard = buildTimecardDataFromStore(DATA_DIR);
+  const prevSchedule = buildScheduleDataFromStore(dataDir);
+  const prevTimecard = buildTimecardDataFromStore(dataDir);
   const prevBreakCache = prevSchedule ? mergeBreakSegments({}, prevSchedule) : {};
+  const prevOpenShifts = loadOpenShiftData(dataDir);
 
   // Run unified scraper (single login, parallel scrapes)
   log("Running scrapers...");
   let scheduleData;
   let timecardData;
   let storeChanged = false;
+  /** @type {ScrapeFailure[]} */
+  const failures = [];
+  /** @type {string | null} */
+  let debugBundle = null;
   try {
-    const result = runScrapers(config);
+    const result = runScrapers(credentials, {
+      configPath: paths.configPath,
+      dataDir: paths.dataDir,
+      // Only a config with `accounts` knows account ids; the single unnamed account has none.
+      account: account.name ? account.id : undefined,
+      envPrefix: account.envPrefix,
+      dryRun,
+    });
+
+    for (const failure of result.errors) {
+      log(`${failure.step} failed (${failure.category}): ${failure.message}`);
+      failures.push(failure);
+    }
 
-    for (const err of result.errors) {
-      log(err);
-      alerts.push(err);
+    if (result.debugBundle) {
+      log(`Debug bundle: ${result.debugBundle}`);
+      debugBundle = result.debugBundle;
     }
 
     if (result.schedule) {
       scheduleData = result.schedule;
       if (!dryRun) {
-        const persisted = persistScheduleData(DATA_DIR, scheduleData);
-        log(`Schedule stored: ${persisted.changedDates.length} day(s) updated`);
+        const persisted = persistScheduleData(dataDir, scheduleData);
+        log(`Schedule stored: ${persisted.changedDates.length} day(s) updated, ${persisted.removedDates.length} removed`);
         storeChanged = true;
+
+        if (scheduleData.openShifts) {
+          const openShiftsPersisted = persistOpenShiftData(dataDir, scheduleData);
+          log(`Open shifts stored: ${scheduleData.openShifts.length} offered, ${openShiftsPersisted.newKeys.length} new`);
+        }
       }
     }
 
     if (result.timecard) {
       timecardData = result.timecard;
       if (!dryRun) {
-        const persisted = persistTimecardData(DATA_DIR, timecardData);
+        const persisted = persistTimecardData(dataDir, timecardData, timeZone);
         log(`Timecard stored: ${persisted.changedDates.length} day(s) updated`);
         storeChanged = true;
       }
     }
 
     if (!dryRun && storeChanged) {
-      const indexPath = writeDayIndex(DATA_DIR);
+      const indexPath = writeDayIndex(dataDir, { timeZone });
       log(`Day index saved: ${path.relative(__dirname, indexPath)}`);
     }
   } catch (err) {
     log(`Scraper failed: ${err.message}`);
-    alerts.push("Scraper FAILED:\n  " + err.message);
+    failures.push({ step: "scrape", category: classifyError(err), message: err.message, attempts: 1 });
+  }
+
+  const { toAlert, state: failureState } = filterRepeatedFailures(
+    failures,
+    loadFailureState(dataDir),
+    new Date().toISOString(),
+    config.alerts?.failureRepeatHours ?? DEFAULT_FAILURE_REPEAT_HOURS
+  );
+  if (failures.length > toAlert.length) {
+    log(`Suppressed ${failures.length - toAlert.length} repeated scraper failure(s)`);
+  }
+  const credentialFailures = toAlert.filter((failure) => failure.category === "bad-credentials");
+  const otherFailures = toAlert.filter((failure) => failure.category !== "bad-credentials");
+  if (credentialFailures.length > 0) {
+    alerts.push(formatCredentialsAlert(credentialFailures, loadCredentialsFlag(dataDir), getCredentialsFlagPath(dataDir)));
+  }
+  if (otherFailures.length > 0) {
+    alerts.push(formatFailureAlert(otherFailures));
+    if (debugBundle) alerts.push(formatDebugBundleAlert(debugBundle));
+  }
+  if (!dryRun) saveFailureState(dataDir, failureState);
+
+  if (!dryRun) {
+    const pruned = pruneDebugBundles(dataDir, { keep: config.debug?.keepBundles ?? DEFAULT_DEBUG_BUNDLES_KEPT });
+    if (pruned.length > 0) log(`Pruned ${pruned.length} old debug bundle(s)`);
   }
 
   // Build break segments from stored day files and merge in the current scrape
   const breakWindowStart = addIsoDays(date, -30);
-  let breakCache = buildBreakSegmentsFromStore(DATA_DIR, { from: breakWindowStart, to: date });
+  let breakCache = buildBreakSegmentsFromStore(dataDir, { from: breakWindowStart, to: date });
   if (scheduleData) {
     breakCache = mergeBreakSegments(breakCache, scheduleData);
   }
@@ -688,71 +1386,152 @@ async function main() {
     if (scheduleChanges) {
       alerts.push(formatAlert("SCHEDULE CHANGES", scheduleChanges));
     }
+
+    const cancelledShifts = detectCancelledShifts(prevSchedule, scheduleData);
+    if (cancelledShifts) {
+      alerts.push(formatAlert("SHIFTS CANCELLED", cancelledShifts));
+    }
+
+    const timeOffChanges = detectTimeOffChanges(prevSchedule, scheduleData);
+    if (timeOffChanges) {
+      alerts.push(formatAlert("TIME OFF", timeOffChanges));
+    }
+
+    const tradeRequestChanges = detectTradeRequestChanges(prevSchedule, scheduleData);
+    if (tradeRequestChanges) {
+      alerts.push(formatAlert("SHIFT SWAPS", tradeRequestChanges));
+    }
+
+    const newOpenShifts = detectNewOpenShifts(prevOpenShifts, scheduleData.openShifts, config.openShifts);
+    if (newOpenShifts) {
+      alerts.push(formatAlert("OPEN SHIFTS", newOpenShifts));
+    }
   }
 
   if (timecardData && scheduleData) {
-    const discrepancy = detectTimecardDiscrepancy(scheduleData, timecardData);
+    const discrepancy = detectTimecardDiscrepancy(scheduleData, timecardData, undefined, undefined, timeZone);
     if (discrepancy) {
       alerts.push(formatAlert("TIMECARD vs SCHEDULE MISMATCH", discrepancy));
     }
   }
 
   if (timecardData) {
-    const timecardChanges = detectTimecardChanges(prevTimecard, timecardData, scheduleData);
+    const timecardChanges = detectTimecardChanges(prevTimecard, timecardData, scheduleData, undefined, timeZone);
     if (timecardChanges) {
       alerts.push(formatAlert("TIMECARD CHANGES", timecardChanges));
     }
 
-    const missingTimecard = detectMissingTimecardEntries(scheduleData, timecardData, date);
+    const missingTimecard = detectMissingTimecardEntries(scheduleData, timecardData, date, timeZone);
     if (missingTimecard) {
       alerts.push(formatAlert("TIMECARD MISSING", missingTimecard));
     }
 
     const totalMismatch = filterNewOrChangedItems(
-      detectTotalMismatch(timecardData, breakCache),
-      detectTotalMismatch(prevTimecard, prevBreakCache)
+      detectTotalMismatch(timecardData, breakCache, timeZone),
+      detectTotalMismatch(prevTimecard, prevBreakCache, timeZone)
     );
     if (totalMismatch) {
       alerts.push(formatAlert("TIMECARD TOTAL MISMATCH", totalMismatch));
     }
   }
 
-  // Send email if there are alerts
-  if (alerts.length > 0) {
-    const subjects = [];
-    if (alerts.some((a) => a.startsWith("SCHEDULE"))) subjects.push("Schedule changed");
-    if (alerts.some((a) => a.startsWith("TIMECARD vs"))) subjects.push("Timecard mismatch");
-    if (alerts.some((a) => a.startsWith("TIMECARD CHANGES"))) subjects.push("Timecard changed");
-    if (alerts.some((a) => a.startsWith("TIMECARD MISSING"))) subjects.push("Timecard missing");
-    if (alerts.some((a) => a.startsWith("TIMECARD TOTAL"))) subjects.push("Total mismatch");
-    if (alerts.some((a) => a.includes("FAILED"))) subjects.push("Scraper error");
+  return alerts;
+}
 
-    const subject = `UKG Alert: ${subjects.join(", ") || "Changes detected"}`;
-    const body = `UKG Daily Run — ${date}\n${"=".repeat(40)}\n\n${alerts.join("\n\n")}\n`;
+/**
+ * Scrape every configured account in turn (each in its own scraper process
+ * and browser), store, compare against the previous run and email any alerts.
+ * @param {DailyRunOptions} [options]
+ * @returns {Promise<DailyRunResult>}
+ */
+async function runDaily(options = {}) {
+  const configPath = options.configPath ?? DEFAULT_CONFIG_PATH;
+  const dataDir = options.dataDir ?? DEFAULT_DATA_DIR;
+  const dryRun = Boolean(options.dryRun);
+  if (dryRun) log("DRY RUN — no files saved, no email sent");
 
-    log(`--- EMAIL PREVIEW ---\nSubject: ${subject}\n\n${body}--- END PREVIEW ---`);
+  const config = loadConfig(configPath, { required: true });
+  const accounts = resolveAccounts(config, dataDir)
+    .filter((account) => !options.accounts || options.accounts.includes(account.id));
+  if (accounts.length === 0) {
+    throw new Error(`No configured account matches ${options.accounts?.join(", ")}`);
+  }
+  const date = today(resolveTenantProfile(config).timeZone);
+
+  /** @type {AccountRunResult[]} */
+  const results = [];
+  for (const account of accounts) {
+    if (account.name) log(`=== ${account.name} ===`);
+    /** @type {string[]} */
+    let alerts;
+    try {
+      // Each account can be in its own tenant, so its "today" is taken in its zone.
+      const accountDate = today(resolveTenantProfile(account.config).timeZone);
+      alerts = await runAccount(account, { configPath, dataDir, dryRun, date: accountDate });
+    } catch (err) {
+      // One broken account must not stop the others from being scraped and emailed.
+      log(`Account failed: ${err.message}`);
+      alerts = [formatFailureAlert([{ step: "account", category: classifyError(err), message: err.message, attempts: 1 }])];
+    }
+    results.push({ id: account.id, name: account.name, recipients: account.config.email?.to, alerts });
+  }
 
+  const emails = [];
+  for (const email of planEmails(config, results, date)) {
+    log(`--- EMAIL PREVIEW ---\nTo: ${email.to.join(", ")}\nSubject: ${email.subject}\n\n${email.body}--- END PREVIEW ---`);
+    let sent = false;
     if (dryRun) {
       log("DRY RUN — email not sent");
     } else {
       try {
-        await sendEmail(config, subject, body);
+        await sendEmail(config, email);
+        sent = true;
       } catch (err) {
         log(`Failed to send email: ${err.message}`);
       }
     }
-  } else {
+    emails.push({ ...email, sent });
+  }
+  if (emails.length === 0) {
     log("No changes detected. No email sent.");
   }
 
   log("Done.");
+  return {
+    date,
+    alerts: results.flatMap((result) => result.alerts),
+    subject: emails[0]?.subject ?? null,
+    emailed: emails.length > 0 && emails.every((email) => email.sent),
+    accounts: results,
+    emails,
+  };
+}
+
+/** @returns {Promise<void>} */
+async function main() {
+  const { values } = parseArgs({
+    options: {
+      "dry-run": { type: "boolean", default: false },
+      config: { type: "string" },
+      "data-dir": { type: "string" },
+    },
+  });
+  await runDaily({
+    dryRun: values["dry-run"],
+    configPath: values.config ? path.resolve(values.config) : undefined,
+    dataDir: values["data-dir"] ? path.resolve(values["data-dir"]) : undefined,
+  });
 }
 
 export {
-  formatShift, detectScheduleChanges, detectTimecardDiscrepancy, detectTimecardChanges,
-  parseTime, formatAlert, calculateDailyTotal, formatClockPairs, detectTotalMismatch,
+  formatShift, formatTimeOff, detectScheduleChanges, detectCancelledShifts,
+  detectTimeOffChanges, detectTradeRequestChanges, detectTimecardDiscrepancy, detectTimecardChanges,
+  parseTime, formatAlert, calculateDailyTotal, paidBreakMinutes, formatClockPairs, detectTotalMismatch,
   detectMissingTimecardEntries, filterNewOrChangedItems,
-  parseScraperResult, tailOutput,
+  matchesOpenShiftPreferences, detectNewOpenShifts,
+  parseScraperResult, tailOutput, formatDebugBundleAlert,
+  formatCredentialsAlert, formatFailureAlert, filterRepeatedFailures,
+  planEmails, runDaily,
 };
 
 const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === path.resolve(fileURLToPath(import.meta.url));
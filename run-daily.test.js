@@ -1,11 +1,17 @@
 import { test } from "node:test";
 import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
 import {
-  formatShift, detectScheduleChanges, detectTimecardDiscrepancy,
+  formatShift, detectScheduleChanges, detectCancelledShifts, detectTimeOffChanges, detectTradeRequestChanges, detectTimecardDiscrepancy,
   detectTimecardChanges, parseTime, formatAlert,
-  calculateDailyTotal, formatClockPairs, detectTotalMismatch,
+  calculateDailyTotal, paidBreakMinutes, formatClockPairs, detectTotalMismatch,
   filterNewOrChangedItems,
-  parseScraperResult, tailOutput,
+  matchesOpenShiftPreferences, detectNewOpenShifts,
+  parseScraperResult, tailOutput, formatDebugBundleAlert, formatCredentialsAlert,
+  formatFailureAlert, filterRepeatedFailures, planEmails,
+  runDaily,
 } from "./run-daily.js";
 
 // --- scraper process helpers ---
@@ -21,7 +27,10 @@ test("parseScraperResult: returns structured errors from stdout on nonzero exit"
     stdout: JSON.stringify({
       schedule: null,
       timecard: null,
-      errors: ["Schedule scraper failed: timeout", "Timecard scraper failed: timeout"],
+      errors: [
+        { step: "schedule", category: "network-timeout", message: "timeout", attempts: 3 },
+        { step: "timecard", category: "network-timeout", message: "timeout", attempts: 3 },
+      ],
     }),
     stderr: "Logging in...\n[schedule] FAILED: timeout\n[timecard] FAILED: timeout\n",
   });
@@ -29,10 +38,120 @@ test("parseScraperResult: returns structured errors from stdout on nonzero exit"
   assert.deepStrictEqual(result, {
     schedule: null,
     timecard: null,
-    errors: ["Schedule scraper failed: timeout", "Timecard scraper failed: timeout"],
+    errors: [
+      { step: "schedule", category: "network-timeout", message: "timeout", attempts: 3 },
+      { step: "timecard", category: "network-timeout", message: "timeout", attempts: 3 },
+    ],
+    debugBundle: null,
   });
 });
 
+test("parseScraperResult: wraps plain string errors as unknown failures", () => {
+  const result = parseScraperResult({
+    status: 1,
+    stdout: JSON.stringify({ schedule: null, timecard: null, errors: ["Schedule scraper failed: boom"] }),
+  });
+
+  assert.deepStrictEqual(result.errors, [
+    { step: "scrape", category: "unknown", message: "Schedule scraper failed: boom", attempts: 1 },
+  ]);
+});
+
+test("parseScraperResult: passes through the debug bundle folder", () => {
+  const result = parseScraperResult({
+    status: 1,
+    stdout: JSON.stringify({
+      schedule: null,
+      timecard: null,
+      errors: [{ step: "login", category: "network-timeout", message: "Timeout", attempts: 3 }],
+      debugBundle: "/srv/ukg/data/debug/2026-04-01T08-00-00-000Z",
+    }),
+  });
+
+  assert.strictEqual(result.debugBundle, "/srv/ukg/data/debug/2026-04-01T08-00-00-000Z");
+});
+
+test("formatDebugBundleAlert: links the bundle folder and its failure file", () => {
+  const alert = formatDebugBundleAlert("/srv/elsewhere/debug/2026-04-01T08-00-00-000Z");
+
+  assert.ok(alert.startsWith("DEBUG ARTIFACTS\n"));
+  assert.ok(alert.includes("/srv/elsewhere/debug/2026-04-01T08-00-00-000Z"));
+  assert.ok(alert.includes("/srv/elsewhere/debug/2026-04-01T08-00-00-000Z/failure.json"));
+});
+
+test("formatCredentialsAlert: explains how to unblock a rejected login", () => {
+  const alert = formatCredentialsAlert(
+    [{ step: "login", category: "bad-credentials", message: "Login failed: Invalid username or password.", attempts: 1 }],
+    {
+      flaggedAt: "2026-04-01T06:00:00.000Z",
+      username: "worker@example.com",
+      reason: "rejected",
+      message: "Login failed: Invalid username or password.",
+      salt: "",
+      fingerprint: "",
+    },
+    "/srv/ukg/data/credentials-invalid.json"
+  );
+
+  assert.ok(alert.startsWith("LOGIN BLOCKED\n"));
+  assert.ok(alert.includes("rejected the username or password for worker@example.com"));
+  assert.ok(alert.includes("paused since 2026-04-01T06:00:00.000Z"));
+  assert.ok(alert.includes("delete /srv/ukg/data/credentials-invalid.json"));
+  assert.ok(alert.includes("login: Login failed: Invalid username or password."));
+});
+
+test("formatCredentialsAlert: asks for a new password when it has expired", () => {
+  const alert = formatCredentialsAlert(
+    [{ step: "login", category: "bad-credentials", message: "Login failed: UKG asks for the password to be changed", attempts: 1 }],
+    { flaggedAt: "2026-04-01T06:00:00.000Z", username: "worker@example.com", reason: "password-expired", message: "", salt: "", fingerprint: "" },
+    "/srv/ukg/data/credentials-invalid.json"
+  );
+
+  assert.ok(alert.includes("UKG wants a new password for worker@example.com"));
+});
+
+test("formatFailureAlert: words each failure by category, credentials first", () => {
+  const alert = formatFailureAlert([
+    { step: "timecard", category: "layout-change", message: "Timeout 10000ms exceeded", attempts: 1 },
+    { step: "login", category: "bad-credentials", message: "Login failed (bad-credentials)", attempts: 1 },
+    { step: "schedule", category: "network-timeout", message: "net::ERR_TIMED_OUT", attempts: 3 },
+  ]);
+
+  assert.ok(alert.startsWith("SCRAPER FAILED\n"));
+  const loginAt = alert.indexOf("login (bad-credentials): UKG rejected the username or password");
+  const layoutAt = alert.indexOf("timecard (layout-change): A UKG page no longer looks");
+  assert.ok(loginAt > 0 && layoutAt > loginAt);
+  assert.ok(alert.includes("schedule (network-timeout) after 3 attempts:"));
+  assert.ok(alert.includes("\n  net::ERR_TIMED_OUT"));
+});
+
+test("filterRepeatedFailures: alerts new failures and suppresses repeats until the repeat window passes", () => {
+  const failure = { step: "login", category: "maintenance", message: "Down for maintenance", attempts: 2 };
+
+  const first = filterRepeatedFailures([failure], {}, "2026-04-01T08:00:00.000Z", 24);
+  assert.deepStrictEqual(first.toAlert, [failure]);
+
+  const second = filterRepeatedFailures([failure], first.state, "2026-04-01T20:00:00.000Z", 24);
+  assert.deepStrictEqual(second.toAlert, []);
+  assert.strictEqual(second.state["login|maintenance"].count, 2);
+  assert.strictEqual(second.state["login|maintenance"].lastAlertedAt, "2026-04-01T08:00:00.000Z");
+
+  const third = filterRepeatedFailures([failure], second.state, "2026-04-02T08:00:00.000Z", 24);
+  assert.deepStrictEqual(third.toAlert, [failure]);
+  assert.strictEqual(third.state["login|maintenance"].firstSeenAt, "2026-04-01T08:00:00.000Z");
+});
+
+test("filterRepeatedFailures: forgets failures that stopped happening", () => {
+  const failure = { step: "timecard", category: "layout-change", message: "x", attempts: 1 };
+  const first = filterRepeatedFailures([failure], {}, "2026-04-01T08:00:00.000Z", 24);
+
+  const recovered = filterRepeatedFailures([], first.state, "2026-04-01T09:00:00.000Z", 24);
+  assert.deepStrictEqual(recovered.state, {});
+
+  const again = filterRepeatedFailures([failure], recovered.state, "2026-04-01T10:00:00.000Z", 24);
+  assert.deepStrictEqual(again.toAlert, [failure]);
+});
+
 test("parseScraperResult: throws stderr details when stdout is not structured JSON", () => {
   assert.throws(
     () => parseScraperResult({
@@ -44,6 +163,32 @@ test("parseScraperResult: throws stderr details when stdout is not structured JS
   );
 });
 
+test("runDaily: resolves its default paths and reports a missing config", async () => {
+  const configPath = path.join(os.tmpdir(), `ukg-missing-config-${process.pid}.json`);
+  await assert.rejects(runDaily({ configPath, dryRun: true }), /^Error: Missing .*ukg-missing-config-\d+\.json/);
+});
+
+test("runDaily: an account that fails is reported without stopping the others", async () => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ukg-run-daily-"));
+  try {
+    const configPath = path.join(dataDir, "config.json");
+    fs.writeFileSync(configPath, JSON.stringify({
+      email: { to: "home@example.com" },
+      accounts: [
+        { id: "alice", tenant: { timeZone: "Not/AZone" } },
+        { id: "bob" },
+      ],
+    }));
+
+    const result = await runDaily({ configPath, dataDir, dryRun: true });
+    assert.deepStrictEqual(result.accounts.map((account) => account.id), ["alice", "bob"]);
+    assert.match(result.accounts[0].alerts[0], /^SCRAPER FAILED\n[\s\S]*Unknown time zone "Not\/AZone"/);
+    assert.match(result.accounts[1].alerts[0], /No UKG credentials for bob/);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+});
+
 // --- parseTime ---
 
 test("parseTime: normal times", () => {
@@ -93,6 +238,42 @@ test("formatShift: multi-segment shift shows break", () => {
   );
 });
 
+test("formatShift: lists every typed break, marking paid ones", () => {
+  assert.strictEqual(
+    formatShift({
+      start: "9:00", end: "17:00", off: false,
+      segments: [
+        { start: "9:00", end: "11:00", type: "regular", paid: true },
+        { start: "11:00", end: "11:15", type: "break", paid: true },
+        { start: "11:15", end: "13:00", type: "regular", paid: true },
+        { start: "13:00", end: "13:30", type: "meal", paid: false },
+        { start: "13:30", end: "17:00", type: "transfer", paid: true },
+      ],
+    }),
+    "9:00–17:00 (paid break 11:00–11:15, meal 13:00–13:30)"
+  );
+});
+
+test("formatShift: day off with time-off request shows its status", () => {
+  assert.strictEqual(
+    formatShift({
+      start: null, end: null, off: true, note: "Annual Leave",
+      timeOff: { name: "Annual Leave", statusLabel: "Submitted", partial: false, start: null, end: null },
+    }),
+    "Annual Leave (Submitted)"
+  );
+});
+
+test("formatShift: partial time-off is appended to the working shift", () => {
+  assert.strictEqual(
+    formatShift({
+      start: "9:00", end: "19:00", off: false,
+      timeOff: { name: "Annual Leave Hours", statusLabel: "Approved", partial: true, start: "15:00", end: "19:00" },
+    }),
+    "9:00–19:00, Annual Leave Hours 15:00–19:00 (Approved)"
+  );
+});
+
 test("formatShift: single segment uses start–end", () => {
   assert.strictEqual(
     formatShift({
@@ -103,12 +284,25 @@ test("formatShift: single segment uses start–end", () => {
   );
 });
 
+test("formatShift: night shift is marked as ending the next day", () => {
+  assert.strictEqual(
+    formatShift({ date: "2026-03-06", start: "22:00", end: "6:00", endDate: "2026-03-07", off: false, segments: [] }),
+    "22:00–6:00 (+1)"
+  );
+});
+
 // --- calculateDailyTotal ---
 
 test("calculateDailyTotal: single clock pair on weekday", () => {
   assert.strictEqual(calculateDailyTotal({ day: "Fri", clockIn1: "9:00", clockOut1: "17:00" }), "8:00");
 });
 
+test("calculateDailyTotal: clock pairs past midnight count into the next day", () => {
+  assert.strictEqual(calculateDailyTotal({ day: "Fri", clockIn1: "22:00", clockOut1: "6:00" }), "8:00");
+  const split = { day: "Fri", clockIn1: "21:58", clockOut1: "23:45", clockIn2: "0:15", clockOut2: "6:02" };
+  assert.strictEqual(calculateDailyTotal(split), "7:34");
+});
+
 test("calculateDailyTotal: two clock pairs on weekday", () => {
   const entry = { day: "Fri", clockIn1: "13:56", clockOut1: "16:36", clockIn2: "16:51", clockOut2: "19:26" };
   assert.strictEqual(calculateDailyTotal(entry), "5:15");
@@ -125,7 +319,7 @@ test("calculateDailyTotal: three clock pairs", () => {
     clockOut3: "18:55",
   };
   assert.strictEqual(calculateDailyTotal(entry), "8:33");
-  assert.strictEqual(calculateDailyTotal(entry, true), "8:38");
+  assert.strictEqual(calculateDailyTotal(entry, 5), "8:38");
 });
 
 test("calculateDailyTotal: no complete pairs returns null", () => {
@@ -137,14 +331,47 @@ test("calculateDailyTotal: short shift on weekday", () => {
   assert.strictEqual(calculateDailyTotal({ day: "Mon", clockIn1: "14:00", clockOut1: "14:30" }), "0:30");
 });
 
-test("calculateDailyTotal: adds 5min when hasScheduledBreak is true", () => {
-  assert.strictEqual(calculateDailyTotal({ day: "Sat", clockIn1: "9:00", clockOut1: "13:01", clockIn2: "13:26", clockOut2: "14:05" }, true), "4:45");
-  assert.strictEqual(calculateDailyTotal({ day: "Sun", clockIn1: "8:57", clockOut1: "11:43", clockIn2: "12:07", clockOut2: "14:15" }, true), "4:59");
+test("calculateDailyTotal: adds the paid break minutes to split shifts", () => {
+  assert.strictEqual(calculateDailyTotal({ day: "Sat", clockIn1: "9:00", clockOut1: "13:01", clockIn2: "13:26", clockOut2: "14:05" }, 5), "4:45");
+  assert.strictEqual(calculateDailyTotal({ day: "Sun", clockIn1: "8:57", clockOut1: "11:43", clockIn2: "12:07", clockOut2: "14:15" }, 5), "4:59");
   // Also works on weekdays with scheduled break
-  assert.strictEqual(calculateDailyTotal({ day: "Mon", clockIn1: "9:00", clockOut1: "13:00", clockIn2: "13:25", clockOut2: "14:05" }, true), "4:45");
+  assert.strictEqual(calculateDailyTotal({ day: "Mon", clockIn1: "9:00", clockOut1: "13:00", clockIn2: "13:25", clockOut2: "14:05" }, 5), "4:45");
+  // Nothing to add when the break was not clocked out for
+  assert.strictEqual(calculateDailyTotal({ day: "Mon", clockIn1: "9:00", clockOut1: "14:05" }, 15), "5:05");
+});
+
+test("paidBreakMinutes: paid breaks count in full, unpaid ones earn the 5-minute bonus", () => {
+  assert.strictEqual(paidBreakMinutes([{ start: "9:00", end: "13:00" }, { start: "13:25", end: "14:05" }]), 5);
+  assert.strictEqual(paidBreakMinutes([
+    { start: "9:00", end: "11:00", type: "regular", paid: true },
+    { start: "11:00", end: "11:15", type: "break", paid: true },
+    { start: "11:15", end: "13:00", type: "regular", paid: true },
+  ]), 15);
+  assert.strictEqual(paidBreakMinutes([
+    { start: "9:00", end: "11:00", type: "regular", paid: true },
+    { start: "11:00", end: "11:15", type: "break", paid: true },
+    { start: "11:15", end: "13:00", type: "regular", paid: true },
+    { start: "13:00", end: "13:30", type: "meal", paid: false },
+    { start: "13:30", end: "17:00", type: "regular", paid: true },
+  ]), 20);
+  assert.strictEqual(paidBreakMinutes([{ start: "9:00", end: "14:00", type: "regular", paid: true }]), 0);
+  assert.strictEqual(paidBreakMinutes(undefined), 0);
+});
+
+test("paidBreakMinutes: segments stored without types keep the flat 5-minute bonus", () => {
+  // Same result as before segment types were scraped, gap or not.
+  assert.strictEqual(paidBreakMinutes([{ start: "9:00", end: "11:00" }, { start: "11:00", end: "14:05" }]), 5);
+  assert.strictEqual(paidBreakMinutes([{ start: "9:00", end: "14:05" }]), 0);
+  assert.strictEqual(
+    calculateDailyTotal(
+      { day: "Sat", clockIn1: "9:00", clockOut1: "13:01", clockIn2: "13:26", clockOut2: "14:05" },
+      paidBreakMinutes([{ start: "9:00", end: "13:00" }, { start: "13:25", end: "14:05" }])
+    ),
+    "4:45"
+  );
 });
 
-test("calculateDailyTotal: no bonus without hasScheduledBreak", () => {
+test("calculateDailyTotal: no bonus without break minutes", () => {
   assert.strictEqual(calculateDailyTotal({ day: "Sat", clockIn1: "9:00", clockOut1: "13:01", clockIn2: "13:26", clockOut2: "14:05" }), "4:40");
   assert.strictEqual(calculateDailyTotal({ day: "Mon", clockIn1: "9:00", clockOut1: "13:00", clockIn2: "13:25", clockOut2: "14:05" }), "4:40");
 });
@@ -247,6 +474,28 @@ test("detectScheduleChanges: segment change detected", () => {
   assert.ok(result[0].includes("Changed"));
 });
 
+test("detectScheduleChanges: paycode edit added to a day is reported", () => {
+  const oldData = { shifts: [{ date: "2026-04-06", day: "Mon", start: "9:00", end: "14:00", off: false, payCodes: null }] };
+  const newData = { shifts: [{
+    date: "2026-04-06", day: "Mon", start: "9:00", end: "14:00", off: false,
+    payCodes: [{ name: "Sick Pay", hours: 5, startDate: "2026-04-06", endDate: "2026-04-06" }],
+  }] };
+  const result = detectScheduleChanges(oldData, newData);
+  assert.ok(result);
+  assert.ok(result[0].includes("Was: 9:00–14:00\n"));
+  assert.ok(result[0].includes("Now: 9:00–14:00, Sick Pay 5:00"));
+});
+
+test("formatShift: day off created by a paycode edit shows the paycode amount", () => {
+  assert.strictEqual(
+    formatShift({
+      start: null, end: null, off: true, note: "Bereavement Leave",
+      payCodes: [{ name: "Bereavement Leave", hours: 7.5 }],
+    }),
+    "Bereavement Leave 7:30"
+  );
+});
+
 test("detectScheduleChanges: same segments returns null", () => {
   const data = { shifts: [{
     date: "2026-02-21", day: "Sat", start: "9:00", end: "14:05", off: false,
@@ -255,6 +504,214 @@ test("detectScheduleChanges: same segments returns null", () => {
   assert.strictEqual(detectScheduleChanges(data, data), null);
 });
 
+test("detectScheduleChanges: a shift moved to another department is reported", () => {
+  const shift = (/** @type {string} */ orgPath) => ({
+    date: "2026-02-21", day: "Sat", start: "9:00", end: "14:00", off: false,
+    segments: [{ start: "9:00", end: "14:00", job: orgPath.split("/").at(-1), orgPath }],
+  });
+  const oldData = { shifts: [shift("Dunnes/Store 123/Deli/Deli Assistant")] };
+
+  const moved = detectScheduleChanges(oldData, { shifts: [shift("Dunnes/Store 123/Checkout/Cashier")] });
+  assert.deepStrictEqual(moved, ["Sat 21 Feb — Changed\n  9:00–14:00\n  Moved from Deli to Checkout"]);
+
+  const otherStore = detectScheduleChanges(oldData, { shifts: [shift("Dunnes/Store 456/Deli/Deli Assistant")] });
+  assert.deepStrictEqual(otherStore, ["Sat 21 Feb — Changed\n  9:00–14:00\n  Moved from Deli (Store 123) to Deli (Store 456)"]);
+});
+
+test("detectScheduleChanges: typed segments replacing stored untyped ones are not a change", () => {
+  const oldData = { shifts: [{
+    date: "2026-02-21", day: "Sat", start: "9:00", end: "14:05", off: false,
+    segments: [{ start: "9:00", end: "13:00" }, { start: "13:25", end: "14:05" }],
+  }] };
+  const typed = (/** @type {string} */ breakEnd) => ({ shifts: [{
+    ...oldData.shifts[0],
+    segments: [
+      { start: "9:00", end: "13:00", type: "regular", paid: true },
+      { start: "13:00", end: breakEnd, type: "break", paid: false },
+      { start: breakEnd, end: "14:05", type: "regular", paid: true },
+    ],
+  }] });
+  assert.strictEqual(detectScheduleChanges(oldData, typed("13:25")), null);
+
+  const moved = detectScheduleChanges(typed("13:25"), typed("13:30"));
+  assert.ok(moved);
+  assert.match(moved[0], /Was: 9:00–14:05 \(break 13:00–13:25\)\n  Now: 9:00–14:05 \(break 13:00–13:30\)/);
+});
+
+test("detectScheduleChanges: jobs appearing on previously stored shifts are not a change", () => {
+  const oldData = { shifts: [{
+    date: "2026-02-21", day: "Sat", start: "9:00", end: "14:00", off: false,
+    segments: [{ start: "9:00", end: "14:00" }],
+  }] };
+  const newData = { shifts: [{
+    ...oldData.shifts[0],
+    segments: [{ start: "9:00", end: "14:00", job: "Deli Assistant", orgPath: "Dunnes/Store 123/Deli/Deli Assistant", color: "#4caf50" }],
+  }] };
+  assert.strictEqual(detectScheduleChanges(oldData, newData), null);
+});
+
+// --- detectCancelledShifts ---
+
+test("detectCancelledShifts: shift missing from scrape window is reported", () => {
+  const oldData = { shifts: [
+    { date: "2026-02-20", day: "Fri", start: "9:00", end: "17:00", off: false },
+    { date: "2026-02-21", day: "Sat", start: "8:00", end: "16:00", off: false },
+  ] };
+  const newData = {
+    window: { start: "2026-02-20", end: "2026-04-03" },
+    shifts: [{ date: "2026-02-20", day: "Fri", start: "9:00", end: "17:00", off: false }],
+  };
+  const result = detectCancelledShifts(oldData, newData);
+  assert.deepStrictEqual(result, ["Sat 21 Feb — Cancelled\n  Was: 8:00–16:00"]);
+});
+
+test("detectCancelledShifts: shifts outside the scrape window are not cancelled", () => {
+  const oldData = { shifts: [{ date: "2026-02-19", day: "Thu", start: "9:00", end: "17:00", off: false }] };
+  const newData = { window: { start: "2026-02-20", end: "2026-04-03" }, shifts: [] };
+  assert.strictEqual(detectCancelledShifts(oldData, newData), null);
+});
+
+test("detectCancelledShifts: removed days off and scrapes without a window are ignored", () => {
+  const oldData = { shifts: [{ date: "2026-02-21", day: "Sat", start: null, end: null, off: true, note: "Holiday" }] };
+  assert.strictEqual(detectCancelledShifts(oldData, { window: { start: "2026-02-20", end: "2026-04-03" }, shifts: [] }), null);
+  assert.strictEqual(detectCancelledShifts({ shifts: [{ date: "2026-02-21", day: "Sat", start: "9:00", end: "14:00", off: false }] }, { shifts: [] }), null);
+});
+
+// --- detectTimeOffChanges ---
+
+/**
+ * @param {string} date
+ * @param {string} day
+ * @param {object | null} timeOff
+ */
+function leaveDay(date, day, timeOff) {
+  return { date, day, start: null, end: null, off: true, note: timeOff?.name ?? null, timeOff };
+}
+
+const pendingLeave = { requestId: 7, name: "Annual Leave", status: "pending", statusLabel: "Submitted" };
+const approvedLeave = { ...pendingLeave, status: "approved", statusLabel: "Approved" };
+
+test("detectTimeOffChanges: null old data returns null", () => {
+  assert.strictEqual(detectTimeOffChanges(null, { shifts: [leaveDay("2026-03-23", "Mon", pendingLeave)] }), null);
+});
+
+test("detectTimeOffChanges: new multi-day request is reported once as a range", () => {
+  const result = detectTimeOffChanges({ shifts: [] }, { shifts: [
+    leaveDay("2026-03-23", "Mon", pendingLeave),
+    leaveDay("2026-03-24", "Tue", pendingLeave),
+  ] });
+  assert.deepStrictEqual(result, ["Mon 23 Mar – Tue 24 Mar — Annual Leave\n  New request (Submitted)"]);
+});
+
+test("detectTimeOffChanges: status transition is reported", () => {
+  const result = detectTimeOffChanges(
+    { shifts: [leaveDay("2026-03-23", "Mon", pendingLeave)] },
+    { shifts: [leaveDay("2026-03-23", "Mon", approvedLeave)] }
+  );
+  assert.deepStrictEqual(result, ["Mon 23 Mar — Annual Leave\n  Submitted → Approved"]);
+});
+
+test("detectTimeOffChanges: request removed from the scrape window is reported as withdrawn", () => {
+  const result = detectTimeOffChanges(
+    { shifts: [leaveDay("2026-03-23", "Mon", approvedLeave), leaveDay("2026-03-10", "Tue", approvedLeave)] },
+    { window: { start: "2026-03-20", end: "2026-05-01" }, shifts: [] }
+  );
+  assert.deepStrictEqual(result, ["Mon 23 Mar — Annual Leave\n  Withdrawn (was Approved)"]);
+});
+
+test("detectTimeOffChanges: unchanged requests return null", () => {
+  const data = { shifts: [leaveDay("2026-03-23", "Mon", approvedLeave)] };
+  assert.strictEqual(detectTimeOffChanges(data, data), null);
+});
+
+// --- detectTradeRequestChanges ---
+
+/**
+ * @param {object[] | null} tradeRequests
+ */
+function swapDay(tradeRequests) {
+  return { date: "2026-04-11", day: "Sat", start: "9:00", end: "14:00", off: false, tradeRequests };
+}
+
+const pendingSwap = { requestId: 31, type: "swap", counterpart: "Anna Byrne", status: "pending", statusLabel: "Submitted" };
+
+test("detectTradeRequestChanges: reports new requests and status transitions", () => {
+  assert.deepStrictEqual(
+    detectTradeRequestChanges({ shifts: [swapDay(null)] }, { shifts: [swapDay([pendingSwap])] }),
+    ["Sat 11 Apr — Swap with Anna Byrne\n  New request (Submitted)"]
+  );
+  assert.deepStrictEqual(
+    detectTradeRequestChanges(
+      { shifts: [swapDay([pendingSwap])] },
+      { shifts: [swapDay([{ ...pendingSwap, status: "approved", statusLabel: "Approved" }])] }
+    ),
+    ["Sat 11 Apr — Swap with Anna Byrne\n  Submitted → Approved"]
+  );
+});
+
+test("detectTradeRequestChanges: request no longer returned is withdrawn", () => {
+  assert.deepStrictEqual(
+    detectTradeRequestChanges({ shifts: [swapDay([pendingSwap])] }, { shifts: [swapDay(null)] }),
+    ["Sat 11 Apr — Swap with Anna Byrne\n  Withdrawn (was Submitted)"]
+  );
+});
+
+test("detectTradeRequestChanges: dates outside the new scrape are ignored", () => {
+  assert.strictEqual(
+    detectTradeRequestChanges({ shifts: [swapDay([pendingSwap])] }, { window: { start: "2026-04-12", end: "2026-05-20" }, shifts: [] }),
+    null
+  );
+});
+
+// --- open shifts ---
+
+const saturdayDeli = { id: 902, date: "2026-04-11", day: "Sat", start: "14:00", end: "19:00", job: "Deli Assistant", location: "Store 123" };
+
+test("matchesOpenShiftPreferences: no preferences matches everything", () => {
+  assert.strictEqual(matchesOpenShiftPreferences(saturdayDeli, undefined), true);
+});
+
+test("matchesOpenShiftPreferences: checks days, earliest start, latest end and minimum length", () => {
+  assert.strictEqual(matchesOpenShiftPreferences(saturdayDeli, { days: ["Sat", "Sun"] }), true);
+  assert.strictEqual(matchesOpenShiftPreferences(saturdayDeli, { days: ["Mon"] }), false);
+  assert.strictEqual(matchesOpenShiftPreferences(saturdayDeli, { earliestStart: "15:00" }), false);
+  assert.strictEqual(matchesOpenShiftPreferences(saturdayDeli, { latestEnd: "18:00" }), false);
+  assert.strictEqual(matchesOpenShiftPreferences(saturdayDeli, { minHours: 6 }), false);
+  assert.strictEqual(
+    matchesOpenShiftPreferences(saturdayDeli, { days: ["Sat"], earliestStart: "8:00", latestEnd: "20:00", minHours: 4 }),
+    true
+  );
+});
+
+test("matchesOpenShiftPreferences: measures night shifts through midnight", () => {
+  const night = { id: 904, date: "2026-04-11", day: "Sat", start: "22:00", end: "6:00", endDate: "2026-04-12", job: null, location: null };
+  assert.strictEqual(matchesOpenShiftPreferences(night, { minHours: 4 }), true);
+  assert.strictEqual(matchesOpenShiftPreferences(night, { minHours: 9 }), false);
+});
+
+test("matchesOpenShiftPreferences: a shift ending the next morning is past any latest end", () => {
+  const night = { id: 904, date: "2026-04-11", day: "Sat", start: "22:00", end: "6:00", endDate: "2026-04-12", job: null, location: null };
+  assert.strictEqual(matchesOpenShiftPreferences(night, { latestEnd: "23:00" }), false);
+  // Without endDate, end before start still means the next day.
+  assert.strictEqual(matchesOpenShiftPreferences({ ...night, endDate: undefined }, { latestEnd: "23:00" }), false);
+});
+
+test("detectNewOpenShifts: reports only newly offered matching shifts", () => {
+  const sunday = { id: 903, date: "2026-04-12", day: "Sun", start: "9:00", end: "11:00", job: null, location: null };
+  const monday = { id: 904, date: "2026-04-13", day: "Mon", start: "9:00", end: "14:00", job: "Checkout", location: null };
+  const result = detectNewOpenShifts(
+    { openShifts: [saturdayDeli] },
+    [saturdayDeli, sunday, monday],
+    { minHours: 4 }
+  );
+  assert.deepStrictEqual(result, ["Mon 13 Apr — 9:00–14:00\n  Checkout"]);
+});
+
+test("detectNewOpenShifts: nothing new returns null", () => {
+  assert.strictEqual(detectNewOpenShifts({ openShifts: [saturdayDeli] }, [saturdayDeli]), null);
+  assert.strictEqual(detectNewOpenShifts(null, undefined), null);
+});
+
 // --- detectTimecardDiscrepancy ---
 
 test("detectTimecardDiscrepancy: day off returns null", () => {
@@ -297,7 +754,7 @@ test("detectTimecardDiscrepancy: only clock-in mismatch", () => {
 test("detectTimecardDiscrepancy: missing clock-in after scheduled start is reported", () => {
   const schedule = { shifts: [{ date: "2026-04-10", day: "Fri", start: "14:00", end: "19:00", off: false }] };
   const timecard = { entries: [] };
-  const result = detectTimecardDiscrepancy(schedule, timecard, "2026-04-10", "2026-04-10T15:05:00Z");
+  const result = detectTimecardDiscrepancy(schedule, timecard, "2026-04-10", "2026-04-10T15:05:00+01:00");
   assert.ok(result);
   assert.strictEqual(result.length, 1);
   assert.ok(result[0].includes("Fri 10 Apr"));
@@ -310,11 +767,42 @@ test("detectTimecardDiscrepancy: missing clock-in within threshold stays quiet",
   const schedule = { shifts: [{ date: "2026-04-10", day: "Fri", start: "14:00", end: "19:00", off: false }] };
   const timecard = { entries: [] };
   assert.strictEqual(
-    detectTimecardDiscrepancy(schedule, timecard, "2026-04-10", "2026-04-10T14:30:00Z"),
+    detectTimecardDiscrepancy(schedule, timecard, "2026-04-10", "2026-04-10T14:30:00+01:00"),
     null
   );
 });
 
+test("detectTimecardDiscrepancy: reads today and the clock in the configured zone", () => {
+  const schedule = { shifts: [{ date: "2026-04-10", day: "Fri", start: "9:00", end: "17:00", off: false }] };
+  const timecard = { entries: [] };
+  // 23:30 UTC on the 9th is 9:30 on the 10th in Sydney: 30 minutes late, within the threshold.
+  assert.strictEqual(detectTimecardDiscrepancy(schedule, timecard, undefined, "2026-04-09T23:30:00Z", "Australia/Sydney"), null);
+  // At 10:30 Sydney time the missing clock-in is 90 minutes late.
+  const result = detectTimecardDiscrepancy(schedule, timecard, undefined, "2026-04-10T00:30:00Z", "Australia/Sydney");
+  assert.ok(result);
+  assert.ok(result[0].includes("90 min late"));
+  // In Dublin it is still the 9th, which has no shift.
+  assert.strictEqual(detectTimecardDiscrepancy(schedule, timecard, undefined, "2026-04-09T23:30:00Z"), null);
+});
+
+test("detectTimecardDiscrepancy: a night shift is checked through to its end the next day", () => {
+  const schedule = { shifts: [{ date: "2026-03-06", day: "Fri", start: "22:00", end: "6:00", endDate: "2026-03-07", off: false }] };
+
+  const onTime = { entries: [{ date: "06/03", day: "Fri", clockIn1: "21:55", clockOut1: "6:05" }] };
+  assert.strictEqual(detectTimecardDiscrepancy(schedule, onTime, undefined, "2026-03-07T09:00:00Z"), null);
+
+  const early = { entries: [{ date: "06/03", day: "Fri", clockIn1: "21:55", clockOut1: "3:00" }] };
+  const result = detectTimecardDiscrepancy(schedule, early, undefined, "2026-03-07T09:00:00Z");
+  assert.ok(result);
+  assert.ok(result[0].startsWith("Fri 6 Mar"));
+  assert.ok(result[0].includes("Clock Out: 3:00 (scheduled 6:00, 180 min off)"));
+  assert.ok(!result[0].includes("Clock In"));
+
+  // An hour after midnight with no punches, the shift started three hours ago.
+  const missing = detectTimecardDiscrepancy(schedule, { entries: [] }, undefined, "2026-03-07T01:00:00Z");
+  assert.ok(missing?.[0].includes("scheduled 22:00, 180 min late"));
+});
+
 test("detectTimecardDiscrepancy: ignores break boundaries when first in and final out match shift", () => {
   const schedule = { shifts: [{
     date: "2026-02-21", day: "Sat", start: "9:00", end: "14:05", off: false,
@@ -476,6 +964,23 @@ test("detectTimecardChanges: new incomplete shift is reported after scheduled cl
   assert.ok(result[0].includes("13:56 - ?"));
 });
 
+test("detectTimecardChanges: night shift still in progress after midnight is skipped", () => {
+  const oldData = { entries: [{ date: "05/03", day: "Thu", clockIn1: "9:00", clockOut1: "17:00" }] };
+  const newData = {
+    entries: [
+      { date: "05/03", day: "Thu", clockIn1: "9:00", clockOut1: "17:00" },
+      { date: "06/03", day: "Fri", clockIn1: "21:56", clockOut1: null, dailyTotal: null },
+    ],
+  };
+  const schedule = {
+    shifts: [{ date: "2026-03-06", day: "Fri", start: "22:00", end: "6:00", endDate: "2026-03-07", off: false }],
+  };
+  assert.strictEqual(detectTimecardChanges(oldData, newData, schedule, "2026-03-07T04:00:00Z"), null);
+
+  const result = detectTimecardChanges(oldData, newData, schedule, "2026-03-07T07:00:00Z");
+  assert.ok(result?.[0].includes("21:56 - ?"));
+});
+
 test("detectTimecardChanges: new entry reported when times differ from schedule", () => {
   const oldData = { entries: [{ date: "20/02", day: "Fri", clockIn1: "9:00", clockOut1: "17:00" }] };
   const newData = {
@@ -601,6 +1106,23 @@ test("detectTotalMismatch: scheduled break adds 5min bonus via cache", () => {
   assert.strictEqual(detectTotalMismatch(timecard, breakCache), null);
 });
 
+test("detectTotalMismatch: a paid break is credited in full", () => {
+  const breakCache = {
+    "2026-02-21": [
+      { start: "9:00", end: "11:00", type: "regular", paid: true },
+      { start: "11:00", end: "11:15", type: "break", paid: true },
+      { start: "11:15", end: "14:00", type: "regular", paid: true },
+    ],
+  };
+  const timecard = { entries: [{
+    date: "21/02", day: "Sat",
+    clockIn1: "9:00", clockOut1: "11:00", clockIn2: "11:15", clockOut2: "14:00",
+    dailyTotal: "5:00",
+  }] };
+  assert.strictEqual(detectTotalMismatch(timecard, breakCache), null);
+  assert.ok(detectTotalMismatch({ entries: [{ ...timecard.entries[0], dailyTotal: "4:50" }] }, breakCache));
+});
+
 test("detectTotalMismatch: raw total matching reported total suppresses split-shift false positives", () => {
   const breakCache = {
     "2026-03-14": [{ start: "14:00", end: "17:30" }, { start: "17:45", end: "19:00" }],
@@ -650,6 +1172,11 @@ test("detectTotalMismatch: skips entries without complete clock pairs", () => {
   assert.strictEqual(detectTotalMismatch(data), null);
 });
 
+test("detectTotalMismatch: night shift totals match UKG's", () => {
+  const timecard = { entries: [{ date: "06/03", day: "Fri", clockIn1: "22:00", clockOut1: "6:00", dailyTotal: "8:00" }] };
+  assert.strictEqual(detectTotalMismatch(timecard), null);
+});
+
 test("detectTotalMismatch: null data returns null", () => {
   assert.strictEqual(detectTotalMismatch(null), null);
 });
@@ -689,3 +1216,58 @@ test("formatAlert: separates multiple items with blank lines", () => {
   const result = formatAlert("SCHEDULE CHANGES", items);
   assert.ok(result.includes("\n\n"));
 });
+
+// --- planEmails ---
+
+const scheduleAlert = formatAlert("SCHEDULE CHANGES", ["Fri 20 Feb — New\n  9:00–17:00"]);
+const timecardAlert = formatAlert("TIMECARD CHANGES", ["Thu 19 Feb — Changed"]);
+
+test("planEmails: a single unnamed account keeps the plain email", () => {
+  const emails = planEmails(
+    { email: { to: "me@example.com" } },
+    [{ id: "default", name: "", recipients: "me@example.com", alerts: [scheduleAlert] }],
+    "2026-02-20"
+  );
+  assert.deepStrictEqual(emails, [{
+    to: ["me@example.com"],
+    subject: "UKG Alert: Schedule changed",
+    body: `UKG Daily Run — 2026-02-20\n${"=".repeat(40)}\n\n${scheduleAlert}\n`,
+  }]);
+});
+
+test("planEmails: combined mode sends one email with a section per person", () => {
+  const [email, ...rest] = planEmails(
+    { email: { to: "home@example.com" } },
+    [
+      { id: "alice", name: "Alice", recipients: "alice@example.com", alerts: [scheduleAlert] },
+      { id: "bob", name: "Bob", recipients: ["home@example.com", "bob@example.com"], alerts: [timecardAlert] },
+      { id: "carol", name: "Carol", recipients: "carol@example.com", alerts: [] },
+    ],
+    "2026-02-20"
+  );
+  assert.strictEqual(rest.length, 0);
+  assert.deepStrictEqual(email.to, ["home@example.com", "alice@example.com", "bob@example.com", "carol@example.com"]);
+  assert.strictEqual(email.subject, "UKG Alert: Alice: Schedule changed; Bob: Timecard changed");
+  assert.ok(email.body.includes(`Alice\n-----\n\n${scheduleAlert}\n\nBob\n---\n\n${timecardAlert}`));
+  assert.ok(!email.body.includes("Carol"));
+});
+
+test("planEmails: per-account mode sends each person only their own alerts", () => {
+  const emails = planEmails(
+    { email: { to: "home@example.com", mode: "per-account" } },
+    [
+      { id: "alice", name: "Alice", recipients: "alice@example.com", alerts: [scheduleAlert] },
+      { id: "bob", name: "Bob", recipients: "bob@example.com", alerts: [timecardAlert] },
+    ],
+    "2026-02-20"
+  );
+  assert.deepStrictEqual(emails.map((email) => [email.to, email.subject]), [
+    [["alice@example.com"], "UKG Alert: Alice: Schedule changed"],
+    [["bob@example.com"], "UKG Alert: Bob: Timecard changed"],
+  ]);
+  assert.ok(!emails[0].body.includes("TIMECARD"));
+});
+
+test("planEmails: nothing to send without alerts", () => {
+  assert.deepStrictEqual(planEmails({}, [{ id: "default", name: "", recipients: undefined, alerts: [] }], "2026-02-20"), []);
+});
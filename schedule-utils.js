@@ -1,9 +1,35 @@
+import { describeOrgPath } from "./website/org-path.js";
+import { DEFAULT_TIME_ZONE, addIsoDays, isoDateInZone, isoWeekday } from "./website/zoned-date.js";
+
 /**
  * @typedef {"Mon"|"Tue"|"Wed"|"Thu"|"Fri"|"Sat"|"Sun"} DayName
  */
 
 /**
- * @typedef {{ start: string, end: string }} ShiftSegment
+ * @typedef {Object} ShiftSegment
+ * @property {string} start - Start time (H:MM)
+ * @property {string} end - End time (H:MM)
+ * @property {"regular"|"break"|"meal"|"transfer"} type - Worked time (regular, transfer to another job) or a break
+ * @property {boolean} paid - Whether UKG pays the segment; breaks are unpaid unless UKG marks them paid
+ * @property {string} [job] - Job name (last org path element), when UKG names one
+ * @property {string} [orgPath] - Full org path of the job, e.g. "Dunnes/Store 123/Deli/Deli Assistant"
+ * @property {string} [color] - Job colour as "#rrggbb", when UKG sends one
+ */
+
+/**
+ * @typedef {"pending"|"approved"|"refused"|"cancelled"|string} TimeOffStatus
+ */
+
+/**
+ * @typedef {Object} TimeOff
+ * @property {string | number | null} requestId - UKG time-off request id
+ * @property {string} name - Request type, e.g. "Annual Leave"
+ * @property {TimeOffStatus} status - Normalized status
+ * @property {string} statusLabel - Status as UKG reports it, e.g. "Submitted"
+ * @property {boolean} partial - True for half-day or hour-based requests
+ * @property {string | null} start - Start time (H:MM) for partial requests
+ * @property {string | null} end - End time (H:MM) for partial requests
+ * @property {string | null} duration - Requested time for the day (H:MM) when known
  */
 
 /**
@@ -12,23 +38,49 @@
  * @property {DayName} day
  * @property {string | null} start - Start time (H:MM) or null (first segment start)
  * @property {string | null} end - End time (H:MM) or null (last segment end)
+ * @property {string} [endDate] - ISO date the shift ends on; only set when it runs past midnight
  * @property {boolean} off
  * @property {string | null} note
- * @property {ShiftSegment[]} segments - Schedule segments (multiple when break is scheduled)
+ * @property {ShiftSegment[]} segments - Schedule segments in order, breaks included
+ * @property {TimeOff | null} timeOff - Time-off request covering this date
+ * @property {PayCode[] | null} payCodes - Paycode edits (sick, holiday pay, ...) applied to this date
+ * @property {TradeRequest[] | null} tradeRequests - Swap/cover requests involving this date
+ */
+
+/**
+ * @typedef {Object} TradeRequest
+ * @property {string | number | null} requestId - UKG request id
+ * @property {"swap"|"cover"} type
+ * @property {string | null} counterpart - The other employee in the swap or cover
+ * @property {TimeOffStatus} status - Normalized status
+ * @property {string} statusLabel - Status as UKG reports it, e.g. "Submitted"
+ */
+
+/**
+ * @typedef {Object} PayCode
+ * @property {string} name - Paycode name, e.g. "Sick Pay"
+ * @property {number | null} hours - Amount in hours
+ * @property {string} startDate - ISO date (YYYY-MM-DD) the edit starts on
+ * @property {string} endDate - ISO date (YYYY-MM-DD) the edit ends on, inclusive
  */
 
 /**
  * @typedef {Object} ApiSegment
  * @property {string} startDateTime - ISO datetime (YYYY-MM-DDTHH:MM:SS)
  * @property {string} endDateTime - ISO datetime (YYYY-MM-DDTHH:MM:SS)
- * @property {string} type - "REGULAR_SEGMENT" or "BREAK_SEGMENT"
+ * @property {string} type - "REGULAR_SEGMENT", "BREAK_SEGMENT", "MEAL_SEGMENT" or "TRANSFER_SEGMENT"
+ * @property {boolean} [isPaid] - Sent on break and meal segments that are paid
+ * @property {{ qualifier?: string }} [orgJobRef] - Org path of the segment's job
+ * @property {string} [color] - Job colour, sent with showJobColoring
  */
 
 /**
  * @typedef {Object} RegularShift
  * @property {string} startDateTime - ISO datetime (YYYY-MM-DDTHH:MM:SS)
  * @property {string} endDateTime - ISO datetime (YYYY-MM-DDTHH:MM:SS)
- * @property {ApiSegment[]} [segments] - Inner segments (regular + break)
+ * @property {ApiSegment[]} [segments] - Inner segments (worked time and breaks)
+ * @property {{ qualifier?: string }} [orgJobRef] - Org path of the primary job
+ * @property {string} [color] - Colour of the primary job
  */
 
 /**
@@ -45,32 +97,85 @@
 /**
  * @typedef {Object} TimeOffPeriod
  * @property {string} startDate - ISO date (YYYY-MM-DD)
+ * @property {string} [endDate] - ISO date (YYYY-MM-DD), inclusive; defaults to startDate
+ * @property {string} [startTime] - Time of day (HH:MM[:SS]) for partial-day requests
+ * @property {string} [endTime] - Time of day (HH:MM[:SS]) for partial-day requests
+ * @property {string | number} [duration] - Hours per day, as "H:MM" or a decimal number
+ * @property {{ name?: string }} [symbolicAmount] - "FULL_DAY", "HALF_DAY", "HOURS", ...
  */
 
 /**
  * @typedef {Object} TimeOffRequest
+ * @property {string | number} [id]
  * @property {{ localizedName: string }} requestSubType
  * @property {{ name: string }} currentStatus
  * @property {TimeOffPeriod[]} periods
  */
 
+/**
+ * @typedef {Object} PayCodeEdit
+ * @property {{ name?: string, qualifier?: string }} [payCodeRef]
+ * @property {{ name?: string, displayName?: string }} [payCode]
+ * @property {string} [startDate] - ISO date (YYYY-MM-DD)
+ * @property {string} [endDate] - ISO date (YYYY-MM-DD), inclusive; defaults to startDate
+ * @property {string} [startDateTime] - ISO datetime, used when startDate is absent
+ * @property {number} [durationInHours]
+ * @property {number | string} [amount] - Hours as a decimal number or "H:MM"
+ */
+
+/**
+ * @typedef {Object} ApiTradeRequest
+ * @property {string | number} [id]
+ * @property {{ name: string }} currentStatus
+ * @property {string} [startDateTime] - Start of the shift being swapped or covered
+ * @property {{ startDateTime?: string }} [shift]
+ * @property {{ fullName?: string, name?: string }} [counterpart] - Other employee involved
+ * @property {{ fullName?: string, name?: string }} [employee]
+ */
+
+/**
+ * @typedef {Object} ApiOpenShift
+ * @property {string | number} [id]
+ * @property {string} startDateTime - ISO datetime (YYYY-MM-DDTHH:MM:SS)
+ * @property {string} endDateTime - ISO datetime (YYYY-MM-DDTHH:MM:SS)
+ * @property {Array<ApiSegment & { orgJobRef?: { qualifier?: string } }>} [segments]
+ * @property {{ qualifier?: string }} [orgJobRef] - Org path of the job, e.g. "Dunnes/Store 123/Deli/Deli Assistant"
+ */
+
+/**
+ * @typedef {Object} OpenShift
+ * @property {string | number | null} id
+ * @property {string} date - ISO date string (YYYY-MM-DD)
+ * @property {DayName} day
+ * @property {string} start - Start time (H:MM)
+ * @property {string} end - End time (H:MM)
+ * @property {string} [endDate] - ISO date the shift ends on; only set when it runs past midnight
+ * @property {string | null} job - Job name (last org path element)
+ * @property {string | null} location - Store and department above the job, e.g. "Store 123/Deli"
+ */
+
 /**
  * @typedef {Object} ScheduleApiResponse
  * @property {RegularShift[]} [regularShifts]
  * @property {HolidayListItem[]} [holidayList]
  * @property {TimeOffRequest[]} [timeOffRequests]
+ * @property {PayCodeEdit[]} [payCodeEdits]
+ * @property {ApiOpenShift[]} [openShifts]
+ * @property {ApiTradeRequest[]} [swapRequests]
+ * @property {ApiTradeRequest[]} [coverRequests]
  */
 
 /** @type {readonly ["Sun","Mon","Tue","Wed","Thu","Fri","Sat"]} */
 const DAY_NAMES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
 
 /**
- * Format a Date as an ISO date string (YYYY-MM-DD).
+ * Format a Date as the ISO date string (YYYY-MM-DD) it falls on in `timeZone`.
  * @param {Date} d
+ * @param {string} [timeZone]
  * @returns {string}
  */
-function formatDate(d) {
-  return d.toISOString().split("T")[0];
+function formatDate(d, timeZone = DEFAULT_TIME_ZONE) {
+  return isoDateInZone(d, timeZone);
 }
 
 /**
@@ -85,6 +190,33 @@ function addDays(d, n) {
   return result;
 }
 
+/** Default schedule window: today through six weeks ahead. */
+const DEFAULT_SCHEDULE_WINDOW = { lookBehindDays: 0, lookAheadDays: 42 };
+
+/**
+ * Resolve the ISO date span a schedule scrape should request. Look-behind
+ * reaches into past days so corrections to worked shifts are picked up.
+ * @param {Date} today - Any instant of the day, which is taken in `timeZone`
+ * @param {{ lookBehindDays?: number, lookAheadDays?: number, timeZone?: string }} [options]
+ * @returns {{ start: string, end: string }}
+ */
+function resolveScheduleWindow(today, options = {}) {
+  const lookBehindDays = options.lookBehindDays ?? DEFAULT_SCHEDULE_WINDOW.lookBehindDays;
+  const lookAheadDays = options.lookAheadDays ?? DEFAULT_SCHEDULE_WINDOW.lookAheadDays;
+
+  for (const [name, value] of Object.entries({ lookBehindDays, lookAheadDays })) {
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${name} must be a non-negative whole number of days, got ${value}`);
+    }
+  }
+
+  const todayIso = formatDate(today, options.timeZone);
+  return {
+    start: addIsoDays(todayIso, -lookBehindDays),
+    end: addIsoDays(todayIso, lookAheadDays),
+  };
+}
+
 /**
  * Format an hour:minute time string without leading zero on the hour.
  * @param {string} isoDateTime - e.g. "2026-02-21T09:00:00"
@@ -102,8 +234,7 @@ function formatTime(isoDateTime) {
  * @returns {DayName}
  */
 function dayOfWeek(dateStr) {
-  const d = new Date(dateStr + "T00:00:00");
-  return /** @type {DayName} */ (DAY_NAMES[d.getDay()]);
+  return /** @type {DayName} */ (DAY_NAMES[isoWeekday(dateStr)]);
 }
 
 /**
@@ -116,6 +247,184 @@ function parseHHMM(hhmm) {
   return h * 60 + m;
 }
 
+/**
+ * Format an "HH:MM[:SS]" clock time the same way as shift times ("9:00").
+ * @param {string | undefined} time
+ * @returns {string | null}
+ */
+function formatClockTime(time) {
+  const match = time?.match(/^(\d{1,2}):(\d{2})/);
+  return match ? `${parseInt(match[1])}:${match[2]}` : null;
+}
+
+/**
+ * Normalize a job colour to "#rrggbb"; anything else is dropped so it can be
+ * used in a style attribute as-is.
+ * @param {string | undefined} color
+ * @returns {string | null}
+ */
+function normalizeJobColor(color) {
+  const match = color?.trim().match(/^#?([0-9a-f]{6})$/i);
+  return match ? `#${match[1].toLowerCase()}` : null;
+}
+
+/** UKG segment types we keep, by the type name the API sends. */
+const SEGMENT_TYPES = /** @type {const} */ ({
+  REGULAR_SEGMENT: "regular",
+  BREAK_SEGMENT: "break",
+  MEAL_SEGMENT: "meal",
+  MEAL_BREAK_SEGMENT: "meal",
+  TRANSFER_SEGMENT: "transfer",
+});
+
+/**
+ * Build a schedule segment. Worked segments carry the job they are worked
+ * on when UKG says, falling back to the shift's own job.
+ * @param {string} startDateTime
+ * @param {string} endDateTime
+ * @param {ShiftSegment["type"]} type
+ * @param {{ orgJobRef?: { qualifier?: string }, color?: string, isPaid?: boolean }} source
+ * @param {{ orgJobRef?: { qualifier?: string }, color?: string }} [fallback]
+ * @returns {ShiftSegment}
+ */
+function mapSegment(startDateTime, endDateTime, type, source, fallback = {}) {
+  const segment = {
+    start: formatTime(startDateTime),
+    end: formatTime(endDateTime),
+    type,
+    paid: type === "regular" || type === "transfer" ? true : source.isPaid === true,
+  };
+  if (type === "break" || type === "meal") return segment;
+
+  const orgPath = source.orgJobRef?.qualifier ?? fallback.orgJobRef?.qualifier ?? null;
+  const { job } = describeOrgPath(orgPath);
+  const color = normalizeJobColor(source.color ?? fallback.color);
+  return {
+    ...segment,
+    ...(job ? { job, orgPath } : {}),
+    ...(color ? { color } : {}),
+  };
+}
+
+/**
+ * Normalize a UKG request status name (time-off, swap and cover requests).
+ * @param {string} name
+ * @returns {TimeOffStatus}
+ */
+function normalizeRequestStatus(name) {
+  const key = name.trim().toUpperCase();
+  if (key === "SUBMITTED" || key === "PENDING" || key === "DRAFT") return "pending";
+  if (key === "APPROVED") return "approved";
+  if (key === "REFUSED" || key === "REJECTED") return "refused";
+  if (key === "CANCELLED" || key === "CANCELED" || key === "RETRACTED") return "cancelled";
+  return key.toLowerCase();
+}
+
+/**
+ * Resolve the per-day duration of a time-off period as "H:MM".
+ * @param {TimeOffPeriod} period
+ * @param {string | null} start
+ * @param {string | null} end
+ * @returns {string | null}
+ */
+function timeOffDuration(period, start, end) {
+  let minutes = null;
+  if (typeof period.duration === "number") {
+    minutes = Math.round(period.duration * 60);
+  } else if (typeof period.duration === "string" && /^\d+:\d{2}/.test(period.duration)) {
+    minutes = parseHHMM(period.duration);
+  } else if (start && end) {
+    minutes = parseHHMM(end) - parseHHMM(start);
+  }
+  if (minutes === null || minutes <= 0) return null;
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * Build the structured time-off value for one period of a request.
+ * @param {TimeOffRequest} tor
+ * @param {TimeOffPeriod} period
+ * @returns {TimeOff}
+ */
+function mapTimeOffPeriod(tor, period) {
+  const start = formatClockTime(period.startTime);
+  const end = formatClockTime(period.endTime);
+  const amountType = period.symbolicAmount?.name?.toUpperCase() ?? null;
+  const partial = Boolean(start && end) || (amountType !== null && amountType !== "FULL_DAY");
+  return {
+    requestId: tor.id ?? null,
+    name: tor.requestSubType.localizedName,
+    status: normalizeRequestStatus(tor.currentStatus.name),
+    statusLabel: tor.currentStatus.name,
+    partial,
+    start: partial ? start : null,
+    end: partial ? end : null,
+    duration: timeOffDuration(period, start, end),
+  };
+}
+
+/**
+ * @param {TimeOff | null} timeOff
+ * @returns {boolean}
+ */
+function isActiveTimeOff(timeOff) {
+  return Boolean(timeOff) && timeOff.status !== "refused" && timeOff.status !== "cancelled";
+}
+
+/**
+ * Read the amount of a paycode edit in hours.
+ * @param {PayCodeEdit} edit
+ * @returns {number | null}
+ */
+function payCodeHours(edit) {
+  if (typeof edit.durationInHours === "number") return edit.durationInHours;
+  if (typeof edit.amount === "number") return edit.amount;
+  if (typeof edit.amount === "string" && /^\d+:\d{2}$/.test(edit.amount)) {
+    return Math.round(parseHHMM(edit.amount) / 60 * 100) / 100;
+  }
+  return null;
+}
+
+/**
+ * Build the structured value for a paycode edit, or null when it has no date.
+ * @param {PayCodeEdit} edit
+ * @returns {PayCode | null}
+ */
+function mapPayCodeEdit(edit) {
+  const startDate = edit.startDate ?? edit.startDateTime?.split("T")[0];
+  if (!startDate) return null;
+  const endDate = edit.endDate && edit.endDate > startDate ? edit.endDate : startDate;
+  return {
+    name: edit.payCode?.displayName ?? edit.payCode?.name ?? edit.payCodeRef?.qualifier ?? edit.payCodeRef?.name ?? "Paycode",
+    hours: payCodeHours(edit),
+    startDate,
+    endDate,
+  };
+}
+
+/**
+ * Build the structured value for a swap or cover request, or null when the
+ * request does not say which shift it is about.
+ * @param {ApiTradeRequest} request
+ * @param {"swap"|"cover"} type
+ * @returns {{ date: string, tradeRequest: TradeRequest } | null}
+ */
+function mapTradeRequest(request, type) {
+  const startDateTime = request.startDateTime ?? request.shift?.startDateTime;
+  if (!startDateTime) return null;
+  const person = request.counterpart ?? request.employee;
+  return {
+    date: startDateTime.split("T")[0],
+    tradeRequest: {
+      requestId: request.id ?? null,
+      type,
+      counterpart: person?.fullName ?? person?.name ?? null,
+      status: normalizeRequestStatus(request.currentStatus.name),
+      statusLabel: request.currentStatus.name,
+    },
+  };
+}
+
 /**
  * Convert a UKG schedule API response into a sorted array of Shift objects.
  * @param {ScheduleApiResponse} apiResponse
@@ -125,29 +434,41 @@ function mapApiToShifts(apiResponse) {
   const regularShifts = apiResponse.regularShifts || [];
   const holidayList = apiResponse.holidayList || [];
   const timeOffRequests = apiResponse.timeOffRequests || [];
+  const payCodeEdits = apiResponse.payCodeEdits || [];
+  const tradeRequests = [
+    ...(apiResponse.swapRequests || []).map((request) => mapTradeRequest(request, "swap")),
+    ...(apiResponse.coverRequests || []).map((request) => mapTradeRequest(request, "cover")),
+  ].filter(Boolean);
 
   /** @type {Map<string, Shift>} */
   const shiftsByDate = new Map();
 
-  // Map regular shifts, extracting inner REGULAR_SEGMENT entries
+  // Map regular shifts with their inner segments (worked time and breaks)
+  // A shift belongs to the day it starts on, even when it ends after midnight.
   for (const rs of regularShifts) {
     const date = rs.startDateTime.split("T")[0];
+    const endDate = rs.endDateTime.split("T")[0];
+    // Order by full datetime: on a night shift 0:30 comes after 22:00.
     const innerSegments = (rs.segments || [])
-      .filter((seg) => seg.type === "REGULAR_SEGMENT")
-      .map((seg) => ({ start: formatTime(seg.startDateTime), end: formatTime(seg.endDateTime) }))
-      .sort((a, b) => parseHHMM(a.start) - parseHHMM(b.start));
-    // Fall back to outer start/end if no inner segments
-    const segments = innerSegments.length > 0
+      .filter((seg) => Object.hasOwn(SEGMENT_TYPES, seg.type))
+      .sort((a, b) => a.startDateTime.localeCompare(b.startDateTime))
+      .map((seg) => mapSegment(seg.startDateTime, seg.endDateTime, SEGMENT_TYPES[/** @type {keyof typeof SEGMENT_TYPES} */ (seg.type)], seg, rs));
+    // Fall back to outer start/end if no inner segment is worked time
+    const segments = innerSegments.some((seg) => seg.type === "regular" || seg.type === "transfer")
       ? innerSegments
-      : [{ start: formatTime(rs.startDateTime), end: formatTime(rs.endDateTime) }];
+      : [mapSegment(rs.startDateTime, rs.endDateTime, "regular", rs)];
     shiftsByDate.set(date, {
       date,
       day: dayOfWeek(date),
       start: segments[0].start,
       end: segments[segments.length - 1].end,
+      ...(endDate > date ? { endDate } : {}),
       off: false,
       note: null,
       segments,
+      timeOff: null,
+      payCodes: null,
+      tradeRequests: null,
     });
   }
 
@@ -167,32 +488,131 @@ function mapApiToShifts(apiResponse) {
         off: true,
         note: name,
         segments: [],
+        timeOff: null,
+        payCodes: null,
+        tradeRequests: null,
       });
     }
   }
 
-  // Map time-off requests
+  // Map time-off requests across every date each period spans. An active
+  // request takes precedence over a refused or cancelled one on the same date.
   for (const tor of timeOffRequests) {
-    const label = tor.requestSubType.localizedName;
-    const status = tor.currentStatus.name;
-    const note = `${label} (${status})`;
     for (const period of tor.periods) {
-      const date = period.startDate;
-      if (!shiftsByDate.has(date)) {
+      const timeOff = mapTimeOffPeriod(tor, period);
+      const lastDate = period.endDate && period.endDate > period.startDate ? period.endDate : period.startDate;
+      for (let date = period.startDate; date <= lastDate; date = addIsoDays(date, 1)) {
+        const existing = shiftsByDate.get(date);
+        if (!existing) {
+          shiftsByDate.set(date, {
+            date,
+            day: dayOfWeek(date),
+            start: null,
+            end: null,
+            off: true,
+            note: timeOff.name,
+            segments: [],
+            timeOff,
+            payCodes: null,
+            tradeRequests: null,
+          });
+        } else if (!isActiveTimeOff(existing.timeOff) || isActiveTimeOff(timeOff)) {
+          if (existing.off && existing.timeOff && existing.note === existing.timeOff.name) {
+            existing.note = timeOff.name;
+          }
+          existing.timeOff = timeOff;
+        }
+      }
+    }
+  }
+
+  // Map paycode edits onto every date they span; dates without a shift become
+  // days off noted with the paycode (e.g. a sick day that replaced the shift).
+  for (const edit of payCodeEdits) {
+    const payCode = mapPayCodeEdit(edit);
+    if (!payCode) continue;
+    for (let date = payCode.startDate; date <= payCode.endDate; date = addIsoDays(date, 1)) {
+      const existing = shiftsByDate.get(date);
+      if (existing) {
+        existing.payCodes = [...(existing.payCodes ?? []), payCode];
+      } else {
         shiftsByDate.set(date, {
           date,
           day: dayOfWeek(date),
           start: null,
           end: null,
           off: true,
-          note,
+          note: payCode.name,
           segments: [],
+          timeOff: null,
+          payCodes: [payCode],
+          tradeRequests: null,
         });
       }
     }
   }
 
+  // Attach swap/cover requests to the shift they are about. A cover of someone
+  // else's shift may fall on a day without a shift of mine.
+  for (const { date, tradeRequest } of tradeRequests) {
+    const existing = shiftsByDate.get(date);
+    if (existing) {
+      existing.tradeRequests = [...(existing.tradeRequests ?? []), tradeRequest];
+    } else {
+      shiftsByDate.set(date, {
+        date,
+        day: dayOfWeek(date),
+        start: null,
+        end: null,
+        off: true,
+        note: null,
+        segments: [],
+        timeOff: null,
+        payCodes: null,
+        tradeRequests: [tradeRequest],
+      });
+    }
+  }
+
   return [...shiftsByDate.values()].sort((a, b) => a.date.localeCompare(b.date));
 }
 
-export { formatDate, addDays, mapApiToShifts };
+/**
+ * Convert the open shifts in a UKG schedule API response into a sorted array.
+ * @param {ScheduleApiResponse} apiResponse
+ * @returns {OpenShift[]}
+ */
+function mapApiToOpenShifts(apiResponse) {
+  return (apiResponse.openShifts || [])
+    .map((os) => {
+      const date = os.startDateTime.split("T")[0];
+      const endDate = os.endDateTime.split("T")[0];
+      const orgPath = os.orgJobRef?.qualifier
+        ?? (os.segments || []).find((seg) => seg.orgJobRef?.qualifier)?.orgJobRef?.qualifier
+        ?? null;
+      const { job, department, store } = describeOrgPath(orgPath);
+      return {
+        id: os.id ?? null,
+        date,
+        day: dayOfWeek(date),
+        start: formatTime(os.startDateTime),
+        end: formatTime(os.endDateTime),
+        ...(endDate > date ? { endDate } : {}),
+        job,
+        location: [store, department].filter(Boolean).join("/") || null,
+      };
+    })
+    .sort((a, b) => a.date.localeCompare(b.date) || parseHHMM(a.start) - parseHHMM(b.start));
+}
+
+export {
+  DEFAULT_SCHEDULE_WINDOW,
+  formatDate,
+  addDays,
+  addIsoDays,
+  dayOfWeek,
+  formatTime,
+  resolveScheduleWindow,
+  mapApiToShifts,
+  mapApiToOpenShifts,
+};
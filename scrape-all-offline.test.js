@@ -0,0 +1,121 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { chromium } from "playwright";
+import { startMockUkgServer } from "./mock-ukg-server.js";
+
+// End-to-end run of login → scrapeSchedule → scrapeTimecard against the local
+// mock server, plus parsing a saved page. Skipped where the Playwright browser
+// is not installed.
+const browserInstalled = fs.existsSync(chromium.executablePath());
+
+const credentials = { username: "worker@example.com", password: "hunter2" };
+
+/** @type {Awaited<ReturnType<typeof startMockUkgServer>>} */
+let server;
+/** @type {string} */
+let dataDir;
+
+before(async () => {
+  server = await startMockUkgServer({ credentials });
+  // The default tenant profile picks up UKG_BASE_URL, sending every scraper to the mock server.
+  process.env.UKG_BASE_URL = server.url;
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ukg-offline-"));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("scrapeAll: logs in and scrapes schedule and timecard from the mock server", { skip: !browserInstalled && "Playwright chromium is not installed" }, async () => {
+  const { openSession } = await import("./ukg-session.js");
+  const { scrapeAll } = await import("./scrape-all.js");
+
+  const browser = await chromium.launch({ headless: true });
+  try {
+    const { context, page, reused } = await openSession(browser, { credentials, dataDir });
+    assert.strictEqual(reused, false);
+
+    const result = await scrapeAll(context, page, { start: "2026-03-02", end: "2026-04-13" });
+
+    assert.deepStrictEqual(result.errors, []);
+    assert.deepStrictEqual(result.schedule.window, { start: "2026-03-02", end: "2026-04-13" });
+    assert.deepStrictEqual(result.schedule.shifts.map((shift) => [shift.date, shift.start, shift.end]), [
+      ["2026-03-02", "9:00", "17:00"],
+      ["2026-03-04", "14:00", "20:00"],
+    ]);
+    assert.strictEqual(result.timecard.source, "api");
+    assert.deepStrictEqual(result.timecard.entries[0].punches, [
+      { in: "2026-03-02T08:55:00", out: "2026-03-02T12:59:00" },
+      { in: "2026-03-02T13:30:00", out: "2026-03-02T17:02:00" },
+    ]);
+    assert.strictEqual(result.timecard.entries[0].dailyTotal, "7:36");
+
+    await context.close();
+  } finally {
+    await browser.close();
+  }
+
+  assert.ok(server.requests.includes("POST /login"));
+  assert.ok(server.requests.includes("POST /myschedule/events"));
+  assert.ok(server.requests.includes("GET /api/v1/timekeeping/timecard"));
+});
+
+test("openSession: flags rejected credentials and refuses to log in with them again", { skip: !browserInstalled && "Playwright chromium is not installed" }, async () => {
+  const { loadCredentialsFlag, openSession } = await import("./ukg-session.js");
+  const flagDir = fs.mkdtempSync(path.join(os.tmpdir(), "ukg-offline-flag-"));
+  const wrong = { ...credentials, password: "wrong" };
+
+  const browser = await chromium.launch({ headless: true });
+  try {
+    await assert.rejects(openSession(browser, { credentials: wrong, dataDir: flagDir }), { category: "bad-credentials" });
+    assert.strictEqual(loadCredentialsFlag(flagDir)?.reason, "rejected");
+
+    const loginsBefore = server.requests.filter((request) => request === "POST /login").length;
+    await assert.rejects(openSession(browser, { credentials: wrong, dataDir: flagDir }), { reason: "blocked" });
+    assert.strictEqual(server.requests.filter((request) => request === "POST /login").length, loginsBefore);
+  } finally {
+    await browser.close();
+    fs.rmSync(flagDir, { recursive: true, force: true });
+  }
+});
+
+test("scrapeSavedFiles: parses a saved timecard page without a session", { skip: !browserInstalled && "Playwright chromium is not installed" }, async () => {
+  const { scrapeSavedFiles } = await import("./scrape-all.js");
+  const fixture = JSON.parse(fs.readFileSync("fixtures/ukg/get-myTimecard.json", "utf8"));
+  const htmlPath = path.join(dataDir, "timecard.html");
+  fs.writeFileSync(htmlPath, fixture.body);
+
+  const result = await scrapeSavedFiles({ fromHtml: htmlPath });
+
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.timecard.source, "dom");
+  assert.deepStrictEqual(
+    result.timecard.entries.map((entry) => [entry.date, entry.clockIn1, entry.clockOut2, entry.dailyTotal]),
+    [["02/03", "08:55", "17:02", "7:36"], ["03/03", null, null, null]]
+  );
+});
+
+test("runScrape: a dry run leaves the data dir untouched", { skip: !browserInstalled && "Playwright chromium is not installed" }, async () => {
+  const { runScrape } = await import("./scrape-all.js");
+  const { resolveTenantProfile } = await import("./tenant-profile.js");
+  const dryRunDir = fs.mkdtempSync(path.join(os.tmpdir(), "ukg-offline-dry-run-"));
+
+  try {
+    const output = await runScrape({
+      credentials,
+      dataDir: dryRunDir,
+      tenant: resolveTenantProfile(),
+      scheduleWindow: { start: "2026-03-02", end: "2026-04-13" },
+      dryRun: true,
+    });
+
+    assert.deepStrictEqual(output.errors, []);
+    assert.deepStrictEqual(fs.readdirSync(dryRunDir), []);
+  } finally {
+    fs.rmSync(dryRunDir, { recursive: true, force: true });
+  }
+});
@@ -2,38 +2,40 @@ import { chromium } from "playwright";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
-import { formatDate, addDays, mapApiToShifts } from "./schedule-utils.js";
+import { parseArgs } from "util";
+import { addIsoDays, listStoredDates, loadDayRecord, persistTimecardData, resolveDdmmIso, writeDayIndex } from "./day-store.js";
+import { mapApiToShifts, mapApiToOpenShifts, resolveScheduleWindow } from "./schedule-utils.js";
+import { mapApiToTimecardEntries } from "./timecard-utils.js";
+import { createConsoleCollector, writeDebugBundle } from "./debug-bundle.js";
+import { ScrapeError, classifyError, toScrapeFailure, withRetry } from "./scrape-errors.js";
+import { recordFixtures } from "./ukg-fixtures.js";
+import { discoverCalendarConfigId, resolveTenantProfile } from "./tenant-profile.js";
+import { CREDENTIALS_HINT, DEFAULT_DATA_DIR, loadConfig, loadCredentials, resolveAccount } from "./ukg-config.js";
+import { openSession, persistSession } from "./ukg-session.js";
+import { isoDateInZone } from "./website/zoned-date.js";
 
 /** @typedef {import("./schedule-utils.js").Shift} Shift */
-
-/**
- * @typedef {Object} TimecardEntry
- * @property {string} date
- * @property {string} day
- * @property {string | null} schedule
- * @property {string | null} absence
- * @property {string | null} clockIn1
- * @property {string | null} clockOut1
- * @property {string | null} clockIn2
- * @property {string | null} clockOut2
- * @property {string | null} [clockIn3]
- * @property {string | null} [clockOut3]
- * @property {string | null} payCode
- * @property {string | null} amount
- * @property {string | null} shiftTotal
- * @property {string | null} dailyTotal
- */
+/** @typedef {import("./schedule-utils.js").OpenShift} OpenShift */
+/** @typedef {import("./timecard-utils.js").TimecardEntry} TimecardEntry */
+/** @typedef {import("./scrape-errors.js").ScrapeFailure} ScrapeFailure */
+/** @typedef {import("./tenant-profile.js").TenantProfile} TenantProfile */
+/** @typedef {import("./ukg-session.js").Credentials} Credentials */
+/** @typedef {"all" | "schedule" | "timecard"} ScrapeTarget */
 
 /**
  * @typedef {Object} ScheduleResult
  * @property {string} extractedAt
+ * @property {{ start: string, end: string }} [window] - ISO date span the scrape covered (inclusive);
+ *   absent when parsed from a saved payload whose request span is unknown
  * @property {Shift[]} shifts
+ * @property {OpenShift[]} openShifts - Unassigned shifts offered to the employee
  */
 
 /**
  * @typedef {Object} TimecardResult
  * @property {string} extractedAt
  * @property {string} period
+ * @property {"api" | "dom"} source - Whether entries came from the JSON endpoint or the grid
  * @property {TimecardEntry[]} entries
  */
 
@@ -41,11 +43,10 @@ import { formatDate, addDays, mapApiToShifts } from "./schedule-utils.js";
  * @typedef {Object} ScrapeResult
  * @property {ScheduleResult | null} schedule
  * @property {TimecardResult | null} timecard
- * @property {string[]} errors
+ * @property {ScrapeFailure[]} errors - One per failed step, with its failure category
+ * @property {string | null} [debugBundle] - data/debug/ folder written for a failed run
  */
 
-const BASE_URL = "https://dunnes.prd.mykronos.com";
-
 /**
  * Resolve a DD/MM date string to a full Date, using the reference date's year.
  * Handles the Dec→Jan year boundary (Dec entries resolve to the previous year
@@ -91,13 +92,59 @@ function filterTimecardEntries(entries, referenceDateStr) {
   });
 }
 
+/**
+ * Request statuses to ask /myschedule/events for, the list the page itself
+ * sends for cover and swap requests. An empty list returns no requests of
+ * that kind, so time-off and open shift requests need it too; refused and
+ * cancelled ones are kept so a withdrawn request is reported as such.
+ */
+const REQUEST_STATUSES = ["SUBMITTED", "PENDING", "APPROVED", "REFUSED", "CANCELLED"];
+
+/**
+ * Body of the /myschedule/events request for an ISO date span.
+ * @param {{ start: string, end: string }} window
+ * @param {number} calendarConfigId
+ * @returns {{ data: Record<string, unknown> }}
+ */
+function buildScheduleRequestBody(window, calendarConfigId) {
+  return {
+    data: {
+      calendarConfigId,
+      includedEntities: [
+        "entity.regularshift",
+        "entity.paycodeedit",
+        "entity.holiday",
+        "entity.timeoffrequest",
+        "entity.openshift",
+      ],
+      includedCoverRequestsStatuses: REQUEST_STATUSES,
+      includedSwapRequestsStatuses: REQUEST_STATUSES,
+      includedTimeOffRequestsStatuses: REQUEST_STATUSES,
+      includedOpenShiftRequestsStatuses: REQUEST_STATUSES,
+      includedSelfScheduleRequestsStatuses: [],
+      includedAvailabilityRequestsStatuses: [],
+      includedAvailabilityPatternRequestsStatuses: [],
+      dateSpan: { start: window.start, end: window.end },
+      showJobColoring: true,
+      showOrgPathToDisplay: true,
+      includeEmployeePreferences: true,
+      includeNodeAddress: true,
+      removeDuplicatedEntities: true,
+      hideInvisibleTORPayCodes: true,
+    },
+  };
+}
+
 /**
  * Fetch schedule data via the JSON API from a logged-in page.
  * @param {import("playwright").BrowserContext} context
  * @param {import("playwright").Page} page - Any page in the authenticated context
+ * @param {{ start: string, end: string }} window - ISO date span to request (inclusive)
+ * @param {TenantProfile} [tenant]
  * @returns {Promise<ScheduleResult>}
  */
-async function scrapeSchedule(context, page) {
+async function scrapeSchedule(context, page, window, tenant = resolveTenantProfile()) {
+  const calendarConfigId = tenant.calendarConfigId ?? await discoverCalendarConfigId(page, tenant);
   console.error("[schedule] Fetching via API...");
 
   const cookies = await context.cookies();
@@ -106,60 +153,42 @@ async function scrapeSchedule(context, page) {
     throw new Error("XSRF-TOKEN cookie not found after login");
   }
 
-  const today = new Date();
-  const start = formatDate(today);
-  const end = formatDate(addDays(today, 42));
+  const { start, end } = window;
+  console.error(`[schedule] Window ${start} to ${end}.`);
 
   const apiResponse = await page.evaluate(
-    async ({ start, end, xsrfToken }) => {
+    async ({ body, xsrfToken }) => {
       const r = await fetch("/myschedule/events", {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
           "x-xsrf-token": xsrfToken,
         },
-        body: JSON.stringify({
-          data: {
-            calendarConfigId: 3001002,
-            includedEntities: [
-              "entity.regularshift",
-              "entity.paycodeedit",
-              "entity.holiday",
-              "entity.timeoffrequest",
-            ],
-            includedCoverRequestsStatuses: [],
-            includedSwapRequestsStatuses: [],
-            includedTimeOffRequestsStatuses: [],
-            includedOpenShiftRequestsStatuses: [],
-            includedSelfScheduleRequestsStatuses: [],
-            includedAvailabilityRequestsStatuses: [],
-            includedAvailabilityPatternRequestsStatuses: [],
-            dateSpan: { start, end },
-            showJobColoring: true,
-            showOrgPathToDisplay: true,
-            includeEmployeePreferences: true,
-            includeNodeAddress: true,
-            removeDuplicatedEntities: true,
-            hideInvisibleTORPayCodes: true,
-          },
-        }),
+        body: JSON.stringify(body),
       });
       if (!r.ok) {
         return { error: r.status, message: await r.text() };
       }
       return r.json();
     },
-    { start, end, xsrfToken: xsrfCookie.value }
+    { body: buildScheduleRequestBody(window, calendarConfigId), xsrfToken: xsrfCookie.value }
   );
 
   if (apiResponse.error) {
     throw new Error(`Schedule API returned ${apiResponse.error}: ${apiResponse.message}`);
   }
 
-  const shifts = mapApiToShifts(apiResponse);
-  console.error(`[schedule] Got ${shifts.length} shifts from API. Done.`);
+  let shifts;
+  let openShifts;
+  try {
+    shifts = mapApiToShifts(apiResponse);
+    openShifts = mapApiToOpenShifts(apiResponse);
+  } catch (err) {
+    throw new ScrapeError("api-schema-change", `Schedule API response has an unexpected shape: ${/** @type {Error} */ (err).message}`, { cause: err });
+  }
+  console.error(`[schedule] Got ${shifts.length} shifts and ${openShifts.length} open shifts from API. Done.`);
 
-  return { extractedAt: new Date().toISOString(), shifts };
+  return { extractedAt: new Date().toISOString(), window: { start, end }, shifts, openShifts };
 }
 
 /**
@@ -283,24 +312,206 @@ async function extractTimecardEntries(page) {
   });
 }
 
+/** Timecard data endpoint the My Timecard page loads over XHR. */
+const TIMECARD_API_PATH = "/api/v1/timekeeping/timecard";
+
 /**
- * Scrape timecard data covering the last 2 weeks.
- * Scrapes the current pay period, then navigates to the previous period
- * and scrapes that too. Entries are filtered to the last 14 days.
+ * Fetch timecard data for an ISO date span from the timecard JSON endpoint,
+ * with the same cookies and XSRF token the page itself uses.
+ * @param {import("playwright").Page} page - Any page in the authenticated context
+ * @param {{ start: string, end: string }} range
+ * @param {TenantProfile} tenant
+ * @returns {Promise<TimecardEntry[]>}
+ */
+async function fetchTimecardEntries(page, range, tenant) {
+  const cookies = await page.context().cookies();
+  const xsrfCookie = cookies.find((c) => c.name === "XSRF-TOKEN");
+  if (!xsrfCookie) {
+    throw new Error("XSRF-TOKEN cookie not found after login");
+  }
+
+  if (!page.url().startsWith(tenant.baseUrl)) {
+    await page.goto(tenant.baseUrl + "/wfd/home", { waitUntil: "domcontentloaded", timeout: 60000 });
+  }
+
+  const apiResponse = await page.evaluate(
+    async ({ apiPath, start, end, xsrfToken }) => {
+      const query = new URLSearchParams({
+        start_date: start,
+        end_date: end,
+        select: "PUNCHES,EXCEPTIONS,PAYCODE_EDITS,DAILY_TOTALS,WORKED_SHIFTS,SCHEDULE_SHIFTS",
+      });
+      const r = await fetch(`${apiPath}?${query}`, {
+        headers: {
+          Accept: "application/json",
+          "x-xsrf-token": xsrfToken,
+        },
+      });
+      if (!r.ok) {
+        return { error: r.status, message: await r.text() };
+      }
+      return r.json();
+    },
+    { apiPath: TIMECARD_API_PATH, start: range.start, end: range.end, xsrfToken: xsrfCookie.value }
+  );
+
+  if (apiResponse.error) {
+    throw new Error(`Timecard API returned ${apiResponse.error}: ${apiResponse.message}`);
+  }
+
+  return mapApiToTimecardEntries({ startDate: range.start, endDate: range.end, ...apiResponse }, tenant.timeZone);
+}
+
+/**
+ * Navigate from the home page to My Timecard and wait for the grid.
  * @param {import("playwright").Page} page
- * @returns {Promise<TimecardResult>}
+ * @param {TenantProfile} tenant
+ * @returns {Promise<void>}
  */
-async function scrapeTimecard(page) {
+async function openMyTimecard(page, tenant) {
   console.error("[timecard] Opening My Timecard...");
-  await page.goto(BASE_URL + "/wfd/home", { waitUntil: "networkidle", timeout: 60000 });
+  await page.goto(tenant.baseUrl + "/wfd/home", { waitUntil: "networkidle", timeout: 60000 });
   await page.waitForTimeout(3000);
-  await page.getByText("Open My Timecard").click({ timeout: 10000 });
+  await page.getByText(tenant.timecardLabels.openTimecard).click({ timeout: 10000 });
   await page.waitForURL((url) => url.toString().includes("/myTimecard"), {
     timeout: 30000,
   });
 
   await page.waitForSelector("#_timeFrame", { timeout: 10000 });
   await page.waitForTimeout(3000);
+}
+
+/**
+ * Split an inclusive ISO date range into consecutive chunks of at most
+ * `maxDays` days, so each chunk fits in one timecard grid.
+ * @param {string} from - ISO date (YYYY-MM-DD)
+ * @param {string} to - ISO date (YYYY-MM-DD)
+ * @param {number} maxDays
+ * @returns {{ start: string, end: string }[]}
+ */
+function splitDateRange(from, to, maxDays) {
+  const chunks = [];
+  for (let start = from; start <= to; start = addIsoDays(start, maxDays)) {
+    const end = addIsoDays(start, maxDays - 1);
+    chunks.push({ start, end: end < to ? end : to });
+  }
+  return chunks;
+}
+
+/**
+ * @param {string} isoDate
+ * @returns {string} - DD/MM/YYYY as the timecard date pickers expect
+ */
+function isoToTimecardInput(isoDate) {
+  return `${isoDate.slice(8, 10)}/${isoDate.slice(5, 7)}/${isoDate.slice(0, 4)}`;
+}
+
+/**
+ * Switch the open timecard to an explicit date range via the #_timeFrame
+ * menu's "Range of Dates" option.
+ * @param {import("playwright").Page} page
+ * @param {{ start: string, end: string }} range
+ * @param {import("./tenant-profile.js").TimecardLabels} labels
+ * @returns {Promise<void>}
+ */
+async function selectTimecardRange(page, range, labels) {
+  await page.click("#_timeFrame");
+  await page.getByText(labels.rangeOfDates, { exact: true }).click({ timeout: 5000 });
+  await page.getByLabel(labels.startDate).fill(isoToTimecardInput(range.start));
+  await page.getByLabel(labels.endDate).fill(isoToTimecardInput(range.end));
+  await page.getByRole("button", { name: labels.apply }).click({ timeout: 5000 });
+  await page.waitForTimeout(3000);
+}
+
+/**
+ * Scrape every timecard day between two ISO dates by walking the grid's
+ * range selector one chunk at a time. Entries carry their resolved isoDate.
+ * @param {import("playwright").Page} page
+ * @param {{ from: string, to: string }} options
+ * @param {TenantProfile} tenant
+ * @returns {Promise<TimecardResult & { periods: { start: string, end: string, entries: number }[] }>}
+ */
+async function scrapeTimecardRange(page, options, tenant) {
+  /** @type {Map<string, TimecardEntry & { isoDate: string }>} */
+  const byIsoDate = new Map();
+  const periods = [];
+  let source = /** @type {"api" | "dom"} */ ("api");
+
+  for (const chunk of splitDateRange(options.from, options.to, 14)) {
+    console.error(`[backfill] Loading ${chunk.start} to ${chunk.end}...`);
+    /** @type {TimecardEntry[]} */
+    let entries;
+    if (source === "api") {
+      try {
+        entries = await fetchTimecardEntries(page, chunk, tenant);
+      } catch (err) {
+        console.error("[backfill] Timecard API failed, falling back to the grid: " + /** @type {Error} */ (err).message);
+        source = "dom";
+        await openMyTimecard(page, tenant);
+      }
+    }
+    if (source === "dom") {
+      await selectTimecardRange(page, chunk, tenant.timecardLabels);
+      entries = await extractTimecardEntries(page);
+    }
+    let kept = 0;
+    for (const entry of entries) {
+      const isoDate = entry.isoDate ?? resolveDdmmIso(entry.date, chunk.end);
+      if (isoDate < chunk.start || isoDate > chunk.end) continue;
+      byIsoDate.set(isoDate, { ...entry, isoDate });
+      kept += 1;
+    }
+    periods.push({ ...chunk, entries: kept });
+    console.error(`[backfill] Got ${kept} entries.`);
+  }
+
+  return {
+    extractedAt: new Date().toISOString(),
+    period: `${options.from} to ${options.to}`,
+    source,
+    entries: [...byIsoDate.values()].sort((a, b) => a.isoDate.localeCompare(b.isoDate)),
+    periods,
+  };
+}
+
+/**
+ * Scrape timecard data covering the last 2 weeks, from the timecard JSON
+ * endpoint when it answers and from the grid otherwise.
+ * @param {import("playwright").Page} page
+ * @param {TenantProfile} [tenant]
+ * @returns {Promise<TimecardResult>}
+ */
+async function scrapeTimecard(page, tenant = resolveTenantProfile()) {
+  const today = isoDateInZone(new Date(), tenant.timeZone);
+
+  try {
+    console.error("[timecard] Fetching via API...");
+    const entries = await fetchTimecardEntries(page, { start: addIsoDays(today, -14), end: today }, tenant);
+    console.error(`[timecard] Got ${entries.length} entries from API. Done.`);
+    return {
+      extractedAt: new Date().toISOString(),
+      period: "Last 2 Weeks",
+      source: "api",
+      entries,
+    };
+  } catch (err) {
+    console.error("[timecard] API failed, falling back to the grid: " + /** @type {Error} */ (err).message);
+  }
+
+  return scrapeTimecardGrid(page, today, tenant);
+}
+
+/**
+ * Scrape the last 2 weeks from the timecard grid DOM.
+ * Scrapes the current pay period, then navigates to the previous period
+ * and scrapes that too. Entries are filtered to the last 14 days.
+ * @param {import("playwright").Page} page
+ * @param {string} today - ISO date (YYYY-MM-DD)
+ * @param {TenantProfile} tenant
+ * @returns {Promise<TimecardResult>}
+ */
+async function scrapeTimecardGrid(page, today, tenant) {
+  await openMyTimecard(page, tenant);
 
   console.error("[timecard] Parsing current period...");
   const currentEntries = await extractTimecardEntries(page);
@@ -314,7 +525,7 @@ async function scrapeTimecard(page) {
   try {
     console.error("[timecard] Navigating to previous period...");
     await page.click("#_timeFrame");
-    await page.getByText("Previous Pay Period", { exact: true }).click({ timeout: 5000 });
+    await page.getByText(tenant.timecardLabels.previousPayPeriod, { exact: true }).click({ timeout: 5000 });
     await page.waitForTimeout(3000);
     previousEntries = await extractTimecardEntries(page);
     console.error(`[timecard] Got ${previousEntries.length} entries from previous period.`);
@@ -324,11 +535,10 @@ async function scrapeTimecard(page) {
 
   // Combine (previous first so current overwrites on dedup) and filter to last 14 days
   const allEntries = [...previousEntries, ...currentEntries];
-  const today = new Date().toISOString().split("T")[0];
   const entries = filterTimecardEntries(allEntries, today);
 
   if (entries.length === 0) {
-    throw new Error("Could not parse timecard data");
+    throw new ScrapeError("layout-change", "Could not parse timecard data");
   }
 
   console.error(`[timecard] Found ${entries.length} entries (last 2 weeks). Done.`);
@@ -336,103 +546,490 @@ async function scrapeTimecard(page) {
   return {
     extractedAt: new Date().toISOString(),
     period: "Last 2 Weeks",
+    source: "dom",
     entries,
   };
 }
 
 /**
- * Load credentials from CLI args or config.json fallback.
- * @returns {{ username: string, password: string }}
+ * Run the schedule and timecard scrapes side by side in an authenticated
+ * context. A failing scraper is reported in `errors` without failing the other.
+ * @param {import("playwright").BrowserContext} context
+ * @param {import("playwright").Page} loginPage - Page left on the home page by login
+ * @param {{ start: string, end: string }} scheduleWindow
+ * @param {TenantProfile} [tenant]
+ * @param {{ only?: ScrapeTarget }} [options] - Scrape one side only; the other stays null
+ * @returns {Promise<ScrapeResult>}
  */
-function loadCredentials() {
-  const [username, password] = process.argv.slice(2);
-  if (username && password) return { username, password };
+async function scrapeAll(context, loginPage, scheduleWindow, tenant = resolveTenantProfile(), options = {}) {
+  const only = options.only ?? "all";
+  // Schedule uses API (no page navigation needed) — use loginPage directly
+  // Timecard needs its own page for DOM scraping
+  const timecardPage = only === "schedule" ? null : await context.newPage();
 
-  const configPath = path.join(
-    path.dirname(fileURLToPath(import.meta.url)),
-    "config.json"
-  );
-  if (fs.existsSync(configPath)) {
-    const config = JSON.parse(fs.readFileSync(configPath, "utf8"));
-    if (config.ukg?.username && config.ukg?.password) {
-      return { username: config.ukg.username, password: config.ukg.password };
+  /** @type {ScrapeFailure[]} */
+  const errors = [];
+
+  const [scheduleResult, timecardResult] = await Promise.allSettled([
+    only === "timecard" ? Promise.resolve(null) : withRetry("schedule", () => scrapeSchedule(context, loginPage, scheduleWindow, tenant), {
+      classify: async (err) => classifyError(err, { pageText: await pageText(loginPage) }),
+    }),
+    timecardPage ? withRetry("timecard", () => scrapeTimecard(timecardPage, tenant), {
+      classify: async (err) => classifyError(err, { pageText: await pageText(timecardPage) }),
+    }) : Promise.resolve(null),
+  ]);
+
+  /** @type {ScheduleResult | null} */
+  let schedule = null;
+  if (scheduleResult.status === "fulfilled") {
+    schedule = scheduleResult.value;
+  } else {
+    const failure = toScrapeFailure("schedule", scheduleResult.reason);
+    console.error(`[schedule] FAILED (${failure.category}): ${failure.message}`);
+    errors.push(failure);
+  }
+
+  /** @type {TimecardResult | null} */
+  let timecard = null;
+  if (timecardResult.status === "fulfilled") {
+    timecard = timecardResult.value;
+  } else {
+    const failure = toScrapeFailure("timecard", timecardResult.reason);
+    console.error(`[timecard] FAILED (${failure.category}): ${failure.message}`);
+    errors.push(failure);
+  }
+
+  return { schedule, timecard, errors };
+}
+
+/**
+ * Visible text of a page, for recognizing error and maintenance pages.
+ * @param {import("playwright").Page | null} page
+ * @returns {Promise<string | null>}
+ */
+async function pageText(page) {
+  if (!page) return null;
+  return page.locator("body").innerText({ timeout: 5000 }).catch(() => null);
+}
+
+/**
+ * Read a saved /myschedule/events payload. Accepts the raw response body or a
+ * fixture file written by --record.
+ * @param {string} filePath
+ * @returns {object}
+ */
+function loadSchedulePayload(filePath) {
+  const parsed = JSON.parse(fs.readFileSync(filePath, "utf8"));
+  return parsed && typeof parsed.method === "string" && "body" in parsed ? parsed.body : parsed;
+}
+
+/**
+ * Map a saved schedule payload the same way scrapeSchedule maps a live one.
+ * @param {object} apiResponse
+ * @param {string} extractedAt
+ * @returns {ScheduleResult}
+ */
+function scheduleFromApiJson(apiResponse, extractedAt) {
+  return {
+    extractedAt,
+    shifts: mapApiToShifts(apiResponse),
+    openShifts: mapApiToOpenShifts(apiResponse),
+  };
+}
+
+/**
+ * Render a saved timecard page in a blank page (no network, no session) and
+ * run the grid parser over it.
+ * @param {import("playwright").Browser} browser
+ * @param {string} html
+ * @param {string} extractedAt
+ * @returns {Promise<TimecardResult>}
+ */
+async function timecardFromHtml(browser, html, extractedAt) {
+  const context = await browser.newContext();
+  try {
+    await context.route("**/*", (route) => route.abort());
+    const page = await context.newPage();
+    await page.setContent(html, { waitUntil: "domcontentloaded" });
+    return {
+      extractedAt,
+      period: "Saved page",
+      source: "dom",
+      entries: await extractTimecardEntries(page),
+    };
+  } finally {
+    await context.close();
+  }
+}
+
+/**
+ * Re-run extraction on saved files instead of a live session. Each file's
+ * modification time stands in for when UKG served it.
+ * @param {{ fromHtml?: string, fromApiJson?: string }} inputs
+ * @returns {Promise<ScrapeResult>}
+ */
+async function scrapeSavedFiles(inputs) {
+  /** @type {ScrapeResult} */
+  const output = { schedule: null, timecard: null, errors: [] };
+  /** @param {string} filePath */
+  const savedAt = (filePath) => fs.statSync(filePath).mtime.toISOString();
+
+  if (inputs.fromApiJson) {
+    try {
+      output.schedule = scheduleFromApiJson(loadSchedulePayload(inputs.fromApiJson), savedAt(inputs.fromApiJson));
+      console.error(`[schedule] Got ${output.schedule.shifts.length} shifts from ${inputs.fromApiJson}.`);
+    } catch (err) {
+      output.errors.push(toScrapeFailure("schedule", err));
+    }
+  }
+
+  if (inputs.fromHtml) {
+    const browser = await chromium.launch({ headless: true });
+    try {
+      const html = fs.readFileSync(inputs.fromHtml, "utf8");
+      output.timecard = await timecardFromHtml(browser, html, savedAt(inputs.fromHtml));
+      console.error(`[timecard] Got ${output.timecard.entries.length} entries from ${inputs.fromHtml}.`);
+    } catch (err) {
+      output.errors.push(toScrapeFailure("timecard", err));
+    } finally {
+      await browser.close();
     }
   }
 
-  console.error("Usage: node scrape-all.js <username> <password>");
-  console.error("Or create config.json with ukg.username and ukg.password");
-  process.exit(1);
+  return output;
 }
 
-/** @returns {Promise<void>} */
-async function main() {
-  const { username, password } = loadCredentials();
+/**
+ * Parse command-line flags. Positionals are returned only so main can refuse
+ * them: credentials are never taken from arguments.
+ * @param {string[]} argv
+ * @returns {{
+ *   positionals: string[],
+ *   backfill: boolean,
+ *   dryRun: boolean,
+ *   from?: string,
+ *   to?: string,
+ *   lookBehindDays?: number,
+ *   lookAheadDays?: number,
+ *   record?: string,
+ *   fromHtml?: string,
+ *   fromApiJson?: string,
+ *   trace: boolean,
+ *   config?: string,
+ *   dataDir?: string,
+ *   account?: string,
+ * }}
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      backfill: { type: "boolean", default: false },
+      "dry-run": { type: "boolean", default: false },
+      from: { type: "string" },
+      to: { type: "string" },
+      "look-behind": { type: "string" },
+      "look-ahead": { type: "string" },
+      record: { type: "string" },
+      "from-html": { type: "string" },
+      "from-api-json": { type: "string" },
+      trace: { type: "boolean", default: false },
+      config: { type: "string" },
+      "data-dir": { type: "string" },
+      account: { type: "string" },
+    },
+  });
+  return {
+    positionals,
+    backfill: values.backfill,
+    dryRun: values["dry-run"],
+    from: values.from,
+    to: values.to,
+    lookBehindDays: parseDayCount(values["look-behind"]),
+    lookAheadDays: parseDayCount(values["look-ahead"]),
+    record: values.record,
+    fromHtml: values["from-html"],
+    fromApiJson: values["from-api-json"],
+    trace: values.trace,
+    config: values.config,
+    dataDir: values["data-dir"],
+    account: values.account,
+  };
+}
+
+/**
+ * @typedef {Object} BackfillSummary
+ * @property {string} from
+ * @property {string} to
+ * @property {{ start: string, end: string, entries: number }[]} periods
+ * @property {number} entries
+ * @property {string[]} filledDates - Dates that had no stored timecard before
+ * @property {string[]} changedDates
+ */
+
+/**
+ * @typedef {Object} ScrapeRunOptions
+ * @property {Credentials} credentials
+ * @property {string} dataDir
+ * @property {TenantProfile} tenant
+ * @property {{ start: string, end: string }} scheduleWindow
+ * @property {ScrapeTarget} [only] - Scrape one side only (default: both)
+ * @property {{ from: string, to: string }} [backfill] - Backfill this range instead of scraping
+ * @property {boolean} [dryRun] - Write nothing to the data dir: no day store changes, session or debug bundle
+ * @property {string | null} [recordDir] - Save fixtures and a HAR file here
+ * @property {boolean} [tracing]
+ */
+
+/**
+ * Scrape a historical date range and persist it into the day store.
+ * @param {import("playwright").Page} page
+ * @param {{ from: string, to: string }} range
+ * @param {TenantProfile} tenant
+ * @param {{ dataDir: string, dryRun?: boolean }} options
+ * @returns {Promise<BackfillSummary>}
+ */
+async function runBackfill(page, range, tenant, options) {
+  const { dataDir } = options;
+  const timecard = await scrapeTimecardRange(page, range, tenant);
+  const storedBefore = new Set(
+    listStoredDates(dataDir).filter((isoDate) => loadDayRecord(dataDir, isoDate)?.current?.timecard)
+  );
+
+  const changedDates = [];
+  if (!options.dryRun) {
+    changedDates.push(...persistTimecardData(dataDir, timecard, tenant.timeZone).changedDates);
+    writeDayIndex(dataDir, { timeZone: tenant.timeZone });
+  }
+
+  const filledDates = timecard.entries
+    .map((entry) => entry.isoDate)
+    .filter((isoDate) => !storedBefore.has(isoDate));
+  console.error(`[backfill] ${filledDates.length} date(s) filled, ${changedDates.length} updated${options.dryRun ? " (dry run, nothing saved)" : ""}. Done.`);
+
+  return {
+    from: range.from,
+    to: range.to,
+    periods: timecard.periods,
+    entries: timecard.entries.length,
+    filledDates,
+    changedDates,
+  };
+}
+
+/**
+ * Log in (or reuse the saved session) and scrape, or backfill when asked.
+ * Failures are reported in `errors`, with a debug bundle, instead of thrown.
+ * @param {ScrapeRunOptions} options
+ * @returns {Promise<ScrapeResult | { backfill: BackfillSummary, errors: ScrapeFailure[] }>}
+ */
+async function runScrape(options) {
+  const { credentials, dataDir, tenant, recordDir = null, tracing = false, dryRun = false } = options;
+  const consoleCollector = createConsoleCollector();
+  /** @param {import("playwright").BrowserContext} context */
+  const onContext = async (context) => {
+    consoleCollector.attach(context);
+    if (tracing) {
+      await context.tracing.start({ screenshots: true, snapshots: true });
+    }
+  };
+  const sessionOptions = recordDir
+    ? {
+      credentials,
+      dataDir,
+      tenant,
+      reuseSession: false,
+      contextOptions: { recordHar: { path: path.join(recordDir, "session.har"), content: "embed" } },
+      persist: !dryRun,
+      onContext,
+    }
+    : { credentials, dataDir, tenant, persist: !dryRun, onContext };
 
   const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext();
+  let step = "login";
+
+  /**
+   * @param {ScrapeFailure[]} failures
+   * @returns {Promise<string | null>}
+   */
+  const saveDebugBundle = async (failures) => {
+    if (dryRun) {
+      console.error("Dry run: no debug bundle saved.");
+      return null;
+    }
+    try {
+      const bundleDir = await writeDebugBundle(dataDir, {
+        failures: failures.map((failure) => ({ step: failure.step, error: `${failure.category}: ${failure.message}` })),
+        browser,
+        consoleLines: consoleCollector.lines,
+        tracing,
+      });
+      console.error(`Debug bundle saved to ${bundleDir}`);
+      return bundleDir;
+    } catch (err) {
+      console.error("Could not save debug bundle: " + /** @type {Error} */ (err).message);
+      return null;
+    }
+  };
 
   try {
-    // Login
-    const loginPage = await context.newPage();
-    console.error("Logging in...");
-    await loginPage.goto(BASE_URL, { waitUntil: "networkidle", timeout: 60000 });
-    await loginPage.getByLabel("Username or email").fill(username);
-    await loginPage.getByLabel("Password").fill(password);
-    await loginPage.getByRole("button", { name: "Sign in" }).click();
-    await loginPage.waitForURL((url) => url.toString().includes("/wfd/home"), {
-      timeout: 60000,
+    // Login (or reuse the saved session)
+    const { context, page: loginPage } = await withRetry("login", () => openSession(browser, sessionOptions), {
+      classify: async (err) => classifyError(err, {
+        pageText: await pageText(browser.contexts().at(-1)?.pages().at(-1) ?? null),
+      }),
     });
-    console.error("Logged in. Starting scrapes...");
-
-    // Schedule uses API (no page navigation needed) — use loginPage directly
-    // Timecard needs its own page for DOM scraping
-    const timecardPage = await context.newPage();
+    const recorder = recordDir ? recordFixtures(context, { baseUrl: tenant.baseUrl, fixturesDir: recordDir }) : null;
 
-    /** @type {string[]} */
-    const errors = [];
+    if (options.backfill) {
+      step = "backfill";
+      const backfill = await runBackfill(await context.newPage(), options.backfill, tenant, options);
+      await recorder?.flush();
+      await persistSession(context, sessionOptions);
+      return { backfill, errors: [] };
+    }
 
-    const [scheduleResult, timecardResult] = await Promise.allSettled([
-      scrapeSchedule(context, loginPage),
-      scrapeTimecard(timecardPage),
-    ]);
+    console.error("Logged in. Starting scrapes...");
+    step = "scrape";
+    const output = await scrapeAll(context, loginPage, options.scheduleWindow, tenant, { only: options.only });
 
-    /** @type {ScheduleResult | null} */
-    let schedule = null;
-    if (scheduleResult.status === "fulfilled") {
-      schedule = scheduleResult.value;
-    } else {
-      const msg = scheduleResult.reason?.message || String(scheduleResult.reason);
-      console.error("[schedule] FAILED: " + msg);
-      errors.push("Schedule scraper failed: " + msg);
+    if (output.errors.length > 0) {
+      output.debugBundle = await saveDebugBundle(output.errors);
+    } else if (tracing) {
+      await context.tracing.stop();
     }
 
-    /** @type {TimecardResult | null} */
-    let timecard = null;
-    if (timecardResult.status === "fulfilled") {
-      timecard = timecardResult.value;
+    if (recorder) {
+      const saved = await recorder.flush();
+      await persistSession(context, sessionOptions);
+      await context.close();
+      console.error(`[record] Saved ${saved.length} fixture(s) and session.har to ${recordDir}.`);
     } else {
-      const msg = timecardResult.reason?.message || String(timecardResult.reason);
-      console.error("[timecard] FAILED: " + msg);
-      errors.push("Timecard scraper failed: " + msg);
-      await timecardPage.screenshot({ path: "debug-timecard.png", fullPage: true }).catch(() => {});
+      await persistSession(context, sessionOptions);
     }
 
-    /** @type {ScrapeResult} */
-    const output = { schedule, timecard, errors };
-    console.log(JSON.stringify(output, null, 2));
+    return output;
+  } catch (err) {
+    const failure = toScrapeFailure(step, err);
+    console.error(`Error (${failure.category}):`, failure.message);
+    const debugBundle = await saveDebugBundle([failure]);
+    return { schedule: null, timecard: null, errors: [failure], debugBundle };
+  } finally {
+    await browser.close();
+  }
+}
 
-    if (!schedule && !timecard) {
+/**
+ * Whether a run produced anything worth keeping.
+ * @param {ScrapeResult | { backfill: BackfillSummary, errors: ScrapeFailure[] }} output
+ * @returns {boolean}
+ */
+function isUsableOutput(output) {
+  return "backfill" in output || Boolean(output.schedule || output.timecard);
+}
+
+/** @returns {Promise<void>} */
+async function main() {
+  const args = parseCliArgs(process.argv.slice(2));
+  if (args.positionals.length > 0) {
+    console.error("Credentials are not accepted as arguments: they would be visible in ps and shell history.");
+    console.error(CREDENTIALS_HINT);
+    process.exit(1);
+  }
+  if (Number.isNaN(args.lookBehindDays) || Number.isNaN(args.lookAheadDays)) {
+    console.error("--look-behind and --look-ahead take a whole number of days, e.g. --look-ahead 42");
+    console.error("Usage: node scrape-all.js [--account ID] [--look-behind DAYS] [--look-ahead DAYS] [--record DIR] [--trace]");
+    process.exit(1);
+  }
+  if (args.backfill && !(isIsoDate(args.from) && isIsoDate(args.to) && args.from <= args.to)) {
+    console.error("Usage: node scrape-all.js --backfill --from YYYY-MM-DD --to YYYY-MM-DD");
+    process.exit(1);
+  }
+
+  if (args.fromHtml || args.fromApiJson) {
+    const output = await scrapeSavedFiles(args);
+    console.log(JSON.stringify(output, null, 2));
+    if (!output.schedule && !output.timecard) {
       process.exit(1);
     }
-  } catch (err) {
-    console.error("Error:", /** @type {Error} */ (err).message);
+    return;
+  }
+
+  const account = resolveAccount(
+    loadConfig(args.config),
+    args.dataDir ? path.resolve(args.dataDir) : DEFAULT_DATA_DIR,
+    args.account
+  );
+  const { config } = account;
+  const credentials = loadCredentials(config, { envPrefix: account.envPrefix });
+  if (!credentials) {
+    console.error("Usage: node scrape-all.js [--account ID] [--look-behind DAYS] [--look-ahead DAYS] [--record DIR] [--trace] [--dry-run]");
+    console.error("       node scrape-all.js --backfill --from YYYY-MM-DD --to YYYY-MM-DD [--dry-run]");
+    console.error("       node scrape-all.js [--from-html FILE] [--from-api-json FILE]");
+    console.error(CREDENTIALS_HINT);
     process.exit(1);
-  } finally {
-    await browser.close();
   }
+
+  const tenant = resolveTenantProfile(config);
+  const output = await runScrape({
+    credentials,
+    dataDir: account.dataDir,
+    tenant,
+    scheduleWindow: resolveScheduleWindow(new Date(), {
+      lookBehindDays: args.lookBehindDays ?? config.schedule?.lookBehindDays,
+      lookAheadDays: args.lookAheadDays ?? config.schedule?.lookAheadDays,
+      timeZone: tenant.timeZone,
+    }),
+    backfill: args.backfill ? { from: args.from, to: args.to } : undefined,
+    dryRun: args.dryRun,
+    recordDir: args.record ? path.resolve(args.record) : null,
+    tracing: Boolean(args.trace || config.debug?.trace),
+  });
+
+  console.log(JSON.stringify(output, null, 2));
+  if (!isUsableOutput(output)) {
+    process.exit(1);
+  }
+}
+
+/**
+ * @param {string | undefined} value
+ * @returns {value is string}
+ */
+function isIsoDate(value) {
+  return typeof value === "string" && /^\d{4}-\d{2}-\d{2}$/.test(value);
+}
+
+/**
+ * Read a --look-behind or --look-ahead value. Anything but a whole number of
+ * days comes back as NaN, for the caller to reject with its usage message.
+ * @param {string | undefined} value
+ * @returns {number | undefined}
+ */
+function parseDayCount(value) {
+  if (value === undefined) return undefined;
+  return /^\d+$/.test(value) ? Number(value) : NaN;
 }
 
-export { filterTimecardEntries };
+export {
+  buildScheduleRequestBody,
+  extractTimecardEntries,
+  filterTimecardEntries,
+  isIsoDate,
+  isUsableOutput,
+  loadSchedulePayload,
+  pageText,
+  parseCliArgs,
+  parseDayCount,
+  runScrape,
+  scheduleFromApiJson,
+  scrapeAll,
+  scrapeSavedFiles,
+  scrapeSchedule,
+  scrapeTimecard,
+  scrapeTimecardRange,
+  splitDateRange,
+};
 
 const isMainModule = process.argv[1] && path.resolve(process.argv[1]) === path.resolve(fileURLToPath(import.meta.url));
 if (isMainModule) {
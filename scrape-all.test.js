@@ -1,6 +1,18 @@
 import { test } from "node:test";
 import assert from "node:assert";
-import { filterTimecardEntries } from "./scrape-all.js";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  buildScheduleRequestBody,
+  filterTimecardEntries,
+  loadSchedulePayload,
+  parseCliArgs,
+  parseDayCount,
+  scheduleFromApiJson,
+  scrapeSavedFiles,
+  splitDateRange,
+} from "./scrape-all.js";
 
 // --- filterTimecardEntries ---
 // Timecard dates are in DD/MM format (European)
@@ -95,3 +107,137 @@ test("filterTimecardEntries: returns entries sorted by date ascending", () => {
   assert.strictEqual(result[1].date, "18/02");
   assert.strictEqual(result[2].date, "20/02");
 });
+
+// --- splitDateRange ---
+
+test("splitDateRange: splits a range into consecutive chunks", () => {
+  assert.deepStrictEqual(splitDateRange("2026-01-01", "2026-01-31", 14), [
+    { start: "2026-01-01", end: "2026-01-14" },
+    { start: "2026-01-15", end: "2026-01-28" },
+    { start: "2026-01-29", end: "2026-01-31" },
+  ]);
+});
+
+test("splitDateRange: single day range yields one chunk", () => {
+  assert.deepStrictEqual(splitDateRange("2026-03-05", "2026-03-05", 14), [
+    { start: "2026-03-05", end: "2026-03-05" },
+  ]);
+});
+
+test("splitDateRange: crosses year boundary", () => {
+  assert.deepStrictEqual(splitDateRange("2025-12-25", "2026-01-10", 14), [
+    { start: "2025-12-25", end: "2026-01-07" },
+    { start: "2026-01-08", end: "2026-01-10" },
+  ]);
+});
+
+// --- buildScheduleRequestBody ---
+
+test("buildScheduleRequestBody: asks for time-off and open shift requests in every status", () => {
+  const { data } = buildScheduleRequestBody({ start: "2026-03-16", end: "2026-05-11" }, 3001002);
+  const statuses = ["SUBMITTED", "PENDING", "APPROVED", "REFUSED", "CANCELLED"];
+
+  assert.strictEqual(data.calendarConfigId, 3001002);
+  assert.deepStrictEqual(data.dateSpan, { start: "2026-03-16", end: "2026-05-11" });
+  assert.ok(/** @type {string[]} */ (data.includedEntities).includes("entity.timeoffrequest"));
+  assert.ok(/** @type {string[]} */ (data.includedEntities).includes("entity.openshift"));
+  assert.deepStrictEqual(data.includedTimeOffRequestsStatuses, statuses);
+  assert.deepStrictEqual(data.includedOpenShiftRequestsStatuses, statuses);
+  assert.deepStrictEqual(data.includedCoverRequestsStatuses, statuses);
+  assert.deepStrictEqual(data.includedSwapRequestsStatuses, statuses);
+});
+
+// --- parseCliArgs ---
+
+test("parseCliArgs: reads backfill flags and keeps positionals for main to refuse", () => {
+  assert.deepStrictEqual(
+    parseCliArgs(["--backfill", "--from", "2026-01-01", "--to", "2026-06-30", "user", "pass"]),
+    {
+      positionals: ["user", "pass"],
+      backfill: true,
+      dryRun: false,
+      from: "2026-01-01",
+      to: "2026-06-30",
+      lookBehindDays: undefined,
+      lookAheadDays: undefined,
+      record: undefined,
+      fromHtml: undefined,
+      fromApiJson: undefined,
+      trace: false,
+      config: undefined,
+      dataDir: undefined,
+      account: undefined,
+    }
+  );
+});
+
+test("parseCliArgs: reads schedule window flags as day counts", () => {
+  const args = parseCliArgs(["--look-behind", "14", "--look-ahead", "56"]);
+  assert.strictEqual(args.lookBehindDays, 14);
+  assert.strictEqual(args.lookAheadDays, 56);
+});
+
+test("parseDayCount: whole numbers of days only", () => {
+  assert.strictEqual(parseDayCount(undefined), undefined);
+  assert.strictEqual(parseDayCount("0"), 0);
+  assert.strictEqual(parseDayCount("42"), 42);
+  for (const text of ["", "two", "1.5", "-3", "1e2", " 7"]) {
+    assert.ok(Number.isNaN(parseDayCount(text)), text);
+  }
+});
+
+test("parseCliArgs: defaults to a normal scrape", () => {
+  assert.deepStrictEqual(parseCliArgs([]), {
+    positionals: [],
+    backfill: false,
+    dryRun: false,
+    from: undefined,
+    to: undefined,
+    lookBehindDays: undefined,
+    lookAheadDays: undefined,
+    record: undefined,
+    fromHtml: undefined,
+    fromApiJson: undefined,
+    trace: false,
+    config: undefined,
+    dataDir: undefined,
+    account: undefined,
+  });
+});
+
+// --- saved inputs ---
+
+test("parseCliArgs: reads saved-file inputs", () => {
+  const args = parseCliArgs(["--from-html", "timecard.html", "--from-api-json", "events.json"]);
+  assert.strictEqual(args.fromHtml, "timecard.html");
+  assert.strictEqual(args.fromApiJson, "events.json");
+});
+
+test("loadSchedulePayload: accepts raw payloads and recorded fixtures", () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "scrape-all-"));
+  try {
+    const payload = { regularShifts: [{ startDateTime: "2026-03-02T09:00:00", endDateTime: "2026-03-02T17:00:00" }] };
+    fs.writeFileSync(path.join(dir, "raw.json"), JSON.stringify(payload));
+    fs.writeFileSync(path.join(dir, "fixture.json"), JSON.stringify({ method: "POST", path: "/myschedule/events", body: payload }));
+
+    assert.deepStrictEqual(loadSchedulePayload(path.join(dir, "raw.json")), payload);
+    assert.deepStrictEqual(loadSchedulePayload(path.join(dir, "fixture.json")), payload);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
+
+test("scrapeSavedFiles: maps a saved schedule payload into ScrapeResult shape", async () => {
+  const result = await scrapeSavedFiles({ fromApiJson: "fixtures/ukg/post-myschedule-events.json" });
+
+  assert.strictEqual(result.timecard, null);
+  assert.deepStrictEqual(result.errors, []);
+  assert.strictEqual(result.schedule.window, undefined);
+  assert.deepStrictEqual(result.schedule.shifts.map((shift) => shift.date), ["2026-03-02", "2026-03-04"]);
+  assert.deepStrictEqual(result.schedule.openShifts, []);
+});
+
+test("scheduleFromApiJson: keeps the given extraction time", () => {
+  const schedule = scheduleFromApiJson({ regularShifts: [] }, "2026-03-01T10:00:00.000Z");
+  assert.deepStrictEqual(schedule, { extractedAt: "2026-03-01T10:00:00.000Z", shifts: [], openShifts: [] });
+});
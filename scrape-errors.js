@@ -0,0 +1,226 @@
+/**
+ * @typedef {"bad-credentials"|"account-locked"|"mfa-required"|"maintenance"|"network-timeout"|"layout-change"|"api-schema-change"|"unknown"} FailureCategory
+ */
+
+/**
+ * @typedef {"totp"|"push"|"sms"} MfaFactor
+ */
+
+/**
+ * @typedef {Object} ScrapeFailure
+ * @property {string} step - Where it failed: "login", "schedule", "timecard", "backfill", ...
+ * @property {FailureCategory} category
+ * @property {string} message
+ * @property {number} attempts - How many times the step ran before giving up
+ */
+
+/**
+ * @typedef {Object} RetryPolicy
+ * @property {number} retries - Extra attempts after the first
+ * @property {number} backoffMs - Wait before the first retry
+ * @property {number} factor - Multiplier applied to the wait for each later retry
+ */
+
+/** Categories in the order alerts list them. */
+const FAILURE_CATEGORIES = [
+  "bad-credentials",
+  "account-locked",
+  "mfa-required",
+  "maintenance",
+  "network-timeout",
+  "layout-change",
+  "api-schema-change",
+  "unknown",
+];
+
+/**
+ * Retry policy per category. Credential problems are never retried: repeated
+ * sign-in attempts with a bad password are what gets an account locked.
+ * @type {Record<FailureCategory, RetryPolicy>}
+ */
+const RETRY_POLICIES = {
+  "bad-credentials": { retries: 0, backoffMs: 0, factor: 1 },
+  "account-locked": { retries: 0, backoffMs: 0, factor: 1 },
+  "mfa-required": { retries: 0, backoffMs: 0, factor: 1 },
+  maintenance: { retries: 1, backoffMs: 60_000, factor: 1 },
+  "network-timeout": { retries: 2, backoffMs: 10_000, factor: 3 },
+  "layout-change": { retries: 0, backoffMs: 0, factor: 1 },
+  "api-schema-change": { retries: 0, backoffMs: 0, factor: 1 },
+  unknown: { retries: 0, backoffMs: 0, factor: 1 },
+};
+
+/**
+ * An error whose failure category is already known where it is thrown.
+ */
+class ScrapeError extends Error {
+  /**
+   * @param {FailureCategory} category
+   * @param {string} message
+   * @param {{ cause?: unknown, reason?: string, retry?: boolean }} [options] - `reason` narrows the category,
+   *   e.g. "password-expired" for bad credentials; `retry: false` stops withRetry whatever the category's policy
+   */
+  constructor(category, message, options) {
+    super(message, options);
+    this.name = "ScrapeError";
+    this.category = category;
+    this.reason = options?.reason ?? null;
+    this.retry = options?.retry ?? true;
+  }
+}
+
+const PAGE_TEXT_PATTERNS = /** @type {Array<[FailureCategory, RegExp]>} */ ([
+  ["account-locked", /account (?:is |has been )?(?:locked|disabled)|locked out|too many (?:failed )?(?:sign[- ]?in|login) attempts/i],
+  ["bad-credentials", /invalid (?:username|user name|credentials|password)|incorrect (?:username|password)|(?:username|password) (?:is|was) incorrect|password (?:has )?expired/i],
+  ["maintenance", /(?:scheduled |system )?maintenance|temporarily unavailable|service unavailable|we'll be back/i],
+]);
+
+const PASSWORD_EXPIRY_TEXT = /password (?:has )?expired|must (?:change|reset|update) your password|change your password to continue/i;
+const PASSWORD_EXPIRY_URL = /change-?password|password-?expired|expiredpassword/i;
+
+/**
+ * Recognize the page UKG shows instead of the home page when the password
+ * has expired or must be changed.
+ * @param {string | null | undefined} text
+ * @param {string} [url]
+ * @returns {boolean}
+ */
+function isPasswordExpiryPage(text, url = "") {
+  return PASSWORD_EXPIRY_URL.test(url) || Boolean(text && PASSWORD_EXPIRY_TEXT.test(text));
+}
+
+const MFA_CHALLENGE_TEXT = /verification code|one[- ]time (?:pass)?code|security code|authenticator|two[- ](?:step|factor)|multi[- ]factor|push notification|approve (?:the |this )?(?:sign[- ]?in|login|request)/i;
+const MFA_PUSH_TEXT = /push notification|approve (?:the |this )?(?:sign[- ]?in|login|request)/i;
+const MFA_SMS_TEXT = /(?:sent|texted) (?:a |the )?(?:code|text|sms)|text message|\bsms\b|phone call/i;
+
+/**
+ * Recognize a multi-factor challenge after the password step and which factor
+ * it asks for. Authenticator wording wins when the page offers several.
+ * @param {string | null | undefined} text
+ * @returns {MfaFactor | null}
+ */
+function detectMfaChallenge(text) {
+  if (!text || !MFA_CHALLENGE_TEXT.test(text)) return null;
+  if (/authenticator/i.test(text)) return "totp";
+  if (MFA_PUSH_TEXT.test(text)) return "push";
+  if (MFA_SMS_TEXT.test(text)) return "sms";
+  return "totp";
+}
+
+/**
+ * Recognize a known problem from the visible text of a page (login errors,
+ * lockout notices, maintenance pages).
+ * @param {string | null | undefined} text
+ * @returns {FailureCategory | null}
+ */
+function classifyPageText(text) {
+  if (!text) return null;
+  for (const [category, pattern] of PAGE_TEXT_PATTERNS) {
+    if (pattern.test(text)) return category;
+  }
+  return null;
+}
+
+/**
+ * Work out the failure category of an error, optionally helped by the text of
+ * the page that was open when it happened.
+ * @param {unknown} err
+ * @param {{ pageText?: string | null }} [context]
+ * @returns {FailureCategory}
+ */
+function classifyError(err, context = {}) {
+  if (err instanceof ScrapeError) return err.category;
+
+  const fromPage = classifyPageText(context.pageText);
+  if (fromPage) return fromPage;
+
+  const message = err instanceof Error ? err.message : String(err);
+
+  if (/API returned (?:502|503)\b/.test(message)) return "maintenance";
+  if (/API returned 504\b|net::ERR_|ECONNRESET|ECONNREFUSED|ETIMEDOUT|ENOTFOUND|EAI_AGAIN|socket hang up|fetch failed/i.test(message)) {
+    return "network-timeout";
+  }
+  if (/Timeout \d+ms exceeded/.test(message)) {
+    // Navigation timeouts are the network; waiting on an element that never
+    // shows up means the page no longer looks like it used to.
+    return /page\.goto|waitForURL|waiting for navigation|networkidle/.test(message) ? "network-timeout" : "layout-change";
+  }
+  if (/strict mode violation|resolved to \d+ elements|Could not parse timecard/i.test(message)) return "layout-change";
+  if (err instanceof TypeError || err instanceof SyntaxError) return "api-schema-change";
+  return "unknown";
+}
+
+/**
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run one scraper step, retrying according to the category of each failure.
+ * Rejects with the last error, annotated with `category` and `attempts`.
+ * @template T
+ * @param {string} step
+ * @param {() => Promise<T>} fn
+ * @param {{
+ *   classify?: (err: unknown) => Promise<FailureCategory> | FailureCategory,
+ *   policies?: Record<FailureCategory, RetryPolicy>,
+ *   wait?: (ms: number) => Promise<void>,
+ * }} [options]
+ * @returns {Promise<T>}
+ */
+async function withRetry(step, fn, options = {}) {
+  const classify = options.classify ?? ((err) => classifyError(err));
+  const policies = options.policies ?? RETRY_POLICIES;
+  const wait = options.wait ?? sleep;
+
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      return await fn();
+    } catch (err) {
+      const category = await classify(err);
+      const policy = policies[category] ?? RETRY_POLICIES.unknown;
+      const error = err instanceof Error ? err : new Error(String(err));
+      Object.assign(error, { category, attempts: attempt });
+
+      if (attempt > policy.retries || (err instanceof ScrapeError && !err.retry)) {
+        throw error;
+      }
+
+      const delay = policy.backoffMs * policy.factor ** (attempt - 1);
+      console.error(`[${step}] ${category} (attempt ${attempt}), retrying in ${Math.round(delay / 1000)}s: ${error.message}`);
+      await wait(delay);
+    }
+  }
+}
+
+/**
+ * Describe a failed step for ScrapeResult.errors.
+ * @param {string} step
+ * @param {unknown} err - Ideally an error rejected by withRetry
+ * @returns {ScrapeFailure}
+ */
+function toScrapeFailure(step, err) {
+  const error = /** @type {Error & { category?: FailureCategory, attempts?: number }} */ (
+    err instanceof Error ? err : new Error(String(err))
+  );
+  return {
+    step,
+    category: error.category ?? classifyError(error),
+    message: error.message,
+    attempts: error.attempts ?? 1,
+  };
+}
+
+export {
+  FAILURE_CATEGORIES,
+  RETRY_POLICIES,
+  ScrapeError,
+  classifyError,
+  classifyPageText,
+  detectMfaChallenge,
+  isPasswordExpiryPage,
+  toScrapeFailure,
+  withRetry,
+};
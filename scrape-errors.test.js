@@ -0,0 +1,146 @@
+import { test } from "node:test";
+import assert from "node:assert";
+import {
+  ScrapeError,
+  classifyError,
+  classifyPageText,
+  detectMfaChallenge,
+  isPasswordExpiryPage,
+  toScrapeFailure,
+  withRetry,
+} from "./scrape-errors.js";
+
+// --- classifyPageText ---
+
+test("classifyPageText: recognizes login errors, lockouts and maintenance pages", () => {
+  assert.strictEqual(classifyPageText("Invalid username or password."), "bad-credentials");
+  assert.strictEqual(classifyPageText("Your password has expired"), "bad-credentials");
+  assert.strictEqual(classifyPageText("Your account is locked. Contact your administrator."), "account-locked");
+  assert.strictEqual(classifyPageText("UKG Pro WFM is undergoing scheduled maintenance"), "maintenance");
+  assert.strictEqual(classifyPageText("Welcome back"), null);
+  assert.strictEqual(classifyPageText(null), null);
+});
+
+// --- isPasswordExpiryPage ---
+
+test("isPasswordExpiryPage: recognizes expiry notices and change-password pages", () => {
+  assert.strictEqual(isPasswordExpiryPage("Your password has expired. Choose a new one."), true);
+  assert.strictEqual(isPasswordExpiryPage("You must change your password before continuing"), true);
+  assert.strictEqual(isPasswordExpiryPage("", "https://tenant.example.com/authn/change-password?x=1"), true);
+  assert.strictEqual(isPasswordExpiryPage("Forgot password?", "https://tenant.example.com/"), false);
+  assert.strictEqual(isPasswordExpiryPage(null), false);
+});
+
+// --- detectMfaChallenge ---
+
+test("detectMfaChallenge: tells authenticator, push and SMS challenges apart", () => {
+  assert.strictEqual(detectMfaChallenge("Enter the 6-digit code from your authenticator app. Or use a text message instead."), "totp");
+  assert.strictEqual(detectMfaChallenge("Verification code"), "totp");
+  assert.strictEqual(detectMfaChallenge("We sent a push notification to your phone. Approve the sign-in request."), "push");
+  assert.strictEqual(detectMfaChallenge("Enter the verification code we sent by text message"), "sms");
+  assert.strictEqual(detectMfaChallenge("Welcome back"), null);
+  assert.strictEqual(detectMfaChallenge(null), null);
+});
+
+// --- classifyError ---
+
+test("classifyError: keeps the category of a ScrapeError", () => {
+  assert.strictEqual(classifyError(new ScrapeError("api-schema-change", "bad shape")), "api-schema-change");
+});
+
+test("classifyError: page text wins over the raw error", () => {
+  const err = new Error("page.waitForURL: Timeout 60000ms exceeded.");
+  assert.strictEqual(classifyError(err, { pageText: "Invalid username or password" }), "bad-credentials");
+});
+
+test("classifyError: separates navigation timeouts from missing elements", () => {
+  assert.strictEqual(classifyError(new Error("page.goto: Timeout 60000ms exceeded.")), "network-timeout");
+  assert.strictEqual(classifyError(new Error("page.goto: net::ERR_CONNECTION_RESET")), "network-timeout");
+  assert.strictEqual(
+    classifyError(new Error("locator.click: Timeout 10000ms exceeded.\nwaiting for getByText('Open My Timecard')")),
+    "layout-change"
+  );
+});
+
+test("classifyError: API status codes and mapping errors", () => {
+  assert.strictEqual(classifyError(new Error("Schedule API returned 503: Service Unavailable")), "maintenance");
+  assert.strictEqual(classifyError(new Error("Timecard API returned 504: Gateway Timeout")), "network-timeout");
+  assert.strictEqual(classifyError(new TypeError("Cannot read properties of undefined (reading 'map')")), "api-schema-change");
+  assert.strictEqual(classifyError(new Error("Schedule API returned 400: nope")), "unknown");
+});
+
+// --- withRetry ---
+
+test("withRetry: retries transient failures with growing backoff", async () => {
+  const waits = [];
+  let calls = 0;
+
+  const result = await withRetry("schedule", async () => {
+    calls += 1;
+    if (calls < 3) throw new Error("page.goto: net::ERR_TIMED_OUT");
+    return "ok";
+  }, { wait: async (ms) => { waits.push(ms); } });
+
+  assert.strictEqual(result, "ok");
+  assert.deepStrictEqual(waits, [10_000, 30_000]);
+});
+
+test("withRetry: never retries bad credentials", async () => {
+  let calls = 0;
+
+  await assert.rejects(
+    withRetry("login", async () => {
+      calls += 1;
+      throw new ScrapeError("bad-credentials", "Login failed");
+    }, { wait: async () => {} }),
+    (err) => err.category === "bad-credentials" && err.attempts === 1
+  );
+  assert.strictEqual(calls, 1);
+});
+
+test("withRetry: does not retry a ScrapeError marked retry: false", async () => {
+  let calls = 0;
+
+  await assert.rejects(
+    withRetry("login", async () => {
+      calls += 1;
+      throw new ScrapeError("maintenance", "Login failed after the credentials were submitted", { retry: false });
+    }, { wait: async () => {} }),
+    (err) => err.category === "maintenance" && err.attempts === 1
+  );
+  assert.strictEqual(calls, 1);
+});
+
+test("withRetry: gives up after the policy's retries and reports attempts", async () => {
+  let calls = 0;
+
+  await assert.rejects(
+    withRetry("timecard", async () => {
+      calls += 1;
+      throw new Error("fetch failed");
+    }, { wait: async () => {} }),
+    (err) => err.category === "network-timeout" && err.attempts === 3
+  );
+  assert.strictEqual(calls, 3);
+});
+
+// --- toScrapeFailure ---
+
+test("toScrapeFailure: describes a rejected step", async () => {
+  const err = await withRetry("timecard", async () => {
+    throw new ScrapeError("layout-change", "Could not parse timecard data");
+  }).catch((e) => e);
+
+  assert.deepStrictEqual(toScrapeFailure("timecard", err), {
+    step: "timecard",
+    category: "layout-change",
+    message: "Could not parse timecard data",
+    attempts: 1,
+  });
+  assert.deepStrictEqual(toScrapeFailure("login", "boom"), {
+    step: "login",
+    category: "unknown",
+    message: "boom",
+    attempts: 1,
+  });
+});
@@ -1,6 +1,6 @@
 import { test } from "node:test";
 import assert from "node:assert";
-import { formatDate, addDays, mapApiToShifts } from "./schedule-utils.js";
+import { formatDate, addDays, resolveScheduleWindow, mapApiToShifts, mapApiToOpenShifts } from "./schedule-utils.js";
 
 // --- formatDate ---
 
@@ -38,6 +38,27 @@ test("addDays: does not mutate original date", () => {
   assert.strictEqual(formatDate(base), "2026-02-21");
 });
 
+// --- resolveScheduleWindow ---
+
+test("resolveScheduleWindow: defaults to today through 42 days ahead", () => {
+  assert.deepStrictEqual(resolveScheduleWindow(new Date("2026-03-01T00:00:00")), {
+    start: "2026-03-01",
+    end: "2026-04-12",
+  });
+});
+
+test("resolveScheduleWindow: reaches into past days with look-behind", () => {
+  assert.deepStrictEqual(
+    resolveScheduleWindow(new Date("2026-03-01T00:00:00"), { lookBehindDays: 14, lookAheadDays: 7 }),
+    { start: "2026-02-15", end: "2026-03-08" }
+  );
+});
+
+test("resolveScheduleWindow: rejects negative or fractional day counts", () => {
+  assert.throws(() => resolveScheduleWindow(new Date(), { lookBehindDays: -1 }), /lookBehindDays/);
+  assert.throws(() => resolveScheduleWindow(new Date(), { lookAheadDays: 1.5 }), /lookAheadDays/);
+});
+
 // --- mapApiToShifts ---
 
 test("mapApiToShifts: maps regular shifts with correct date, times, and day", () => {
@@ -60,7 +81,10 @@ test("mapApiToShifts: maps regular shifts with correct date, times, and day", ()
     end: "14:00",
     off: false,
     note: null,
-    segments: [{ start: "9:00", end: "14:00" }],
+    segments: [{ start: "9:00", end: "14:00", type: "regular", paid: true }],
+    timeOff: null,
+    payCodes: null,
+    tradeRequests: null,
   });
 });
 
@@ -110,6 +134,9 @@ test("mapApiToShifts: maps holidays as off days", () => {
     off: true,
     note: "St. Patrick's Day",
     segments: [],
+    timeOff: null,
+    payCodes: null,
+    tradeRequests: null,
   });
 });
 
@@ -139,8 +166,20 @@ test("mapApiToShifts: maps time-off requests as off days", () => {
     start: null,
     end: null,
     off: true,
-    note: "ROI Day Off Request TOR (Submitted)",
+    note: "ROI Day Off Request TOR",
     segments: [],
+    timeOff: {
+      requestId: null,
+      name: "ROI Day Off Request TOR",
+      status: "pending",
+      statusLabel: "Submitted",
+      partial: false,
+      start: null,
+      end: null,
+      duration: null,
+    },
+    payCodes: null,
+    tradeRequests: null,
   });
 });
 
@@ -166,9 +205,83 @@ test("mapApiToShifts: handles time-off with multiple periods", () => {
   const shifts = mapApiToShifts(apiResponse);
   assert.strictEqual(shifts.length, 2);
   assert.strictEqual(shifts[0].date, "2026-03-19");
-  assert.strictEqual(shifts[0].note, "Annual Leave (Approved)");
+  assert.strictEqual(shifts[0].note, "Annual Leave");
+  assert.strictEqual(shifts[0].timeOff.status, "approved");
   assert.strictEqual(shifts[1].date, "2026-03-20");
-  assert.strictEqual(shifts[1].note, "Annual Leave (Approved)");
+  assert.strictEqual(shifts[1].note, "Annual Leave");
+  assert.strictEqual(shifts[1].timeOff.statusLabel, "Approved");
+});
+
+test("mapApiToShifts: expands a multi-day time-off period to every date it spans", () => {
+  const shifts = mapApiToShifts({
+    regularShifts: [{
+      startDateTime: "2026-03-25T09:00:00",
+      endDateTime: "2026-03-25T14:00:00",
+    }],
+    timeOffRequests: [{
+      id: 4411,
+      requestSubType: { localizedName: "Annual Leave" },
+      currentStatus: { name: "Approved" },
+      periods: [{ startDate: "2026-03-23", endDate: "2026-03-27", symbolicAmount: { name: "FULL_DAY" } }],
+    }],
+  });
+
+  assert.deepStrictEqual(shifts.map((s) => s.date), [
+    "2026-03-23", "2026-03-24", "2026-03-25", "2026-03-26", "2026-03-27",
+  ]);
+  assert.ok(shifts.every((s) => s.timeOff?.requestId === 4411));
+  assert.strictEqual(shifts[0].off, true);
+  // A scheduled shift inside the span keeps its times and carries the request.
+  assert.strictEqual(shifts[2].off, false);
+  assert.strictEqual(shifts[2].start, "9:00");
+  assert.strictEqual(shifts[2].timeOff.status, "approved");
+});
+
+test("mapApiToShifts: keeps partial-day time-off times and duration", () => {
+  const shifts = mapApiToShifts({
+    regularShifts: [{
+      startDateTime: "2026-03-18T09:00:00",
+      endDateTime: "2026-03-18T19:00:00",
+    }],
+    timeOffRequests: [{
+      requestSubType: { localizedName: "Annual Leave Hours" },
+      currentStatus: { name: "Refused" },
+      periods: [{ startDate: "2026-03-18", startTime: "15:00:00", endTime: "19:00:00", symbolicAmount: { name: "HOURS" } }],
+    }],
+  });
+
+  assert.strictEqual(shifts.length, 1);
+  assert.deepStrictEqual(shifts[0].timeOff, {
+    requestId: null,
+    name: "Annual Leave Hours",
+    status: "refused",
+    statusLabel: "Refused",
+    partial: true,
+    start: "15:00",
+    end: "19:00",
+    duration: "4:00",
+  });
+});
+
+test("mapApiToShifts: prefers an active time-off request over a refused one on the same date", () => {
+  const shifts = mapApiToShifts({
+    timeOffRequests: [
+      {
+        requestSubType: { localizedName: "Annual Leave" },
+        currentStatus: { name: "Submitted" },
+        periods: [{ startDate: "2026-03-18", duration: 7.5 }],
+      },
+      {
+        requestSubType: { localizedName: "Day Off Request" },
+        currentStatus: { name: "Refused" },
+        periods: [{ startDate: "2026-03-18" }],
+      },
+    ],
+  });
+
+  assert.strictEqual(shifts[0].note, "Annual Leave");
+  assert.strictEqual(shifts[0].timeOff.status, "pending");
+  assert.strictEqual(shifts[0].timeOff.duration, "7:30");
 });
 
 test("mapApiToShifts: mixed shifts, holidays, and time-off sorted by date", () => {
@@ -244,7 +357,7 @@ test("mapApiToShifts: deduplicates when shift and holiday fall on same date", ()
   assert.strictEqual(shifts[0].note, "St. Patrick's Day");
 });
 
-test("mapApiToShifts: extracts REGULAR_SEGMENT from inner segments, skips BREAK_SEGMENT", () => {
+test("mapApiToShifts: keeps worked and break segments with their type", () => {
   const apiResponse = {
     regularShifts: [{
       startDateTime: "2026-02-28T14:00:00",
@@ -263,11 +376,70 @@ test("mapApiToShifts: extracts REGULAR_SEGMENT from inner segments, skips BREAK_
   assert.strictEqual(shifts[0].start, "14:00");
   assert.strictEqual(shifts[0].end, "19:00");
   assert.deepStrictEqual(shifts[0].segments, [
-    { start: "14:00", end: "17:30" },
-    { start: "17:45", end: "19:00" },
+    { start: "14:00", end: "17:30", type: "regular", paid: true },
+    { start: "17:30", end: "17:45", type: "break", paid: false },
+    { start: "17:45", end: "19:00", type: "regular", paid: true },
+  ]);
+});
+
+test("mapApiToShifts: keeps a night shift on its start date with the date it ends", () => {
+  const shifts = mapApiToShifts({
+    regularShifts: [{
+      startDateTime: "2026-03-06T22:00:00",
+      endDateTime: "2026-03-07T06:00:00",
+      segments: [
+        { startDateTime: "2026-03-07T02:30:00", endDateTime: "2026-03-07T06:00:00", type: "REGULAR_SEGMENT" },
+        { startDateTime: "2026-03-07T02:00:00", endDateTime: "2026-03-07T02:30:00", type: "BREAK_SEGMENT" },
+        { startDateTime: "2026-03-06T22:00:00", endDateTime: "2026-03-07T02:00:00", type: "REGULAR_SEGMENT" },
+      ],
+    }],
+  });
+
+  assert.strictEqual(shifts.length, 1);
+  assert.strictEqual(shifts[0].date, "2026-03-06");
+  assert.strictEqual(shifts[0].day, "Fri");
+  assert.strictEqual(shifts[0].start, "22:00");
+  assert.strictEqual(shifts[0].end, "6:00");
+  assert.strictEqual(shifts[0].endDate, "2026-03-07");
+  assert.deepStrictEqual(shifts[0].segments, [
+    { start: "22:00", end: "2:00", type: "regular", paid: true },
+    { start: "2:00", end: "2:30", type: "break", paid: false },
+    { start: "2:30", end: "6:00", type: "regular", paid: true },
   ]);
 });
 
+test("mapApiToShifts: keeps meal, paid break and transfer segments", () => {
+  const shifts = mapApiToShifts({
+    regularShifts: [{
+      startDateTime: "2026-02-21T09:00:00",
+      endDateTime: "2026-02-21T18:00:00",
+      orgJobRef: { qualifier: "Dunnes/Store 123/Deli/Deli Assistant" },
+      segments: [
+        { startDateTime: "2026-02-21T09:00:00", endDateTime: "2026-02-21T11:00:00", type: "REGULAR_SEGMENT" },
+        { startDateTime: "2026-02-21T11:00:00", endDateTime: "2026-02-21T11:15:00", type: "BREAK_SEGMENT", isPaid: true },
+        { startDateTime: "2026-02-21T11:15:00", endDateTime: "2026-02-21T13:00:00", type: "REGULAR_SEGMENT" },
+        { startDateTime: "2026-02-21T13:00:00", endDateTime: "2026-02-21T13:30:00", type: "MEAL_SEGMENT" },
+        {
+          startDateTime: "2026-02-21T13:30:00",
+          endDateTime: "2026-02-21T18:00:00",
+          type: "TRANSFER_SEGMENT",
+          orgJobRef: { qualifier: "Dunnes/Store 123/Checkout/Cashier" },
+        },
+        { startDateTime: "2026-02-21T15:00:00", endDateTime: "2026-02-21T15:10:00", type: "UNKNOWN_SEGMENT" },
+      ],
+    }],
+  });
+
+  assert.deepStrictEqual(shifts[0].segments.map((seg) => [seg.start, seg.type, seg.paid, seg.job ?? null]), [
+    ["9:00", "regular", true, "Deli Assistant"],
+    ["11:00", "break", true, null],
+    ["11:15", "regular", true, "Deli Assistant"],
+    ["13:00", "meal", false, null],
+    ["13:30", "transfer", true, "Cashier"],
+  ]);
+  assert.strictEqual(shifts[0].end, "18:00");
+});
+
 test("mapApiToShifts: falls back to outer times when no inner segments", () => {
   const apiResponse = {
     regularShifts: [{
@@ -278,7 +450,7 @@ test("mapApiToShifts: falls back to outer times when no inner segments", () => {
     timeOffRequests: [],
   };
   const shifts = mapApiToShifts(apiResponse);
-  assert.deepStrictEqual(shifts[0].segments, [{ start: "9:00", end: "14:00" }]);
+  assert.deepStrictEqual(shifts[0].segments, [{ start: "9:00", end: "14:00", type: "regular", paid: true }]);
 });
 
 test("mapApiToShifts: single regular segment with no break produces one segment", () => {
@@ -294,7 +466,47 @@ test("mapApiToShifts: single regular segment with no break produces one segment"
     timeOffRequests: [],
   };
   const shifts = mapApiToShifts(apiResponse);
-  assert.deepStrictEqual(shifts[0].segments, [{ start: "9:00", end: "14:00" }]);
+  assert.deepStrictEqual(shifts[0].segments, [{ start: "9:00", end: "14:00", type: "regular", paid: true }]);
+});
+
+test("mapApiToShifts: keeps each segment's job, org path and colour", () => {
+  const shifts = mapApiToShifts({
+    regularShifts: [{
+      startDateTime: "2026-02-21T09:00:00",
+      endDateTime: "2026-02-21T17:00:00",
+      orgJobRef: { qualifier: "Dunnes/Store 123/Deli/Deli Assistant" },
+      color: "4CAF50",
+      segments: [
+        { startDateTime: "2026-02-21T09:00:00", endDateTime: "2026-02-21T13:00:00", type: "REGULAR_SEGMENT" },
+        { startDateTime: "2026-02-21T13:00:00", endDateTime: "2026-02-21T13:30:00", type: "BREAK_SEGMENT" },
+        {
+          startDateTime: "2026-02-21T13:30:00",
+          endDateTime: "2026-02-21T17:00:00",
+          type: "REGULAR_SEGMENT",
+          orgJobRef: { qualifier: "Dunnes/Store 123/Checkout/Cashier" },
+          color: "#FF9800",
+        },
+      ],
+    }],
+  });
+
+  assert.deepStrictEqual(shifts[0].segments, [
+    { start: "9:00", end: "13:00", type: "regular", paid: true, job: "Deli Assistant", orgPath: "Dunnes/Store 123/Deli/Deli Assistant", color: "#4caf50" },
+    { start: "13:00", end: "13:30", type: "break", paid: false },
+    { start: "13:30", end: "17:00", type: "regular", paid: true, job: "Cashier", orgPath: "Dunnes/Store 123/Checkout/Cashier", color: "#ff9800" },
+  ]);
+
+  const noColour = mapApiToShifts({
+    regularShifts: [{
+      startDateTime: "2026-02-21T09:00:00",
+      endDateTime: "2026-02-21T14:00:00",
+      orgJobRef: { qualifier: "Dunnes/Store 123/Deli/Deli Assistant" },
+      color: "red; background: url(x)",
+    }],
+  });
+  assert.deepStrictEqual(noColour[0].segments, [
+    { start: "9:00", end: "14:00", type: "regular", paid: true, job: "Deli Assistant", orgPath: "Dunnes/Store 123/Deli/Deli Assistant" },
+  ]);
 });
 
 test("mapApiToShifts: formats hours without leading zero", () => {
@@ -312,3 +524,113 @@ test("mapApiToShifts: formats hours without leading zero", () => {
   assert.strictEqual(shifts[0].start, "8:00");
   assert.strictEqual(shifts[0].end, "16:30");
 });
+
+test("mapApiToShifts: maps paycode edits onto each date they span", () => {
+  const shifts = mapApiToShifts({
+    regularShifts: [{
+      startDateTime: "2026-04-06T09:00:00",
+      endDateTime: "2026-04-06T14:00:00",
+    }],
+    payCodeEdits: [
+      {
+        payCodeRef: { qualifier: "Bereavement Leave" },
+        startDate: "2026-04-07",
+        endDate: "2026-04-08",
+        durationInHours: 8,
+      },
+      {
+        payCode: { name: "Holiday Pay" },
+        startDateTime: "2026-04-06T00:00:00",
+        amount: "2:30",
+      },
+    ],
+  });
+
+  assert.deepStrictEqual(shifts.map((s) => s.date), ["2026-04-06", "2026-04-07", "2026-04-08"]);
+  assert.strictEqual(shifts[0].off, false);
+  assert.deepStrictEqual(shifts[0].payCodes, [
+    { name: "Holiday Pay", hours: 2.5, startDate: "2026-04-06", endDate: "2026-04-06" },
+  ]);
+  assert.strictEqual(shifts[1].off, true);
+  assert.strictEqual(shifts[1].note, "Bereavement Leave");
+  assert.deepStrictEqual(shifts[2].payCodes, [
+    { name: "Bereavement Leave", hours: 8, startDate: "2026-04-07", endDate: "2026-04-08" },
+  ]);
+});
+
+test("mapApiToShifts: attaches swap and cover requests to the affected dates", () => {
+  const shifts = mapApiToShifts({
+    regularShifts: [{
+      startDateTime: "2026-04-11T09:00:00",
+      endDateTime: "2026-04-11T14:00:00",
+    }],
+    swapRequests: [{
+      id: 31,
+      currentStatus: { name: "Submitted" },
+      startDateTime: "2026-04-11T09:00:00",
+      counterpart: { fullName: "Anna Byrne" },
+    }],
+    coverRequests: [
+      {
+        id: 32,
+        currentStatus: { name: "Approved" },
+        shift: { startDateTime: "2026-04-12T14:00:00" },
+        employee: { name: "Ben Walsh" },
+      },
+      { id: 33, currentStatus: { name: "Submitted" } },
+    ],
+  });
+
+  assert.strictEqual(shifts.length, 2);
+  assert.deepStrictEqual(shifts[0].tradeRequests, [
+    { requestId: 31, type: "swap", counterpart: "Anna Byrne", status: "pending", statusLabel: "Submitted" },
+  ]);
+  assert.strictEqual(shifts[1].date, "2026-04-12");
+  assert.strictEqual(shifts[1].off, true);
+  assert.deepStrictEqual(shifts[1].tradeRequests, [
+    { requestId: 32, type: "cover", counterpart: "Ben Walsh", status: "approved", statusLabel: "Approved" },
+  ]);
+});
+
+// --- mapApiToOpenShifts ---
+
+test("mapApiToOpenShifts: maps date, times, job and location sorted by start", () => {
+  const openShifts = mapApiToOpenShifts({
+    regularShifts: [],
+    openShifts: [
+      {
+        id: 902,
+        startDateTime: "2026-04-11T14:00:00",
+        endDateTime: "2026-04-11T19:00:00",
+        segments: [{
+          startDateTime: "2026-04-11T14:00:00",
+          endDateTime: "2026-04-11T19:00:00",
+          type: "REGULAR_SEGMENT",
+          orgJobRef: { qualifier: "Dunnes/Store 123/Deli/Deli Assistant" },
+        }],
+      },
+      {
+        startDateTime: "2026-04-11T08:00:00",
+        endDateTime: "2026-04-11T12:00:00",
+      },
+    ],
+  });
+
+  assert.deepStrictEqual(openShifts, [
+    { id: null, date: "2026-04-11", day: "Sat", start: "8:00", end: "12:00", job: null, location: null },
+    { id: 902, date: "2026-04-11", day: "Sat", start: "14:00", end: "19:00", job: "Deli Assistant", location: "Store 123/Deli" },
+  ]);
+});
+
+test("mapApiToOpenShifts: notes the end date of open shifts past midnight", () => {
+  const [openShift] = mapApiToOpenShifts({
+    openShifts: [{ id: 7, startDateTime: "2026-04-11T22:00:00", endDateTime: "2026-04-12T06:00:00" }],
+  });
+  assert.deepStrictEqual(openShift, {
+    id: 7, date: "2026-04-11", day: "Sat", start: "22:00", end: "6:00", endDate: "2026-04-12", job: null, location: null,
+  });
+});
+
+test("mapApiToOpenShifts: missing array returns empty array", () => {
+  assert.deepStrictEqual(mapApiToOpenShifts({}), []);
+});
@@ -0,0 +1,168 @@
+import { loadDayRecords } from "./day-store.js";
+import { describeOrgPath } from "./website/org-path.js";
+import { isWorkingSegment } from "./website/shift-segments.js";
+
+/**
+ * @typedef {Object} DaySummary
+ * @property {string} date - ISO date (YYYY-MM-DD)
+ * @property {string} day
+ * @property {string | null} shift - Scheduled "H:MM-H:MM" ("22:00-6:00 (+1)" when it ends the next day), "off", or null when not scheduled
+ * @property {string | null} timeOff - Time-off request name and status
+ * @property {string | null} payCodes - Paycode names, comma separated
+ * @property {string[]} punches - Clocked "HH:MM-HH:MM" pairs
+ * @property {string | null} dailyTotal - Timecard daily total (H:MM)
+ */
+
+/**
+ * @typedef {Object} JobHours
+ * @property {string | null} job - Job name, or null for scheduled time UKG gave no job for
+ * @property {string | null} department
+ * @property {string | null} store
+ * @property {string | null} orgPath
+ * @property {number} shifts - Days with time scheduled on the job
+ * @property {number} minutes - Scheduled minutes, breaks excluded
+ * @property {number} hours - minutes as decimal hours, to 2 places
+ */
+
+/** Column order for CSV exports. */
+const EXPORT_COLUMNS = /** @type {const} */ (["date", "day", "shift", "timeOff", "payCodes", "punches", "dailyTotal"]);
+
+/**
+ * Flatten a stored day record into the fields people ask about.
+ * @param {any} record - Day record from data/days/
+ * @returns {DaySummary}
+ */
+function summarizeDayRecord(record) {
+  const schedule = record.current?.schedule ?? null;
+  const timecard = record.current?.timecard ?? null;
+
+  let shift = null;
+  if (schedule?.off) {
+    shift = "off";
+  } else if (schedule?.start && schedule?.end) {
+    shift = `${schedule.start}-${schedule.end}${schedule.endDate ? " (+1)" : ""}`;
+  }
+
+  const punches = [];
+  for (let n = 1; timecard && (`clockIn${n}` in timecard || `clockOut${n}` in timecard); n++) {
+    const clockIn = timecard[`clockIn${n}`];
+    const clockOut = timecard[`clockOut${n}`];
+    if (clockIn || clockOut) punches.push(`${clockIn ?? "?"}-${clockOut ?? "?"}`);
+  }
+
+  return {
+    date: record.date,
+    day: record.day,
+    shift,
+    timeOff: schedule?.timeOff ? `${schedule.timeOff.name} (${schedule.timeOff.statusLabel})` : null,
+    payCodes: schedule?.payCodes?.length ? schedule.payCodes.map((payCode) => payCode.name).join(", ") : null,
+    punches,
+    dailyTotal: timecard?.dailyTotal ?? null,
+  };
+}
+
+/**
+ * Summaries of the stored days within an inclusive ISO date range.
+ * @param {string} dataDir
+ * @param {{ from?: string, to?: string }} [range]
+ * @returns {DaySummary[]}
+ */
+function queryDays(dataDir, range = {}) {
+  return loadDayRecords(dataDir, range).map(summarizeDayRecord);
+}
+
+/**
+ * @param {string} time - "H:MM"
+ * @returns {number}
+ */
+function minutesOfDay(time) {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * Scheduled hours per job within an inclusive ISO date range, most hours
+ * first. Days stored before jobs were scraped count as unassigned.
+ * @param {string} dataDir
+ * @param {{ from?: string, to?: string }} [range]
+ * @returns {JobHours[]}
+ */
+function queryJobHours(dataDir, range = {}) {
+  /** @type {Map<string, JobHours & { dates: Set<string> }>} */
+  const byJob = new Map();
+  for (const record of loadDayRecords(dataDir, range)) {
+    const schedule = record.current?.schedule;
+    if (!schedule || schedule.off || !schedule.start || !schedule.end) continue;
+    const segments = schedule.segments?.length ? schedule.segments : [{ start: schedule.start, end: schedule.end }];
+    for (const segment of segments.filter(isWorkingSegment)) {
+      const orgPath = segment.orgPath ?? null;
+      const key = orgPath ?? segment.job ?? "";
+      let entry = byJob.get(key);
+      if (!entry) {
+        const { department, store } = describeOrgPath(orgPath);
+        entry = { job: segment.job ?? null, department, store, orgPath, shifts: 0, minutes: 0, hours: 0, dates: new Set() };
+        byJob.set(key, entry);
+      }
+      // Segments past midnight end on the next day's clock.
+      const minutes = (minutesOfDay(segment.end) - minutesOfDay(segment.start) + 1440) % 1440;
+      entry.minutes += minutes;
+      entry.dates.add(record.date);
+    }
+  }
+
+  return [...byJob.values()]
+    .map(({ dates, ...entry }) => ({ ...entry, shifts: dates.size, hours: Math.round(entry.minutes / 60 * 100) / 100 }))
+    .sort((a, b) => b.minutes - a.minutes || Number(a.job === null) - Number(b.job === null) || (a.orgPath ?? "").localeCompare(b.orgPath ?? ""));
+}
+
+/**
+ * One line per job for the terminal.
+ * @param {JobHours} jobHours
+ * @returns {string}
+ */
+function formatJobHoursLine(jobHours) {
+  const total = `${Math.floor(jobHours.minutes / 60)}:${String(jobHours.minutes % 60).padStart(2, "0")}`;
+  const where = [jobHours.department, jobHours.store].filter(Boolean).join(", ");
+  const label = jobHours.job ? `${jobHours.job}${where ? ` (${where})` : ""}` : "No job given";
+  return `${total.padStart(6)}  ${label}  ${jobHours.shifts} shift(s)`;
+}
+
+/**
+ * One line per day for the terminal.
+ * @param {DaySummary} summary
+ * @returns {string}
+ */
+function formatDayLine(summary) {
+  const parts = [`${summary.date} ${summary.day}`, summary.shift ? `shift ${summary.shift}` : "no shift"];
+  if (summary.timeOff) parts.push(`time off ${summary.timeOff}`);
+  if (summary.payCodes) parts.push(`paycodes ${summary.payCodes}`);
+  if (summary.punches.length > 0) {
+    parts.push(`worked ${summary.punches.join(", ")}${summary.dailyTotal ? ` (${summary.dailyTotal})` : ""}`);
+  }
+  return parts.join("  ");
+}
+
+/**
+ * @param {string | null} value
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null) return "";
+  return /[",\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value;
+}
+
+/**
+ * Render summaries as CSV with a header row. Punch pairs share one
+ * space-separated column.
+ * @param {DaySummary[]} summaries
+ * @returns {string}
+ */
+function formatCsv(summaries) {
+  const rows = summaries.map((summary) => EXPORT_COLUMNS.map((column) => {
+    const value = summary[column];
+    return csvField(Array.isArray(value) ? value.join(" ") : value);
+  }).join(","));
+  return [EXPORT_COLUMNS.join(","), ...rows].join("\n") + "\n";
+}
+
+export { EXPORT_COLUMNS, formatCsv, formatDayLine, formatJobHoursLine, queryDays, queryJobHours, summarizeDayRecord };
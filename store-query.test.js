@@ -0,0 +1,143 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { persistScheduleData, persistTimecardData } from "./day-store.js";
+import { formatCsv, formatDayLine, formatJobHoursLine, queryDays, queryJobHours, summarizeDayRecord } from "./store-query.js";
+
+/** @type {string[]} */
+const tempDirs = [];
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+/**
+ * Data dir with a scheduled and worked Monday and a day off on Tuesday.
+ * @returns {string}
+ */
+function makeStore() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ukg-store-query-"));
+  tempDirs.push(dataDir);
+
+  persistScheduleData(dataDir, {
+    extractedAt: "2026-03-31T21:00:00.000Z",
+    shifts: [
+      { date: "2026-03-30", day: "Mon", start: "9:00", end: "17:00", off: false, note: null, segments: [] },
+      { date: "2026-03-31", day: "Tue", start: null, end: null, off: true, note: null, segments: [] },
+    ],
+  });
+  persistTimecardData(dataDir, {
+    extractedAt: "2026-03-31T21:00:00.000Z",
+    entries: [{
+      date: "30/03",
+      day: "Mon",
+      schedule: "9:00AM-5:00PM",
+      absence: null,
+      clockIn1: "9:00",
+      clockOut1: "13:00",
+      clockIn2: "13:30",
+      clockOut2: "17:00",
+      payCode: null,
+      amount: null,
+      shiftTotal: "7:30",
+      dailyTotal: "7:30",
+    }],
+  });
+  return dataDir;
+}
+
+test("summarizeDayRecord: flattens schedule and punches", () => {
+  assert.deepStrictEqual(summarizeDayRecord({
+    date: "2026-03-30",
+    day: "Mon",
+    current: {
+      schedule: { start: "9:00", end: "17:00", off: false, payCodes: [{ name: "Holiday" }] },
+      timecard: { clockIn1: "9:00", clockOut1: "13:00", clockIn2: null, clockOut2: null, dailyTotal: "4:00" },
+    },
+  }), {
+    date: "2026-03-30",
+    day: "Mon",
+    shift: "9:00-17:00",
+    timeOff: null,
+    payCodes: "Holiday",
+    punches: ["9:00-13:00"],
+    dailyTotal: "4:00",
+  });
+});
+
+test("summarizeDayRecord: marks shifts that end the next day", () => {
+  const summary = summarizeDayRecord({
+    date: "2026-03-06",
+    day: "Fri",
+    current: { schedule: { start: "22:00", end: "6:00", endDate: "2026-03-07", off: false }, timecard: null },
+  });
+  assert.strictEqual(summary.shift, "22:00-6:00 (+1)");
+});
+
+test("queryDays: returns stored days within the range", () => {
+  const dataDir = makeStore();
+
+  const days = queryDays(dataDir, { from: "2026-03-30", to: "2026-03-31" });
+  assert.deepStrictEqual(days.map((day) => [day.date, day.shift]), [["2026-03-30", "9:00-17:00"], ["2026-03-31", "off"]]);
+  assert.deepStrictEqual(days[0].punches, ["9:00-13:00", "13:30-17:00"]);
+
+  assert.deepStrictEqual(queryDays(dataDir, { from: "2026-03-31" }).map((day) => day.date), ["2026-03-31"]);
+  assert.deepStrictEqual(queryDays(dataDir, { from: "2026-04-01", to: "2026-04-30" }), []);
+});
+
+test("formatDayLine: one readable line per day", () => {
+  const [monday, tuesday] = queryDays(makeStore());
+  assert.strictEqual(formatDayLine(monday), "2026-03-30 Mon  shift 9:00-17:00  worked 9:00-13:00, 13:30-17:00 (7:30)");
+  assert.strictEqual(formatDayLine(tuesday), "2026-03-31 Tue  shift off");
+});
+
+test("queryJobHours: totals scheduled segment time per job", () => {
+  const dataDir = makeStore();
+  const deli = { job: "Deli Assistant", orgPath: "Dunnes/Store 123/Deli/Deli Assistant" };
+  persistScheduleData(dataDir, {
+    extractedAt: "2026-04-02T21:00:00.000Z",
+    shifts: [
+      {
+        date: "2026-04-01", day: "Wed", start: "9:00", end: "17:00", off: false, note: null,
+        segments: [
+          { start: "9:00", end: "13:00", type: "regular", paid: true, ...deli },
+          { start: "13:00", end: "13:30", type: "meal", paid: false },
+          { start: "13:30", end: "17:00", type: "transfer", paid: true, job: "Cashier", orgPath: "Dunnes/Store 123/Checkout/Cashier" },
+        ],
+      },
+      {
+        date: "2026-04-02", day: "Thu", start: "22:00", end: "2:00", endDate: "2026-04-03", off: false, note: null,
+        segments: [{ start: "22:00", end: "2:00", ...deli }],
+      },
+    ],
+  });
+
+  const hours = queryJobHours(dataDir);
+  assert.deepStrictEqual(hours.map((entry) => [entry.job, entry.department, entry.shifts, entry.minutes, entry.hours]), [
+    ["Deli Assistant", "Deli", 2, 480, 8],
+    [null, null, 1, 480, 8],
+    ["Cashier", "Checkout", 1, 210, 3.5],
+  ]);
+  assert.strictEqual(formatJobHoursLine(hours[0]), "  8:00  Deli Assistant (Deli, Store 123)  2 shift(s)");
+  assert.strictEqual(formatJobHoursLine(hours[1]), "  8:00  No job given  1 shift(s)");
+
+  assert.deepStrictEqual(queryJobHours(dataDir, { from: "2026-04-02" }).map((entry) => entry.minutes), [240]);
+});
+
+test("formatCsv: header row and quoted fields", () => {
+  const csv = formatCsv([
+    ...queryDays(makeStore()),
+    { date: "2026-04-01", day: "Wed", shift: null, timeOff: null, payCodes: "Sick, Unpaid", punches: [], dailyTotal: null },
+  ]);
+  assert.strictEqual(csv, [
+    "date,day,shift,timeOff,payCodes,punches,dailyTotal",
+    "2026-03-30,Mon,9:00-17:00,,,9:00-13:00 13:30-17:00,7:30",
+    "2026-03-31,Tue,off,,,,",
+    '2026-04-01,Wed,,,"Sick, Unpaid",,',
+    "",
+  ].join("\n"));
+});
@@ -0,0 +1,129 @@
+import { ScrapeError } from "./scrape-errors.js";
+import { DEFAULT_TIME_ZONE, assertTimeZone } from "./website/zoned-date.js";
+
+/**
+ * @typedef {Object} LoginLabels
+ * @property {string} username - Label of the username field
+ * @property {string} password - Label of the password field
+ * @property {string} submit - Name of the sign-in button
+ */
+
+/**
+ * @typedef {Object} TimecardLabels
+ * @property {string} openTimecard - Home page tile that opens My Timecard
+ * @property {string} previousPayPeriod - #_timeFrame menu option
+ * @property {string} rangeOfDates - #_timeFrame menu option
+ * @property {string} startDate - Label of the range start field
+ * @property {string} endDate - Label of the range end field
+ * @property {string} apply - Button that applies the range
+ */
+
+/**
+ * @typedef {Object} TenantProfile
+ * @property {string} baseUrl - Tenant origin, without a trailing slash
+ * @property {number | null} calendarConfigId - null means discover it from the My Schedule page
+ * @property {string} schedulePath - Path of the My Schedule page, used for discovery
+ * @property {string} timeZone - IANA zone of the stores; "today" and week boundaries are taken there
+ * @property {LoginLabels} loginLabels
+ * @property {TimecardLabels} timecardLabels
+ */
+
+/**
+ * The tenant this scraper was written against; config.json's `tenant`
+ * overrides any part of it.
+ * @type {TenantProfile}
+ */
+const DEFAULT_TENANT_PROFILE = {
+  baseUrl: "https://dunnes.prd.mykronos.com",
+  calendarConfigId: 3001002,
+  schedulePath: "/wfd/ess/myschedule",
+  timeZone: DEFAULT_TIME_ZONE,
+  loginLabels: {
+    username: "Username or email",
+    password: "Password",
+    submit: "Sign in",
+  },
+  timecardLabels: {
+    openTimecard: "Open My Timecard",
+    previousPayPeriod: "Previous Pay Period",
+    rangeOfDates: "Range of Dates",
+    startDate: "Start Date",
+    endDate: "End Date",
+    apply: "Apply",
+  },
+};
+
+/**
+ * Build the tenant profile from config.json. The calendar config id only
+ * defaults for the default tenant; other tenants get it discovered unless it
+ * is set. UKG_BASE_URL overrides the host only (e.g. for the mock server).
+ * @param {{ tenant?: Partial<Omit<TenantProfile, "loginLabels" | "timecardLabels">> & {
+ *   loginLabels?: Partial<LoginLabels>,
+ *   timecardLabels?: Partial<TimecardLabels>,
+ * } }} [config]
+ * @param {Record<string, string | undefined>} [env]
+ * @returns {TenantProfile}
+ */
+function resolveTenantProfile(config = {}, env = process.env) {
+  const tenant = config.tenant ?? {};
+  const configuredUrl = (tenant.baseUrl ?? DEFAULT_TENANT_PROFILE.baseUrl).replace(/\/+$/, "");
+  const isDefaultTenant = configuredUrl === DEFAULT_TENANT_PROFILE.baseUrl;
+
+  const calendarConfigId = tenant.calendarConfigId ?? (isDefaultTenant ? DEFAULT_TENANT_PROFILE.calendarConfigId : null);
+  if (calendarConfigId !== null && !Number.isInteger(Number(calendarConfigId))) {
+    throw new Error(`tenant.calendarConfigId must be a number, got ${JSON.stringify(calendarConfigId)}`);
+  }
+
+  return {
+    baseUrl: (env.UKG_BASE_URL || configuredUrl).replace(/\/+$/, ""),
+    calendarConfigId: calendarConfigId === null ? null : Number(calendarConfigId),
+    schedulePath: tenant.schedulePath ?? DEFAULT_TENANT_PROFILE.schedulePath,
+    timeZone: assertTimeZone(tenant.timeZone ?? DEFAULT_TENANT_PROFILE.timeZone),
+    loginLabels: { ...DEFAULT_TENANT_PROFILE.loginLabels, ...tenant.loginLabels },
+    timecardLabels: { ...DEFAULT_TENANT_PROFILE.timecardLabels, ...tenant.timecardLabels },
+  };
+}
+
+/**
+ * Find a calendarConfigId in a /myschedule/events request body or in the
+ * My Schedule page source.
+ * @param {string | null | undefined} text
+ * @returns {number | null}
+ */
+function extractCalendarConfigId(text) {
+  const match = text?.match(/["']?calendarConfigId["']?\s*[:=]\s*["']?(\d+)/);
+  return match ? Number(match[1]) : null;
+}
+
+/**
+ * Open My Schedule and read the calendar config id the page itself uses,
+ * from its own /myschedule/events request or, failing that, its source.
+ * @param {import("playwright").Page} page - Page in an authenticated context
+ * @param {TenantProfile} tenant
+ * @returns {Promise<number>}
+ */
+async function discoverCalendarConfigId(page, tenant) {
+  console.error("[schedule] Discovering calendarConfigId from My Schedule...");
+  const eventsRequest = page.waitForRequest(
+    (request) => request.url().includes("/myschedule/events") && request.method() === "POST",
+    { timeout: 30000 }
+  ).catch(() => null);
+
+  await page.goto(tenant.baseUrl + tenant.schedulePath, { waitUntil: "domcontentloaded", timeout: 60000 });
+
+  const fromRequest = extractCalendarConfigId((await eventsRequest)?.postData());
+  const calendarConfigId = fromRequest ?? extractCalendarConfigId(await page.content());
+  if (calendarConfigId === null) {
+    throw new ScrapeError("layout-change", `Could not find calendarConfigId on ${tenant.schedulePath}; set tenant.calendarConfigId in config.json`);
+  }
+
+  console.error(`[schedule] Using calendarConfigId ${calendarConfigId} (set tenant.calendarConfigId to skip discovery).`);
+  return calendarConfigId;
+}
+
+export {
+  DEFAULT_TENANT_PROFILE,
+  discoverCalendarConfigId,
+  extractCalendarConfigId,
+  resolveTenantProfile,
+};
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert";
+import { DEFAULT_TENANT_PROFILE, extractCalendarConfigId, resolveTenantProfile } from "./tenant-profile.js";
+
+test("resolveTenantProfile: defaults to the original tenant without config", () => {
+  assert.deepStrictEqual(resolveTenantProfile({}, {}), DEFAULT_TENANT_PROFILE);
+});
+
+test("resolveTenantProfile: merges a partial tenant over the defaults", () => {
+  const tenant = resolveTenantProfile({
+    tenant: {
+      baseUrl: "https://retailer.prd.mykronos.com/",
+      calendarConfigId: 4002001,
+      loginLabels: { username: "User Name" },
+      timecardLabels: { openTimecard: "My Timecard" },
+    },
+  }, {});
+
+  assert.strictEqual(tenant.baseUrl, "https://retailer.prd.mykronos.com");
+  assert.strictEqual(tenant.calendarConfigId, 4002001);
+  assert.deepStrictEqual(tenant.loginLabels, { username: "User Name", password: "Password", submit: "Sign in" });
+  assert.strictEqual(tenant.timecardLabels.openTimecard, "My Timecard");
+  assert.strictEqual(tenant.timecardLabels.apply, "Apply");
+});
+
+test("resolveTenantProfile: other tenants discover the calendar config id unless it is set", () => {
+  assert.strictEqual(resolveTenantProfile({ tenant: { baseUrl: "https://retailer.prd.mykronos.com" } }, {}).calendarConfigId, null);
+  assert.strictEqual(resolveTenantProfile({ tenant: { calendarConfigId: "123" } }, {}).calendarConfigId, 123);
+  assert.throws(() => resolveTenantProfile({ tenant: { calendarConfigId: "abc" } }, {}), /must be a number/);
+});
+
+test("resolveTenantProfile: takes the stores' time zone and rejects unknown ones", () => {
+  assert.strictEqual(resolveTenantProfile({}, {}).timeZone, "Europe/Dublin");
+  assert.strictEqual(resolveTenantProfile({ tenant: { timeZone: "America/Chicago" } }, {}).timeZone, "America/Chicago");
+  assert.throws(() => resolveTenantProfile({ tenant: { timeZone: "Mars/Olympus" } }, {}), /Unknown time zone "Mars\/Olympus"/);
+});
+
+test("resolveTenantProfile: UKG_BASE_URL only replaces the host", () => {
+  const tenant = resolveTenantProfile({}, { UKG_BASE_URL: "http://127.0.0.1:8787/" });
+
+  assert.strictEqual(tenant.baseUrl, "http://127.0.0.1:8787");
+  assert.strictEqual(tenant.calendarConfigId, DEFAULT_TENANT_PROFILE.calendarConfigId);
+});
+
+test("extractCalendarConfigId: reads request bodies and page source", () => {
+  assert.strictEqual(extractCalendarConfigId('{"data":{"calendarConfigId":3001002,"dateSpan":{}}}'), 3001002);
+  assert.strictEqual(extractCalendarConfigId("<script>var settings = { calendarConfigId: '4002001' };</script>"), 4002001);
+  assert.strictEqual(extractCalendarConfigId("<html></html>"), null);
+  assert.strictEqual(extractCalendarConfigId(null), null);
+});
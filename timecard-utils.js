@@ -0,0 +1,256 @@
+import { addIsoDays, dayOfWeek, formatTime } from "./schedule-utils.js";
+import { ScrapeError } from "./scrape-errors.js";
+import { DEFAULT_TIME_ZONE, zonedDateTime } from "./website/zoned-date.js";
+
+/**
+ * @typedef {import("./schedule-utils.js").DayName} DayName
+ */
+
+/**
+ * @typedef {Object} TimecardPunch
+ * @property {string | null} in - Full ISO datetime of the in punch
+ * @property {string | null} out - Full ISO datetime of the out punch
+ */
+
+/**
+ * @typedef {Object} TimecardException
+ * @property {string} type - Exception name, e.g. "Late In", "Missed Out Punch"
+ * @property {string | null} start - Full ISO datetime the exception starts at
+ * @property {string | null} end - Full ISO datetime the exception ends at
+ */
+
+/**
+ * @typedef {Object} TimecardEntry
+ * @property {string} date - DD/MM as shown in the timecard grid
+ * @property {string} day
+ * @property {string} [isoDate] - ISO date (YYYY-MM-DD) when the source knows it
+ * @property {string | null} schedule
+ * @property {string | null} absence
+ * @property {string | null} clockIn1
+ * @property {string | null} clockOut1
+ * @property {string | null} clockIn2
+ * @property {string | null} clockOut2
+ * @property {string | null} [clockIn3]
+ * @property {string | null} [clockOut3]
+ * @property {string | null} payCode
+ * @property {string | null} amount
+ * @property {string | null} shiftTotal
+ * @property {string | null} dailyTotal
+ * @property {TimecardPunch[] | null} [punches] - Punch pairs with full dates (API only)
+ * @property {TimecardException[] | null} [exceptions] - Timecard exceptions (API only)
+ */
+
+/**
+ * @typedef {Object} ApiPunch
+ * @property {string | number} [id]
+ * @property {string} punchDtm - ISO datetime (YYYY-MM-DDTHH:MM:SS)
+ * @property {string} [roundedPunchDtm]
+ * @property {string} [applyDate] - ISO date the punch counts towards
+ */
+
+/**
+ * @typedef {Object} ApiTimecardException
+ * @property {{ name: string, displayName?: string }} exceptionType
+ * @property {string} [applyDate]
+ * @property {string} [startDateTime]
+ * @property {string} [endDateTime]
+ */
+
+/**
+ * @typedef {Object} ApiTimecardPayCodeEdit
+ * @property {string} applyDate
+ * @property {{ name: string }} paycode
+ * @property {number} [durationInHours]
+ */
+
+/**
+ * @typedef {Object} ApiDailyTotal
+ * @property {string} applyDate
+ * @property {number} amountInHours
+ */
+
+/**
+ * @typedef {Object} ApiWorkedShift
+ * @property {string} applyDate
+ * @property {number} durationInHours
+ */
+
+/**
+ * @typedef {Object} ApiScheduleShift
+ * @property {string} startDateTime
+ * @property {string} endDateTime
+ */
+
+/**
+ * @typedef {Object} ApiTimecard
+ * @property {string} startDate - ISO date (YYYY-MM-DD)
+ * @property {string} endDate - ISO date (YYYY-MM-DD), inclusive
+ * @property {ApiPunch[]} punches
+ * @property {ApiTimecardException[]} [exceptions]
+ * @property {ApiTimecardPayCodeEdit[]} [payCodeEdits]
+ * @property {ApiDailyTotal[]} [dailyTotals]
+ * @property {ApiWorkedShift[]} [workedShifts]
+ * @property {ApiScheduleShift[]} [scheduleShifts]
+ */
+
+/**
+ * Format decimal hours as the grid shows totals ("7.5" → "7:30").
+ * @param {number} hours
+ * @returns {string}
+ */
+function formatHours(hours) {
+  const minutes = Math.round(hours * 60);
+  return `${Math.floor(minutes / 60)}:${String(minutes % 60).padStart(2, "0")}`;
+}
+
+/**
+ * @param {{ applyDate?: string, startDateTime?: string }} item
+ * @returns {string | null}
+ */
+function applyDateOf(item) {
+  return item.applyDate ?? item.startDateTime?.slice(0, 10) ?? null;
+}
+
+/**
+ * Group items by the ISO date they apply to.
+ * @template T
+ * @param {T[] | undefined} items
+ * @param {(item: T) => string | null} keyOf
+ * @returns {Map<string, T[]>}
+ */
+function groupByDate(items, keyOf) {
+  /** @type {Map<string, T[]>} */
+  const groups = new Map();
+  for (const item of items ?? []) {
+    const key = keyOf(item);
+    if (!key) continue;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(item);
+  }
+  return groups;
+}
+
+/** A punch this long after an in punch is not its out punch: the out was missed. */
+const MAX_PUNCH_PAIR_HOURS = 16;
+
+/**
+ * Wall-clock datetime of a punch in the store's zone. UKG sends punches as
+ * local times without an offset, which are kept as they are; a timestamp
+ * with an offset is converted so its date and H:MM are the store's.
+ * @param {string} dateTime
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function toStoreDateTime(dateTime, timeZone) {
+  if (!/(?:Z|[+-]\d{2}:?\d{2})$/.test(dateTime)) return dateTime;
+  const { isoDate, minutes } = zonedDateTime(dateTime, timeZone);
+  return `${isoDate}T${String(Math.floor(minutes / 60)).padStart(2, "0")}:${String(minutes % 60).padStart(2, "0")}:00`;
+}
+
+/**
+ * Pair all punches of a response in time order (in, out, in, out, ...) and
+ * file each pair under the date it applies to: the in punch's applyDate, or
+ * else the in punch's date in the store's zone. Pairing across the whole
+ * response keeps an overnight shift's out punch with its in punch.
+ * @param {ApiPunch[]} punches
+ * @param {string} timeZone
+ * @returns {Map<string, TimecardPunch[]>}
+ */
+function pairPunchesByDate(punches, timeZone) {
+  const sorted = punches
+    .map((punch) => ({ time: toStoreDateTime(punch.punchDtm, timeZone), applyDate: punch.applyDate }))
+    .sort((left, right) => left.time.localeCompare(right.time));
+  /** @type {Map<string, TimecardPunch[]>} */
+  const pairsByDate = new Map();
+
+  for (let i = 0; i < sorted.length; i += 1) {
+    const punchIn = sorted[i];
+    const next = sorted[i + 1];
+    const isOut = Boolean(next)
+      && (!punchIn.applyDate || !next.applyDate || punchIn.applyDate === next.applyDate)
+      && Date.parse(next.time) - Date.parse(punchIn.time) <= MAX_PUNCH_PAIR_HOURS * 60 * 60 * 1000;
+    const isoDate = punchIn.applyDate ?? punchIn.time.slice(0, 10);
+
+    if (!pairsByDate.has(isoDate)) pairsByDate.set(isoDate, []);
+    pairsByDate.get(isoDate).push({ in: punchIn.time, out: isOut ? next.time : null });
+    if (isOut) i += 1;
+  }
+  return pairsByDate;
+}
+
+/**
+ * Map a UKG timecard JSON response into one TimecardEntry per day of the
+ * requested span that has punches, totals, pay codes, exceptions or a schedule. Punches keep their full ISO datetimes; clockInN/clockOutN
+ * mirror them in the grid's H:MM form so existing consumers keep working.
+ * @param {ApiTimecard} apiResponse
+ * @param {string} [timeZone] - Zone of the store, for which day a punch falls on
+ * @returns {TimecardEntry[]}
+ */
+function mapApiToTimecardEntries(apiResponse, timeZone = DEFAULT_TIME_ZONE) {
+  if (!apiResponse || !Array.isArray(apiResponse.punches) || !apiResponse.startDate || !apiResponse.endDate) {
+    throw new ScrapeError("api-schema-change", "Timecard API response is missing startDate, endDate or punches");
+  }
+
+  const punchesByDate = pairPunchesByDate(apiResponse.punches, timeZone);
+  const exceptionsByDate = groupByDate(apiResponse.exceptions, applyDateOf);
+  const payCodesByDate = groupByDate(apiResponse.payCodeEdits, applyDateOf);
+  const totalsByDate = groupByDate(apiResponse.dailyTotals, applyDateOf);
+  const workedByDate = groupByDate(apiResponse.workedShifts, applyDateOf);
+  const scheduleByDate = groupByDate(apiResponse.scheduleShifts, applyDateOf);
+
+  /** @type {TimecardEntry[]} */
+  const entries = [];
+  for (let isoDate = apiResponse.startDate; isoDate <= apiResponse.endDate; isoDate = addIsoDays(isoDate, 1)) {
+    const punches = punchesByDate.get(isoDate) ?? [];
+    const payCodes = payCodesByDate.get(isoDate) ?? [];
+    const totals = totalsByDate.get(isoDate) ?? [];
+    const worked = workedByDate.get(isoDate) ?? [];
+    const scheduled = scheduleByDate.get(isoDate) ?? [];
+    const exceptions = (exceptionsByDate.get(isoDate) ?? []).map((exception) => ({
+      type: exception.exceptionType.displayName ?? exception.exceptionType.name,
+      start: exception.startDateTime ?? null,
+      end: exception.endDateTime ?? null,
+    }));
+    // A day UKG has nothing for (typically today and the days after it)
+    // would only store an empty timecard.
+    if ([punches, payCodes, totals, worked, scheduled, exceptions].every((items) => items.length === 0)) {
+      continue;
+    }
+
+    /** @type {TimecardEntry} */
+    const entry = {
+      date: `${isoDate.slice(8, 10)}/${isoDate.slice(5, 7)}`,
+      day: dayOfWeek(isoDate),
+      isoDate,
+      schedule: scheduled.length > 0
+        ? scheduled.map((shift) => `${formatTime(shift.startDateTime)}-${formatTime(shift.endDateTime)}`).join(", ")
+        : null,
+      absence: null,
+      clockIn1: null,
+      clockOut1: null,
+      clockIn2: null,
+      clockOut2: null,
+      payCode: payCodes.length > 0 ? payCodes.map((edit) => edit.paycode.name).join(", ") : null,
+      amount: payCodes.some((edit) => typeof edit.durationInHours === "number")
+        ? formatHours(payCodes.reduce((sum, edit) => sum + (edit.durationInHours ?? 0), 0))
+        : null,
+      shiftTotal: worked.length > 0 ? formatHours(worked[worked.length - 1].durationInHours) : null,
+      dailyTotal: totals.length > 0
+        ? formatHours(totals.reduce((sum, total) => sum + total.amountInHours, 0))
+        : null,
+      punches: punches.length > 0 ? punches : null,
+      exceptions: exceptions.length > 0 ? exceptions : null,
+    };
+
+    punches.forEach((pair, index) => {
+      entry[`clockIn${index + 1}`] = pair.in ? formatTime(pair.in) : null;
+      entry[`clockOut${index + 1}`] = pair.out ? formatTime(pair.out) : null;
+    });
+
+    entries.push(entry);
+  }
+
+  return entries;
+}
+
+export { formatHours, mapApiToTimecardEntries };
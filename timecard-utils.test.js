@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import { formatHours, mapApiToTimecardEntries } from "./timecard-utils.js";
+
+// --- formatHours ---
+
+test("formatHours: formats decimal hours as H:MM", () => {
+  assert.strictEqual(formatHours(7.5), "7:30");
+  assert.strictEqual(formatHours(8.8833), "8:53");
+  assert.strictEqual(formatHours(0), "0:00");
+});
+
+// --- mapApiToTimecardEntries ---
+
+test("mapApiToTimecardEntries: emits one entry per day with paired ISO punches", () => {
+  const entries = mapApiToTimecardEntries({
+    startDate: "2026-03-02",
+    endDate: "2026-03-03",
+    punches: [
+      { id: 3, punchDtm: "2026-03-02T13:30:00" },
+      { id: 1, punchDtm: "2026-03-02T08:55:00" },
+      { id: 4, punchDtm: "2026-03-02T17:02:00" },
+      { id: 2, punchDtm: "2026-03-02T12:59:00" },
+    ],
+    dailyTotals: [{ applyDate: "2026-03-02", amountInHours: 7.6 }],
+    workedShifts: [{ applyDate: "2026-03-02", durationInHours: 7.6 }],
+    scheduleShifts: [{ startDateTime: "2026-03-02T09:00:00", endDateTime: "2026-03-02T17:00:00" }],
+  });
+
+  assert.strictEqual(entries.length, 1);
+  assert.deepStrictEqual(entries[0], {
+    date: "02/03",
+    day: "Mon",
+    isoDate: "2026-03-02",
+    schedule: "9:00-17:00",
+    absence: null,
+    clockIn1: "8:55",
+    clockOut1: "12:59",
+    clockIn2: "13:30",
+    clockOut2: "17:02",
+    payCode: null,
+    amount: null,
+    shiftTotal: "7:36",
+    dailyTotal: "7:36",
+    punches: [
+      { in: "2026-03-02T08:55:00", out: "2026-03-02T12:59:00" },
+      { in: "2026-03-02T13:30:00", out: "2026-03-02T17:02:00" },
+    ],
+    exceptions: null,
+  });
+});
+
+test("mapApiToTimecardEntries: skips days without any timecard data", () => {
+  const entries = mapApiToTimecardEntries({
+    startDate: "2026-03-02",
+    endDate: "2026-03-04",
+    punches: [],
+    scheduleShifts: [{ startDateTime: "2026-03-02T09:00:00", endDateTime: "2026-03-02T17:00:00" }],
+    payCodeEdits: [{ applyDate: "2026-03-04", paycode: { name: "Annual Leave" }, durationInHours: 8 }],
+  });
+
+  assert.deepStrictEqual(entries.map((entry) => entry.isoDate), ["2026-03-02", "2026-03-04"]);
+});
+
+test("mapApiToTimecardEntries: keeps overnight out punches on the shift's apply date", () => {
+  const [entry] = mapApiToTimecardEntries({
+    startDate: "2026-03-06",
+    endDate: "2026-03-06",
+    punches: [
+      { punchDtm: "2026-03-06T22:00:00", applyDate: "2026-03-06" },
+      { punchDtm: "2026-03-07T06:00:00", applyDate: "2026-03-06" },
+    ],
+  });
+
+  assert.deepStrictEqual(entry.punches, [{ in: "2026-03-06T22:00:00", out: "2026-03-07T06:00:00" }]);
+  assert.strictEqual(entry.clockOut1, "6:00");
+});
+
+test("mapApiToTimecardEntries: pairs an overnight shift without applyDate under its in punch's day", () => {
+  const entries = mapApiToTimecardEntries({
+    startDate: "2026-03-06",
+    endDate: "2026-03-07",
+    punches: [
+      { punchDtm: "2026-03-07T06:00:00" },
+      { punchDtm: "2026-03-06T22:00:00" },
+    ],
+  });
+
+  assert.deepStrictEqual(entries[0].punches, [{ in: "2026-03-06T22:00:00", out: "2026-03-07T06:00:00" }]);
+  assert.strictEqual(entries[0].clockIn1, "22:00");
+  assert.strictEqual(entries[0].clockOut1, "6:00");
+  assert.strictEqual(entries.length, 1);
+});
+
+test("mapApiToTimecardEntries: keeps the recorded fixture's overnight pair on the day it started", () => {
+  const fixture = JSON.parse(fs.readFileSync("fixtures/ukg/get-api-v1-timekeeping-timecard.json", "utf8"));
+  const entries = mapApiToTimecardEntries(fixture.body);
+
+  assert.deepStrictEqual(entries.map((entry) => entry.isoDate), ["2026-03-02", "2026-03-03"]);
+  assert.deepStrictEqual(entries[1].punches, [{ in: "2026-03-03T22:00:00", out: "2026-03-04T06:00:00" }]);
+  assert.strictEqual(entries[1].clockOut1, "6:00");
+});
+
+test("mapApiToTimecardEntries: dates punches with an offset in the store's zone", () => {
+  // 23:30 UTC on 31 May is 00:30 on 1 June in Dublin (IST, UTC+1).
+  const entries = mapApiToTimecardEntries({
+    startDate: "2026-05-31",
+    endDate: "2026-06-01",
+    punches: [{ punchDtm: "2026-05-31T23:30:00Z" }, { punchDtm: "2026-06-01T07:30:00Z" }],
+  }, "Europe/Dublin");
+
+  assert.deepStrictEqual(entries.map((entry) => entry.isoDate), ["2026-06-01"]);
+  assert.deepStrictEqual(entries[0].punches, [{ in: "2026-06-01T00:30:00", out: "2026-06-01T08:30:00" }]);
+});
+
+test("mapApiToTimecardEntries: does not pair a missed out punch with the next day's in punch", () => {
+  const entries = mapApiToTimecardEntries({
+    startDate: "2026-03-04",
+    endDate: "2026-03-05",
+    punches: [
+      { punchDtm: "2026-03-04T09:07:00" },
+      { punchDtm: "2026-03-05T09:00:00" },
+      { punchDtm: "2026-03-05T17:00:00" },
+    ],
+  });
+
+  assert.deepStrictEqual(entries[0].punches, [{ in: "2026-03-04T09:07:00", out: null }]);
+  assert.deepStrictEqual(entries[1].punches, [{ in: "2026-03-05T09:00:00", out: "2026-03-05T17:00:00" }]);
+});
+
+test("mapApiToTimecardEntries: leaves a missing out punch null and maps exceptions and paycodes", () => {
+  const [entry] = mapApiToTimecardEntries({
+    startDate: "2026-03-04",
+    endDate: "2026-03-04",
+    punches: [{ punchDtm: "2026-03-04T09:07:00" }],
+    exceptions: [{
+      exceptionType: { name: "MISSED_OUT_PUNCH", displayName: "Missed Out Punch" },
+      startDateTime: "2026-03-04T09:07:00",
+    }],
+    payCodeEdits: [{ applyDate: "2026-03-04", paycode: { name: "Sick Pay" }, durationInHours: 4 }],
+  });
+
+  assert.deepStrictEqual(entry.punches, [{ in: "2026-03-04T09:07:00", out: null }]);
+  assert.strictEqual(entry.clockOut1, null);
+  assert.deepStrictEqual(entry.exceptions, [
+    { type: "Missed Out Punch", start: "2026-03-04T09:07:00", end: null },
+  ]);
+  assert.strictEqual(entry.payCode, "Sick Pay");
+  assert.strictEqual(entry.amount, "4:00");
+});
+
+test("mapApiToTimecardEntries: rejects responses without punches", () => {
+  assert.throws(
+    () => mapApiToTimecardEntries(/** @type {any} */ ({ startDate: "2026-03-04", endDate: "2026-03-04" })),
+    /missing/
+  );
+});
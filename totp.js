@@ -0,0 +1,71 @@
+import crypto from "crypto";
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+/**
+ * @typedef {Object} TotpOptions
+ * @property {number} [time] - Unix time in milliseconds (default: now)
+ * @property {number} [step] - Seconds each code is valid for (default: 30)
+ * @property {number} [digits] - Code length (default: 6)
+ * @property {"sha1"|"sha256"|"sha512"} [algorithm] - HMAC hash (default: "sha1")
+ */
+
+/**
+ * Decode an RFC 4648 base32 string as shown by authenticator setup pages.
+ * Spaces, dashes, padding and case are ignored.
+ * @param {string} input
+ * @returns {Buffer}
+ */
+function decodeBase32(input) {
+  const cleaned = input.toUpperCase().replace(/[\s=-]/g, "");
+  const bytes = [];
+  let bits = 0;
+  let value = 0;
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error(`Invalid base32 character "${char}" in TOTP secret`);
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 0xff);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Generate the RFC 6238 one-time code for a base32 secret.
+ * @param {string} secret
+ * @param {TotpOptions} [options]
+ * @returns {string}
+ */
+function generateTotp(secret, options = {}) {
+  const step = options.step ?? 30;
+  const digits = options.digits ?? 6;
+  const counter = Math.floor((options.time ?? Date.now()) / 1000 / step);
+
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac(options.algorithm ?? "sha1", decodeBase32(secret)).update(message).digest();
+
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** digits).padStart(digits, "0");
+}
+
+/**
+ * Index of the time step a code generated now belongs to, so callers can
+ * avoid submitting the same code twice.
+ * @param {{ time?: number, step?: number }} [options]
+ * @returns {number}
+ */
+function totpTimeStep(options = {}) {
+  return Math.floor((options.time ?? Date.now()) / 1000 / (options.step ?? 30));
+}
+
+export { decodeBase32, generateTotp, totpTimeStep };
@@ -0,0 +1,30 @@
+import { test } from "node:test";
+import assert from "node:assert";
+import { decodeBase32, generateTotp, totpTimeStep } from "./totp.js";
+
+// RFC 6238 appendix B uses the ASCII secret "12345678901234567890".
+const RFC_SECRET = "GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ";
+
+test("decodeBase32: ignores case, spaces and padding", () => {
+  assert.strictEqual(decodeBase32(RFC_SECRET).toString("ascii"), "12345678901234567890");
+  assert.strictEqual(decodeBase32("gezd gnbv gy3t qojq gezd gnbv gy3t qojq").toString("ascii"), "12345678901234567890");
+  assert.strictEqual(decodeBase32("MZXW6===").toString("ascii"), "foo");
+  assert.throws(() => decodeBase32("not-base32!"), /Invalid base32 character/);
+});
+
+test("generateTotp: matches the RFC 6238 SHA-1 test vectors", () => {
+  assert.strictEqual(generateTotp(RFC_SECRET, { time: 59_000, digits: 8 }), "94287082");
+  assert.strictEqual(generateTotp(RFC_SECRET, { time: 1_111_111_109_000, digits: 8 }), "07081804");
+  assert.strictEqual(generateTotp(RFC_SECRET, { time: 2_000_000_000_000, digits: 8 }), "69279037");
+});
+
+test("generateTotp: six digits by default, stable within a time step", () => {
+  assert.strictEqual(generateTotp(RFC_SECRET, { time: 59_000 }), "287082");
+  assert.strictEqual(generateTotp(RFC_SECRET, { time: 30_000 }), generateTotp(RFC_SECRET, { time: 59_999 }));
+  assert.notStrictEqual(generateTotp(RFC_SECRET, { time: 59_999 }), generateTotp(RFC_SECRET, { time: 60_000 }));
+});
+
+test("totpTimeStep: changes every 30 seconds", () => {
+  assert.strictEqual(totpTimeStep({ time: 59_999 }), 1);
+  assert.strictEqual(totpTimeStep({ time: 60_000 }), 2);
+});
@@ -0,0 +1,130 @@
+import { chromium } from "playwright";
+import { resolveScheduleWindow } from "./schedule-utils.js";
+import { pageText, scrapeSchedule, scrapeTimecard, scrapeTimecardRange } from "./scrape-all.js";
+import { ScrapeError, classifyError, withRetry } from "./scrape-errors.js";
+import { resolveTenantProfile } from "./tenant-profile.js";
+import { CREDENTIALS_HINT, DEFAULT_DATA_DIR, loadCredentials } from "./ukg-config.js";
+import { openSession, persistSession } from "./ukg-session.js";
+
+/**
+ * Programmatic API for other Node projects, exported as the package entry
+ * point (see "Using it from another Node project" in README.md). Methods
+ * reject with the scraper's error, annotated with its failure `category`
+ * (see scrape-errors.js) after the usual retries.
+ */
+
+/** @typedef {import("./scrape-all.js").ScheduleResult} ScheduleResult */
+/** @typedef {import("./scrape-all.js").TimecardResult} TimecardResult */
+/** @typedef {import("./tenant-profile.js").TenantProfile} TenantProfile */
+/** @typedef {import("./ukg-config.js").UkgConfig} UkgConfig */
+/** @typedef {import("./ukg-session.js").Credentials} Credentials */
+
+/**
+ * @typedef {Object} UkgSessionOptions
+ * @property {Credentials} [credentials] - Defaults to UKG_USERNAME / UKG_PASSWORD, then the sources in `config.ukg`
+ * @property {UkgConfig} [config] - Parsed config.json, for credentials, tenant and schedule defaults
+ * @property {TenantProfile} [tenant] - Defaults to the profile resolved from `config`
+ * @property {string} [dataDir] - Where the encrypted session and login flag are kept (default: data/)
+ * @property {boolean} [reuseSession] - Try the saved session before logging in (default: true)
+ * @property {import("playwright").LaunchOptions} [launchOptions]
+ */
+
+/**
+ * @typedef {"last-2-weeks" | { from: string, to: string }} TimecardPeriod
+ * "last-2-weeks" is what the daily run scrapes; a range is walked one
+ * 14-day chunk at a time and its entries carry `isoDate`.
+ */
+
+/**
+ * @typedef {Object} UkgSession
+ * @property {(range?: { from?: string, to?: string }) => Promise<ScheduleResult>} getSchedule
+ *   Shifts and open shifts for an inclusive ISO date range (default: the configured window)
+ * @property {(options?: { period?: TimecardPeriod }) => Promise<TimecardResult>} getTimecard
+ * @property {() => Promise<void>} close - Save the session cookies and close the browser
+ */
+
+/**
+ * Log in to UKG (or reuse the saved session) and return a session object
+ * that scrapes on demand.
+ * @param {UkgSessionOptions} [options]
+ * @returns {Promise<UkgSession>}
+ */
+async function createUkgSession(options = {}) {
+  const config = options.config ?? {};
+  const credentials = options.credentials ?? loadCredentials(config);
+  if (!credentials) {
+    throw new TypeError(`createUkgSession needs credentials. Pass them, or: ${CREDENTIALS_HINT}`);
+  }
+  const tenant = options.tenant ?? resolveTenantProfile(config);
+  const sessionOptions = {
+    credentials,
+    dataDir: options.dataDir ?? DEFAULT_DATA_DIR,
+    tenant,
+    reuseSession: options.reuseSession,
+  };
+
+  const browser = await chromium.launch({ headless: true, ...options.launchOptions });
+  /** @type {Awaited<ReturnType<typeof openSession>>} */
+  let opened;
+  try {
+    opened = await withRetry("login", () => openSession(browser, sessionOptions), {
+      classify: async (err) => classifyError(err, {
+        pageText: await pageText(browser.contexts().at(-1)?.pages().at(-1) ?? null),
+      }),
+    });
+  } catch (err) {
+    await browser.close();
+    throw err;
+  }
+  const { context, page } = opened;
+  let closed = false;
+
+  const assertOpen = () => {
+    if (closed) throw new Error("UKG session is closed");
+  };
+
+  return {
+    async getSchedule(range = {}) {
+      assertOpen();
+      const fallback = resolveScheduleWindow(new Date(), { ...config.schedule, timeZone: tenant.timeZone });
+      const window = { start: range.from ?? fallback.start, end: range.to ?? fallback.end };
+      if (window.start > window.end) {
+        throw new RangeError(`Schedule range starts after it ends: ${window.start} to ${window.end}`);
+      }
+      return withRetry("schedule", () => scrapeSchedule(context, page, window, tenant), {
+        classify: async (err) => classifyError(err, { pageText: await pageText(page) }),
+      });
+    },
+
+    async getTimecard({ period = "last-2-weeks" } = {}) {
+      assertOpen();
+      if (period !== "last-2-weeks" && !(period?.from && period?.to && period.from <= period.to)) {
+        throw new RangeError(`Unsupported timecard period: ${JSON.stringify(period)}`);
+      }
+      const timecardPage = await context.newPage();
+      try {
+        return await withRetry("timecard", async () => {
+          if (period === "last-2-weeks") return scrapeTimecard(timecardPage, tenant);
+          const range = await scrapeTimecardRange(timecardPage, period, tenant);
+          return { extractedAt: range.extractedAt, period: range.period, source: range.source, entries: range.entries };
+        }, {
+          classify: async (err) => classifyError(err, { pageText: await pageText(timecardPage) }),
+        });
+      } finally {
+        await timecardPage.close();
+      }
+    },
+
+    async close() {
+      if (closed) return;
+      closed = true;
+      try {
+        await persistSession(context, sessionOptions);
+      } finally {
+        await browser.close();
+      }
+    },
+  };
+}
+
+export { ScrapeError, createUkgSession, resolveTenantProfile };
@@ -0,0 +1,61 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { chromium } from "playwright";
+import { startMockUkgServer } from "./mock-ukg-server.js";
+import { createUkgSession } from "./ukg-client.js";
+
+const browserInstalled = fs.existsSync(chromium.executablePath());
+
+const credentials = { username: "worker@example.com", password: "hunter2" };
+
+/** @type {Awaited<ReturnType<typeof startMockUkgServer>>} */
+let server;
+/** @type {string} */
+let dataDir;
+
+before(async () => {
+  server = await startMockUkgServer({ credentials });
+  dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "ukg-client-"));
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+test("createUkgSession: needs credentials before launching a browser", async () => {
+  await assert.rejects(createUkgSession({ dataDir }), TypeError);
+  await assert.rejects(createUkgSession({ dataDir, config: { ukg: { username: "worker@example.com" } } }), /needs credentials/);
+});
+
+test("createUkgSession: scrapes schedule and timecard on demand", { skip: !browserInstalled && "Playwright chromium is not installed" }, async () => {
+  const session = await createUkgSession({
+    credentials,
+    dataDir,
+    config: { tenant: { baseUrl: server.url, calendarConfigId: 3001002 } },
+  });
+  try {
+    const schedule = await session.getSchedule({ from: "2026-03-02", to: "2026-03-08" });
+    assert.deepStrictEqual(schedule.window, { start: "2026-03-02", end: "2026-03-08" });
+    assert.deepStrictEqual(schedule.shifts.map((shift) => shift.date), ["2026-03-02", "2026-03-04"]);
+
+    const recent = await session.getTimecard();
+    assert.strictEqual(recent.period, "Last 2 Weeks");
+    assert.strictEqual(recent.source, "api");
+
+    const range = await session.getTimecard({ period: { from: "2026-03-02", to: "2026-03-03" } });
+    assert.strictEqual(range.period, "2026-03-02 to 2026-03-03");
+    assert.strictEqual(range.entries[0].isoDate, "2026-03-02");
+    assert.strictEqual("periods" in range, false);
+
+    await assert.rejects(session.getTimecard({ period: { from: "2026-03-03", to: "2026-03-02" } }), RangeError);
+  } finally {
+    await session.close();
+  }
+
+  await assert.rejects(session.getSchedule(), /closed/);
+  assert.ok(fs.existsSync(path.join(dataDir, "session.enc.json")));
+});
@@ -0,0 +1,151 @@
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+import { resolveCredentials } from "./credential-store.js";
+
+/** @typedef {import("./ukg-session.js").Credentials} Credentials */
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_CONFIG_PATH = path.join(ROOT_DIR, "config.json");
+const DEFAULT_DATA_DIR = path.join(ROOT_DIR, "data");
+
+/** Where credentials can come from, for usage messages. */
+const CREDENTIALS_HINT = "Set UKG_USERNAME and UKG_PASSWORD, point ukg.secretsFile at a secrets file, or save them with `ukg store-credentials` (ukg.keyring)";
+
+/**
+ * @typedef {Object} UkgConfig
+ * @property {import("./credential-store.js").CredentialSourcesConfig} [ukg]
+ * @property {Parameters<typeof import("./tenant-profile.js").resolveTenantProfile>[0]["tenant"]} [tenant]
+ * @property {{ lookBehindDays?: number, lookAheadDays?: number }} [schedule]
+ * @property {{ trace?: boolean, keepBundles?: number }} [debug]
+ * @property {Record<string, unknown>} [email]
+ * @property {Record<string, unknown>} [alerts]
+ * @property {Record<string, unknown>} [openShifts]
+ * @property {AccountConfig[]} [accounts] - Several people monitored from one installation
+ */
+
+/**
+ * One person's entry in config.json's `accounts`. Everything besides `id`,
+ * `name` and `dataDir` overrides the top-level section of the same name;
+ * `ukg` replaces it outright so credentials never carry over between people.
+ * @typedef {Object} AccountConfig
+ * @property {string} id - Directory name under data/ and suffix of the UKG_<ID>_* variables
+ * @property {string} [name] - Shown in emails (default: the id)
+ * @property {string} [dataDir] - Override for data/<id>/, relative to the data dir
+ * @property {UkgConfig["ukg"]} [ukg]
+ * @property {Record<string, unknown>} [email] - Usually just `to`, this person's recipients
+ * @property {Record<string, unknown>} [alerts]
+ * @property {Record<string, unknown>} [openShifts]
+ * @property {UkgConfig["schedule"]} [schedule]
+ * @property {UkgConfig["tenant"]} [tenant]
+ */
+
+/**
+ * @typedef {Object} AccountProfile
+ * @property {string} id
+ * @property {string} name - Empty for a single-account config
+ * @property {string} dataDir
+ * @property {string} envPrefix - "UKG_" for a single account, "UKG_<ID>_" otherwise
+ * @property {UkgConfig} config - The top-level config with this account's overrides applied
+ */
+
+/**
+ * Read config.json. A missing file is an empty config unless `required`.
+ * @param {string} [configPath]
+ * @param {{ required?: boolean }} [options]
+ * @returns {UkgConfig}
+ */
+function loadConfig(configPath = DEFAULT_CONFIG_PATH, options = {}) {
+  if (!fs.existsSync(configPath)) {
+    if (options.required) {
+      throw new Error(`Missing ${configPath} — copy the template and fill in credentials.`);
+    }
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(configPath, "utf8"));
+}
+
+/**
+ * Credentials from the environment, the secrets file, the keyring and finally
+ * config.json (see resolveCredentials). They are never taken from arguments,
+ * which are visible in `ps` and shell history.
+ * @param {UkgConfig} config
+ * @param {import("./credential-store.js").CredentialLookupOptions} [options]
+ * @returns {Credentials | null}
+ */
+function loadCredentials(config, options = {}) {
+  return resolveCredentials(config.ukg, { baseDir: ROOT_DIR, ...options });
+}
+
+/** Sections an account may override; all but `ukg` are merged key by key. */
+const ACCOUNT_SECTIONS = ["ukg", "email", "alerts", "openShifts", "schedule", "tenant", "debug"];
+
+/**
+ * The accounts to monitor. A config without `accounts` is one unnamed
+ * account that uses the data dir itself, as before accounts existed.
+ * @param {UkgConfig} config
+ * @param {string} dataDir
+ * @returns {AccountProfile[]}
+ */
+function resolveAccounts(config, dataDir) {
+  if (!config.accounts) {
+    return [{ id: "default", name: "", dataDir, envPrefix: "UKG_", config }];
+  }
+  if (!Array.isArray(config.accounts) || config.accounts.length === 0) {
+    throw new Error("config.json accounts must be a non-empty list");
+  }
+
+  const seen = new Set();
+  return config.accounts.map((account) => {
+    if (typeof account.id !== "string" || !/^[a-z0-9][a-z0-9_-]*$/i.test(account.id)) {
+      throw new Error(`Account id ${JSON.stringify(account.id)} must be letters, digits, - or _`);
+    }
+    if (seen.has(account.id.toLowerCase())) {
+      throw new Error(`Duplicate account id "${account.id}"`);
+    }
+    seen.add(account.id.toLowerCase());
+
+    /** @type {Record<string, unknown>} */
+    const merged = { ...config };
+    delete merged.accounts;
+    for (const section of ACCOUNT_SECTIONS) {
+      if (section === "ukg") {
+        merged.ukg = account.ukg ?? {};
+      } else if (account[section]) {
+        merged[section] = { .../** @type {object} */ (config[section]), ...account[section] };
+      }
+    }
+
+    return {
+      id: account.id,
+      name: account.name ?? account.id,
+      dataDir: path.resolve(dataDir, account.dataDir ?? account.id),
+      envPrefix: `UKG_${account.id.toUpperCase().replace(/[^A-Z0-9]/g, "_")}_`,
+      config: /** @type {UkgConfig} */ (merged),
+    };
+  });
+}
+
+/**
+ * Pick one account, by id when several are configured.
+ * @param {UkgConfig} config
+ * @param {string} dataDir
+ * @param {string} [id]
+ * @returns {AccountProfile}
+ */
+function resolveAccount(config, dataDir, id) {
+  const accounts = resolveAccounts(config, dataDir);
+  if (id === undefined) {
+    if (accounts.length > 1) {
+      throw new Error(`config.json lists several accounts (${accounts.map((account) => account.id).join(", ")}); choose one with --account`);
+    }
+    return accounts[0];
+  }
+  const account = accounts.find((candidate) => candidate.id === id);
+  if (!account || !config.accounts) {
+    throw new Error(`No account "${id}" in config.json`);
+  }
+  return account;
+}
+
+export { CREDENTIALS_HINT, DEFAULT_CONFIG_PATH, DEFAULT_DATA_DIR, ROOT_DIR, loadConfig, loadCredentials, resolveAccount, resolveAccounts };
@@ -0,0 +1,63 @@
+import { test } from "node:test";
+import assert from "node:assert";
+import path from "path";
+import { loadCredentials, resolveAccount, resolveAccounts } from "./ukg-config.js";
+
+const householdConfig = {
+  email: { from: "alerts@example.com", gmailAppPassword: "app-pass", to: "home@example.com" },
+  alerts: { failureRepeatHours: 24 },
+  schedule: { lookAheadDays: 28 },
+  ukg: { username: "shared-user", password: "shared-pass" },
+  accounts: [
+    { id: "alice", name: "Alice", ukg: { username: "alice@example.com", password: "a-pass" }, email: { to: "alice@example.com" } },
+    { id: "bob", ukg: { username: "bob@example.com" }, alerts: { failureRepeatHours: 6 }, openShifts: { days: ["Sat"] } },
+  ],
+};
+
+test("resolveAccounts: a config without accounts is one account on the data dir itself", () => {
+  const config = { ukg: { username: "worker@example.com", password: "pass" } };
+  assert.deepStrictEqual(resolveAccounts(config, "/srv/data"), [
+    { id: "default", name: "", dataDir: "/srv/data", envPrefix: "UKG_", config },
+  ]);
+});
+
+test("resolveAccounts: each account gets data/<id>/ and its own overrides", () => {
+  const [alice, bob] = resolveAccounts(householdConfig, "/srv/data");
+
+  assert.strictEqual(alice.name, "Alice");
+  assert.strictEqual(alice.dataDir, path.resolve("/srv/data/alice"));
+  assert.strictEqual(alice.envPrefix, "UKG_ALICE_");
+  assert.deepStrictEqual(alice.config.email, { from: "alerts@example.com", gmailAppPassword: "app-pass", to: "alice@example.com" });
+  assert.deepStrictEqual(alice.config.alerts, { failureRepeatHours: 24 });
+  assert.strictEqual("accounts" in alice.config, false);
+
+  assert.strictEqual(bob.name, "bob");
+  assert.deepStrictEqual(bob.config.email, householdConfig.email);
+  assert.deepStrictEqual(bob.config.alerts, { failureRepeatHours: 6 });
+  assert.deepStrictEqual(bob.config.openShifts, { days: ["Sat"] });
+  assert.deepStrictEqual(bob.config.schedule, { lookAheadDays: 28 });
+});
+
+test("resolveAccounts: credentials never carry over from the top level", () => {
+  const [, bob] = resolveAccounts(householdConfig, "/srv/data");
+  assert.deepStrictEqual(bob.config.ukg, { username: "bob@example.com" });
+  assert.strictEqual(loadCredentials(bob.config, { envPrefix: bob.envPrefix, env: {} }), null);
+  assert.deepStrictEqual(
+    loadCredentials(bob.config, { envPrefix: bob.envPrefix, env: { UKG_BOB_PASSWORD: "b-pass", UKG_PASSWORD: "wrong" } }),
+    { username: "bob@example.com", password: "b-pass" }
+  );
+});
+
+test("resolveAccounts: rejects unusable ids", () => {
+  assert.throws(() => resolveAccounts({ accounts: [{ id: "../alice" }] }, "/srv/data"), /must be letters, digits/);
+  assert.throws(() => resolveAccounts({ accounts: [{ id: "alice" }, { id: "Alice" }] }, "/srv/data"), /Duplicate account id/);
+  assert.throws(() => resolveAccounts({ accounts: [] }, "/srv/data"), /non-empty list/);
+});
+
+test("resolveAccount: picks by id, or the only account", () => {
+  assert.strictEqual(resolveAccount(householdConfig, "/srv/data", "bob").id, "bob");
+  assert.throws(() => resolveAccount(householdConfig, "/srv/data"), /several accounts \(alice, bob\); choose one with --account/);
+  assert.throws(() => resolveAccount(householdConfig, "/srv/data", "carol"), /No account "carol"/);
+  assert.strictEqual(resolveAccount({}, "/srv/data").dataDir, "/srv/data");
+  assert.throws(() => resolveAccount({}, "/srv/data", "alice"), /No account "alice"/);
+});
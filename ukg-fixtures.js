@@ -0,0 +1,137 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * @typedef {Object} UkgFixture
+ * @property {string} method - HTTP method, e.g. "GET"
+ * @property {string} path - URL pathname the response was served from
+ * @property {number} status
+ * @property {string} contentType
+ * @property {string | object} body - Parsed JSON for JSON responses, text otherwise
+ */
+
+/**
+ * Pathnames the scrapers depend on. Responses to these are saved as fixtures
+ * when recording and replayed by the mock server.
+ */
+const FIXTURE_PATHS = [
+  "/wfd/home",
+  "/myTimecard",
+  "/myschedule/events",
+  "/api/v1/timekeeping/timecard",
+];
+
+/**
+ * @param {string} method
+ * @param {string} pathname
+ * @returns {string}
+ */
+function fixtureKey(method, pathname) {
+  return `${method.toUpperCase()} ${pathname}`;
+}
+
+/**
+ * @param {string} method
+ * @param {string} pathname
+ * @returns {string} - e.g. "post-myschedule-events.json"
+ */
+function fixtureFileName(method, pathname) {
+  const slug = pathname.replace(/[^A-Za-z0-9]+/g, "-").replace(/^-+|-+$/g, "");
+  return `${method.toLowerCase()}-${slug || "root"}.json`;
+}
+
+/**
+ * @param {string} pathname
+ * @returns {boolean}
+ */
+function isFixturePath(pathname) {
+  return FIXTURE_PATHS.some((fixturePath) => pathname.endsWith(fixturePath));
+}
+
+/**
+ * Load every fixture in a directory, keyed by "METHOD /path".
+ * @param {string} fixturesDir
+ * @returns {Map<string, UkgFixture>}
+ */
+function loadFixtures(fixturesDir) {
+  /** @type {Map<string, UkgFixture>} */
+  const fixtures = new Map();
+  if (!fs.existsSync(fixturesDir)) {
+    return fixtures;
+  }
+
+  for (const fileName of fs.readdirSync(fixturesDir).filter((name) => name.endsWith(".json")).sort()) {
+    /** @type {UkgFixture} */
+    const fixture = JSON.parse(fs.readFileSync(path.join(fixturesDir, fileName), "utf8"));
+    if (typeof fixture.method === "string" && typeof fixture.path === "string") {
+      fixtures.set(fixtureKey(fixture.method, fixture.path), fixture);
+    }
+  }
+  return fixtures;
+}
+
+/**
+ * @param {string} fixturesDir
+ * @param {UkgFixture} fixture
+ * @returns {string} - Path of the written file
+ */
+function saveFixture(fixturesDir, fixture) {
+  fs.mkdirSync(fixturesDir, { recursive: true });
+  const filePath = path.join(fixturesDir, fixtureFileName(fixture.method, fixture.path));
+  fs.writeFileSync(filePath, JSON.stringify(fixture, null, 2));
+  return filePath;
+}
+
+/**
+ * Save responses from the UKG origin for FIXTURE_PATHS while the scrapers run.
+ * A later response to the same method and path replaces the earlier one.
+ * Call `flush()` before closing the context so pending bodies are written.
+ * @param {import("playwright").BrowserContext} context
+ * @param {{ baseUrl: string, fixturesDir: string }} options
+ * @returns {{ flush: () => Promise<string[]> }}
+ */
+function recordFixtures(context, options) {
+  const { fixturesDir } = options;
+  const origin = new URL(options.baseUrl).origin;
+  /** @type {Promise<string | null>[]} */
+  const pending = [];
+
+  context.on("response", (response) => {
+    const url = new URL(response.url());
+    if (url.origin !== origin || !isFixturePath(url.pathname)) return;
+
+    pending.push((async () => {
+      try {
+        const contentType = response.headers()["content-type"] ?? "";
+        const text = await response.text();
+        return saveFixture(fixturesDir, {
+          method: response.request().method(),
+          path: url.pathname,
+          status: response.status(),
+          contentType,
+          body: contentType.includes("json") ? JSON.parse(text) : text,
+        });
+      } catch (err) {
+        console.error(`[record] Could not save ${url.pathname}: ` + /** @type {Error} */ (err).message);
+        return null;
+      }
+    })());
+  });
+
+  return {
+    async flush() {
+      const saved = await Promise.all(pending);
+      return [...new Set(saved.filter((filePath) => filePath !== null))];
+    },
+  };
+}
+
+export {
+  FIXTURE_PATHS,
+  fixtureFileName,
+  fixtureKey,
+  isFixturePath,
+  loadFixtures,
+  recordFixtures,
+  saveFixture,
+};
@@ -0,0 +1,58 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { fixtureFileName, isFixturePath, loadFixtures, saveFixture } from "./ukg-fixtures.js";
+
+/** @type {string[]} */
+const tempDirs = [];
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+/**
+ * @returns {string}
+ */
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ukg-fixtures-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+test("fixtureFileName: derives a file name from method and path", () => {
+  assert.strictEqual(fixtureFileName("POST", "/myschedule/events"), "post-myschedule-events.json");
+  assert.strictEqual(fixtureFileName("GET", "/"), "get-root.json");
+});
+
+test("isFixturePath: matches the pages and endpoints the scrapers use", () => {
+  assert.ok(isFixturePath("/myschedule/events"));
+  assert.ok(isFixturePath("/api/v1/timekeeping/timecard"));
+  assert.ok(isFixturePath("/wfd/ess/myTimecard"));
+  assert.ok(!isFixturePath("/wfd/static/app.js"));
+});
+
+test("saveFixture and loadFixtures: round-trip fixtures keyed by method and path", () => {
+  const dir = makeTempDir();
+  const fixture = {
+    method: "POST",
+    path: "/myschedule/events",
+    status: 200,
+    contentType: "application/json",
+    body: { regularShifts: [] },
+  };
+
+  saveFixture(dir, fixture);
+  fs.writeFileSync(path.join(dir, "notes.json"), JSON.stringify({ comment: "not a fixture" }));
+
+  const fixtures = loadFixtures(dir);
+  assert.deepStrictEqual([...fixtures.keys()], ["POST /myschedule/events"]);
+  assert.deepStrictEqual(fixtures.get("POST /myschedule/events"), fixture);
+});
+
+test("loadFixtures: missing directory yields no fixtures", () => {
+  assert.strictEqual(loadFixtures(path.join(makeTempDir(), "missing")).size, 0);
+});
@@ -0,0 +1,490 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { ScrapeError, classifyPageText, detectMfaChallenge, isPasswordExpiryPage } from "./scrape-errors.js";
+import { resolveTenantProfile } from "./tenant-profile.js";
+import { generateTotp, totpTimeStep } from "./totp.js";
+
+/** @typedef {import("./tenant-profile.js").TenantProfile} TenantProfile */
+
+const SESSION_FILE = "session.enc.json";
+const SESSION_FORMAT_VERSION = 1;
+const CREDENTIALS_FLAG_FILE = "credentials-invalid.json";
+const LOGIN_TIMEOUT_MS = 60000;
+const MAX_TOTP_SUBMISSIONS = 2;
+
+/**
+ * @typedef {{ username: string, password: string, totpSecret?: string }} Credentials
+ * `totpSecret` is the base32 authenticator secret, for tenants that ask for a one-time code.
+ */
+
+/**
+ * @typedef {Object} EncryptedSession
+ * @property {number} version
+ * @property {string} savedAt - ISO datetime
+ * @property {string} salt - base64
+ * @property {string} iv - base64
+ * @property {string} tag - base64
+ * @property {string} data - base64 ciphertext of the Playwright storage state JSON
+ */
+
+/**
+ * @typedef {Object} CredentialsFlag
+ * @property {string} flaggedAt - ISO datetime
+ * @property {string} username
+ * @property {string} reason - "rejected" or "password-expired"
+ * @property {string} message
+ * @property {string} salt - base64
+ * @property {string} fingerprint - base64 scrypt hash of the rejected username and password
+ */
+
+/**
+ * @param {string} dataDir
+ * @returns {string}
+ */
+function getSessionFilePath(dataDir) {
+  return path.join(dataDir, SESSION_FILE);
+}
+
+/**
+ * Derive the file key from the account password so a password change
+ * invalidates any session saved under the old one.
+ * @param {Credentials} credentials
+ * @param {Buffer} salt
+ * @returns {Buffer}
+ */
+function deriveKey(credentials, salt) {
+  return crypto.scryptSync(credentials.password, salt, 32);
+}
+
+/**
+ * @param {object} storageState
+ * @param {Credentials} credentials
+ * @param {string} [savedAt]
+ * @returns {EncryptedSession}
+ */
+function encryptSession(storageState, credentials, savedAt = new Date().toISOString()) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(credentials, salt), iv);
+  cipher.setAAD(Buffer.from(credentials.username, "utf8"));
+  const data = Buffer.concat([
+    cipher.update(JSON.stringify(storageState), "utf8"),
+    cipher.final(),
+  ]);
+
+  return {
+    version: SESSION_FORMAT_VERSION,
+    savedAt,
+    salt: salt.toString("base64"),
+    iv: iv.toString("base64"),
+    tag: cipher.getAuthTag().toString("base64"),
+    data: data.toString("base64"),
+  };
+}
+
+/**
+ * Decrypt a saved session. Returns null when the file was written for another
+ * account, with another password, or is otherwise unreadable.
+ * @param {EncryptedSession} encrypted
+ * @param {Credentials} credentials
+ * @returns {object | null}
+ */
+function decryptSession(encrypted, credentials) {
+  if (!encrypted || encrypted.version !== SESSION_FORMAT_VERSION) {
+    return null;
+  }
+
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      deriveKey(credentials, Buffer.from(encrypted.salt, "base64")),
+      Buffer.from(encrypted.iv, "base64")
+    );
+    decipher.setAAD(Buffer.from(credentials.username, "utf8"));
+    decipher.setAuthTag(Buffer.from(encrypted.tag, "base64"));
+    const plain = Buffer.concat([
+      decipher.update(Buffer.from(encrypted.data, "base64")),
+      decipher.final(),
+    ]);
+    return JSON.parse(plain.toString("utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} dataDir
+ * @param {Credentials} credentials
+ * @returns {object | null}
+ */
+function loadStoredSession(dataDir, credentials) {
+  const filePath = getSessionFilePath(dataDir);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return decryptSession(JSON.parse(fs.readFileSync(filePath, "utf8")), credentials);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} dataDir
+ * @param {object} storageState
+ * @param {Credentials} credentials
+ * @returns {string}
+ */
+function saveStoredSession(dataDir, storageState, credentials) {
+  fs.mkdirSync(dataDir, { recursive: true });
+  const filePath = getSessionFilePath(dataDir);
+  fs.writeFileSync(
+    filePath,
+    JSON.stringify(encryptSession(storageState, credentials), null, 2),
+    { mode: 0o600 }
+  );
+  return filePath;
+}
+
+/**
+ * @param {string} dataDir
+ * @returns {void}
+ */
+function clearStoredSession(dataDir) {
+  fs.rmSync(getSessionFilePath(dataDir), { force: true });
+}
+
+/**
+ * @param {string} dataDir
+ * @returns {string}
+ */
+function getCredentialsFlagPath(dataDir) {
+  return path.join(dataDir, CREDENTIALS_FLAG_FILE);
+}
+
+/**
+ * @param {Credentials} credentials
+ * @param {Buffer} salt
+ * @returns {string}
+ */
+function credentialsFingerprint(credentials, salt) {
+  return crypto.scryptSync(`${credentials.username}\n${credentials.password}`, salt, 32).toString("base64");
+}
+
+/**
+ * Record that UKG rejected these credentials. Only a hash is stored, enough
+ * to tell whether config.json has changed since.
+ * @param {string} dataDir
+ * @param {Credentials} credentials
+ * @param {{ reason: string, message: string }} details
+ * @param {string} [flaggedAt]
+ * @returns {CredentialsFlag}
+ */
+function flagInvalidCredentials(dataDir, credentials, details, flaggedAt = new Date().toISOString()) {
+  const salt = crypto.randomBytes(16);
+  /** @type {CredentialsFlag} */
+  const flag = {
+    flaggedAt,
+    username: credentials.username,
+    reason: details.reason,
+    message: details.message,
+    salt: salt.toString("base64"),
+    fingerprint: credentialsFingerprint(credentials, salt),
+  };
+  fs.mkdirSync(dataDir, { recursive: true });
+  fs.writeFileSync(getCredentialsFlagPath(dataDir), JSON.stringify(flag, null, 2), { mode: 0o600 });
+  return flag;
+}
+
+/**
+ * @param {string} dataDir
+ * @returns {CredentialsFlag | null}
+ */
+function loadCredentialsFlag(dataDir) {
+  const filePath = getCredentialsFlagPath(dataDir);
+  if (!fs.existsSync(filePath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(fs.readFileSync(filePath, "utf8"));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {string} dataDir
+ * @returns {void}
+ */
+function clearCredentialsFlag(dataDir) {
+  fs.rmSync(getCredentialsFlagPath(dataDir), { force: true });
+}
+
+/**
+ * Return the flag when it was raised for exactly these credentials. A flag
+ * for other credentials means config.json has been updated, so it is cleared.
+ * @param {string} dataDir
+ * @param {Credentials} credentials
+ * @returns {CredentialsFlag | null}
+ */
+function checkCredentialsFlag(dataDir, credentials) {
+  const flag = loadCredentialsFlag(dataDir);
+  if (!flag) {
+    return null;
+  }
+
+  const matches = flag.username === credentials.username
+    && typeof flag.salt === "string"
+    && flag.fingerprint === credentialsFingerprint(credentials, Buffer.from(flag.salt, "base64"));
+  if (matches) {
+    return flag;
+  }
+
+  clearCredentialsFlag(dataDir);
+  return null;
+}
+
+/**
+ * Check whether the context is still signed in by loading the home page.
+ * An expired session is redirected to the login form instead.
+ * @param {import("playwright").BrowserContext} context
+ * @param {import("playwright").Page} page
+ * @param {TenantProfile} [tenant]
+ * @returns {Promise<boolean>}
+ */
+async function probeSession(context, page, tenant = resolveTenantProfile()) {
+  try {
+    await page.goto(tenant.baseUrl + "/wfd/home", { waitUntil: "networkidle", timeout: 60000 });
+  } catch {
+    return false;
+  }
+
+  if (!page.url().includes("/wfd/home")) {
+    return false;
+  }
+
+  const cookies = await context.cookies();
+  return cookies.some((c) => c.name === "XSRF-TOKEN");
+}
+
+/**
+ * Sign in through the UKG login form.
+ * @param {import("playwright").Page} page
+ * @param {Credentials} credentials
+ * @param {TenantProfile} [tenant]
+ * @returns {Promise<void>}
+ */
+async function login(page, credentials, tenant = resolveTenantProfile()) {
+  const labels = tenant.loginLabels;
+  let submitted = false;
+  try {
+    await page.goto(tenant.baseUrl, { waitUntil: "networkidle", timeout: 60000 });
+    await page.getByLabel(labels.username).fill(credentials.username);
+    await page.getByLabel(labels.password).fill(credentials.password);
+    await page.getByRole("button", { name: labels.submit }).click();
+    submitted = true;
+    await waitForLoginOutcome(page, credentials);
+  } catch (err) {
+    if (err instanceof ScrapeError) throw err;
+    // The login page says why it did not let us in (wrong password, lockout,
+    // maintenance); prefer that over the bare timeout.
+    const pageText = await page.locator("body").innerText({ timeout: 5000 }).catch(() => null);
+    const category = classifyPageText(pageText);
+    const message = /** @type {Error} */ (err).message;
+    if (submitted) {
+      // Submitting again could be the attempt that locks the account, so a
+      // failure after this point is never retried.
+      throw new ScrapeError(category ?? "unknown", `Login failed after the credentials were submitted: ${message}`, {
+        cause: err,
+        retry: false,
+      });
+    }
+    if (category) {
+      throw new ScrapeError(category, `Login failed (${category}): ${message}`, { cause: err });
+    }
+    throw err;
+  }
+}
+
+/**
+ * Type a one-time code into the MFA challenge and submit it.
+ * @param {import("playwright").Page} page
+ * @param {string} code
+ * @returns {Promise<void>}
+ */
+async function submitTotpCode(page, code) {
+  const input = page.getByLabel(/code/i)
+    .or(page.locator('input[autocomplete="one-time-code"]'))
+    .first();
+  await input.fill(code, { timeout: 10000 });
+  await input.press("Enter");
+}
+
+/**
+ * Wait for the home page after submitting the login form, answering an
+ * authenticator challenge when a TOTP secret is configured. Fails as soon as
+ * UKG shows a wrong-password, lockout, password-expiry or non-automatable MFA
+ * page instead of sitting out the full timeout.
+ * @param {import("playwright").Page} page
+ * @param {Credentials} credentials
+ * @returns {Promise<void>}
+ */
+async function waitForLoginOutcome(page, credentials) {
+  const deadline = Date.now() + LOGIN_TIMEOUT_MS;
+  let codesSubmitted = 0;
+  let lastTimeStep = -1;
+
+  while (Date.now() < deadline) {
+    if (page.url().includes("/wfd/home")) return;
+
+    const pageText = await page.locator("body").innerText({ timeout: 1000 }).catch(() => null);
+    if (isPasswordExpiryPage(pageText, page.url())) {
+      throw new ScrapeError("bad-credentials", "Login failed: UKG asks for the password to be changed (expired or reset required)", {
+        reason: "password-expired",
+      });
+    }
+    const category = classifyPageText(pageText);
+    if (category === "bad-credentials" || category === "account-locked") {
+      throw new ScrapeError(category, `Login failed: ${pageText?.match(/[^\n]*(?:invalid|incorrect|locked|disabled)[^\n]*/i)?.[0].trim() ?? category}`, {
+        reason: category === "bad-credentials" ? "rejected" : null,
+      });
+    }
+
+    const factor = detectMfaChallenge(pageText);
+    if (factor === "push" || factor === "sms") {
+      throw new ScrapeError("mfa-required", `Login needs ${factor === "push" ? "a push approval" : "a code sent by SMS or call"}, which cannot be automated`, {
+        reason: factor,
+      });
+    }
+    if (factor === "totp") {
+      if (!credentials.totpSecret) {
+        throw new ScrapeError("mfa-required", "Login asks for an authenticator code but no ukg.totpSecret is configured", {
+          reason: "totp-missing",
+        });
+      }
+      // One code per time step; still being asked after that means it was rejected.
+      if (totpTimeStep() !== lastTimeStep) {
+        if (codesSubmitted >= MAX_TOTP_SUBMISSIONS) {
+          throw new ScrapeError("mfa-required", "UKG did not accept the authenticator codes; check ukg.totpSecret and the machine clock", {
+            reason: "totp-rejected",
+          });
+        }
+        lastTimeStep = totpTimeStep();
+        codesSubmitted += 1;
+        console.error("Answering MFA challenge with an authenticator code...");
+        await submitTotpCode(page, generateTotp(credentials.totpSecret));
+      }
+    }
+
+    await page.waitForTimeout(1000);
+  }
+
+  throw new ScrapeError("unknown", `Login did not reach the home page within ${LOGIN_TIMEOUT_MS / 1000}s of submitting the credentials (stuck on ${page.url()})`, {
+    retry: false,
+  });
+}
+
+/**
+ * Open an authenticated browser context, reusing the saved session when it is
+ * still valid and falling back to the login form otherwise.
+ * @param {import("playwright").Browser} browser
+ * @param {{
+ *   credentials: Credentials,
+ *   dataDir: string,
+ *   tenant?: TenantProfile,
+ *   contextOptions?: import("playwright").BrowserContextOptions,
+ *   reuseSession?: boolean,
+ *   persist?: boolean,
+ *   onContext?: (context: import("playwright").BrowserContext) => Promise<void> | void,
+ * }} options - `reuseSession: false` always logs in afresh (used when recording);
+ *   `persist: false` (dry runs) writes no session or credentials flag to the data dir;
+ *   `onContext` runs on each new context before it loads anything
+ * @returns {Promise<{ context: import("playwright").BrowserContext, page: import("playwright").Page, reused: boolean }>}
+ */
+async function openSession(browser, options) {
+  const tenant = options.tenant ?? resolveTenantProfile();
+  const storageState = options.reuseSession === false
+    ? null
+    : loadStoredSession(options.dataDir, options.credentials);
+
+  if (storageState) {
+    const context = await browser.newContext({ ...options.contextOptions, storageState });
+    await options.onContext?.(context);
+    const page = await context.newPage();
+    console.error("Checking saved session...");
+    if (await probeSession(context, page, tenant)) {
+      console.error("Reusing saved session.");
+      return { context, page, reused: true };
+    }
+    console.error("Saved session expired.");
+    await context.close();
+    if (options.persist !== false) clearStoredSession(options.dataDir);
+  }
+
+  const flag = checkCredentialsFlag(options.dataDir, options.credentials);
+  if (flag) {
+    throw new ScrapeError(
+      "bad-credentials",
+      `Automated logins are blocked: UKG rejected these credentials at ${flag.flaggedAt} (${flag.message}). `
+        + `Update the stored password, or delete ${getCredentialsFlagPath(options.dataDir)} if it is already fixed.`,
+      { reason: "blocked" }
+    );
+  }
+
+  const context = await browser.newContext(options.contextOptions);
+  await options.onContext?.(context);
+  const page = await context.newPage();
+  console.error("Logging in...");
+  try {
+    await login(page, options.credentials, tenant);
+  } catch (err) {
+    if (err instanceof ScrapeError && err.category === "bad-credentials" && options.persist !== false) {
+      flagInvalidCredentials(options.dataDir, options.credentials, {
+        reason: err.reason ?? "rejected",
+        message: err.message,
+      });
+      console.error("Credentials rejected; further automated logins are blocked until they change.");
+    }
+    throw err;
+  }
+  await persistSession(context, options);
+  return { context, page, reused: false };
+}
+
+/**
+ * Save the context's current cookies so rotated tokens survive to the next run.
+ * @param {import("playwright").BrowserContext} context
+ * @param {{ credentials: Credentials, dataDir: string, persist?: boolean }} options - Nothing is saved when `persist` is false
+ * @returns {Promise<void>}
+ */
+async function persistSession(context, options) {
+  if (options.persist === false) return;
+  try {
+    saveStoredSession(options.dataDir, await context.storageState(), options.credentials);
+  } catch (err) {
+    console.error("Could not save session: " + /** @type {Error} */ (err).message);
+  }
+}
+
+export {
+  CREDENTIALS_FLAG_FILE,
+  SESSION_FILE,
+  checkCredentialsFlag,
+  clearCredentialsFlag,
+  clearStoredSession,
+  decryptSession,
+  encryptSession,
+  flagInvalidCredentials,
+  getCredentialsFlagPath,
+  getSessionFilePath,
+  loadCredentialsFlag,
+  loadStoredSession,
+  login,
+  openSession,
+  persistSession,
+  probeSession,
+  saveStoredSession,
+};
@@ -0,0 +1,209 @@
+import { afterEach, test } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import {
+  checkCredentialsFlag,
+  clearCredentialsFlag,
+  clearStoredSession,
+  decryptSession,
+  encryptSession,
+  flagInvalidCredentials,
+  getCredentialsFlagPath,
+  getSessionFilePath,
+  loadCredentialsFlag,
+  loadStoredSession,
+  login,
+  openSession,
+  saveStoredSession,
+} from "./ukg-session.js";
+import { ScrapeError } from "./scrape-errors.js";
+
+/** @type {string[]} */
+const tempDirs = [];
+
+afterEach(() => {
+  while (tempDirs.length > 0) {
+    fs.rmSync(tempDirs.pop(), { recursive: true, force: true });
+  }
+});
+
+/**
+ * @returns {string}
+ */
+function makeTempDir() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "ukg-session-"));
+  tempDirs.push(dir);
+  return dir;
+}
+
+const credentials = { username: "worker@example.com", password: "hunter2" };
+const storageState = {
+  cookies: [{ name: "XSRF-TOKEN", value: "abc123", domain: "dunnes.prd.mykronos.com", path: "/" }],
+  origins: [],
+};
+
+test("encryptSession/decryptSession: round-trips the storage state", () => {
+  const encrypted = encryptSession(storageState, credentials, "2026-04-01T08:00:00.000Z");
+
+  assert.strictEqual(encrypted.savedAt, "2026-04-01T08:00:00.000Z");
+  assert.ok(!encrypted.data.includes("abc123"));
+  assert.deepStrictEqual(decryptSession(encrypted, credentials), storageState);
+});
+
+test("decryptSession: returns null after a password change", () => {
+  const encrypted = encryptSession(storageState, credentials);
+
+  assert.strictEqual(decryptSession(encrypted, { ...credentials, password: "changed" }), null);
+});
+
+test("decryptSession: returns null for another account", () => {
+  const encrypted = encryptSession(storageState, credentials);
+
+  assert.strictEqual(decryptSession(encrypted, { ...credentials, username: "someone@example.com" }), null);
+});
+
+test("saveStoredSession and loadStoredSession: persist an encrypted file in the data dir", () => {
+  const dataDir = makeTempDir();
+
+  const filePath = saveStoredSession(dataDir, storageState, credentials);
+
+  assert.strictEqual(filePath, getSessionFilePath(dataDir));
+  assert.ok(!fs.readFileSync(filePath, "utf8").includes("XSRF-TOKEN"));
+  assert.deepStrictEqual(loadStoredSession(dataDir, credentials), storageState);
+});
+
+test("loadStoredSession: missing or corrupt files return null", () => {
+  const dataDir = makeTempDir();
+
+  assert.strictEqual(loadStoredSession(dataDir, credentials), null);
+
+  fs.writeFileSync(getSessionFilePath(dataDir), "not json");
+  assert.strictEqual(loadStoredSession(dataDir, credentials), null);
+
+  clearStoredSession(dataDir);
+  assert.ok(!fs.existsSync(getSessionFilePath(dataDir)));
+});
+
+test("flagInvalidCredentials: stores a hash of the rejected credentials, not the password", () => {
+  const dataDir = makeTempDir();
+
+  const flag = flagInvalidCredentials(dataDir, credentials, {
+    reason: "password-expired",
+    message: "Login failed: UKG asks for the password to be changed",
+  }, "2026-04-01T06:00:00.000Z");
+
+  assert.deepStrictEqual(loadCredentialsFlag(dataDir), flag);
+  assert.strictEqual(flag.flaggedAt, "2026-04-01T06:00:00.000Z");
+  assert.strictEqual(flag.reason, "password-expired");
+  assert.ok(!fs.readFileSync(getCredentialsFlagPath(dataDir), "utf8").includes(credentials.password));
+  if (process.platform !== "win32") {
+    assert.strictEqual(fs.statSync(getCredentialsFlagPath(dataDir)).mode & 0o777, 0o600);
+  }
+});
+
+test("checkCredentialsFlag: blocks the same credentials until config changes", () => {
+  const dataDir = makeTempDir();
+  assert.strictEqual(checkCredentialsFlag(dataDir, credentials), null);
+
+  flagInvalidCredentials(dataDir, credentials, { reason: "rejected", message: "Invalid username or password." });
+
+  assert.strictEqual(checkCredentialsFlag(dataDir, credentials)?.reason, "rejected");
+  assert.ok(fs.existsSync(getCredentialsFlagPath(dataDir)));
+
+  assert.strictEqual(checkCredentialsFlag(dataDir, { ...credentials, password: "new-password" }), null);
+  assert.ok(!fs.existsSync(getCredentialsFlagPath(dataDir)));
+});
+
+test("clearCredentialsFlag: removes the block", () => {
+  const dataDir = makeTempDir();
+  flagInvalidCredentials(dataDir, credentials, { reason: "rejected", message: "Invalid username or password." });
+
+  clearCredentialsFlag(dataDir);
+
+  assert.strictEqual(loadCredentialsFlag(dataDir), null);
+  assert.strictEqual(checkCredentialsFlag(dataDir, credentials), null);
+});
+
+// --- login ---
+
+/**
+ * A stand-in for the Playwright page that records form submissions and shows
+ * `bodyText` once the form is submitted, or the home page with `reachesHome`.
+ * @param {{ bodyText: string, failWait?: boolean, reachesHome?: boolean }} options
+ */
+function makeLoginPage({ bodyText, failWait = false, reachesHome = false }) {
+  const page = {
+    submissions: 0,
+    goto: async () => {},
+    url: () => (reachesHome && page.submissions > 0 ? "https://ukg.example/wfd/home" : "https://ukg.example/authn/login"),
+    getByLabel: () => ({ fill: async () => {} }),
+    getByRole: () => ({ click: async () => { page.submissions += 1; } }),
+    locator: () => ({ innerText: async () => (page.submissions > 0 ? bodyText : "") }),
+    waitForTimeout: async () => {
+      if (failWait) throw new Error("Target page, context or browser has been closed");
+    },
+  };
+  return page;
+}
+
+test("login: a failure after submitting the credentials is not retryable", async () => {
+  const page = makeLoginPage({ bodyText: "Loading...", failWait: true });
+
+  await assert.rejects(
+    login(/** @type {any} */ (page), { username: "alice", password: "wrong" }),
+    (err) => err instanceof ScrapeError && err.category === "unknown" && err.retry === false
+      && /after the credentials were submitted: Target page/.test(err.message)
+  );
+  assert.strictEqual(page.submissions, 1);
+});
+
+test("login: keeps the page's category but still does not retry after submitting", async () => {
+  const page = makeLoginPage({ bodyText: "Service unavailable", failWait: true });
+
+  await assert.rejects(
+    login(/** @type {any} */ (page), { username: "alice", password: "secret" }),
+    (err) => err instanceof ScrapeError && err.category === "maintenance" && err.retry === false
+  );
+});
+
+// --- openSession ---
+
+/**
+ * A stand-in for the Playwright browser whose contexts open `page`.
+ * @param {ReturnType<typeof makeLoginPage>} page
+ */
+function makeBrowser(page) {
+  const context = {
+    newPage: async () => page,
+    storageState: async () => ({ cookies: [], origins: [] }),
+    close: async () => {},
+  };
+  return { newContext: async () => context };
+}
+
+test("openSession: persist: false writes nothing to the data dir", async () => {
+  const dataDir = makeTempDir();
+  const credentials = { username: "alice", password: "secret" };
+
+  await openSession(/** @type {any} */ (makeBrowser(makeLoginPage({ bodyText: "", reachesHome: true }))), {
+    credentials,
+    dataDir,
+    persist: false,
+  });
+  assert.deepStrictEqual(fs.readdirSync(dataDir), []);
+
+  await assert.rejects(
+    openSession(/** @type {any} */ (makeBrowser(makeLoginPage({ bodyText: "Invalid username or password" }))), {
+      credentials,
+      dataDir,
+      persist: false,
+    }),
+    { category: "bad-credentials" }
+  );
+  assert.deepStrictEqual(fs.readdirSync(dataDir), []);
+
+  await openSession(/** @type {any} */ (makeBrowser(makeLoginPage({ bodyText: "", reachesHome: true }))), { credentials, dataDir });
+  assert.ok(fs.existsSync(getSessionFilePath(dataDir)));
+});
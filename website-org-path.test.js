@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert";
+import { describeOrgPath, formatAssignment } from "./website/org-path.js";
+
+test("describeOrgPath: reads job, department and store from the end of the path", () => {
+  assert.deepStrictEqual(describeOrgPath("Dunnes/Ireland/Store 123/Deli/Deli Assistant"), {
+    job: "Deli Assistant",
+    department: "Deli",
+    store: "Store 123",
+  });
+  assert.deepStrictEqual(describeOrgPath("Deli/Deli Assistant"), { job: "Deli Assistant", department: "Deli", store: null });
+  assert.deepStrictEqual(describeOrgPath(null), { job: null, department: null, store: null });
+});
+
+test("formatAssignment: prefers the department, falling back to the job", () => {
+  assert.strictEqual(formatAssignment({ job: "Cashier", orgPath: "Dunnes/Store 123/Checkout/Cashier" }), "Checkout");
+  assert.strictEqual(formatAssignment({ job: "Cashier", orgPath: "Cashier" }), "Cashier");
+  assert.strictEqual(formatAssignment({}), null);
+});
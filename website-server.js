@@ -0,0 +1,90 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const WEBSITE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "website");
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".png": "image/png",
+  ".svg": "image/svg+xml",
+};
+
+/**
+ * Map a request path onto a file: /data/* comes from the data dir, everything
+ * else from website/. Returns null for paths that escape their root.
+ * @param {string} pathname
+ * @param {{ dataDir: string, websiteDir: string }} roots
+ * @returns {string | null}
+ */
+function resolveRequestPath(pathname, roots) {
+  let decoded;
+  try {
+    decoded = decodeURIComponent(pathname);
+  } catch {
+    return null;
+  }
+
+  const isData = decoded === "/data" || decoded.startsWith("/data/");
+  const root = isData ? roots.dataDir : roots.websiteDir;
+  const relative = isData ? decoded.slice("/data".length) : decoded;
+  const filePath = path.resolve(root, "." + (relative.endsWith("/") || relative === "" ? `${relative}/index.html` : relative));
+
+  return filePath === root || filePath.startsWith(root + path.sep) ? filePath : null;
+}
+
+/**
+ * Serve the website with day files from `dataDir`, so it works with any
+ * --data-dir rather than only through the website/data symlink.
+ * @param {{ dataDir: string, port?: number, host?: string, websiteDir?: string }} options
+ * @returns {Promise<{ url: string, close: () => Promise<void> }>}
+ */
+async function startWebsiteServer(options) {
+  const roots = {
+    dataDir: path.resolve(options.dataDir),
+    websiteDir: path.resolve(options.websiteDir ?? WEBSITE_DIR),
+  };
+
+  const server = http.createServer((req, res) => {
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      res.writeHead(405, { Allow: "GET, HEAD" });
+      res.end();
+      return;
+    }
+
+    const filePath = resolveRequestPath(new URL(req.url ?? "/", "http://localhost").pathname, roots);
+    if (!filePath || !fs.existsSync(filePath) || !fs.statSync(filePath).isFile()) {
+      res.writeHead(404, { "Content-Type": "text/plain" });
+      res.end("Not found");
+      return;
+    }
+
+    res.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[path.extname(filePath)] ?? "application/octet-stream",
+      "Cache-Control": "no-store",
+    });
+    if (req.method === "HEAD") {
+      res.end();
+      return;
+    }
+    fs.createReadStream(filePath).pipe(res);
+  });
+
+  const host = options.host ?? "127.0.0.1";
+  await new Promise((resolve) => server.listen(options.port ?? 0, host, () => resolve(undefined)));
+  const address = /** @type {import("net").AddressInfo} */ (server.address());
+
+  return {
+    url: `http://${host}:${address.port}`,
+    close: () => new Promise((resolve, reject) => {
+      server.closeAllConnections();
+      server.close((err) => (err ? reject(err) : resolve()));
+    }),
+  };
+}
+
+export { WEBSITE_DIR, resolveRequestPath, startWebsiteServer };
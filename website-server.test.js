@@ -0,0 +1,61 @@
+import { after, before, test } from "node:test";
+import assert from "node:assert";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { resolveRequestPath, startWebsiteServer } from "./website-server.js";
+
+const roots = { dataDir: "/srv/data", websiteDir: "/srv/website" };
+
+test("resolveRequestPath: maps /data to the data dir and the rest to the website", () => {
+  assert.strictEqual(resolveRequestPath("/", roots), "/srv/website/index.html");
+  assert.strictEqual(resolveRequestPath("/app.js", roots), "/srv/website/app.js");
+  assert.strictEqual(resolveRequestPath("/data/days/2026-03-30.json", roots), "/srv/data/days/2026-03-30.json");
+});
+
+test("resolveRequestPath: rejects paths that escape their root", () => {
+  assert.strictEqual(resolveRequestPath("/data/../config.json", roots), null);
+  assert.strictEqual(resolveRequestPath("/%2e%2e/config.json", roots), null);
+  assert.strictEqual(resolveRequestPath("/data/%2e%2e/%2e%2e/etc/passwd", roots), null);
+  assert.strictEqual(resolveRequestPath("/%E0%A4%A", roots), null);
+});
+
+/** @type {string} */
+let tempDir;
+/** @type {Awaited<ReturnType<typeof startWebsiteServer>>} */
+let server;
+
+before(async () => {
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "ukg-website-server-"));
+  fs.mkdirSync(path.join(tempDir, "website"));
+  fs.mkdirSync(path.join(tempDir, "data", "days"), { recursive: true });
+  fs.writeFileSync(path.join(tempDir, "website", "index.html"), "<h1>Schedule</h1>");
+  fs.writeFileSync(path.join(tempDir, "data", "days", "2026-03-30.json"), '{"date":"2026-03-30"}');
+
+  server = await startWebsiteServer({
+    dataDir: path.join(tempDir, "data"),
+    websiteDir: path.join(tempDir, "website"),
+  });
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test("startWebsiteServer: serves the website and the data dir", async () => {
+  const index = await fetch(server.url + "/");
+  assert.strictEqual(index.status, 200);
+  assert.match(index.headers.get("content-type") ?? "", /text\/html/);
+  assert.strictEqual(await index.text(), "<h1>Schedule</h1>");
+
+  const day = await fetch(server.url + "/data/days/2026-03-30.json");
+  assert.strictEqual(day.status, 200);
+  assert.deepStrictEqual(await day.json(), { date: "2026-03-30" });
+});
+
+test("startWebsiteServer: 404 for missing files, 405 for writes", async () => {
+  assert.strictEqual((await fetch(server.url + "/data/days/2026-01-01.json")).status, 404);
+  assert.strictEqual((await fetch(server.url + "/data/")).status, 404);
+  assert.strictEqual((await fetch(server.url + "/", { method: "POST" })).status, 405);
+});
@@ -0,0 +1,33 @@
+import { test } from "node:test";
+import assert from "node:assert";
+import { isWorkingSegment, listBreaks } from "./website/shift-segments.js";
+
+test("listBreaks: returns the typed break and meal segments", () => {
+  assert.deepStrictEqual(listBreaks([
+    { start: "9:00", end: "11:00", type: "regular", paid: true },
+    { start: "11:00", end: "11:15", type: "break", paid: true },
+    { start: "11:15", end: "13:00", type: "transfer", paid: true },
+    { start: "13:00", end: "13:30", type: "meal", paid: false },
+    { start: "13:30", end: "17:00", type: "regular", paid: true },
+  ]), [
+    { start: "11:00", end: "11:15", type: "break", paid: true },
+    { start: "13:00", end: "13:30", type: "meal", paid: false },
+  ]);
+});
+
+test("listBreaks: infers breaks from the gaps between untyped segments", () => {
+  assert.deepStrictEqual(listBreaks([{ start: "9:00", end: "11:00" }, { start: "11:15", end: "13:00" }, { start: "13:30", end: "17:00" }]), [
+    { start: "11:00", end: "11:15", type: "break", paid: null },
+    { start: "13:00", end: "13:30", type: "break", paid: null },
+  ]);
+  assert.deepStrictEqual(listBreaks([{ start: "9:00", end: "14:00" }]), []);
+  assert.deepStrictEqual(listBreaks(undefined), []);
+});
+
+test("isWorkingSegment: regular, transfer and untyped segments are worked time", () => {
+  assert.deepStrictEqual(
+    [{ type: "regular" }, { type: "transfer" }, {}, { type: "break" }, { type: "meal" }]
+      .map((segment) => isWorkingSegment({ start: "9:00", end: "10:00", ...segment })),
+    [true, true, true, false, false]
+  );
+});
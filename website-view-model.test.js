@@ -323,6 +323,11 @@ test("classifyShift: note string returns null type", () => {
   assert.deepStrictEqual(classifyShift("Easter Holiday", false), { shiftType: null, isNonStandard: false });
 });
 
+test("classifyShift: a range past midnight is a night shift", () => {
+  assert.deepStrictEqual(classifyShift("22:00 - 6:00 (+1)", false), { shiftType: "night", isNonStandard: false });
+  assert.deepStrictEqual(classifyShift("22:00-06:00", false), { shiftType: "night", isNonStandard: false });
+});
+
 // ── computeDayMinutes ──
 
 test("computeDayMinutes: uses total when available", () => {
@@ -349,6 +354,10 @@ test("computeDayMinutes: handles leading zeros in timeRange", () => {
   assert.strictEqual(computeDayMinutes({ total: null, timeRange: "09:00 - 19:00", isPast: false }), 600);
 });
 
+test("computeDayMinutes: a night shift counts through to the next morning", () => {
+  assert.strictEqual(computeDayMinutes({ total: null, timeRange: "22:00 - 6:00 (+1)", isPast: false }), 480);
+});
+
 test("buildWebsiteViewModel: weekGroups do not count past scheduled days without timecard totals", () => {
   const schedule = {
     extractedAt: "2026-03-30T10:00:00.000Z",
@@ -563,3 +572,199 @@ test("buildWebsiteViewModel: sorts recent entries across month boundaries", () =
     ["Sun 1 Mar", "Sat 28 Feb", "Fri 27 Feb"]
   );
 });
+
+test("buildWebsiteViewModel: timelineDays describe time-off requests with their status", () => {
+  const model = buildWebsiteViewModel({
+    schedule: {
+      extractedAt: "2026-03-30T08:00:00.000Z",
+      shifts: [
+        {
+          date: "2026-03-31",
+          day: "Tue",
+          start: null,
+          end: null,
+          off: true,
+          note: "Annual Leave",
+          segments: [],
+          timeOff: { name: "Annual Leave", status: "pending", statusLabel: "Submitted", partial: false, start: null, end: null, duration: null },
+        },
+        {
+          date: "2026-04-01",
+          day: "Wed",
+          start: "9:00",
+          end: "19:00",
+          off: false,
+          note: null,
+          segments: [{ start: "9:00", end: "19:00" }],
+          timeOff: { name: "Annual Leave Hours", status: "approved", statusLabel: "Approved", partial: true, start: "15:00", end: "19:00", duration: "4:00" },
+        },
+      ],
+    },
+    timecard: null,
+    now: "2026-03-30T12:00:00.000Z",
+  });
+
+  const [leaveDay, partialDay] = model.timelineDays;
+  assert.strictEqual(leaveDay.timeOffLabel, "Submitted");
+  assert.strictEqual(leaveDay.timeOffStatus, "pending");
+  assert.strictEqual(partialDay.timeOffLabel, "Annual Leave Hours 15:00 - 19:00 · Approved");
+  assert.strictEqual(partialDay.timeOffStatus, "approved");
+});
+
+test("buildWebsiteViewModel: timelineDays list scheduled paycode edits", () => {
+  const model = buildWebsiteViewModel({
+    schedule: {
+      extractedAt: "2026-04-06T08:00:00.000Z",
+      shifts: [{
+        date: "2026-04-07",
+        day: "Tue",
+        start: null,
+        end: null,
+        off: true,
+        note: "Sick Pay",
+        segments: [],
+        payCodes: [
+          { name: "Sick Pay", hours: 7.5, startDate: "2026-04-07", endDate: "2026-04-07" },
+          { name: "Unpaid", hours: null, startDate: "2026-04-07", endDate: "2026-04-07" },
+        ],
+      }],
+    },
+    timecard: null,
+    now: "2026-04-06T12:00:00.000Z",
+  });
+
+  assert.strictEqual(model.timelineDays[0].scheduledPayCodes, "Sick Pay 7:30, Unpaid");
+});
+
+test("buildWebsiteViewModel: timelineDays show swap and cover requests", () => {
+  const model = buildWebsiteViewModel({
+    schedule: {
+      extractedAt: "2026-04-06T08:00:00.000Z",
+      shifts: [{
+        date: "2026-04-11",
+        day: "Sat",
+        start: "9:00",
+        end: "14:00",
+        off: false,
+        note: null,
+        segments: [{ start: "9:00", end: "14:00" }],
+        tradeRequests: [
+          { type: "swap", counterpart: "Anna Byrne", status: "pending", statusLabel: "Submitted" },
+          { type: "cover", counterpart: null, status: "refused", statusLabel: "Refused" },
+        ],
+      }],
+    },
+    timecard: null,
+    now: "2026-04-06T12:00:00.000Z",
+  });
+
+  const day = model.timelineDays.find((d) => d.date === "2026-04-11");
+  assert.deepStrictEqual(day.tradeRequests, ["Swap with Anna Byrne · Submitted", "Cover · Refused"]);
+});
+
+test("buildWebsiteViewModel: timelineDays list every typed break", () => {
+  const model = buildWebsiteViewModel({
+    schedule: {
+      extractedAt: "2026-04-06T08:00:00.000Z",
+      shifts: [{
+        date: "2026-04-11", day: "Sat", start: "9:00", end: "17:00", off: false, note: null,
+        segments: [
+          { start: "9:00", end: "11:00", type: "regular", paid: true, job: "Cashier", orgPath: "Dunnes/Store 123/Checkout/Cashier" },
+          { start: "11:00", end: "11:15", type: "break", paid: true },
+          { start: "11:15", end: "13:00", type: "regular", paid: true, job: "Cashier", orgPath: "Dunnes/Store 123/Checkout/Cashier" },
+          { start: "13:00", end: "13:30", type: "meal", paid: false },
+          { start: "13:30", end: "17:00", type: "regular", paid: true, job: "Cashier", orgPath: "Dunnes/Store 123/Checkout/Cashier" },
+        ],
+      }],
+    },
+    timecard: null,
+    now: "2026-04-06T12:00:00.000Z",
+  });
+
+  const day = model.timelineDays.find((d) => d.date === "2026-04-11");
+  assert.strictEqual(day.breakLabel, "Break 11:00 - 11:15 (paid), Meal 13:00 - 13:30");
+  assert.deepStrictEqual(day.jobs, [{ label: "Checkout", job: "Cashier", timeRange: "9:00 - 17:00", color: null }]);
+});
+
+test("buildWebsiteViewModel: timelineDays list the jobs each shift is scheduled on", () => {
+  const deli = { job: "Deli Assistant", orgPath: "Dunnes/Store 123/Deli/Deli Assistant", color: "#4caf50" };
+  const model = buildWebsiteViewModel({
+    schedule: {
+      extractedAt: "2026-04-06T08:00:00.000Z",
+      shifts: [
+        {
+          date: "2026-04-11", day: "Sat", start: "9:00", end: "17:00", off: false, note: null,
+          segments: [
+            { start: "9:00", end: "13:00", ...deli },
+            { start: "13:30", end: "15:00", ...deli },
+            { start: "15:00", end: "17:00", job: "Cashier", orgPath: "Dunnes/Store 123/Checkout/Cashier" },
+          ],
+        },
+        { date: "2026-04-12", day: "Sun", start: "9:00", end: "14:00", off: false, note: null, segments: [{ start: "9:00", end: "14:00" }] },
+      ],
+    },
+    timecard: null,
+    now: "2026-04-06T12:00:00.000Z",
+  });
+
+  const [saturday, sunday] = model.timelineDays.filter((d) => d.date >= "2026-04-11");
+  assert.deepStrictEqual(saturday.jobs, [
+    { label: "Deli", job: "Deli Assistant", timeRange: "9:00 - 15:00", color: "#4caf50" },
+    { label: "Checkout", job: "Cashier", timeRange: "15:00 - 17:00", color: null },
+  ]);
+  assert.deepStrictEqual(sunday.jobs, []);
+});
+
+test("buildWebsiteViewModel: today is the stores' day, not the UTC one", () => {
+  const schedule = {
+    extractedAt: "2026-06-14T21:00:00.000Z",
+    shifts: [
+      { date: "2026-06-14", day: "Sun", start: "9:00", end: "17:00", off: false, note: null, segments: [] },
+      { date: "2026-06-15", day: "Mon", start: "9:00", end: "17:00", off: false, note: null, segments: [] },
+    ],
+  };
+
+  // 23:30 UTC on Sunday is already 00:30 on Monday in Dublin (IST).
+  const dublin = buildWebsiteViewModel({ schedule, timecard: null, now: "2026-06-14T23:30:00.000Z" });
+  assert.strictEqual(dublin.todayIso, "2026-06-15");
+  assert.deepStrictEqual(dublin.upcomingShifts.map((shift) => shift.date), ["2026-06-15"]);
+
+  const utc = buildWebsiteViewModel({ schedule, timecard: null, now: "2026-06-14T23:30:00.000Z", timeZone: "UTC" });
+  assert.strictEqual(utc.todayIso, "2026-06-14");
+});
+
+test("buildWebsiteViewModel: night shifts show their next-day end and count in weekly totals", () => {
+  const schedule = {
+    extractedAt: "2026-03-05T21:00:00.000Z",
+    shifts: [
+      { date: "2026-03-05", day: "Thu", start: "9:00", end: "14:00", off: false, note: null },
+      { date: "2026-03-06", day: "Fri", start: "22:00", end: "6:00", endDate: "2026-03-07", off: false, note: null },
+      { date: "2026-03-08", day: "Sun", start: "22:00", end: "6:00", endDate: "2026-03-09", off: false, note: null },
+    ],
+  };
+  const timecard = {
+    extractedAt: "2026-03-05T21:00:00.000Z",
+    period: "Last 2 Weeks",
+    entries: [{ date: "05/03", day: "Thu", clockIn1: "9:00", clockOut1: "14:00", dailyTotal: "5:00" }],
+  };
+
+  const model = buildWebsiteViewModel({ schedule, timecard, now: "2026-03-05T21:00:00.000Z" });
+  const friday = model.timelineDays.find((day) => day.date === "2026-03-06");
+  assert.strictEqual(friday?.timeRange, "22:00 - 6:00 (+1)");
+  assert.strictEqual(friday?.shiftType, "night");
+  // Sunday's night shift belongs to the week it starts in.
+  assert.strictEqual(model.weekGroups.length, 1);
+  assert.strictEqual(model.weekGroups[0].totalFormatted, "21:00");
+});
+
+test("buildWebsiteViewModel: calculated totals include punches past midnight", () => {
+  const timecard = {
+    extractedAt: "2026-03-07T21:00:00.000Z",
+    period: "Last 2 Weeks",
+    entries: [{ date: "06/03", day: "Fri", clockIn1: "21:58", clockOut1: "6:04", dailyTotal: "8:06" }],
+  };
+
+  const model = buildWebsiteViewModel({ schedule: null, timecard, now: "2026-03-07T21:00:00.000Z" });
+  assert.strictEqual(model.timelineDays[0].calculatedTotal, "8:06");
+  assert.strictEqual(model.timecardSummary.calculatedHours, "8:06");
+});
@@ -0,0 +1,42 @@
+import { test } from "node:test";
+import assert from "node:assert";
+import {
+  addIsoDays,
+  assertTimeZone,
+  isoDateInZone,
+  isoWeekday,
+  minutesInZone,
+  weekStartIso,
+} from "./website/zoned-date.js";
+
+test("isoDateInZone: late UTC evenings are already tomorrow in Dublin summer time", () => {
+  assert.strictEqual(isoDateInZone("2026-06-14T23:30:00Z"), "2026-06-15");
+  assert.strictEqual(isoDateInZone("2026-06-14T23:30:00Z", "UTC"), "2026-06-14");
+  // Winter time in Dublin is UTC itself.
+  assert.strictEqual(isoDateInZone("2026-01-14T23:30:00Z"), "2026-01-14");
+  assert.strictEqual(isoDateInZone(new Date("2026-01-14T23:30:00Z"), "America/Chicago"), "2026-01-14");
+});
+
+test("minutesInZone: minutes since local midnight", () => {
+  assert.strictEqual(minutesInZone("2026-06-14T23:30:00Z"), 30);
+  assert.strictEqual(minutesInZone("2026-01-14T08:05:00Z"), 8 * 60 + 5);
+  assert.strictEqual(minutesInZone("2026-01-14T08:05:00Z", "America/Chicago"), 2 * 60 + 5);
+});
+
+test("addIsoDays: crosses months, years and DST changes by calendar day", () => {
+  assert.strictEqual(addIsoDays("2026-03-28", 2), "2026-03-30");
+  assert.strictEqual(addIsoDays("2026-12-31", 1), "2027-01-01");
+  assert.strictEqual(addIsoDays("2026-03-01", -1), "2026-02-28");
+});
+
+test("weekStartIso: weeks run Monday to Sunday", () => {
+  assert.strictEqual(isoWeekday("2026-03-29"), 0);
+  assert.strictEqual(weekStartIso("2026-03-29"), "2026-03-23");
+  assert.strictEqual(weekStartIso("2026-03-30"), "2026-03-30");
+  assert.strictEqual(weekStartIso("2026-04-04"), "2026-03-30");
+});
+
+test("assertTimeZone: rejects names Intl does not know", () => {
+  assert.strictEqual(assertTimeZone("Europe/Dublin"), "Europe/Dublin");
+  assert.throws(() => assertTimeZone("Europe/Atlantis"), RangeError);
+});
@@ -1,4 +1,5 @@
 import { buildWebsiteViewModel } from "./view-model.js";
+import { DEFAULT_TIME_ZONE, addIsoDays, isoDateInZone } from "./zoned-date.js";
 
 const PAST_WINDOW_DAYS = 30;
 const FUTURE_WINDOW_DAYS = 42;
@@ -30,17 +31,6 @@ function escapeHtml(value) {
     .replaceAll("\"", "&quot;");
 }
 
-/**
- * @param {string} isoDate
- * @param {number} days
- * @returns {string}
- */
-function addIsoDays(isoDate, days) {
-  const date = new Date(`${isoDate}T00:00:00.000Z`);
-  date.setUTCDate(date.getUTCDate() + days);
-  return date.toISOString().slice(0, 10);
-}
-
 /**
  * @param {string} isoDate
  * @returns {string}
@@ -116,11 +106,11 @@ function buildTimecardData(records, todayIso) {
 }
 
 /**
+ * @param {{ dates?: string[] } | null} index - data/index.json
  * @param {string} todayIso
  * @returns {Promise<Array<any>>}
  */
-async function loadDayRecords(todayIso) {
-  const index = await fetchJson("./data/index.json");
+async function loadDayRecords(index, todayIso) {
   const dates = Array.isArray(index?.dates) ? index.dates : [];
   if (dates.length === 0) {
     return [];
@@ -142,6 +132,7 @@ const BADGE_LABELS = {
   morning: "AM",
   evening: "PM",
   full: "Full",
+  night: "Night",
 };
 
 /**
@@ -161,7 +152,7 @@ function shiftTypeClasses(day) {
 }
 
 /**
- * Renders a shift type badge (AM / PM / Full).
+ * Renders a shift type badge (AM / PM / Full / Night).
  * @param {import("./view-model.js").TimelineDay} day
  * @returns {string}
  */
@@ -173,6 +164,21 @@ function renderShiftBadge(day) {
   return `<span class="shift-badge shift-badge-${day.shiftType}">${label}${nonStd}</span>`;
 }
 
+/**
+ * Renders the job a shift (or part of one) is scheduled on, with its UKG
+ * colour. Times are only shown when the shift is split across jobs.
+ * @param {import("./view-model.js").ScheduledJob} job
+ * @param {boolean} withTime
+ * @returns {string}
+ */
+function renderJob(job, withTime) {
+  const dot = job.color && /^#[0-9a-f]{6}$/i.test(job.color)
+    ? `<span class="day-job-dot" style="background: ${job.color}"></span>`
+    : "";
+  const time = withTime ? ` ${escapeHtml(job.timeRange)}` : "";
+  return `<span class="day-job" title="${escapeHtml(job.job)}">${dot}${escapeHtml(job.label)}${time}</span>`;
+}
+
 /**
  * Renders a single timeline day card.
  * @param {import("./view-model.js").TimelineDay} day
@@ -197,12 +203,25 @@ function renderDay(day) {
   if (hasPunches && timeRange && !isOff) {
     details.push(`<span class="day-scheduled-label">Scheduled ${timeRange}</span>`);
   }
+  for (const job of day.jobs) {
+    details.push(renderJob(job, day.jobs.length > 1));
+  }
   if (day.breakLabel) {
     details.push(`<span class="day-break">${escapeHtml(day.breakLabel)}</span>`);
   }
   if (day.note && day.note !== day.timeRange) {
     details.push(`<span class="day-note">${escapeHtml(day.note)}</span>`);
   }
+  if (day.scheduledPayCodes) {
+    details.push(`<span class="day-paycode">${escapeHtml(day.scheduledPayCodes)}</span>`);
+  }
+  for (const tradeRequest of day.tradeRequests) {
+    details.push(`<span class="day-trade">${escapeHtml(tradeRequest)}</span>`);
+  }
+  if (day.timeOffLabel) {
+    const statusCls = day.timeOffStatus ? ` day-timeoff-${escapeHtml(day.timeOffStatus)}` : "";
+    details.push(`<span class="day-timeoff${statusCls}">${escapeHtml(day.timeOffLabel)}</span>`);
+  }
 
   const totalHtml = day.scrapedTotal || day.calculatedTotal
     ? `<div class="day-total">
@@ -234,6 +253,7 @@ function renderLegend() {
       <span class="legend-item"><span class="legend-bar legend-bar-morning"></span>Morning</span>
       <span class="legend-item"><span class="legend-bar legend-bar-evening"></span>Evening</span>
       <span class="legend-item"><span class="legend-bar legend-bar-full"></span>Full day</span>
+      <span class="legend-item"><span class="legend-bar legend-bar-night"></span>Night</span>
       <span class="legend-item"><span class="legend-bar legend-bar-off"></span>Off</span>
       <span class="legend-item"><span class="legend-bar-dashed"></span>Non-std</span>
     </div>
@@ -339,8 +359,11 @@ async function main() {
 
   try {
     const now = new Date().toISOString();
-    const todayIso = now.slice(0, 10);
-    const records = await loadDayRecords(todayIso);
+    const index = await fetchJson("./data/index.json");
+    // "Today" is the stores' day, wherever the browser happens to be.
+    const timeZone = index?.timeZone ?? DEFAULT_TIME_ZONE;
+    const todayIso = isoDateInZone(now, timeZone);
+    const records = await loadDayRecords(index, todayIso);
     const schedule = buildScheduleData(records);
     const timecard = buildTimecardData(records, todayIso);
 
@@ -348,6 +371,7 @@ async function main() {
       schedule,
       timecard,
       now,
+      timeZone,
     });
 
     root.innerHTML = `
@@ -0,0 +1,34 @@
+// Reading UKG org paths ("Dunnes/Store 123/Deli/Deli Assistant").
+
+/**
+ * @typedef {Object} OrgPathParts
+ * @property {string | null} job - Last element, e.g. "Deli Assistant"
+ * @property {string | null} department - The element above the job, e.g. "Deli"
+ * @property {string | null} store - The element above the department, e.g. "Store 123"
+ */
+
+/**
+ * @param {string | null | undefined} orgPath
+ * @returns {OrgPathParts}
+ */
+function describeOrgPath(orgPath) {
+  const parts = orgPath ? orgPath.split("/").map((part) => part.trim()).filter(Boolean) : [];
+  return {
+    job: parts.at(-1) ?? null,
+    department: parts.length > 1 ? parts.at(-2) : null,
+    store: parts.length > 2 ? parts.at(-3) : null,
+  };
+}
+
+/**
+ * Where a segment is worked, for people rather than UKG: the department, or
+ * the job when the path is too short to have one.
+ * @param {{ job?: string | null, orgPath?: string | null }} segment
+ * @returns {string | null}
+ */
+function formatAssignment(segment) {
+  const { job, department } = describeOrgPath(segment.orgPath);
+  return department ?? segment.job ?? job;
+}
+
+export { describeOrgPath, formatAssignment };
@@ -0,0 +1,65 @@
+// Reading the segments of a scheduled shift. Segments stored before types
+// were scraped carry no `type`: they are all working time and the breaks are
+// the gaps between them.
+
+/**
+ * @typedef {"regular" | "break" | "meal" | "transfer"} SegmentType
+ */
+
+/**
+ * @typedef {Object} StoredSegment
+ * @property {string} start - H:MM
+ * @property {string} end - H:MM
+ * @property {SegmentType} [type] - Missing on segments stored before types were scraped
+ * @property {boolean} [paid]
+ */
+
+/**
+ * @typedef {Object} ShiftBreak
+ * @property {string} start - H:MM
+ * @property {string} end - H:MM
+ * @property {"break" | "meal"} type
+ * @property {boolean | null} paid - null when inferred from a gap, where UKG never said
+ */
+
+/**
+ * Whether a segment is time worked (a regular or transfer segment).
+ * @param {StoredSegment} segment
+ * @returns {boolean}
+ */
+function isWorkingSegment(segment) {
+  return !segment.type || segment.type === "regular" || segment.type === "transfer";
+}
+
+/**
+ * Every break of a shift, in order: the break and meal segments, or for
+ * untyped segments the gaps between them.
+ * @param {StoredSegment[] | null | undefined} segments
+ * @returns {ShiftBreak[]}
+ */
+function listBreaks(segments) {
+  if (!segments || segments.length === 0) {
+    return [];
+  }
+  if (segments.some((segment) => segment.type)) {
+    return segments
+      .filter((segment) => segment.type === "break" || segment.type === "meal")
+      .map((segment) => ({
+        start: segment.start,
+        end: segment.end,
+        type: /** @type {"break" | "meal"} */ (segment.type),
+        paid: segment.paid ?? null,
+      }));
+  }
+
+  /** @type {ShiftBreak[]} */
+  const breaks = [];
+  for (let i = 1; i < segments.length; i += 1) {
+    if (segments[i - 1].end !== segments[i].start) {
+      breaks.push({ start: segments[i - 1].end, end: segments[i].start, type: "break", paid: null });
+    }
+  }
+  return breaks;
+}
+
+export { isWorkingSegment, listBreaks };
@@ -1,5 +1,47 @@
+import { formatAssignment } from "./org-path.js";
+import { isWorkingSegment, listBreaks } from "./shift-segments.js";
+import { DEFAULT_TIME_ZONE, addIsoDays, isoDateInZone, isoWeekday, weekStartIso } from "./zoned-date.js";
+
+/**
+ * @typedef {{
+ *   start: string,
+ *   end: string,
+ *   type?: "regular" | "break" | "meal" | "transfer",
+ *   paid?: boolean,
+ *   job?: string,
+ *   orgPath?: string,
+ *   color?: string,
+ * }} ShiftSegment
+ */
+
+/**
+ * @typedef {{
+ *   name: string,
+ *   status: string,
+ *   statusLabel: string,
+ *   partial: boolean,
+ *   start: string | null,
+ *   end: string | null,
+ *   duration: string | null,
+ * }} ShiftTimeOff
+ */
+
+/**
+ * @typedef {{
+ *   type: "swap" | "cover",
+ *   counterpart: string | null,
+ *   status: string,
+ *   statusLabel: string,
+ * }} ShiftTradeRequest
+ */
+
 /**
- * @typedef {{ start: string, end: string }} ShiftSegment
+ * @typedef {{
+ *   name: string,
+ *   hours: number | null,
+ *   startDate: string,
+ *   endDate: string,
+ * }} ShiftPayCode
  */
 
 /**
@@ -8,9 +50,13 @@
  *   day: string,
  *   start: string | null,
  *   end: string | null,
+ *   endDate?: string,
  *   off: boolean,
  *   note: string | null,
  *   segments?: ShiftSegment[],
+ *   timeOff?: ShiftTimeOff | null,
+ *   payCodes?: ShiftPayCode[] | null,
+ *   tradeRequests?: ShiftTradeRequest[] | null,
  * }} ScheduleShift
  */
 
@@ -68,7 +114,16 @@
  */
 
 /**
- * @typedef {"morning" | "evening" | "full" | "off"} ShiftType
+ * @typedef {"morning" | "evening" | "full" | "night" | "off"} ShiftType
+ */
+
+/**
+ * @typedef {{
+ *   label: string,
+ *   job: string,
+ *   timeRange: string,
+ *   color: string | null,
+ * }} ScheduledJob
  */
 
 /**
@@ -80,6 +135,11 @@
  *   timeRange: string | null,
  *   breakLabel: string | null,
  *   note: string | null,
+ *   timeOffLabel: string | null,
+ *   timeOffStatus: string | null,
+ *   scheduledPayCodes: string | null,
+ *   tradeRequests: string[],
+ *   jobs: ScheduledJob[],
  *   punches: string | null,
  *   total: string | null,
  *   scrapedTotal: string | null,
@@ -131,6 +191,7 @@
  *   schedule: ScheduleData | null,
  *   timecard: TimecardData | null,
  *   now?: string,
+ *   timeZone?: string,
  * }} BuildWebsiteViewModelInput
  */
 
@@ -138,6 +199,9 @@
 const MONTHS = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
 /** @type {readonly string[]} */
 const DAYS = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const MINUTES_PER_DAY = 24 * 60;
+/** Marks a time range that ends on the next day. */
+const NEXT_DAY_SUFFIX = " (+1)";
 
 /**
  * @param {string | null | undefined} value
@@ -182,18 +246,7 @@ function formatIsoDate(isoDate, day) {
  * @returns {string}
  */
 function getIsoDayName(isoDate) {
-  return DAYS[new Date(`${isoDate}T00:00:00.000Z`).getUTCDay()];
-}
-
-/**
- * @param {string} isoDate
- * @param {number} days
- * @returns {string}
- */
-function addIsoDays(isoDate, days) {
-  const date = new Date(`${isoDate}T00:00:00.000Z`);
-  date.setUTCDate(date.getUTCDate() + days);
-  return date.toISOString().slice(0, 10);
+  return DAYS[isoWeekday(isoDate)];
 }
 
 /**
@@ -227,7 +280,8 @@ function getTimecardIsoDate(entry, referenceDate) {
  */
 function formatShiftTimeRange(shift) {
   if (shift.start && shift.end) {
-    return `${shift.start} - ${shift.end}`;
+    const overnight = shift.endDate ? shift.endDate > shift.date : parseTimeToMinutes(shift.end) < parseTimeToMinutes(shift.start);
+    return `${shift.start} - ${shift.end}${overnight ? NEXT_DAY_SUFFIX : ""}`;
   }
 
   if (shift.note) {
@@ -242,11 +296,94 @@ function formatShiftTimeRange(shift) {
  * @returns {string | null}
  */
 function formatBreakLabel(segments) {
-  if (!segments || segments.length < 2) {
+  const breaks = listBreaks(segments);
+  if (breaks.length === 0) {
+    return null;
+  }
+
+  return breaks
+    .map((b) => `${b.type === "meal" ? "Meal" : "Break"} ${b.start} - ${b.end}${b.paid ? " (paid)" : ""}`)
+    .join(", ");
+}
+
+/**
+ * The jobs a shift is scheduled on, one entry per run of segments on the same
+ * job (a break in the middle of a Deli shift is still one Deli entry).
+ * @param {ShiftSegment[] | undefined} segments
+ * @returns {ScheduledJob[]}
+ */
+function buildScheduledJobs(segments) {
+  /** @type {Array<{ segment: ShiftSegment, end: string }>} */
+  const runs = [];
+  for (const segment of segments ?? []) {
+    if (!segment.job || !isWorkingSegment(segment)) {
+      continue;
+    }
+    const last = runs[runs.length - 1];
+    if (last && last.segment.orgPath === segment.orgPath) {
+      last.end = segment.end;
+    } else {
+      runs.push({ segment, end: segment.end });
+    }
+  }
+
+  return runs.map(({ segment, end }) => ({
+    label: formatAssignment(segment) ?? segment.job ?? "",
+    job: segment.job ?? "",
+    timeRange: `${segment.start} - ${end}`,
+    color: segment.color ?? null,
+  }));
+}
+
+/**
+ * Describe a time-off request for a day card. The request name is left out
+ * when it is already the day's note (shown as the schedule on days off).
+ * @param {ScheduleShift} shift
+ * @returns {string | null}
+ */
+function formatTimeOffLabel(shift) {
+  const timeOff = shift.timeOff;
+  if (!timeOff) {
+    return null;
+  }
+
+  const parts = [];
+  if (shift.note !== timeOff.name) {
+    parts.push(timeOff.name);
+  }
+  if (timeOff.partial && timeOff.start && timeOff.end) {
+    parts.push(`${timeOff.start} - ${timeOff.end}`);
+  }
+  const description = parts.join(" ");
+  return description ? `${description} · ${timeOff.statusLabel}` : timeOff.statusLabel;
+}
+
+/**
+ * @param {ShiftPayCode[] | null | undefined} payCodes
+ * @returns {string | null}
+ */
+function formatPayCodesLabel(payCodes) {
+  if (!payCodes || payCodes.length === 0) {
     return null;
   }
 
-  return `Break ${segments[0].end} - ${segments[1].start}`;
+  return payCodes
+    .map((payCode) => payCode.hours === null
+      ? payCode.name
+      : `${payCode.name} ${formatDuration(Math.round(payCode.hours * 60))}`)
+    .join(", ");
+}
+
+/**
+ * @param {ShiftTradeRequest[] | null | undefined} tradeRequests
+ * @returns {string[]}
+ */
+function formatTradeRequestLabels(tradeRequests) {
+  return (tradeRequests ?? []).map((request) => {
+    const type = request.type === "cover" ? "Cover" : "Swap";
+    const who = request.counterpart ? ` with ${request.counterpart}` : "";
+    return `${type}${who} · ${request.statusLabel}`;
+  });
 }
 
 /**
@@ -280,11 +417,7 @@ function calculatePunchTotal(entry) {
     const clockOut = typeof entry[`clockOut${i}`] === "string" ? entry[`clockOut${i}`] : null;
     if (!clockIn || !clockOut) continue;
 
-    const inMinutes = parseTimeToMinutes(clockIn);
-    const outMinutes = parseTimeToMinutes(clockOut);
-    if (outMinutes > inMinutes) {
-      minutes += outMinutes - inMinutes;
-    }
+    minutes += minutesUntil(parseTimeToMinutes(clockIn), parseTimeToMinutes(clockOut));
   }
 
   return minutes > 0 ? formatDuration(minutes) : null;
@@ -293,14 +426,15 @@ function calculatePunchTotal(entry) {
 /**
  * @param {string | null | undefined} extractedAt
  * @param {string} todayIso
+ * @param {string} timeZone
  * @returns {{ extractedLabel: string, isStale: boolean }}
  */
-function summarizeFreshness(extractedAt, todayIso) {
+function summarizeFreshness(extractedAt, todayIso, timeZone) {
   if (!extractedAt) {
     return { extractedLabel: "Missing", isStale: true };
   }
 
-  const extractedDate = extractedAt.slice(0, 10);
+  const extractedDate = isoDateInZone(extractedAt, timeZone);
   const diff = Math.round((Date.parse(todayIso) - Date.parse(extractedDate)) / 86400000);
   return {
     extractedLabel: extractedAt.replace("T", " ").replace(".000Z", "Z"),
@@ -319,13 +453,35 @@ function parseTimeToMinutes(time) {
   return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
 }
 
+/**
+ * Minutes from one clock time until the clock next shows another; a range
+ * that ends earlier than it starts runs past midnight.
+ * @param {number} start
+ * @param {number} end
+ * @returns {number}
+ */
+function minutesUntil(start, end) {
+  return end >= start ? end - start : end + MINUTES_PER_DAY - start;
+}
+
+/**
+ * Reads the start and end of a "9:00 - 14:00" or "22:00 - 6:00 (+1)" range.
+ * @param {string} timeRange
+ * @returns {{ start: number, end: number } | null}
+ */
+function parseTimeRange(timeRange) {
+  const match = timeRange.match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})(?: \(\+1\))?$/);
+  return match ? { start: parseTimeToMinutes(match[1]), end: parseTimeToMinutes(match[2]) } : null;
+}
+
 /**
  * Classifies a shift by its time range into a type and standard/non-standard flag.
  *
  * Standard durations: morning/evening ≈ 5h (300 min), full day ≈ 10h (600 min).
  * Non-standard means the actual duration deviates by more than 30 minutes.
+ * Shifts that run past midnight are night shifts, which have no standard length.
  *
- * @param {string | null} timeRange - e.g. "9:00 - 14:00", "Off", "Easter Holiday", or null
+ * @param {string | null} timeRange - e.g. "9:00 - 14:00", "22:00 - 6:00 (+1)", "Off", "Easter Holiday", or null
  * @param {boolean} off - whether the day is explicitly marked off
  * @returns {{ shiftType: ShiftType | null, isNonStandard: boolean }}
  */
@@ -333,11 +489,11 @@ function classifyShift(timeRange, off) {
   if (off) return { shiftType: "off", isNonStandard: false };
   if (!timeRange || timeRange === "Off") return { shiftType: null, isNonStandard: false };
 
-  const match = timeRange.match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
-  if (!match) return { shiftType: null, isNonStandard: false };
+  const range = parseTimeRange(timeRange);
+  if (!range) return { shiftType: null, isNonStandard: false };
 
-  const startMin = parseTimeToMinutes(match[1]);
-  const endMin = parseTimeToMinutes(match[2]);
+  const { start: startMin, end: endMin } = range;
+  if (endMin < startMin) return { shiftType: "night", isNonStandard: false };
   const duration = endMin - startMin;
 
   /** @type {ShiftType} */
@@ -375,24 +531,8 @@ function computeDayMinutes(day) {
   if (day.isPast) return 0;
   if (!day.timeRange) return 0;
 
-  const match = day.timeRange.match(/^(\d{1,2}:\d{2})\s*-\s*(\d{1,2}:\d{2})$/);
-  if (!match) return 0;
-
-  return parseTimeToMinutes(match[2]) - parseTimeToMinutes(match[1]);
-}
-
-/**
- * Returns the ISO date of the Monday for the week containing the given date.
- * Weeks run Monday to Sunday.
- * @param {string} isoDate
- * @returns {string}
- */
-function getWeekMonday(isoDate) {
-  const date = new Date(`${isoDate}T00:00:00.000Z`);
-  const dayOfWeek = date.getUTCDay(); // 0=Sun, 1=Mon, ..., 6=Sat
-  const daysToSubtract = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-  date.setUTCDate(date.getUTCDate() - daysToSubtract);
-  return date.toISOString().slice(0, 10);
+  const range = parseTimeRange(day.timeRange);
+  return range ? minutesUntil(range.start, range.end) : 0;
 }
 
 /**
@@ -427,7 +567,7 @@ function buildWeekGroups(timelineDays) {
   let current = null;
 
   for (const day of timelineDays) {
-    const monday = getWeekMonday(day.date);
+    const monday = weekStartIso(day.date);
     if (!current || current.monday !== monday) {
       current = { monday, days: [] };
       groups.push(current);
@@ -452,12 +592,13 @@ function buildWeekGroups(timelineDays) {
  */
 function buildWebsiteViewModel(input) {
   const now = input.now ?? new Date().toISOString();
-  const todayIso = now.slice(0, 10);
+  const timeZone = input.timeZone ?? DEFAULT_TIME_ZONE;
+  const todayIso = isoDateInZone(now, timeZone);
   const referenceDate = new Date(`${todayIso}T00:00:00.000Z`);
   const issues = [];
 
-  const scheduleFreshness = summarizeFreshness(input.schedule?.extractedAt, todayIso);
-  const timecardFreshness = summarizeFreshness(input.timecard?.extractedAt, todayIso);
+  const scheduleFreshness = summarizeFreshness(input.schedule?.extractedAt, todayIso, timeZone);
+  const timecardFreshness = summarizeFreshness(input.timecard?.extractedAt, todayIso, timeZone);
 
   if (!input.schedule) {
     issues.push("Schedule data file is missing.");
@@ -513,6 +654,11 @@ function buildWebsiteViewModel(input) {
       timeRange,
       breakLabel: formatBreakLabel(shift.segments),
       note: shift.note,
+      timeOffLabel: formatTimeOffLabel(shift),
+      timeOffStatus: shift.timeOff?.status ?? null,
+      scheduledPayCodes: formatPayCodesLabel(shift.payCodes),
+      tradeRequests: formatTradeRequestLabels(shift.tradeRequests),
+      jobs: buildScheduledJobs(shift.segments),
       punches: null,
       total: null,
       scrapedTotal: null,
@@ -553,6 +699,11 @@ function buildWebsiteViewModel(input) {
         timeRange: timecardSchedule,
         breakLabel: null,
         note: null,
+        timeOffLabel: null,
+        timeOffStatus: null,
+        scheduledPayCodes: null,
+        tradeRequests: [],
+        jobs: [],
         punches,
         total,
         scrapedTotal,
@@ -584,6 +735,11 @@ function buildWebsiteViewModel(input) {
         timeRange: null,
         breakLabel: null,
         note: null,
+        timeOffLabel: null,
+        timeOffStatus: null,
+        scheduledPayCodes: null,
+        tradeRequests: [],
+        jobs: [],
         punches: null,
         total: null,
         scrapedTotal: null,
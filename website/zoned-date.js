@@ -0,0 +1,123 @@
+// Calendar dates in the store's time zone, computed with Intl. ISO dates
+// (YYYY-MM-DD) are plain calendar days; only "now" depends on the zone.
+
+/** Zone of the Dunnes tenant; config.json `tenant.timeZone` overrides it. */
+const DEFAULT_TIME_ZONE = "Europe/Dublin";
+
+/** @type {Map<string, Intl.DateTimeFormat>} */
+const formatters = new Map();
+
+/**
+ * @param {string} timeZone
+ * @returns {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-GB", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Check an IANA zone name, returning it unchanged.
+ * @param {string} timeZone
+ * @returns {string}
+ */
+function assertTimeZone(timeZone) {
+  try {
+    getFormatter(timeZone);
+  } catch {
+    throw new RangeError(`Unknown time zone ${JSON.stringify(timeZone)}; use an IANA name such as "${DEFAULT_TIME_ZONE}"`);
+  }
+  return timeZone;
+}
+
+/**
+ * Wall-clock date and time of an instant in a zone.
+ * @param {Date | string | number} [instant]
+ * @param {string} [timeZone]
+ * @returns {{ isoDate: string, minutes: number }} - minutes since local midnight
+ */
+function zonedDateTime(instant = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  const date = instant instanceof Date ? instant : new Date(instant);
+  /** @type {Record<string, string>} */
+  const parts = {};
+  for (const part of getFormatter(timeZone).formatToParts(date)) {
+    parts[part.type] = part.value;
+  }
+  return {
+    isoDate: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute),
+  };
+}
+
+/**
+ * The ISO date an instant falls on in a zone ("today" when called without one).
+ * @param {Date | string | number} [instant]
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+function isoDateInZone(instant = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  return zonedDateTime(instant, timeZone).isoDate;
+}
+
+/**
+ * Minutes since local midnight of an instant in a zone.
+ * @param {Date | string | number} [instant]
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+function minutesInZone(instant = new Date(), timeZone = DEFAULT_TIME_ZONE) {
+  return zonedDateTime(instant, timeZone).minutes;
+}
+
+/**
+ * @param {string} isoDate
+ * @param {number} days
+ * @returns {string}
+ */
+function addIsoDays(isoDate, days) {
+  const date = new Date(`${isoDate}T00:00:00.000Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Day of the week of a calendar date, 0 = Sunday.
+ * @param {string} isoDate
+ * @returns {number}
+ */
+function isoWeekday(isoDate) {
+  return new Date(`${isoDate}T00:00:00.000Z`).getUTCDay();
+}
+
+/**
+ * The Monday starting the Monday-to-Sunday week that contains a date.
+ * @param {string} isoDate
+ * @returns {string}
+ */
+function weekStartIso(isoDate) {
+  const weekday = isoWeekday(isoDate);
+  return addIsoDays(isoDate, weekday === 0 ? -6 : 1 - weekday);
+}
+
+export {
+  DEFAULT_TIME_ZONE,
+  addIsoDays,
+  assertTimeZone,
+  isoDateInZone,
+  isoWeekday,
+  minutesInZone,
+  weekStartIso,
+  zonedDateTime,
+};